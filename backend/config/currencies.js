@@ -0,0 +1,95 @@
+/**
+ * Currencies
+ *
+ * ISO 4217 rules for the currencies the service can be configured with. Amounts are carried
+ * through the API, and stored, as integers in minor units: with NGN (exponent 2) an amount of
+ * 150000 is ₦1,500.00; with UGX (exponent 0) it is USh 150,000. Every account, token and
+ * ledger row names its currency, so an amount is never read with the wrong exponent.
+ *
+ * Each currency also lists the banknotes agents pay out, in major units (overridable with
+ * CURRENCY_DENOMINATIONS). A token is only issued for an amount those notes can make exactly,
+ * so an agent is never asked for change they cannot give.
+ */
+
+const CURRENCIES = {
+  NGN: { exponent: 2, notes: [1000, 500, 200, 100, 50] },
+  GHS: { exponent: 2, notes: [200, 100, 50, 20, 10, 5] },
+  KES: { exponent: 2, notes: [1000, 500, 200, 100, 50] },
+  TZS: { exponent: 2, notes: [10000, 5000, 2000, 1000, 500] },
+  UGX: { exponent: 0, notes: [50000, 20000, 10000, 5000, 2000, 1000] },
+  RWF: { exponent: 0, notes: [5000, 2000, 1000, 500] },
+  ZAR: { exponent: 2, notes: [200, 100, 50, 20, 10] },
+  EGP: { exponent: 2, notes: [200, 100, 50, 20, 10, 5] },
+  XOF: { exponent: 0, notes: [10000, 5000, 2000, 1000, 500] },
+  XAF: { exponent: 0, notes: [10000, 5000, 2000, 1000, 500] },
+  USD: { exponent: 2, notes: [100, 50, 20, 10, 5, 1] },
+  EUR: { exponent: 2, notes: [200, 100, 50, 20, 10, 5] },
+  GBP: { exponent: 2, notes: [50, 20, 10, 5] },
+  KWD: { exponent: 3, notes: [20, 10, 5, 1, 0.5, 0.25] },
+};
+
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+/**
+ * Converts a major-unit value (e.g. a note of 0.25 KWD) to minor units.
+ * @param {number} major
+ * @param {number} exponent
+ * @returns {number}
+ */
+const toMinorUnits = (major, exponent) => Math.round(major * 10 ** exponent);
+
+/**
+ * Human-readable amount for logs and error messages, e.g. "NGN 1500.00".
+ * @param {number} amount Minor units
+ * @param {string} currency
+ * @param {number} exponent
+ * @returns {string}
+ */
+const formatMinorUnits = (amount, currency, exponent) => `${currency} ${(amount / 10 ** exponent).toFixed(exponent)}`;
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Whether an amount can be paid out exactly with any number of each note and, when it cannot,
+ * the nearest amounts either side that can.
+ * @param {number} amount Minor units, > 0
+ * @param {number[]} denominations Note values in minor units
+ * @returns {Object} { dispensable: true } | { dispensable: false, below: number|null, above: number }
+ */
+const checkDispensable = (amount, denominations) => {
+  const step = denominations.reduce(gcd);
+  const units = denominations.map((note) => note / step);
+
+  // Every multiple of step from (smallest - 1) * (largest - 1) on can be made (Schur's bound),
+  // so only smaller amounts need working out
+  const bound = (Math.min(...units) - 1) * (Math.max(...units) - 1);
+  const reachable = new Uint8Array(bound + 1);
+  reachable[0] = 1;
+  for (let n = 1; n <= bound; n++) {
+    reachable[n] = units.some((unit) => unit <= n && reachable[n - unit] === 1) ? 1 : 0;
+  }
+  const payable = (n) => n >= bound || reachable[n] === 1;
+
+  if (amount % step === 0 && payable(amount / step)) {
+    return { dispensable: true };
+  }
+
+  let below = Math.floor(amount / step);
+  while (below > 0 && !payable(below)) {
+    below--;
+  }
+  let above = Math.floor(amount / step) + 1;
+  while (!payable(above)) {
+    above++;
+  }
+
+  return { dispensable: false, below: below > 0 ? below * step : null, above: above * step };
+};
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_CODES,
+  toMinorUnits,
+  formatMinorUnits,
+  checkDispensable,
+};
@@ -21,6 +21,7 @@
  */
 
 const { Pool } = require('pg');
+const knex = require('knex');
 const config = require('./index');
 
 // Create connection pool with production-grade settings
@@ -95,6 +96,28 @@ const transaction = async (callback) => {
   }
 };
 
+// Lazily created Knex instance used by the service layer (query builder + transactions)
+let db = null;
+
+/**
+ * Get the shared Knex instance
+ * Services receive this as their `db` dependency so they can be tested with a mock
+ * @returns {import('knex').Knex} Knex instance
+ */
+const getDb = () => {
+  if (!db) {
+    db = knex({
+      client: 'pg',
+      connection: {
+        connectionString: config.database.url,
+        ssl: config.server.nodeEnv === 'production' ? { rejectUnauthorized: false } : false,
+      },
+      pool: { min: 2, max: 20 },
+    });
+  }
+  return db;
+};
+
 /**
  * Test database connection
  * Used for health checks and startup validation
@@ -113,6 +136,10 @@ const testConnection = async () => {
  * Important for clean shutdowns in production
  */
 const close = async () => {
+  if (db) {
+    await db.destroy();
+    db = null;
+  }
   await pool.end();
 };
 
@@ -121,6 +148,7 @@ module.exports = {
   query,
   getClient,
   transaction,
+  getDb,
   testConnection,
   close,
 };
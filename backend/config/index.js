@@ -36,6 +36,8 @@
 
 require('dotenv').config();
 const Joi = require('joi');
+const { DEFAULT_CHARSET, excludeAmbiguous, entropyBits } = require('./tokenFormat');
+const { CURRENCIES, CURRENCY_CODES, toMinorUnits } = require('./currencies');
 
 /**
  * Configuration schema definition
@@ -90,12 +92,162 @@ const configSchema = Joi.object({
       'any.required': 'TOKEN_EXPIRY_SECONDS is required'
     }),
 
-  TOKEN_PEPPER: Joi.string().min(16).required()
+  // Without TOKEN_HASH_PEPPERS, TOKEN_PEPPER is the single pepper under the id "default".
+  // Alongside them it only verifies tokens hashed before versioning and can be left out.
+  TOKEN_PEPPER: Joi.string().min(16)
+    .when('TOKEN_HASH_PEPPERS', { not: Joi.exist(), then: Joi.required() })
     .messages({
       'string.min': 'TOKEN_PEPPER must be at least 16 characters for security',
-      'any.required': 'TOKEN_PEPPER is required for token hashing'
+      'any.required': 'TOKEN_PEPPER is required for token hashing unless TOKEN_HASH_PEPPERS is set'
     }),
 
+  // Root of the keys services derive with utils/keyDerivation.js (agent credential encryption,
+  // OTPs, QR payload MACs, stored idempotency responses). Kept apart from the token peppers so
+  // those can be rotated without touching any of them.
+  SERVICE_KEY_SECRET: Joi.string().min(16).required()
+    .messages({
+      'string.min': 'SERVICE_KEY_SECRET must be at least 16 characters for security',
+      'any.required': 'SERVICE_KEY_SECRET is required to derive service keys'
+    }),
+
+  // Token hashing (see services/tokenHasher.js). Peppers are "id:secret" pairs separated by
+  // commas; new tokens use the active one, outstanding tokens keep the one they were issued
+  // with.
+  TOKEN_HASH_ALGORITHM: Joi.string().valid('hmac-sha256', 'argon2id').default('hmac-sha256'),
+  TOKEN_HASH_PEPPERS: Joi.string()
+    .pattern(/^[A-Za-z0-9._-]{1,32}:[^,]{16,}(,[A-Za-z0-9._-]{1,32}:[^,]{16,})*$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'TOKEN_HASH_PEPPERS must be comma-separated id:secret pairs with secrets of at least 16 characters'
+    }),
+  TOKEN_HASH_ACTIVE_PEPPER_ID: Joi.string().pattern(/^[A-Za-z0-9._-]{1,32}$/).optional(), // Defaults to the last listed pepper
+
+  // Token format (see config/tokenFormat.js). Only the core is secret; its entropy is
+  // checked against TOKEN_MIN_ENTROPY_BITS below and the server refuses to start under it.
+  TOKEN_PREFIX_LENGTH: Joi.number().integer().min(2).max(8).default(4),
+  TOKEN_CORE_LENGTH: Joi.number().integer().min(6).max(32).default(8),
+  TOKEN_CHARSET: Joi.string().pattern(/^[A-Z0-9]+$/).min(10).default(DEFAULT_CHARSET)
+    .custom((value, helpers) => (new Set(value).size === value.length ? value : helpers.error('any.invalid')))
+    .messages({
+      'string.pattern.base': 'TOKEN_CHARSET may only contain A-Z and 0-9',
+      'any.invalid': 'TOKEN_CHARSET must not repeat characters'
+    }),
+  TOKEN_EXCLUDE_AMBIGUOUS: Joi.boolean().default(false), // Drop O/0, I/1 and L from the charset
+  TOKEN_GROUP_SIZE: Joi.number().integer().min(0).max(16).default(0), // 0 = no grouping
+  TOKEN_MIN_ENTROPY_BITS: Joi.number().min(32).default(40),
+
+  // Numeric tokens for keypad-only terminals. The digit core is weaker than the alphanumeric
+  // one, so redemption also needs the customer's PIN and is held to tighter attempt limits.
+  NUMERIC_TOKEN_PREFIX_LENGTH: Joi.number().integer().min(3).max(8).default(4),
+  NUMERIC_TOKEN_CORE_LENGTH: Joi.number().integer().min(10).max(24).default(12),
+  NUMERIC_TOKEN_MAX_PIN_ATTEMPTS: Joi.number().integer().min(1).max(10).default(3), // Then the token is cancelled
+  NUMERIC_TOKEN_RATE_LIMIT_MAX: Joi.number().integer().min(1).max(100).default(3), // Per account per minute
+
+  // Accept tokens issued before the check character was added. Turn off once every
+  // legacy token has expired (TOKEN_EXPIRY_SECONDS after the upgrade).
+  TOKEN_ACCEPT_LEGACY_FORMAT: Joi.boolean().default(true),
+
+  // Live (ACTIVE, unexpired) tokens an account may hold at once, which bounds the exposure
+  // of a stolen phone. At the cap, REJECT refuses the new token; CANCEL_OLDEST cancels the
+  // oldest live token(s) to make room.
+  TOKEN_MAX_ACTIVE_PER_ACCOUNT: Joi.number().integer().min(1).max(100).default(3),
+  TOKEN_ACTIVE_LIMIT_POLICY: Joi.string().valid('REJECT', 'CANCEL_OLDEST').default('REJECT'),
+
+  // Currencies (see config/currencies.js). Amounts are integer minor units of the account's
+  // currency. New accounts default to DEFAULT_CURRENCY; SUPPORTED_CURRENCIES (comma-separated,
+  // defaults to DEFAULT_CURRENCY alone) are the ones accounts and agents may use.
+  // CURRENCY_DENOMINATIONS replaces the notes agents pay out with, in major units:
+  // "CUR:note,note,...;CUR:..." (e.g. "NGN:1000,500,200;KES:1000,500").
+  DEFAULT_CURRENCY: Joi.string().valid(...CURRENCY_CODES).default('NGN')
+    .messages({
+      'any.only': `DEFAULT_CURRENCY must be one of: ${CURRENCY_CODES.join(', ')}`
+    }),
+  SUPPORTED_CURRENCIES: Joi.string().pattern(/^[A-Z]{3}(,[A-Z]{3})*$/).optional()
+    .messages({
+      'string.pattern.base': 'SUPPORTED_CURRENCIES must be comma-separated ISO 4217 codes (e.g. NGN,KES)'
+    }),
+  CURRENCY_DENOMINATIONS: Joi.string()
+    .pattern(/^[A-Z]{3}:[0-9.]+(,[0-9.]+)*(;[A-Z]{3}:[0-9.]+(,[0-9.]+)*)*$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'CURRENCY_DENOMINATIONS must look like "NGN:1000,500,200;KES:1000,500"'
+    }),
+
+  // Withdrawal limits (see services/withdrawalLimitService.js), in whole units of DEFAULT_CURRENCY.
+  // Daily and monthly limits are rolling 24-hour / 30-day totals of withdrawals plus live tokens.
+  // Tiers override them per account: "TIER:perToken:daily:monthly" entries separated by commas,
+  // where an empty field keeps the default (e.g. "PREMIUM:200000:500000:5000000,BASIC:10000::").
+  WITHDRAWAL_LIMIT_PER_TOKEN: Joi.number().integer().min(1).default(50000),
+  WITHDRAWAL_LIMIT_DAILY: Joi.number().integer().min(1).default(100000),
+  WITHDRAWAL_LIMIT_MONTHLY: Joi.number().integer().min(1).default(1000000),
+  WITHDRAWAL_LIMIT_TIERS: Joi.string()
+    .pattern(/^[A-Z][A-Z0-9_]{0,31}(:[0-9]*){3}(,[A-Z][A-Z0-9_]{0,31}(:[0-9]*){3})*$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'WITHDRAWAL_LIMIT_TIERS must be comma-separated TIER:perToken:daily:monthly entries (upper-case tier names)'
+    }),
+  // Limits of every other supported currency, in whole units of it: "CUR:perToken:daily:monthly"
+  // and "CUR/TIER:perToken:daily:monthly" entries separated by semicolons, where an empty field
+  // keeps that currency's default (e.g. "KWD:150:300:3000;KWD/PREMIUM:600:1500:15000").
+  WITHDRAWAL_LIMITS_BY_CURRENCY: Joi.string()
+    .pattern(/^[A-Z]{3}(\/[A-Z][A-Z0-9_]{0,31})?(:[0-9]*){3}(;[A-Z]{3}(\/[A-Z][A-Z0-9_]{0,31})?(:[0-9]*){3})*$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'WITHDRAWAL_LIMITS_BY_CURRENCY must be semicolon-separated CUR:perToken:daily:monthly or CUR/TIER:perToken:daily:monthly entries'
+    }),
+
+  // Idempotency Configuration (replay window for Idempotency-Key requests)
+  IDEMPOTENCY_TTL_SECONDS: Joi.number().integer().min(60).max(604800).default(86400)
+    .messages({
+      'number.min': 'IDEMPOTENCY_TTL_SECONDS must be at least 60 seconds',
+      'number.max': 'IDEMPOTENCY_TTL_SECONDS must not exceed 604800 seconds (7 days)'
+    }),
+
+  // Expiry Sweeper Configuration (moves stale ACTIVE tokens to EXPIRED)
+  EXPIRY_SWEEPER_ENABLED: Joi.boolean().default(false), // Run in-process alongside the HTTP server
+  EXPIRY_SWEEPER_INTERVAL_MS: Joi.number().integer().min(1000).default(60000),
+  EXPIRY_SWEEPER_BATCH_SIZE: Joi.number().integer().min(1).max(10000).default(500),
+  EXPIRY_SWEEPER_MAX_BATCHES: Joi.number().integer().min(1).default(20), // Per run, bounds lock hold time
+  EXPIRY_SWEEPER_LOCK_TTL_MS: Joi.number().integer().min(1000).default(30000)
+    .messages({
+      'number.min': 'EXPIRY_SWEEPER_LOCK_TTL_MS must be at least 1000ms'
+    }),
+
+  // Step-up OTP Configuration (risk CHALLENGE decisions)
+  OTP_LENGTH: Joi.number().integer().min(4).max(10).default(6),
+  OTP_TTL_SECONDS: Joi.number().integer().min(30).max(900).default(180)
+    .messages({
+      'number.min': 'OTP_TTL_SECONDS must be at least 30 seconds',
+      'number.max': 'OTP_TTL_SECONDS must not exceed 900 seconds (15 minutes)'
+    }),
+  OTP_MAX_ATTEMPTS: Joi.number().integer().min(1).max(10).default(3),
+  // Local stand-ins, refused in production: real channels are plugged in via setNotifier()
+  OTP_NOTIFIER: Joi.string().valid('console', 'file')
+    .when('NODE_ENV', { is: 'production', then: Joi.forbidden(), otherwise: Joi.optional().default('file') })
+    .messages({
+      'any.unknown': 'OTP_NOTIFIER stand-ins must not be used in production; register a real notifier with setNotifier()'
+    }),
+  OTP_NOTIFIER_FILE: Joi.string().default('./tmp/otp-outbox.log'),
+
+  // Risk Policy Configuration (declarative thresholds for the risk engine)
+  RISK_POLICY_PATH: Joi.string().default('config/risk-policy.yaml'), // YAML or JSON, relative to backend/
+  RISK_POLICY_HOT_RELOAD: Joi.boolean().default(true),
+  RISK_POLICY_RELOAD_INTERVAL_MS: Joi.number().integer().min(500).default(5000),
+  RISK_SHADOW_POLICY_PATHS: Joi.string().allow('').default(''), // Comma-separated candidate policies, evaluated but never enforced
+
+  // Agent Authentication (redemption endpoints)
+  AGENT_API_KEY_AUTH_ENABLED: Joi.boolean().default(true), // false = HMAC-signed requests only
+  AGENT_SIGNATURE_TOLERANCE_SECONDS: Joi.number().integer().min(30).max(900).default(300)
+    .messages({
+      'number.min': 'AGENT_SIGNATURE_TOLERANCE_SECONDS must be at least 30 seconds',
+      'number.max': 'AGENT_SIGNATURE_TOLERANCE_SECONDS must not exceed 900 seconds (15 minutes)'
+    }),
+
+  // Agent Float & Settlement Configuration
+  AGENT_COMMISSION_BPS: Joi.number().integer().min(0).max(10000).default(50), // Basis points of net redeemed value
+  AGENT_SETTLEMENT_ENABLED: Joi.boolean().default(false), // Run the daily settlement job in-process
+  AGENT_SETTLEMENT_INTERVAL_MS: Joi.number().integer().min(60000).default(3600000),
+
   // CORS Configuration
   CORS_ORIGIN: Joi.string().default('*'),
 
@@ -105,10 +257,14 @@ const configSchema = Joi.object({
   RATE_LIMIT_SKIP_SUCCESSFUL_REQUESTS: Joi.boolean().default(false),
 
   // Security Configuration
-  JWT_SECRET: Joi.string().min(32).optional()
+  // Customer access tokens (HS256 JWTs issued by the identity provider); see middleware/userAuth.js
+  JWT_SECRET: Joi.string().min(32).required()
     .messages({
-      'string.min': 'JWT_SECRET must be at least 32 characters if provided'
+      'string.min': 'JWT_SECRET must be at least 32 characters',
+      'any.required': 'JWT_SECRET is required to authenticate customers'
     }),
+  JWT_ISSUER: Joi.string().optional(), // Expected "iss" claim, checked when set
+  JWT_AUDIENCE: Joi.string().optional(), // Expected "aud" claim, checked when set
 }).unknown(false); // Reject unknown environment variables
 
 /**
@@ -137,6 +293,200 @@ if (error) {
   process.exit(1);
 }
 
+/**
+ * Token format entropy: coreLength × log2(charset size) must reach the configured minimum.
+ * Checked here so a weakened format can never reach production.
+ */
+const tokenCharset = config.TOKEN_EXCLUDE_AMBIGUOUS ? excludeAmbiguous(config.TOKEN_CHARSET) : config.TOKEN_CHARSET;
+const tokenEntropyBits = entropyBits({ coreLength: config.TOKEN_CORE_LENGTH, charset: tokenCharset });
+
+if (tokenCharset.length < 10 || tokenEntropyBits < config.TOKEN_MIN_ENTROPY_BITS) {
+  console.error('❌ Configuration validation failed:\n');
+  console.error(`  - Token format provides ${tokenEntropyBits.toFixed(1)} bits of entropy `
+    + `(${config.TOKEN_CORE_LENGTH} characters from a ${tokenCharset.length}-character set); `
+    + `TOKEN_MIN_ENTROPY_BITS requires ${config.TOKEN_MIN_ENTROPY_BITS} and at least 10 characters in the set.`);
+  console.error('\nIncrease TOKEN_CORE_LENGTH or widen TOKEN_CHARSET.\n');
+  process.exit(1);
+}
+
+/**
+ * Token hashing peppers: ids must be unique, and the active id must be one of them.
+ */
+const tokenHashPeppers = {};
+const pepperEntries = config.TOKEN_HASH_PEPPERS
+  ? config.TOKEN_HASH_PEPPERS.split(',').map((entry) => {
+    const separator = entry.indexOf(':');
+    return [entry.slice(0, separator), entry.slice(separator + 1)];
+  })
+  : [['default', config.TOKEN_PEPPER]];
+const pepperErrors = [];
+
+for (const [id, secret] of pepperEntries) {
+  if (tokenHashPeppers[id] !== undefined) {
+    pepperErrors.push(`  - TOKEN_HASH_PEPPERS lists pepper id "${id}" more than once`);
+  }
+  tokenHashPeppers[id] = secret;
+}
+
+const activePepperId = config.TOKEN_HASH_ACTIVE_PEPPER_ID || pepperEntries[pepperEntries.length - 1][0];
+if (tokenHashPeppers[activePepperId] === undefined) {
+  pepperErrors.push(`  - TOKEN_HASH_ACTIVE_PEPPER_ID "${activePepperId}" is not listed in TOKEN_HASH_PEPPERS`);
+}
+
+if (pepperErrors.length > 0) {
+  console.error('❌ Configuration validation failed:\n');
+  console.error(pepperErrors.join('\n'));
+  console.error('\nPlease check your .env file and ensure all required variables are set correctly.\n');
+  process.exit(1);
+}
+
+/**
+ * Currencies: supported codes must be known and include the default; note overrides must be
+ * positive whole numbers of minor units and only name supported currencies.
+ */
+const supportedCurrencyCodes = config.SUPPORTED_CURRENCIES
+  ? [...new Set(config.SUPPORTED_CURRENCIES.split(','))]
+  : [config.DEFAULT_CURRENCY];
+const currencyErrors = [];
+const noteOverrides = {};
+
+for (const code of supportedCurrencyCodes) {
+  if (!CURRENCIES[code]) {
+    currencyErrors.push(`  - SUPPORTED_CURRENCIES: unknown currency "${code}" (known: ${CURRENCY_CODES.join(', ')})`);
+  }
+}
+if (!supportedCurrencyCodes.includes(config.DEFAULT_CURRENCY)) {
+  currencyErrors.push(`  - SUPPORTED_CURRENCIES must include DEFAULT_CURRENCY (${config.DEFAULT_CURRENCY})`);
+}
+
+for (const entry of config.CURRENCY_DENOMINATIONS ? config.CURRENCY_DENOMINATIONS.split(';') : []) {
+  const [code, notes] = entry.split(':');
+  if (!supportedCurrencyCodes.includes(code) || !CURRENCIES[code]) {
+    currencyErrors.push(`  - CURRENCY_DENOMINATIONS: "${code}" is not a supported currency`);
+    continue;
+  }
+  const { exponent } = CURRENCIES[code];
+  const values = notes.split(',').map(Number);
+  if (values.some((note) => !(note > 0) || Math.abs(toMinorUnits(note, exponent) - note * 10 ** exponent) > 1e-6)) {
+    currencyErrors.push(`  - CURRENCY_DENOMINATIONS: ${code} notes must be positive amounts with at most ${exponent} decimal place(s)`);
+    continue;
+  }
+  noteOverrides[code] = values;
+}
+
+if (currencyErrors.length > 0) {
+  console.error('❌ Configuration validation failed:\n');
+  console.error(currencyErrors.join('\n'));
+  console.error('\nPlease check your .env file and ensure all required variables are set correctly.\n');
+  process.exit(1);
+}
+
+// Per supported currency: ISO 4217 exponent and the notes agents pay out with, in minor units, largest first
+const currencies = Object.fromEntries(supportedCurrencyCodes.map((code) => {
+  const { exponent, notes } = CURRENCIES[code];
+  const denominations = (noteOverrides[code] || notes)
+    .map((note) => toMinorUnits(note, exponent))
+    .sort((a, b) => b - a);
+  return [code, { exponent, denominations }];
+}));
+
+/**
+ * Withdrawal limits per currency: each supported currency has its own defaults (those of
+ * DEFAULT_CURRENCY from WITHDRAWAL_LIMIT_*, the others from WITHDRAWAL_LIMITS_BY_CURRENCY),
+ * since one number of whole units is worth very different sums in different currencies.
+ * Tier names must be unique per currency, and every tier (and the defaults) must keep
+ * perToken <= daily <= monthly, otherwise a smaller limit silently hides a larger one.
+ */
+const limitErrors = [];
+const limitsFrom = ([perToken, daily, monthly], defaults) => ({
+  perToken: perToken ? Number(perToken) : defaults.perToken,
+  daily: daily ? Number(daily) : defaults.daily,
+  monthly: monthly ? Number(monthly) : defaults.monthly,
+});
+const withdrawalLimitsByCurrency = {
+  [config.DEFAULT_CURRENCY]: {
+    defaults: {
+      perToken: config.WITHDRAWAL_LIMIT_PER_TOKEN,
+      daily: config.WITHDRAWAL_LIMIT_DAILY,
+      monthly: config.WITHDRAWAL_LIMIT_MONTHLY,
+    },
+    tiers: {},
+  },
+};
+const currencyLimitEntries = (config.WITHDRAWAL_LIMITS_BY_CURRENCY ? config.WITHDRAWAL_LIMITS_BY_CURRENCY.split(';') : [])
+  .map((entry) => {
+    const [scope, ...fields] = entry.split(':');
+    const [code, tier] = scope.split('/');
+    return { code, tier, fields };
+  });
+
+for (const code of new Set(currencyLimitEntries.map((entry) => entry.code))) {
+  if (!supportedCurrencyCodes.includes(code)) {
+    limitErrors.push(`  - WITHDRAWAL_LIMITS_BY_CURRENCY: "${code}" is not a supported currency`);
+  }
+}
+
+// Currency defaults first, so tier entries can fall back on them wherever they are listed
+for (const { code, fields } of currencyLimitEntries.filter((entry) => !entry.tier)) {
+  if (!supportedCurrencyCodes.includes(code)) {
+    continue;
+  }
+  if (code === config.DEFAULT_CURRENCY) {
+    limitErrors.push(`  - WITHDRAWAL_LIMITS_BY_CURRENCY: ${code} is DEFAULT_CURRENCY; set WITHDRAWAL_LIMIT_* instead`);
+  } else if (withdrawalLimitsByCurrency[code]) {
+    limitErrors.push(`  - WITHDRAWAL_LIMITS_BY_CURRENCY lists ${code} more than once`);
+  } else if (fields.some((field) => !field)) {
+    limitErrors.push(`  - WITHDRAWAL_LIMITS_BY_CURRENCY: ${code} needs all three limits`);
+  } else {
+    withdrawalLimitsByCurrency[code] = { defaults: limitsFrom(fields), tiers: {} };
+  }
+}
+
+for (const code of supportedCurrencyCodes) {
+  if (!withdrawalLimitsByCurrency[code]) {
+    limitErrors.push(`  - WITHDRAWAL_LIMITS_BY_CURRENCY has no limits for supported currency ${code}`);
+  }
+}
+
+const tierEntries = [
+  ...(config.WITHDRAWAL_LIMIT_TIERS ? config.WITHDRAWAL_LIMIT_TIERS.split(',') : []).map((entry) => {
+    const [tier, ...fields] = entry.split(':');
+    return { code: config.DEFAULT_CURRENCY, tier, fields };
+  }),
+  ...currencyLimitEntries.filter((entry) => entry.tier),
+];
+
+for (const { code, tier, fields } of tierEntries) {
+  const currencyLimits = withdrawalLimitsByCurrency[code];
+  if (!currencyLimits) {
+    // Unsupported or missing its defaults, both reported above
+    continue;
+  }
+  if (currencyLimits.tiers[tier]) {
+    limitErrors.push(`  - Withdrawal limits list tier "${tier}" more than once for ${code}`);
+  }
+  currencyLimits.tiers[tier] = limitsFrom(fields, currencyLimits.defaults);
+}
+
+for (const [code, { defaults, tiers }] of Object.entries(withdrawalLimitsByCurrency)) {
+  for (const [name, limits] of [['defaults', defaults], ...Object.entries(tiers)]) {
+    if (limits.perToken < 1 || limits.perToken > limits.daily || limits.daily > limits.monthly) {
+      limitErrors.push(`  - Withdrawal limits for ${code} ${name} must satisfy 1 <= perToken <= daily <= monthly `
+        + `(got ${limits.perToken} / ${limits.daily} / ${limits.monthly})`);
+    }
+  }
+}
+
+// Tiers an account may be assigned; in a currency that does not configure one, its defaults apply
+const withdrawalLimitTierNames = [...new Set(tierEntries.map((entry) => entry.tier))];
+
+if (limitErrors.length > 0) {
+  console.error('❌ Configuration validation failed:\n');
+  console.error(limitErrors.join('\n'));
+  console.error('\nPlease check your .env file and ensure all required variables are set correctly.\n');
+  process.exit(1);
+}
+
 /**
  * Export validated configuration
  * All access to environment variables should go through this module
@@ -156,9 +506,71 @@ module.exports = {
     port: config.REDIS_PORT,
     password: config.REDIS_PASSWORD || undefined,
   },
+  keys: {
+    secret: config.SERVICE_KEY_SECRET,
+  },
   token: {
     expirySeconds: config.TOKEN_EXPIRY_SECONDS,
     pepper: config.TOKEN_PEPPER,
+    acceptLegacyFormat: config.TOKEN_ACCEPT_LEGACY_FORMAT,
+    prefixLength: config.TOKEN_PREFIX_LENGTH,
+    coreLength: config.TOKEN_CORE_LENGTH,
+    charset: tokenCharset,
+    groupSize: config.TOKEN_GROUP_SIZE,
+    entropyBits: tokenEntropyBits,
+    maxActivePerAccount: config.TOKEN_MAX_ACTIVE_PER_ACCOUNT,
+    activeLimitPolicy: config.TOKEN_ACTIVE_LIMIT_POLICY,
+    hashing: {
+      algorithm: config.TOKEN_HASH_ALGORITHM,
+      peppers: tokenHashPeppers,
+      activePepperId,
+    },
+    numeric: {
+      prefixLength: config.NUMERIC_TOKEN_PREFIX_LENGTH,
+      coreLength: config.NUMERIC_TOKEN_CORE_LENGTH,
+      maxPinAttempts: config.NUMERIC_TOKEN_MAX_PIN_ATTEMPTS,
+      rateLimitMax: config.NUMERIC_TOKEN_RATE_LIMIT_MAX,
+    },
+  },
+  currency: {
+    default: config.DEFAULT_CURRENCY,
+    currencies,
+  },
+  withdrawalLimits: {
+    byCurrency: withdrawalLimitsByCurrency,
+    tiers: withdrawalLimitTierNames,
+  },
+  idempotency: {
+    ttlSeconds: config.IDEMPOTENCY_TTL_SECONDS,
+  },
+  expirySweeper: {
+    enabled: config.EXPIRY_SWEEPER_ENABLED,
+    intervalMs: config.EXPIRY_SWEEPER_INTERVAL_MS,
+    batchSize: config.EXPIRY_SWEEPER_BATCH_SIZE,
+    maxBatches: config.EXPIRY_SWEEPER_MAX_BATCHES,
+    lockTtlMs: config.EXPIRY_SWEEPER_LOCK_TTL_MS,
+  },
+  otp: {
+    length: config.OTP_LENGTH,
+    ttlSeconds: config.OTP_TTL_SECONDS,
+    maxAttempts: config.OTP_MAX_ATTEMPTS,
+    notifier: config.OTP_NOTIFIER,
+    notifierFile: config.OTP_NOTIFIER_FILE,
+  },
+  riskPolicy: {
+    path: config.RISK_POLICY_PATH,
+    hotReload: config.RISK_POLICY_HOT_RELOAD,
+    reloadIntervalMs: config.RISK_POLICY_RELOAD_INTERVAL_MS,
+    shadowPaths: config.RISK_SHADOW_POLICY_PATHS.split(',').map((p) => p.trim()).filter(Boolean),
+  },
+  agentAuth: {
+    apiKeyEnabled: config.AGENT_API_KEY_AUTH_ENABLED,
+    signatureToleranceSeconds: config.AGENT_SIGNATURE_TOLERANCE_SECONDS,
+  },
+  agentSettlement: {
+    enabled: config.AGENT_SETTLEMENT_ENABLED,
+    intervalMs: config.AGENT_SETTLEMENT_INTERVAL_MS,
+    commissionBps: config.AGENT_COMMISSION_BPS,
   },
   cors: {
     origin: config.CORS_ORIGIN === '*' ? '*' : config.CORS_ORIGIN.split(','),
@@ -170,5 +582,7 @@ module.exports = {
   },
   security: {
     jwtSecret: config.JWT_SECRET,
+    jwtIssuer: config.JWT_ISSUER,
+    jwtAudience: config.JWT_AUDIENCE,
   },
 };
@@ -0,0 +1,210 @@
+/**
+ * Risk Policy Loader
+ *
+ * Financial System Design Decisions:
+ * 1. Declarative Policy: Risk thresholds, weights and decision bands live in a policy file
+ *    (YAML or JSON) owned by the fraud team, so tuning does not require a code deploy.
+ *
+ * 2. Fail-Fast Validation: Policies are validated with Joi exactly like environment config.
+ *    An invalid policy at startup stops the server; an invalid policy on reload is rejected
+ *    and the last valid policy keeps enforcing (never run without a policy).
+ *
+ * 3. Hot Reload: The policy file is polled and swapped atomically when it changes.
+ *    Every evaluation reports the policy version it used, for audit and dispute handling.
+ *
+ * 4. Shadow Policies: Candidate policies (RISK_SHADOW_POLICY_PATHS) are evaluated alongside
+ *    the enforcing one and recorded, so their decisions can be compared before go-live.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const YAML = require('yaml');
+const { logger } = require('../utils/logger');
+
+// Lazy load config so the engine can be used (and tested) with an explicit policy
+const getConfig = () => require('./index');
+
+/**
+ * Signals the engine knows how to compute; a policy may omit any to disable it
+ */
+const SIGNALS = ['velocity10m', 'amountDeviation', 'failedAttempts24h', 'ipMismatch'];
+
+const bandSchema = Joi.object({
+  above: Joi.number().required(),
+  weight: Joi.number().min(0).max(1).required(),
+  reason: Joi.string().min(1).required(),
+});
+
+// The first matching band wins, so a lower threshold listed first would hide every band after it
+const signalSchema = Joi.object({
+  bands: Joi.array().items(bandSchema).min(1).required()
+    .custom((bands, helpers) => (
+      bands.every((band, index) => index === 0 || band.above < bands[index - 1].above)
+        ? bands
+        : helpers.error('bands.order')
+    ))
+    .messages({ 'bands.order': '{{#label}} must list "above" thresholds in strictly descending order' }),
+});
+
+const policySchema = Joi.object({
+  version: Joi.string().min(1).required()
+    .messages({ 'any.required': 'Risk policy must declare a version' }),
+  signals: Joi.object(
+    SIGNALS.reduce((acc, name) => ({ ...acc, [name]: signalSchema }), {})
+  ).unknown(false).required(),
+  decisions: Joi.object({
+    challengeAt: Joi.number().min(0).max(1).required(),
+    rejectAbove: Joi.number().min(Joi.ref('challengeAt')).max(1).required()
+      .messages({ 'number.min': 'decisions.rejectAbove must not be below decisions.challengeAt' }),
+  }).required(),
+}).unknown(false);
+
+let activePolicy = null;
+// Shadow policies keyed by resolved file path; evaluated for comparison, never enforced
+let shadowPolicies = null;
+let watchedPaths = [];
+
+/**
+ * Validates a parsed policy document
+ * @param {Object} document
+ * @returns {Object} Validated, frozen policy
+ * @throws {Error} Listing every validation problem
+ */
+const validatePolicy = (document) => {
+  const { error, value } = policySchema.validate(document, { abortEarly: false, convert: true });
+  if (error) {
+    const problems = error.details.map((detail) => `${detail.path.join('.')}: ${detail.message}`);
+    throw new Error(`Invalid risk policy:\n  - ${problems.join('\n  - ')}`);
+  }
+  // Bands are evaluated top to bottom; freeze so evaluations cannot mutate the shared policy
+  return Object.freeze(value);
+};
+
+/**
+ * Reads and validates a policy file (.yaml/.yml or .json)
+ * @param {string} filePath
+ * @returns {Object} Validated policy
+ */
+const loadPolicyFile = (filePath) => {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const document = path.extname(filePath).toLowerCase() === '.json'
+    ? JSON.parse(raw)
+    : YAML.parse(raw);
+  return validatePolicy(document);
+};
+
+const resolvePath = (policyPath) => path.resolve(__dirname, '..', policyPath);
+
+const resolvePolicyPath = () => resolvePath(getConfig().riskPolicy.path);
+
+const resolveShadowPaths = () => getConfig().riskPolicy.shadowPaths.map(resolvePath);
+
+/**
+ * @returns {Object} The enforcing policy, loaded from RISK_POLICY_PATH on first use
+ */
+const getActivePolicy = () => {
+  if (!activePolicy) {
+    activePolicy = loadPolicyFile(resolvePolicyPath());
+  }
+  return activePolicy;
+};
+
+/**
+ * Replaces the enforcing policy (validated first)
+ * @param {Object} document
+ * @returns {Object} The new active policy
+ */
+const setActivePolicy = (document) => {
+  activePolicy = validatePolicy(document);
+  return activePolicy;
+};
+
+/**
+ * @returns {Object[]} Shadow policies from RISK_SHADOW_POLICY_PATHS (empty when none configured)
+ */
+const getShadowPolicies = () => {
+  if (!shadowPolicies) {
+    shadowPolicies = new Map(resolveShadowPaths().map((filePath) => [filePath, loadPolicyFile(filePath)]));
+  }
+  return Array.from(shadowPolicies.values());
+};
+
+/**
+ * Replaces the shadow policies (each validated first)
+ * @param {Object[]} documents
+ * @returns {Object[]} The new shadow policies
+ */
+const setShadowPolicies = (documents) => {
+  shadowPolicies = new Map(documents.map((document, index) => [`inline:${index}`, validatePolicy(document)]));
+  return getShadowPolicies();
+};
+
+/**
+ * Re-reads one policy file. Invalid files are rejected and the current policy is kept.
+ * @param {string} filePath Resolved path of the enforcing policy or of a shadow policy
+ * @returns {boolean} Whether a new policy was activated
+ */
+const reloadPolicy = (filePath = resolvePolicyPath()) => {
+  const isShadow = Boolean(shadowPolicies && shadowPolicies.has(filePath));
+  try {
+    const next = loadPolicyFile(filePath);
+    const previous = isShadow ? shadowPolicies.get(filePath) : activePolicy;
+    if (isShadow) {
+      shadowPolicies.set(filePath, next);
+    } else {
+      activePolicy = next;
+    }
+    logger.info({ previousVersion: previous && previous.version, version: next.version, shadow: isShadow }, 'Risk policy reloaded');
+    return true;
+  } catch (error) {
+    logger.error({ err: error, filePath, shadow: isShadow }, 'Risk policy reload rejected; keeping current policy');
+    return false;
+  }
+};
+
+/**
+ * Starts polling the enforcing and shadow policy files for changes
+ * (no-op when hot reload is disabled)
+ */
+const watchPolicy = () => {
+  const { hotReload, reloadIntervalMs } = getConfig().riskPolicy;
+  if (!hotReload || watchedPaths.length > 0) {
+    return;
+  }
+
+  // Make sure shadows are registered so their reloads update the shadow set
+  getShadowPolicies();
+
+  watchedPaths = [resolvePolicyPath(), ...resolveShadowPaths()];
+  for (const filePath of watchedPaths) {
+    fs.watchFile(filePath, { interval: reloadIntervalMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        reloadPolicy(filePath);
+      }
+    });
+  }
+};
+
+/**
+ * Stops polling the policy files
+ */
+const unwatchPolicy = () => {
+  for (const filePath of watchedPaths) {
+    fs.unwatchFile(filePath);
+  }
+  watchedPaths = [];
+};
+
+module.exports = {
+  SIGNALS,
+  validatePolicy,
+  loadPolicyFile,
+  getActivePolicy,
+  setActivePolicy,
+  getShadowPolicies,
+  setShadowPolicies,
+  reloadPolicy,
+  watchPolicy,
+  unwatchPolicy,
+};
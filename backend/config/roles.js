@@ -0,0 +1,43 @@
+/**
+ * Roles and Permissions
+ *
+ * Permissions are "<resource>:<action>" strings declared by routes in
+ * `config: { permissions: [...] }` and enforced by middleware/authorization.js.
+ * They are granted to roles only; changing who may do what means editing this table.
+ */
+
+const ROLES = {
+  CUSTOMER: 'customer',
+  AGENT: 'agent',
+  OPERATIONS: 'operations',
+  AUDITOR: 'auditor',
+};
+
+/**
+ * Roles an access token may carry in its "roles" claim. "agent" is not one of them:
+ * agents authenticate with their own credentials (middleware/agentAuth.js).
+ */
+const USER_ROLES = [ROLES.CUSTOMER, ROLES.OPERATIONS, ROLES.AUDITOR];
+
+const ROLE_PERMISSIONS = {
+  // Account holders; token routes also check that the account is theirs
+  [ROLES.CUSTOMER]: ['tokens:generate', 'tokens:cancel', 'accounts:read-own'],
+  [ROLES.AGENT]: ['tokens:redeem', 'accounts:read'],
+  [ROLES.OPERATIONS]: [
+    'accounts:read',
+    'accounts:manage',
+    'accounts:fund',
+    'agents:read',
+    'agents:manage',
+    'risk:read',
+    'transactions:reverse',
+  ],
+  // Read-only
+  [ROLES.AUDITOR]: ['accounts:read', 'agents:read', 'risk:read'],
+};
+
+module.exports = {
+  ROLES,
+  USER_ROLES,
+  ROLE_PERMISSIONS,
+};
@@ -0,0 +1,211 @@
+/**
+ * Token Format
+ *
+ * Derives generation and validation rules from the TOKEN_* settings so TokenService, the
+ * route schemas and the startup entropy check all agree on one format.
+ *
+ * Shape: PREFIX-BODY, where BODY is the secret core followed by one check character.
+ * - The prefix is a non-secret lookup key; only the core counts towards entropy.
+ * - With TOKEN_GROUP_SIZE > 0 the body is displayed in hyphen-separated groups. Grouping
+ *   is presentation only: tokens are hashed in canonical form (PREFIX-BODY, one hyphen).
+ * - Legacy tokens (PPPP-CCCCCCCC over A-Z0-9, no check character) are recognized separately
+ *   so they keep working while TOKEN_ACCEPT_LEGACY_FORMAT is on.
+ *
+ * Numeric tokens (NUMERIC_TOKEN_* settings) are digits only, for keypad-only terminals:
+ * prefix, core and a Luhn check digit, displayed in space-separated groups of four and
+ * accepted with or without the spaces. They never contain a hyphen, so the two formats
+ * cannot be mistaken for one another.
+ */
+
+const DEFAULT_CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// Characters commonly misread when a token is read aloud or copied by hand
+const AMBIGUOUS_CHARACTERS = '01ILO';
+
+const LEGACY_PATTERN = '[A-Z0-9]{4}-[A-Z0-9]{8}';
+
+const DIGITS = '0123456789';
+const NUMERIC_GROUP_SIZE = 4;
+
+/**
+ * @param {string} charset
+ * @returns {string} charset without O/0, I/1 and L
+ */
+const excludeAmbiguous = (charset) => charset
+  .split('')
+  .filter((char) => !AMBIGUOUS_CHARACTERS.includes(char))
+  .join('');
+
+/**
+ * Bits of entropy in the secret core of a token.
+ * @param {Object} format
+ * @param {number} format.coreLength
+ * @param {string} format.charset
+ * @returns {number}
+ */
+const entropyBits = ({ coreLength, charset }) => coreLength * Math.log2(charset.length);
+
+/**
+ * Luhn mod N check character over the given characters, N being the charset size.
+ * Catches every single mistyped character and nearly all swaps of adjacent characters.
+ * @param {string} input Prefix and core without hyphens
+ * @param {string} charset
+ * @returns {string}
+ */
+const computeCheckCharacter = (input, charset) => {
+  const n = charset.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = input.length - 1; i >= 0; i--) {
+    const product = factor * charset.indexOf(input[i]);
+    sum += Math.floor(product / n) + (product % n);
+    factor = factor === 2 ? 1 : 2;
+  }
+
+  return charset[(n - (sum % n)) % n];
+};
+
+/**
+ * @param {number} length
+ * @param {number} groupSize 0 for no grouping
+ * @returns {number[]} Group lengths, in order
+ */
+const groupLengths = (length, groupSize) => {
+  if (!groupSize) {
+    return [length];
+  }
+  const groups = [];
+  for (let remaining = length; remaining > 0; remaining -= groupSize) {
+    groups.push(Math.min(groupSize, remaining));
+  }
+  return groups;
+};
+
+/**
+ * @param {Object} settings config.token
+ * @param {number} settings.prefixLength
+ * @param {number} settings.coreLength
+ * @param {string} settings.charset Final charset (ambiguous characters already removed)
+ * @param {number} settings.groupSize
+ * @param {boolean} settings.acceptLegacyFormat
+ * @returns {Object} Token format helpers
+ */
+const createTokenFormat = ({ prefixLength, coreLength, charset, groupSize, acceptLegacyFormat }) => {
+  const charClass = `[${charset}]`;
+  const bodyGroups = groupLengths(coreLength + 1, groupSize);
+  const currentPattern = [`${charClass}{${prefixLength}}`, ...bodyGroups.map((n) => `${charClass}{${n}}`)].join('-');
+  const currentRegex = new RegExp(`^${currentPattern}$`);
+  const legacyRegex = new RegExp(`^${LEGACY_PATTERN}$`);
+
+  return {
+    prefixLength,
+    coreLength,
+    charset,
+    groupSize,
+    entropyBits: entropyBits({ coreLength, charset }),
+
+    // JSON-schema pattern for typed tokens, legacy shape included while it is accepted
+    pattern: acceptLegacyFormat ? `^(?:${currentPattern}|${LEGACY_PATTERN})$` : `^${currentPattern}$`,
+
+    /**
+     * @param {string} prefix
+     * @param {string} core
+     * @returns {{ canonical: string, display: string }}
+     */
+    build(prefix, core) {
+      const body = core + computeCheckCharacter(prefix + core, charset);
+      const groups = [];
+      let offset = 0;
+      for (const length of bodyGroups) {
+        groups.push(body.slice(offset, offset + length));
+        offset += length;
+      }
+      return { canonical: `${prefix}-${body}`, display: [prefix, ...groups].join('-') };
+    },
+
+    /**
+     * Classifies a typed token. A token matching the current format is never treated as legacy.
+     * @param {string} token
+     * @returns {Object} { result: 'VALID' | 'CHECKSUM_MISMATCH' | 'LEGACY', prefix, canonical } | { result: 'MALFORMED' }
+     */
+    classify(token) {
+      if (typeof token !== 'string') {
+        return { result: 'MALFORMED' };
+      }
+
+      if (currentRegex.test(token)) {
+        const [prefix, ...groups] = token.split('-');
+        const body = groups.join('');
+        const core = body.slice(0, -1);
+        const valid = computeCheckCharacter(prefix + core, charset) === body.slice(-1);
+        return { result: valid ? 'VALID' : 'CHECKSUM_MISMATCH', prefix, canonical: `${prefix}-${body}` };
+      }
+
+      if (legacyRegex.test(token) && acceptLegacyFormat) {
+        return { result: 'LEGACY', prefix: token.slice(0, 4), canonical: token };
+      }
+
+      return { result: 'MALFORMED' };
+    },
+  };
+};
+
+/**
+ * @param {Object} settings config.token.numeric
+ * @param {number} settings.prefixLength
+ * @param {number} settings.coreLength
+ * @returns {Object} Token format helpers, same shape as createTokenFormat
+ */
+const createNumericTokenFormat = ({ prefixLength, coreLength }) => {
+  const length = prefixLength + coreLength + 1;
+  const digitsRegex = new RegExp(`^[0-9]{${length}}$`);
+
+  return {
+    prefixLength,
+    coreLength,
+    charset: DIGITS,
+    groupSize: NUMERIC_GROUP_SIZE,
+    entropyBits: entropyBits({ coreLength, charset: DIGITS }),
+
+    // Digits, optionally separated by single spaces
+    pattern: `^[0-9](?: ?[0-9]){${length - 1}}$`,
+
+    /**
+     * @param {string} prefix
+     * @param {string} core
+     * @returns {{ canonical: string, display: string }}
+     */
+    build(prefix, core) {
+      const canonical = prefix + core + computeCheckCharacter(prefix + core, DIGITS);
+      return { canonical, display: canonical.match(new RegExp(`.{1,${NUMERIC_GROUP_SIZE}}`, 'g')).join(' ') };
+    },
+
+    /**
+     * @param {string} token
+     * @returns {Object} { result: 'VALID' | 'CHECKSUM_MISMATCH', prefix, canonical } | { result: 'MALFORMED' }
+     */
+    classify(token) {
+      if (typeof token !== 'string' || !/^[0-9 ]+$/.test(token)) {
+        return { result: 'MALFORMED' };
+      }
+
+      const canonical = token.replace(/ /g, '');
+      if (!digitsRegex.test(canonical)) {
+        return { result: 'MALFORMED' };
+      }
+
+      const valid = computeCheckCharacter(canonical.slice(0, -1), DIGITS) === canonical.slice(-1);
+      return { result: valid ? 'VALID' : 'CHECKSUM_MISMATCH', prefix: canonical.slice(0, prefixLength), canonical };
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_CHARSET,
+  excludeAmbiguous,
+  entropyBits,
+  computeCheckCharacter,
+  createTokenFormat,
+  createNumericTokenFormat,
+};
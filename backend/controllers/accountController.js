@@ -0,0 +1,183 @@
+const Joi = require('joi');
+const config = require('../config');
+const AccountService = require('../services/accountService');
+const BalanceService = require('../services/balanceService');
+const { getDb } = require('../config/database');
+const { logger } = require('../utils/logger');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * Maps known service errors to HTTP responses; anything else is a 500.
+ */
+const sendServiceError = (reply, err, context) => {
+    if (err instanceof NotFoundError) {
+        return reply.code(404).send({ error: 'Not Found', message: err.message });
+    }
+    if (err instanceof ConflictError) {
+        return reply.code(409).send({ error: 'Conflict', message: err.message });
+    }
+    logger.error(context, err);
+    return reply.code(500).send({ error: 'Internal Server Error' });
+};
+
+class AccountController {
+    /**
+     * Registers an account by external reference.
+     * Exposes `POST /api/v1/accounts`
+     */
+    static async createAccount(request, reply) {
+        const schema = Joi.object({
+            accountRef: Joi.string().trim().min(1).max(64).required(),
+            ownerUserId: Joi.string().trim().min(1).max(255).default(null),
+            currency: Joi.string().valid(...Object.keys(config.currency.currencies)).default(config.currency.default)
+        });
+
+        const { error, value } = schema.validate(request.body);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const accountService = new AccountService(getDb());
+            const account = await accountService.createAccount(value.accountRef, value.ownerUserId, value.currency);
+
+            return reply.code(201).send({ success: true, data: account });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Account creation failed');
+        }
+    }
+
+    /**
+     * Accounts the authenticated customer owns.
+     * Exposes `GET /api/v1/accounts/mine`
+     */
+    static async listOwnedAccounts(request, reply) {
+        try {
+            const accountService = new AccountService(getDb());
+            const accounts = await accountService.listByOwner(request.user.id);
+
+            return reply.code(200).send({ success: true, data: accounts });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Owned accounts lookup failed');
+        }
+    }
+
+    /**
+     * Exposes `GET /api/v1/accounts/:id`
+     */
+    static async getAccount(request, reply) {
+        try {
+            const accountService = new AccountService(getDb());
+            const account = await accountService.getById(request.params.id);
+
+            return reply.code(200).send({ success: true, data: account });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Account lookup failed');
+        }
+    }
+
+    /**
+     * Exposes `GET /api/v1/accounts/by-ref/:accountRef`
+     */
+    static async getAccountByRef(request, reply) {
+        try {
+            const accountService = new AccountService(getDb());
+            const account = await accountService.getByRef(request.params.accountRef);
+
+            return reply.code(200).send({ success: true, data: account });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Account lookup failed');
+        }
+    }
+
+    /**
+     * Binds the account to the customer allowed to issue tokens for it.
+     * Exposes `PUT /api/v1/accounts/:id/owner`
+     */
+    static async assignOwner(request, reply) {
+        const schema = Joi.object({
+            ownerUserId: Joi.string().trim().min(1).max(255).required()
+        });
+
+        const { error, value } = schema.validate(request.body);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const accountService = new AccountService(getDb());
+            const account = await accountService.assignOwner(request.params.id, value.ownerUserId);
+
+            return reply.code(200).send({ success: true, data: account });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Account owner assignment failed');
+        }
+    }
+
+    /**
+     * Sets the withdrawal limit tier of an account (null for the default limits).
+     * Exposes `PUT /api/v1/accounts/:id/tier`
+     */
+    static async assignTier(request, reply) {
+        const schema = Joi.object({
+            // Only tiers configured in WITHDRAWAL_LIMIT_TIERS; an unknown tier would silently mean the defaults
+            tier: Joi.string().valid(...config.withdrawalLimits.tiers).allow(null).required()
+        });
+
+        const { error, value } = schema.validate(request.body);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const accountService = new AccountService(getDb());
+            const account = await accountService.assignTier(request.params.id, value.tier);
+
+            return reply.code(200).send({ success: true, data: account });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Account tier assignment failed');
+        }
+    }
+
+    /**
+     * Exposes `POST /api/v1/accounts/:id/deactivate`
+     */
+    static async deactivateAccount(request, reply) {
+        try {
+            const accountService = new AccountService(getDb());
+            const account = await accountService.deactivate(request.params.id);
+
+            return reply.code(200).send({ success: true, data: account });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Account deactivation failed');
+        }
+    }
+
+    /**
+     * Records money paid into the account, against the authenticated operator (request.user).
+     * Exposes `POST /api/v1/accounts/:id/deposits`
+     */
+    static async recordDeposit(request, reply) {
+        const schema = Joi.object({
+            // Minor units of the account's currency
+            amount: Joi.number().integer().positive().max(Number.MAX_SAFE_INTEGER).required(),
+            reference: Joi.string().trim().min(1).max(128).required()
+        });
+
+        const { error, value } = schema.validate(request.body);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const balanceService = new BalanceService(getDb());
+            const deposit = await balanceService.deposit(request.params.id, { ...value, initiatedBy: request.user.id });
+
+            return reply.code(201).send({ success: true, data: deposit });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Account deposit failed');
+        }
+    }
+}
+
+module.exports = AccountController;
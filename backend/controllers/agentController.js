@@ -0,0 +1,215 @@
+const Joi = require('joi');
+const config = require('../config');
+const AgentService = require('../services/agentService');
+const AgentFloatService = require('../services/agentFloatService');
+const SettlementService = require('../services/settlementService');
+const { getDb } = require('../config/database');
+const { logger } = require('../utils/logger');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * Maps known service errors to HTTP responses; anything else is a 500.
+ */
+const sendServiceError = (reply, err, context) => {
+    if (err instanceof NotFoundError) {
+        return reply.code(404).send({ error: 'Not Found', message: err.message });
+    }
+    if (err instanceof ConflictError) {
+        return reply.code(409).send({ error: 'Conflict', message: err.message });
+    }
+    logger.error(context, err);
+    return reply.code(500).send({ error: 'Internal Server Error' });
+};
+
+class AgentController {
+    /**
+     * Registers an agent and returns its credential secret (shown only once).
+     * Exposes `POST /api/v1/agents`
+     */
+    static async registerAgent(request, reply) {
+        const schema = Joi.object({
+            id: Joi.string().pattern(/^[A-Za-z0-9._:-]{1,64}$/).required(),
+            name: Joi.string().trim().min(1).max(128).required(),
+            location: Joi.string().trim().max(255).optional(),
+            // The cash the agent holds; it only pays out tokens in this currency
+            currency: Joi.string().valid(...Object.keys(config.currency.currencies)).default(config.currency.default),
+            commissionBps: Joi.number().integer().min(0).max(10000).optional()
+        });
+
+        const { error, value } = schema.validate(request.body);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const agentService = new AgentService(getDb());
+            const { agent, secret } = await agentService.registerAgent(value);
+
+            return reply.code(201).send({ success: true, data: { ...agent, secret } });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Agent registration failed');
+        }
+    }
+
+    /**
+     * Exposes `GET /api/v1/agents/:id`
+     */
+    static async getAgent(request, reply) {
+        try {
+            const agentService = new AgentService(getDb());
+            const agent = await agentService.getById(request.params.id);
+
+            return reply.code(200).send({ success: true, data: agent });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Agent lookup failed');
+        }
+    }
+
+    /**
+     * Exposes `POST /api/v1/agents/:id/suspend`
+     */
+    static async suspendAgent(request, reply) {
+        const schema = Joi.object({
+            reason: Joi.string().trim().min(1).max(255).required()
+        });
+
+        const { error, value } = schema.validate(request.body);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const agentService = new AgentService(getDb());
+            const agent = await agentService.suspend(request.params.id, value.reason);
+
+            return reply.code(200).send({ success: true, data: agent });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Agent suspension failed');
+        }
+    }
+
+    /**
+     * Exposes `POST /api/v1/agents/:id/reactivate`
+     */
+    static async reactivateAgent(request, reply) {
+        try {
+            const agentService = new AgentService(getDb());
+            const agent = await agentService.reactivate(request.params.id);
+
+            return reply.code(200).send({ success: true, data: agent });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Agent reactivation failed');
+        }
+    }
+
+    /**
+     * Issues a new credential secret; the old one stops working immediately.
+     * Exposes `POST /api/v1/agents/:id/rotate-credentials`
+     */
+    static async rotateCredentials(request, reply) {
+        try {
+            const agentService = new AgentService(getDb());
+            const { agent, secret } = await agentService.rotateCredentials(request.params.id);
+
+            return reply.code(200).send({ success: true, data: { ...agent, secret } });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Agent credential rotation failed');
+        }
+    }
+
+    /**
+     * Exposes `GET /api/v1/agents/:id/float`
+     */
+    static async getFloat(request, reply) {
+        try {
+            const floatService = new AgentFloatService(getDb());
+            const float = await floatService.getFloat(request.params.id);
+
+            return reply.code(200).send({ success: true, data: float });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Agent float lookup failed');
+        }
+    }
+
+    /**
+     * Exposes `GET /api/v1/agents/:id/float/movements`
+     */
+    static async listFloatMovements(request, reply) {
+        const schema = Joi.object({
+            limit: Joi.number().integer().min(1).max(100).default(20),
+            offset: Joi.number().integer().min(0).default(0)
+        });
+
+        const { error, value } = schema.validate(request.query);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const floatService = new AgentFloatService(getDb());
+            // 404 for unknown agents rather than an empty page
+            await floatService.getFloat(request.params.id);
+            const movements = await floatService.listMovements(request.params.id, value);
+
+            return reply.code(200).send({ success: true, data: movements });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Agent float movement lookup failed');
+        }
+    }
+
+    /**
+     * Records cash delivered to an agent, against the authenticated operator (request.user).
+     * Exposes `POST /api/v1/agents/:id/float/top-ups`
+     */
+    static async topUpFloat(request, reply) {
+        const schema = Joi.object({
+            // Minor units of the agent's currency
+            amount: Joi.number().integer().positive().max(Number.MAX_SAFE_INTEGER).required(),
+            reference: Joi.string().trim().min(1).max(128).required()
+        });
+
+        const { error, value } = schema.validate(request.body);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const floatService = new AgentFloatService(getDb());
+            const movement = await floatService.topUp(request.params.id, { ...value, performedBy: request.user.id });
+
+            return reply.code(201).send({ success: true, data: movement });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Agent float top-up failed');
+        }
+    }
+
+    /**
+     * Exposes `GET /api/v1/agents/:id/settlements`
+     */
+    static async listSettlements(request, reply) {
+        const schema = Joi.object({
+            from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+            to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+            limit: Joi.number().integer().min(1).max(100).default(30),
+            offset: Joi.number().integer().min(0).default(0)
+        });
+
+        const { error, value } = schema.validate(request.query);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const db = getDb();
+            // 404 for unknown agents rather than an empty page
+            await new AgentFloatService(db).getFloat(request.params.id);
+            const settlements = await new SettlementService(db).listSettlements(request.params.id, value);
+
+            return reply.code(200).send({ success: true, data: settlements });
+        } catch (err) {
+            return sendServiceError(reply, err, 'Agent settlement lookup failed');
+        }
+    }
+}
+
+module.exports = AgentController;
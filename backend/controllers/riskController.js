@@ -0,0 +1,106 @@
+const Joi = require('joi');
+const ShadowDecisionService = require('../services/shadowDecisionService');
+const RiskDecisionService = require('../services/riskDecisionService');
+const { getDb } = require('../config/database');
+const { logger } = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+
+// Bounds report queries so an open-ended window cannot scan the whole table
+const MAX_REPORT_WINDOW_MS = 31 * 24 * 60 * 60 * 1000;
+
+class RiskController {
+    /**
+     * Compares enforcing and shadow risk decisions over a time window.
+     * Exposes `GET /api/v1/risk/shadow-report`
+     */
+    static async getShadowReport(request, reply) {
+        const schema = Joi.object({
+            from: Joi.date().iso().default(() => new Date(Date.now() - 24 * 60 * 60 * 1000)),
+            to: Joi.date().iso().min(Joi.ref('from')).default(() => new Date()),
+            shadowPolicyVersion: Joi.string().max(128).optional()
+        });
+
+        const { error, value } = schema.validate(request.query);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        if (value.to - value.from > MAX_REPORT_WINDOW_MS) {
+            return reply.code(400).send({ error: 'Validation Error', message: 'Report window must not exceed 31 days' });
+        }
+
+        try {
+            const shadowDecisionService = new ShadowDecisionService(getDb());
+            const comparisons = await shadowDecisionService.getComparisonReport(value);
+
+            return reply.code(200).send({
+                success: true,
+                data: {
+                    from: value.from,
+                    to: value.to,
+                    comparisons
+                }
+            });
+        } catch (err) {
+            logger.error('Shadow report failed', err);
+            return reply.code(500).send({ error: 'Internal Server Error' });
+        }
+    }
+
+    /**
+     * Lists persisted risk decisions for investigation, newest first.
+     * Exposes `GET /api/v1/risk/decisions`
+     */
+    static async listDecisions(request, reply) {
+        const schema = Joi.object({
+            accountId: Joi.string().uuid().optional(),
+            agentId: Joi.string().max(128).optional(),
+            tokenId: Joi.string().uuid().optional(),
+            decision: Joi.string().valid('APPROVE', 'CHALLENGE', 'REJECT').optional(),
+            policyVersion: Joi.string().max(128).optional(),
+            from: Joi.date().iso().optional(),
+            to: Joi.date().iso().optional(),
+            limit: Joi.number().integer().min(1).max(200).default(50),
+            offset: Joi.number().integer().min(0).default(0)
+        });
+
+        const { error, value } = schema.validate(request.query);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const riskDecisionService = new RiskDecisionService(getDb());
+            const decisions = await riskDecisionService.findDecisions(value);
+
+            return reply.code(200).send({
+                success: true,
+                data: decisions,
+                pagination: { limit: value.limit, offset: value.offset }
+            });
+        } catch (err) {
+            logger.error('Risk decision query failed', err);
+            return reply.code(500).send({ error: 'Internal Server Error' });
+        }
+    }
+
+    /**
+     * Exposes `GET /api/v1/risk/decisions/:id`
+     */
+    static async getDecision(request, reply) {
+        try {
+            const riskDecisionService = new RiskDecisionService(getDb());
+            const decision = await riskDecisionService.getById(request.params.id);
+
+            return reply.code(200).send({ success: true, data: decision });
+        } catch (err) {
+            if (err instanceof NotFoundError) {
+                return reply.code(404).send({ error: 'Not Found', message: err.message });
+            }
+            logger.error('Risk decision lookup failed', err);
+            return reply.code(500).send({ error: 'Internal Server Error' });
+        }
+    }
+}
+
+module.exports = RiskController;
@@ -1,8 +1,110 @@
 const Joi = require('joi');
 const TokenService = require('../services/tokenService');
 const RiskEngine = require('../services/riskEngine');
+const ChallengeService = require('../services/challengeService');
+const ShadowDecisionService = require('../services/shadowDecisionService');
+const RiskDecisionService = require('../services/riskDecisionService');
+const RedemptionAttemptService = require('../services/redemptionAttemptService');
+const QrCodeService = require('../services/qrCodeService');
 const { getDb } = require('../config/database');
 const { logger } = require('../utils/logger');
+const {
+    NotFoundError,
+    AccountInactiveError,
+    InsufficientFundsError,
+    WithdrawalLimitExceededError,
+    ActiveTokenLimitError,
+    CurrencyMismatchError,
+    AmountNotDispensableError
+} = require('../utils/errors');
+
+/**
+ * Maps TokenService redemption results to HTTP responses.
+ * Shared by direct redemption and challenge-verified redemption.
+ */
+const sendRedemptionResult = (reply, result) => {
+    switch (result.result) {
+        case 'SUCCESS':
+            return reply.code(200).send({
+                success: true,
+                message: 'Token successfully redeemed',
+                transactionId: result.transactionId
+            });
+        case 'LIKELY_TYPO':
+            return reply.code(400).send({
+                error: 'Likely Typo',
+                message: 'The token check character does not match; ask the customer to re-read the token'
+            });
+        case 'INVALID':
+            // Hash mismatch or formatting issue
+            return reply.code(400).send({ error: 'Invalid Token' });
+        case 'INVALID_PIN':
+            return reply.code(401).send({
+                error: 'Invalid PIN',
+                message: 'The customer PIN is incorrect',
+                attemptsRemaining: result.attemptsRemaining
+            });
+        case 'PIN_LOCKED':
+            // The token was cancelled and its funds released; the customer must generate a new one
+            return reply.code(403).send({
+                error: 'Token Locked',
+                message: 'Too many incorrect PINs; the token has been cancelled'
+            });
+        case 'EXPIRED_OR_USED':
+            // Race condition explicitly caught or token literally expired/used before call
+            return reply.code(409).send({ error: 'Token Expired or Already Used' });
+        case 'EXPIRED':
+            return reply.code(400).send({ error: 'Token Expired' });
+        case 'USED':
+            return reply.code(409).send({ error: 'Token Already Used' });
+        case 'CANCELLED':
+            return reply.code(409).send({ error: 'Token Cancelled', message: 'This token was cancelled by the account holder' });
+        case 'ACCOUNT_INACTIVE':
+            return reply.code(403).send({ error: 'Account Inactive', message: 'The account for this token is inactive' });
+        case 'INSUFFICIENT_FLOAT':
+            // The token is untouched; the customer can redeem it at another agent
+            return reply.code(422).send({
+                error: 'Insufficient Agent Float',
+                message: 'This agent does not hold enough cash for this withdrawal',
+                availableFloat: result.availableFloat
+            });
+        default:
+            return reply.code(500).send({ error: 'Unknown state occurred' });
+    }
+};
+
+/**
+ * Swaps a scanned QR payload for the token it carries, so the rest of the redemption path is
+ * unchanged. A payload whose MAC does not match was altered after issue and counts as an
+ * INVALID attempt; an unreadable payload is treated as a bad scan.
+ * @returns {Promise<boolean>} false once a 400 has been sent
+ */
+const resolveQrPayload = async (db, reply, value, agentId) => {
+    if (!value.qrPayload) {
+        return true;
+    }
+
+    const scanned = new QrCodeService().parsePayload(value.qrPayload);
+    if (scanned.result === 'VALID') {
+        value.token = scanned.token;
+        return true;
+    }
+
+    if (scanned.result === 'TAMPERED') {
+        logger.warn({ agentId, accountId: value.accountId }, 'Tampered QR payload presented for redemption');
+        await new RedemptionAttemptService(db).recordAttempt(db, {
+            accountId: value.accountId,
+            agentId,
+            result: 'INVALID',
+            metadata: { ...value.metadata, qr: 'TAMPERED' }
+        });
+        reply.code(400).send({ error: 'Invalid QR Code', message: 'The QR code has been altered; do not pay out' });
+        return false;
+    }
+
+    reply.code(400).send({ error: 'Invalid QR Code', message: 'The QR code could not be read; scan again or type the token' });
+    return false;
+};
 
 class TokenController {
     /**
@@ -13,7 +115,22 @@ class TokenController {
         // Basic body schema
         const schema = Joi.object({
             accountId: Joi.string().uuid().required(),
-            amount: Joi.number().integer().positive().required()
+            // Minor units of the account currency. Clients that name a currency are refused on a
+            // mismatch; older clients that do not are taken to mean the account's
+            amount: Joi.number().integer().positive().max(Number.MAX_SAFE_INTEGER).required(),
+            currency: Joi.string().pattern(/^[A-Z]{3}$/).optional(),
+            // NUMERIC tokens are typed on keypads, so they are never issued as QR codes
+            kind: Joi.string().valid('ALPHANUMERIC', 'NUMERIC').default('ALPHANUMERIC'),
+            pin: Joi.when('kind', {
+                is: 'NUMERIC',
+                then: Joi.string().pattern(/^[0-9]{4,6}$/).required(),
+                otherwise: Joi.forbidden()
+            }),
+            includeQr: Joi.when('kind', {
+                is: 'NUMERIC',
+                then: Joi.boolean().valid(false).default(false),
+                otherwise: Joi.boolean().default(false)
+            })
         });
 
         const { error, value } = schema.validate(request.body);
@@ -25,13 +142,52 @@ class TokenController {
             const db = getDb();
             const tokenService = new TokenService(db);
 
-            const result = await tokenService.generateWithdrawalToken(value.accountId, value.amount);
+            const result = await tokenService.generateWithdrawalToken(value.accountId, value.amount, {
+                currency: value.currency,
+                includeQr: value.includeQr,
+                kind: value.kind,
+                pin: value.pin
+            });
 
             return reply.code(201).send({
                 success: true,
                 data: result
             });
         } catch (err) {
+            if (err instanceof NotFoundError) {
+                return reply.code(404).send({ error: 'Not Found', message: err.message });
+            }
+            if (err instanceof AccountInactiveError) {
+                return reply.code(403).send({ error: 'Account Inactive', message: err.message });
+            }
+            if (err instanceof InsufficientFundsError) {
+                return reply.code(422).send({ error: 'Insufficient Funds', message: err.message, available: err.available });
+            }
+            if (err instanceof ActiveTokenLimitError) {
+                return reply.code(409).send({ error: 'Too Many Active Tokens', message: err.message, maxActiveTokens: err.maxActive });
+            }
+            if (err instanceof WithdrawalLimitExceededError) {
+                return reply.code(422).send({
+                    error: 'Withdrawal Limit Exceeded',
+                    message: err.message,
+                    limit: err.limit,
+                    limitAmount: err.limitAmount,
+                    remaining: err.remaining,
+                    currency: err.currency
+                });
+            }
+            if (err instanceof CurrencyMismatchError) {
+                return reply.code(422).send({ error: 'Currency Mismatch', message: err.message, accountCurrency: err.accountCurrency });
+            }
+            if (err instanceof AmountNotDispensableError) {
+                return reply.code(422).send({
+                    error: 'Amount Not Dispensable',
+                    message: err.message,
+                    currency: err.currency,
+                    below: err.below,
+                    above: err.above
+                });
+            }
             logger.error('Token generation failed', err);
             return reply.code(500).send({ error: 'Internal Server Error' });
         }
@@ -41,19 +197,22 @@ class TokenController {
      * Redeems a token securely.
      * Exposes `POST /api/v1/tokens/redeem` (or `/redeem-token`)
      * Requires strict validation, risk evaluation, and handles single-use DB states.
+     * Only reachable by an authenticated, ACTIVE agent (request.agent, set by agentAuth).
      */
     static async redeemToken(request, reply) {
         // Strict schema
         const schema = Joi.object({
-            token: Joi.string().required(),
+            token: Joi.string(),
+            qrPayload: Joi.string().max(256), // Scanned alternative to the typed token
+            pin: Joi.string().pattern(/^[0-9]{4,6}$/), // Customer PIN, required for numeric tokens
             accountId: Joi.string().uuid().required(), // Explicit context cross-check
-            agentId: Joi.string().required(),
+            agentId: Joi.string().optional(), // Superseded by the authenticated agent (see agentAuth)
             metadata: Joi.object({
                 ip: Joi.string().optional(),
                 deviceId: Joi.string().optional(),
                 location: Joi.string().optional()
             }).optional().default({})
-        });
+        }).xor('token', 'qrPayload');
 
         const { error, value } = schema.validate(request.body);
         if (error) {
@@ -66,67 +225,346 @@ class TokenController {
             value.metadata.ip = request.ip || '127.0.0.1'; // Fallback for tests
         }
 
+        // Redemption is attributed to the agent proven by agentAuth, never the body
+        const agentId = request.agent.id;
+
         try {
             const db = getDb();
             const tokenService = new TokenService(db);
+            const attemptService = new RedemptionAttemptService(db);
+
+            if (!(await resolveQrPayload(db, reply, value, agentId))) {
+                return reply;
+            }
+
+            // Mistyped tokens are turned away before any lookup or risk work, and not recorded
+            const format = tokenService.classifyToken(value.token);
+            if (format.result === 'CHECKSUM_MISMATCH') {
+                return sendRedemptionResult(reply, { result: 'LIKELY_TYPO' });
+            }
+            if (format.kind === 'NUMERIC' && !value.pin) {
+                return reply.code(400).send({ error: 'Validation Error', message: '"pin" is required for numeric tokens' });
+            }
+
+            // Outcomes decided here, before the redemption transaction, are recorded directly
+            const recordAttempt = (result, tokenId = null, metadata = {}) => attemptService.recordAttempt(db, {
+                tokenId,
+                accountId: value.accountId,
+                agentId,
+                result,
+                metadata: { ...value.metadata, ...metadata }
+            });
 
             // 1. Fetch Token Metadata for Risk context (Prefix lookup is fast)
-            const [prefix] = value.token.split('-');
+            const prefix = format.prefix || value.token.split('-')[0];
             const tokenInfo = await db('tokens')
-                .where({ prefix, account_id: value.accountId, status: 'ACTIVE' })
-                .select('amount')
+                .where({ prefix, account_id: value.accountId })
+                .whereIn('status', ['ACTIVE', 'CANCELLED'])
+                .orderBy('status') // Prefer an ACTIVE row if the prefix is shared
+                .select('id', 'amount', 'status')
                 .first();
 
             if (!tokenInfo) {
+                await recordAttempt('NOT_FOUND', null, { prefix });
                 return reply.code(404).send({ error: 'Not Found', message: 'Token not found or already used' });
             }
 
+            // A revoked token never needs risk scoring; tell the agent plainly
+            if (tokenInfo.status === 'CANCELLED') {
+                await recordAttempt('CANCELLED', tokenInfo.id);
+                return reply.code(409).send({ error: 'Token Cancelled', message: 'This token was cancelled by the account holder' });
+            }
+
             // 2. Fetch Historical Risk Signals
-            const riskContext = await tokenService.getRiskContext(value.accountId, value.agentId, tokenInfo.amount);
+            const riskContext = await tokenService.getRiskContext(value.accountId, agentId, tokenInfo.amount);
 
             // 3. Evaluate Risk
             const riskAssessment = RiskEngine.evaluateRedemption(riskContext, value.metadata);
 
+            // Every enforcing assessment is persisted before it is acted on, REJECTs included
+            const riskDecisionId = await new RiskDecisionService(db).recordDecision({
+                accountId: value.accountId,
+                agentId,
+                tokenId: tokenInfo.id,
+                assessment: riskAssessment
+            });
+
+            // Candidate policies are scored on the same inputs and recorded, never enforced
+            const shadowAssessments = RiskEngine.evaluateShadows(riskContext, value.metadata);
+            if (shadowAssessments.length > 0) {
+                try {
+                    await new ShadowDecisionService(db).recordShadowDecisions({
+                        accountId: value.accountId,
+                        agentId,
+                        tokenId: tokenInfo.id,
+                        riskDecisionId,
+                        enforcing: riskAssessment,
+                        shadows: shadowAssessments
+                    });
+                } catch (shadowErr) {
+                    // Shadow bookkeeping must never block a redemption
+                    logger.error({ err: shadowErr, agentId }, 'Failed to record shadow risk decisions');
+                }
+            }
+
             if (riskAssessment.decision === 'REJECT') {
-                logger.warn({ accountId: value.accountId, agentId: value.agentId, score: riskAssessment.score, reasons: riskAssessment.reasons }, 'Redemption rejected by Risk Engine');
-                return reply.code(403).send({ error: 'Forbidden', message: 'Redemption declined by risk policy', reasons: riskAssessment.reasons });
+                logger.warn({ accountId: value.accountId, agentId, score: riskAssessment.score, reasons: riskAssessment.reasons }, 'Redemption rejected by Risk Engine');
+                await recordAttempt('RISK_REJECTED', tokenInfo.id, {
+                    riskScore: riskAssessment.score,
+                    riskPolicyVersion: riskAssessment.policyVersion,
+                    riskDecisionId
+                });
+                return reply.code(403).send({ error: 'Forbidden', message: 'Redemption declined by risk policy', reasons: riskAssessment.reasons, riskDecisionId });
             }
 
-            // If 'CHALLENGE', we might optionally require an MFA step. For now, we log and proceed.
+            // 'CHALLENGE' requires an OTP step-up; the token is only redeemed via /redeem-token/verify
             if (riskAssessment.decision === 'CHALLENGE') {
-                logger.info({ accountId: value.accountId, agentId: value.agentId, reasons: riskAssessment.reasons }, 'Redemption triggered risk challenge');
+                // Only genuine tokens of this account may trigger an OTP to the account holder
+                const verification = await tokenService.verifyWithdrawalToken(value.token);
+                if (verification.result !== 'VALID') {
+                    await recordAttempt(verification.result, verification.tokenId);
+                    return sendRedemptionResult(reply, verification);
+                }
+                if (verification.accountId !== value.accountId) {
+                    await recordAttempt('INVALID');
+                    return sendRedemptionResult(reply, { result: 'INVALID' });
+                }
+
+                const challengeService = new ChallengeService(db);
+                const challenge = await challengeService.issueChallenge({
+                    tokenId: verification.tokenId,
+                    accountId: value.accountId,
+                    agentId,
+                    riskAssessment
+                });
+
+                await recordAttempt('CHALLENGED', verification.tokenId, {
+                    challengeId: challenge.challengeId,
+                    riskScore: riskAssessment.score,
+                    riskPolicyVersion: riskAssessment.policyVersion,
+                    riskDecisionId
+                });
+
+                logger.info({ accountId: value.accountId, agentId, reasons: riskAssessment.reasons }, 'Redemption triggered risk challenge');
+
+                return reply.code(202).send({
+                    status: 'CHALLENGE_REQUIRED',
+                    message: 'A one-time code was sent to the account holder; submit it to /redeem-token/verify',
+                    challengeId: challenge.challengeId,
+                    expiresAt: challenge.expiresAt
+                });
             }
 
             // 4. Perform ACID Token Redemption (Only if not REJECTED)
-            const result = await tokenService.redeemWithdrawalToken(value.token, value.agentId, {
+            const result = await tokenService.redeemWithdrawalToken(value.token, agentId, {
                 riskScore: riskAssessment.score,
                 riskReasons: riskAssessment.reasons,
+                riskPolicyVersion: riskAssessment.policyVersion,
+                riskDecisionId,
                 ...value.metadata
+            }, { accountId: value.accountId, pin: value.pin });
+
+            return sendRedemptionResult(reply, result);
+        } catch (err) {
+            logger.error('Redemption endpoint experienced a failure', err);
+            return reply.code(500).send({ error: 'Internal Server Error' });
+        }
+    }
+
+    /**
+     * Completes a redemption that was held for step-up verification.
+     * Exposes `POST /api/v1/tokens/redeem-token/verify`
+     * The token is redeemed only if the OTP matches within its window and attempt limit.
+     */
+    static async verifyRedemptionChallenge(request, reply) {
+        const schema = Joi.object({
+            challengeId: Joi.string().uuid().required(),
+            otp: Joi.string().pattern(/^[0-9]{4,10}$/).required(),
+            token: Joi.string(),
+            qrPayload: Joi.string().max(256),
+            pin: Joi.string().pattern(/^[0-9]{4,6}$/),
+            accountId: Joi.string().uuid().required(),
+            agentId: Joi.string().optional(), // Superseded by the authenticated agent (see agentAuth)
+            metadata: Joi.object({
+                ip: Joi.string().optional(),
+                deviceId: Joi.string().optional(),
+                location: Joi.string().optional()
+            }).optional().default({})
+        }).xor('token', 'qrPayload');
+
+        const { error, value } = schema.validate(request.body);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        if (!value.metadata.ip) {
+            value.metadata.ip = request.ip || '127.0.0.1';
+        }
+
+        const agentId = request.agent.id;
+
+        try {
+            const db = getDb();
+            const challengeService = new ChallengeService(db);
+            const tokenService = new TokenService(db);
+
+            if (!(await resolveQrPayload(db, reply, value, agentId))) {
+                return reply;
+            }
+
+            // A mistyped token or a missing PIN must not burn an OTP attempt
+            const format = tokenService.classifyToken(value.token);
+            if (format.result === 'CHECKSUM_MISMATCH') {
+                return sendRedemptionResult(reply, { result: 'LIKELY_TYPO' });
+            }
+            if (format.kind === 'NUMERIC' && !value.pin) {
+                return reply.code(400).send({ error: 'Validation Error', message: '"pin" is required for numeric tokens' });
+            }
+
+            const verification = await challengeService.verifyChallenge(value.challengeId, value.otp, {
+                accountId: value.accountId,
+                agentId
+            });
+
+            // Wrong codes count towards the failed-attempts abuse signal
+            if (verification.result === 'INVALID_OTP' || verification.result === 'LOCKED') {
+                await new RedemptionAttemptService(db).recordAttempt(db, {
+                    accountId: value.accountId,
+                    agentId,
+                    result: 'CHALLENGE_FAILED',
+                    metadata: { ...value.metadata, challengeId: value.challengeId, outcome: verification.result }
+                });
+            }
+
+            switch (verification.result) {
+                case 'VERIFIED':
+                    break;
+                case 'INVALID_OTP':
+                    return reply.code(401).send({
+                        error: 'Invalid OTP',
+                        message: 'The one-time code is incorrect',
+                        attemptsRemaining: verification.attemptsRemaining
+                    });
+                case 'NOT_FOUND':
+                    return reply.code(404).send({ error: 'Not Found', message: 'Challenge not found' });
+                case 'EXPIRED':
+                    return reply.code(410).send({ error: 'Challenge Expired', message: 'Request a new code by redeeming the token again' });
+                case 'LOCKED':
+                    return reply.code(403).send({ error: 'Challenge Locked', message: 'Too many incorrect codes for this challenge' });
+                case 'ALREADY_VERIFIED':
+                    return reply.code(409).send({ error: 'Challenge Already Used', message: 'This challenge has already been completed' });
+                default:
+                    return reply.code(500).send({ error: 'Unknown state occurred' });
+            }
+
+            const result = await tokenService.redeemWithdrawalToken(value.token, agentId, {
+                riskScore: verification.riskScore,
+                riskReasons: verification.riskReasons,
+                riskPolicyVersion: verification.riskPolicyVersion,
+                challengeId: value.challengeId,
+                ...value.metadata
+            }, { expectedTokenId: verification.tokenId, accountId: value.accountId, pin: value.pin });
+
+            return sendRedemptionResult(reply, result);
+        } catch (err) {
+            logger.error('Challenge verification failed', err);
+            return reply.code(500).send({ error: 'Internal Server Error' });
+        }
+    }
+
+    /**
+     * Renders a QR payload from token generation as an image for the customer's screen.
+     * Only genuine, unexpired payloads for a live token on the caller's account are rendered;
+     * the route checks that request.user owns the account.
+     * Exposes `POST /api/v1/tokens/qr`
+     */
+    static async renderQrCode(request, reply) {
+        const schema = Joi.object({
+            accountId: Joi.string().uuid().required(),
+            qrPayload: Joi.string().max(256).required(),
+            format: Joi.string().valid('svg', 'png').default('svg')
+        });
+
+        const { error, value } = schema.validate(request.body);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const qrCodeService = new QrCodeService();
+            const scanned = qrCodeService.parsePayload(value.qrPayload);
+
+            if (scanned.result !== 'VALID') {
+                return reply.code(400).send({ error: 'Invalid QR Payload', message: 'The payload was not issued by this service' });
+            }
+            if (scanned.expiresAt <= new Date()) {
+                return reply.code(410).send({ error: 'Token Expired', message: 'The token in this payload has expired' });
+            }
+
+            const tokenService = new TokenService(getDb());
+            const token = await tokenService.verifyWithdrawalToken(scanned.token);
+            if (token.result !== 'VALID' || token.accountId !== value.accountId) {
+                return reply.code(404).send({ error: 'Not Found', message: 'Token not found' });
+            }
+
+            const image = await qrCodeService.render(value.qrPayload, value.format);
+
+            // The image encodes a live token: never cache it
+            return reply
+                .code(200)
+                .header('Cache-Control', 'no-store')
+                .type(value.format === 'png' ? 'image/png' : 'image/svg+xml')
+                .send(image);
+        } catch (err) {
+            logger.error('QR code rendering failed', err);
+            return reply.code(500).send({ error: 'Internal Server Error' });
+        }
+    }
+
+    /**
+     * Cancels an ACTIVE token before it expires.
+     * Exposes `POST /api/v1/tokens/:id/cancel`
+     * The cancellation is recorded against the authenticated account owner (request.user).
+     */
+    static async cancelToken(request, reply) {
+        const schema = Joi.object({
+            accountId: Joi.string().uuid().required(),
+            reason: Joi.string().max(255).required()
+        });
+
+        const { error, value } = schema.validate(request.body);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const db = getDb();
+            const tokenService = new TokenService(db);
+
+            const result = await tokenService.cancelWithdrawalToken(request.params.id, value.accountId, {
+                cancelledBy: request.user.id,
+                reason: value.reason
             });
 
-            // 3. Map service results to HTTP appropriately
             switch (result.result) {
-                case 'SUCCESS':
+                case 'CANCELLED':
                     return reply.code(200).send({
                         success: true,
-                        message: 'Token successfully redeemed',
-                        transactionId: result.transactionId
+                        data: {
+                            id: result.tokenId,
+                            status: 'CANCELLED',
+                            cancelledAt: result.cancelledAt
+                        }
                     });
-                case 'INVALID':
-                    // Hash mismatch or formatting issue
-                    return reply.code(400).send({ error: 'Invalid Token' });
-                case 'EXPIRED_OR_USED':
-                    // Race condition explicitly caught or token literally expired/used before call
-                    return reply.code(409).send({ error: 'Token Expired or Already Used' });
-                case 'EXPIRED':
-                    return reply.code(400).send({ error: 'Token Expired' });
-                case 'USED':
-                    return reply.code(409).send({ error: 'Token Already Used' });
+                case 'NOT_FOUND':
+                    return reply.code(404).send({ error: 'Not Found', message: 'Token not found' });
+                case 'NOT_CANCELLABLE':
+                    return reply.code(409).send({ error: 'Token Not Cancellable', message: `Token is ${result.status} and can no longer be cancelled` });
                 default:
                     return reply.code(500).send({ error: 'Unknown state occurred' });
             }
         } catch (err) {
-            logger.error('Redemption endpoint experienced a failure', err);
+            logger.error('Token cancellation failed', err);
             return reply.code(500).send({ error: 'Internal Server Error' });
         }
     }
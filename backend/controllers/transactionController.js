@@ -0,0 +1,49 @@
+const Joi = require('joi');
+const ReversalService = require('../services/reversalService');
+const { REVERSAL_REASONS } = require('../services/reversalService');
+const { getDb } = require('../config/database');
+const { logger } = require('../utils/logger');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+
+class TransactionController {
+    /**
+     * Reverses a SUCCESS withdrawal, e.g. when the agent could not dispense cash.
+     * Exposes `POST /api/v1/transactions/:id/reverse`
+     * The reversal is recorded against the authenticated operator (request.user).
+     */
+    static async reverseTransaction(request, reply) {
+        const schema = Joi.object({
+            reasonCode: Joi.string().valid(...REVERSAL_REASONS).required(),
+            note: Joi.string().max(1000).optional()
+        });
+
+        const { error, value } = schema.validate(request.body);
+        if (error) {
+            return reply.code(400).send({ error: 'Validation Error', message: error.details[0].message });
+        }
+
+        try {
+            const reversalService = new ReversalService(getDb());
+            const reversal = await reversalService.reverseWithdrawal(request.params.id, {
+                ...value,
+                initiatedBy: request.user.id
+            });
+
+            return reply.code(201).send({ success: true, data: reversal });
+        } catch (err) {
+            if (err instanceof NotFoundError) {
+                return reply.code(404).send({ error: 'Not Found', message: err.message });
+            }
+            if (err instanceof ConflictError) {
+                return reply.code(409).send({ error: 'Already Reversed', message: err.message });
+            }
+            if (err instanceof ValidationError) {
+                return reply.code(422).send({ error: 'Not Reversible', message: err.message });
+            }
+            logger.error('Transaction reversal failed', err);
+            return reply.code(500).send({ error: 'Internal Server Error' });
+        }
+    }
+}
+
+module.exports = TransactionController;
@@ -0,0 +1,117 @@
+/**
+ * Opening Balance Import
+ *
+ * Accounts registered before balances existed (migration 005) start at 0, so they cannot
+ * issue tokens until their core banking balance is brought in. This records each balance as
+ * a DEPOSIT with reference OPENING_BALANCE, through the same path as any other deposit:
+ *
+ *   npm run balances:import -- balances.csv
+ *
+ * One `account_ref,amount` line per account, the amount in minor units of the account
+ * currency; a header line, blank lines and `#` comments are ignored. An account is only ever
+ * given one opening balance, so the import can be re-run after fixing a failed line.
+ */
+
+const fs = require('fs');
+const AccountService = require('../services/accountService');
+const BalanceService = require('../services/balanceService');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { logSystem, logError } = require('../utils/logger');
+
+const OPENING_BALANCE_REFERENCE = 'OPENING_BALANCE';
+const IMPORTED_BY = 'SYSTEM:opening-balance-import';
+
+/**
+ * @param {string} csv
+ * @returns {Object[]} [{ line, accountRef, amount }], amount NaN when not a whole number
+ */
+const parseBalances = (csv) => csv
+  .split(/\r?\n/)
+  .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+  .filter(({ text, line }) => text && !text.startsWith('#') && !(line === 1 && /amount/i.test(text)))
+  .map(({ text, line }) => {
+    const [accountRef, amount] = text.split(',').map((field) => field.trim());
+    return { line, accountRef, amount: /^\d+$/.test(amount || '') ? Number(amount) : NaN };
+  });
+
+/**
+ * Records the opening balance of every listed account.
+ * @param {Object} db Knex instance
+ * @param {Object[]} balances See parseBalances
+ * @returns {Promise<Object>} { imported, skipped, failed } line numbers; skipped lines had a
+ *   zero balance or were imported before
+ */
+const importOpeningBalances = async (db, balances) => {
+  const accountService = new AccountService(db);
+  const balanceService = new BalanceService(db);
+  const summary = { imported: [], skipped: [], failed: [] };
+
+  for (const { line, accountRef, amount } of balances) {
+    if (!Number.isSafeInteger(amount)) {
+      logError(new Error('Amount is not a whole number of minor units'), { component: 'balance', line, accountRef });
+      summary.failed.push(line);
+      continue;
+    }
+    if (amount === 0) {
+      summary.skipped.push(line);
+      continue;
+    }
+
+    try {
+      const account = await accountService.getByRef(accountRef);
+      await balanceService.deposit(account.id, {
+        amount,
+        reference: OPENING_BALANCE_REFERENCE,
+        initiatedBy: IMPORTED_BY,
+      });
+      summary.imported.push(line);
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        summary.skipped.push(line);
+        continue;
+      }
+      if (!(error instanceof NotFoundError)) {
+        throw error;
+      }
+      logError(error, { component: 'balance', line, accountRef });
+      summary.failed.push(line);
+    }
+  }
+
+  logSystem('Opening balances imported', {
+    component: 'balance',
+    imported: summary.imported.length,
+    skipped: summary.skipped.length,
+    failed: summary.failed,
+  });
+
+  return summary;
+};
+
+if (require.main === module) {
+  const { getDb, close: closeDb } = require('../config/database');
+  const file = process.argv[2];
+
+  Promise.resolve()
+    .then(() => {
+      if (!file) {
+        throw new Error('Usage: npm run balances:import -- <balances.csv>');
+      }
+      return importOpeningBalances(getDb(), parseBalances(fs.readFileSync(file, 'utf8')));
+    })
+    .then((summary) => (summary.failed.length === 0 ? 0 : 1))
+    .catch((error) => {
+      logError(error, { component: 'balance', action: 'opening_balance_import' });
+      return 1;
+    })
+    .then(async (exitCode) => {
+      await closeDb();
+      process.exit(exitCode);
+    });
+}
+
+module.exports = {
+  OPENING_BALANCE_REFERENCE,
+  parseBalances,
+  importOpeningBalances,
+};
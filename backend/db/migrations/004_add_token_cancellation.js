@@ -0,0 +1,57 @@
+/**
+ * Migration 004: Add CANCELLED token state so customers can revoke a token before expiry.
+ *
+ * Adding an enum value cannot be combined with statements that use it inside the same
+ * transaction, so this migration opts out of the wrapping transaction. Each statement
+ * is idempotent to keep a partially applied run safe to retry.
+ */
+exports.config = { transaction: false };
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.raw(`ALTER TYPE token_status ADD VALUE IF NOT EXISTS 'CANCELLED'`);
+
+    await knex.raw(`
+    ALTER TABLE tokens
+      ADD COLUMN IF NOT EXISTS cancelled_at timestamptz,
+      ADD COLUMN IF NOT EXISTS cancelled_by text,
+      ADD COLUMN IF NOT EXISTS cancellation_reason text;
+  `);
+
+    await knex.raw(`
+    ALTER TABLE tokens DROP CONSTRAINT IF EXISTS tokens_cancelled_consistency;
+    ALTER TABLE tokens
+      ADD CONSTRAINT tokens_cancelled_consistency CHECK (
+        (status = 'CANCELLED' AND cancelled_at IS NOT NULL AND cancelled_by IS NOT NULL AND cancellation_reason IS NOT NULL)
+        OR (status <> 'CANCELLED' AND cancelled_at IS NULL)
+      );
+
+    COMMENT ON COLUMN tokens.cancelled_at IS
+      'Time the token was revoked by its owner. Set exactly once under row lock; a CANCELLED token can never be redeemed.';
+    COMMENT ON COLUMN tokens.cancelled_by IS
+      'Actor that cancelled the token (customer or operator id). Retained for dispute handling and audit.';
+    COMMENT ON COLUMN tokens.cancellation_reason IS
+      'Free-text reason supplied at cancellation time. Avoid PII.';
+  `);
+};
+
+/**
+ * Postgres cannot drop a single enum value, so CANCELLED remains in token_status.
+ * Cancelled rows are moved to EXPIRED to keep them outside the redeemable states.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.raw(`ALTER TABLE tokens DROP CONSTRAINT IF EXISTS tokens_cancelled_consistency`);
+    await knex.raw(`UPDATE tokens SET status = 'EXPIRED' WHERE status = 'CANCELLED'`);
+
+    await knex.schema.alterTable('tokens', (table) => {
+        table.dropColumn('cancellation_reason');
+        table.dropColumn('cancelled_by');
+        table.dropColumn('cancelled_at');
+    });
+};
@@ -0,0 +1,103 @@
+/**
+ * Migration 005: Account balances and holds (reservations) for withdrawal tokens.
+ *
+ * - accounts.balance is the ledger balance; accounts.held_amount is the sum of ACTIVE holds.
+ *   Available balance = balance - held_amount and can never go negative.
+ * - account_holds has exactly one row per token. Generating a token places an ACTIVE hold,
+ *   redemption CAPTUREs it (debiting the balance alongside the WITHDRAWAL ledger row) and
+ *   cancellation/expiry RELEASEs it.
+ * - Tokens issued before this migration have no hold; redemption/expiry of those tokens leave
+ *   balances untouched.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.raw(`
+    DO $$ BEGIN
+      CREATE TYPE hold_status AS ENUM ('ACTIVE', 'CAPTURED', 'RELEASED');
+    EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+  `);
+
+    await knex.schema.alterTable('accounts', (table) => {
+        table.decimal('balance', 15, 2).notNullable().defaultTo(0);
+        table.decimal('held_amount', 15, 2).notNullable().defaultTo(0);
+    });
+
+    await knex.raw(`
+    ALTER TABLE accounts
+      ADD CONSTRAINT accounts_balance_non_negative CHECK (balance >= 0),
+      ADD CONSTRAINT accounts_held_amount_non_negative CHECK (held_amount >= 0),
+      ADD CONSTRAINT accounts_held_within_balance CHECK (held_amount <= balance);
+
+    COMMENT ON COLUMN accounts.balance IS
+      'Ledger balance. Only changed in the same DB transaction as the ledger row that justifies it.';
+    COMMENT ON COLUMN accounts.held_amount IS
+      'Sum of ACTIVE account_holds. Funds reserved by outstanding tokens cannot be reserved twice.';
+  `);
+
+    await knex.schema.createTable('account_holds', (table) => {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+
+        table
+            .uuid('account_id')
+            .notNullable()
+            .references('id')
+            .inTable('accounts')
+            .onDelete('RESTRICT')
+            .onUpdate('CASCADE');
+
+        table
+            .uuid('token_id')
+            .notNullable()
+            .references('id')
+            .inTable('tokens')
+            .onDelete('RESTRICT')
+            .onUpdate('CASCADE');
+
+        table.decimal('amount', 15, 2).notNullable();
+        table.specificType('status', 'hold_status').notNullable().defaultTo('ACTIVE');
+        table.text('release_reason');
+        table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.timestamp('resolved_at', { useTz: true });
+
+        table.unique(['token_id'], { indexName: 'account_holds_token_id_uq' });
+        table.index(['account_id', 'status'], 'account_holds_account_id_status_idx');
+    });
+
+    await knex.raw(`
+    ALTER TABLE account_holds
+      ADD CONSTRAINT account_holds_amount_positive CHECK (amount > 0),
+      ADD CONSTRAINT account_holds_resolution_consistency CHECK (
+        (status = 'ACTIVE' AND resolved_at IS NULL)
+        OR (status <> 'ACTIVE' AND resolved_at IS NOT NULL)
+      );
+
+    COMMENT ON TABLE account_holds IS
+      'Funds reserved for an outstanding withdrawal token. One hold per token; resolved exactly once (CAPTURED or RELEASED).';
+    COMMENT ON COLUMN account_holds.release_reason IS
+      'Why a hold was released without capture (CANCELLED, EXPIRED). NULL for ACTIVE and CAPTURED holds.';
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('account_holds');
+
+    await knex.raw(`
+    ALTER TABLE accounts
+      DROP CONSTRAINT IF EXISTS accounts_held_within_balance,
+      DROP CONSTRAINT IF EXISTS accounts_held_amount_non_negative,
+      DROP CONSTRAINT IF EXISTS accounts_balance_non_negative;
+  `);
+
+    await knex.schema.alterTable('accounts', (table) => {
+        table.dropColumn('held_amount');
+        table.dropColumn('balance');
+    });
+
+    await knex.raw('DROP TYPE IF EXISTS hold_status');
+};
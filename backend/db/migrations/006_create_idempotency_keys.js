@@ -0,0 +1,58 @@
+/**
+ * Migration 006: Idempotency keys for retry-safe token generation and redemption.
+ *
+ * A client-supplied Idempotency-Key is scoped to (key, account, route). The first request
+ * records an IN_PROGRESS row; once it completes, the response is stored so retries within
+ * the TTL replay the identical status and body instead of moving money twice.
+ * Redis fronts this table for the hot path; Postgres is the durable record.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.raw(`
+    DO $$ BEGIN
+      CREATE TYPE idempotency_state AS ENUM ('IN_PROGRESS', 'COMPLETED');
+    EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+  `);
+
+    await knex.schema.createTable('idempotency_keys', (table) => {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table.text('idempotency_key').notNullable();
+        table.uuid('account_id').notNullable();
+        table.text('scope').notNullable();
+        table.text('request_hash').notNullable();
+        table.specificType('state', 'idempotency_state').notNullable().defaultTo('IN_PROGRESS');
+        table.integer('status_code');
+        table.binary('response_ciphertext');
+        table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.timestamp('expires_at', { useTz: true }).notNullable();
+
+        table.unique(['idempotency_key', 'account_id', 'scope'], { indexName: 'idempotency_keys_key_account_scope_uq' });
+        table.index(['expires_at'], 'idempotency_keys_expires_at_idx');
+    });
+
+    await knex.raw(`
+    ALTER TABLE idempotency_keys
+      ADD CONSTRAINT idempotency_keys_completed_consistency CHECK (
+        (state = 'COMPLETED' AND status_code IS NOT NULL)
+        OR (state = 'IN_PROGRESS' AND status_code IS NULL AND response_ciphertext IS NULL)
+      );
+
+    COMMENT ON TABLE idempotency_keys IS
+      'Stored responses for Idempotency-Key requests. Prevents a retried request from issuing a second token or a second redemption.';
+    COMMENT ON COLUMN idempotency_keys.request_hash IS
+      'SHA-256 of the canonical request body. A key reused with a different body is rejected rather than replayed.';
+    COMMENT ON COLUMN idempotency_keys.response_ciphertext IS
+      'AES-256-GCM encrypted response body. Generation responses contain the plaintext token, which must never rest unencrypted.';
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('idempotency_keys');
+    await knex.raw('DROP TYPE IF EXISTS idempotency_state');
+};
@@ -0,0 +1,70 @@
+/**
+ * Migration 007: Link REVERSAL ledger entries to the WITHDRAWAL they correct.
+ *
+ * The ledger stays append-only: a reversal is a new row pointing at the original through
+ * reversal_of. A unique index on reversal_of makes a second reversal of the same entry
+ * impossible even if application checks race.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.raw(`
+    DO $$ BEGIN
+      CREATE TYPE reversal_reason AS ENUM (
+        'CASH_NOT_DISPENSED',
+        'PARTIAL_DISPENSE',
+        'AGENT_DEVICE_FAILURE',
+        'CUSTOMER_DISPUTE',
+        'OPERATIONAL_ERROR'
+      );
+    EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+  `);
+
+    await knex.schema.alterTable('transactions', (table) => {
+        table
+            .uuid('reversal_of')
+            .references('id')
+            .inTable('transactions')
+            .onDelete('RESTRICT')
+            .onUpdate('CASCADE');
+        table.specificType('reason_code', 'reversal_reason');
+        table.text('initiated_by');
+        table.text('note');
+
+        table.unique(['reversal_of'], { indexName: 'transactions_reversal_of_uq' });
+    });
+
+    await knex.raw(`
+    ALTER TABLE transactions
+      ADD CONSTRAINT transactions_reversal_consistency CHECK (
+        (type = 'REVERSAL' AND reversal_of IS NOT NULL AND reason_code IS NOT NULL AND initiated_by IS NOT NULL)
+        OR (type <> 'REVERSAL' AND reversal_of IS NULL AND reason_code IS NULL)
+      );
+
+    COMMENT ON COLUMN transactions.reversal_of IS
+      'For REVERSAL rows: the WITHDRAWAL being corrected. Unique, so an entry can be reversed at most once.';
+    COMMENT ON COLUMN transactions.reason_code IS
+      'Mandatory reason for a REVERSAL (e.g. CASH_NOT_DISPENSED). Drives dispute reporting.';
+    COMMENT ON COLUMN transactions.initiated_by IS
+      'Operator who requested the reversal. Required for REVERSAL rows for maker accountability.';
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.raw(`ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_reversal_consistency`);
+
+    await knex.schema.alterTable('transactions', (table) => {
+        table.dropUnique(['reversal_of'], 'transactions_reversal_of_uq');
+        table.dropColumn('note');
+        table.dropColumn('initiated_by');
+        table.dropColumn('reason_code');
+        table.dropColumn('reversal_of');
+    });
+
+    await knex.raw('DROP TYPE IF EXISTS reversal_reason');
+};
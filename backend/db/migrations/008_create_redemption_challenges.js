@@ -0,0 +1,62 @@
+/**
+ * Migration 008: Step-up challenges for redemptions the risk engine marks CHALLENGE.
+ *
+ * A challenge binds one token to the agent and account that attempted it. The OTP itself is
+ * never stored: only an HMAC over (challenge id, OTP), so a database leak cannot be replayed.
+ * Wrong guesses are counted on the row and lock the challenge once max_attempts is reached.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.raw(`
+    DO $$ BEGIN
+      CREATE TYPE challenge_status AS ENUM ('PENDING', 'VERIFIED', 'FAILED', 'EXPIRED');
+    EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+  `);
+
+    await knex.schema.createTable('redemption_challenges', (table) => {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table
+            .uuid('token_id')
+            .notNullable()
+            .references('id')
+            .inTable('tokens')
+            .onDelete('RESTRICT')
+            .onUpdate('CASCADE');
+        table.uuid('account_id').notNullable();
+        table.text('agent_id').notNullable();
+        table.binary('otp_hash').notNullable();
+        table.specificType('status', 'challenge_status').notNullable().defaultTo('PENDING');
+        table.integer('attempts').notNullable().defaultTo(0);
+        table.integer('max_attempts').notNullable();
+        table.decimal('risk_score', 5, 2);
+        table.jsonb('risk_reasons').notNullable().defaultTo(knex.raw(`'[]'::jsonb`));
+        table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.timestamp('expires_at', { useTz: true }).notNullable();
+        table.timestamp('resolved_at', { useTz: true });
+
+        table.index(['token_id', 'status'], 'redemption_challenges_token_status_idx');
+    });
+
+    await knex.raw(`
+    ALTER TABLE redemption_challenges
+      ADD CONSTRAINT redemption_challenges_attempts_bounds CHECK (attempts >= 0 AND attempts <= max_attempts);
+
+    COMMENT ON TABLE redemption_challenges IS
+      'OTP step-up challenges raised when the risk engine returns CHALLENGE. A token is only redeemed after its challenge is VERIFIED.';
+    COMMENT ON COLUMN redemption_challenges.otp_hash IS
+      'HMAC-SHA256 of challenge id and OTP. The plaintext OTP only exists in the notifier message.';
+    COMMENT ON COLUMN redemption_challenges.attempts IS
+      'Wrong OTP submissions. Reaching max_attempts moves the challenge to FAILED.';
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('redemption_challenges');
+    await knex.raw('DROP TYPE IF EXISTS challenge_status');
+};
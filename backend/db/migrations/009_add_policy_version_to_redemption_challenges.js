@@ -0,0 +1,30 @@
+/**
+ * Migration 009: Record which risk policy raised each step-up challenge.
+ *
+ * Risk thresholds now come from a hot-reloadable policy file. A challenge can be answered after
+ * the policy changed, so the version that made the CHALLENGE decision is kept on the challenge
+ * and copied into the redemption attempt evidence once the OTP is verified.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.schema.alterTable('redemption_challenges', (table) => {
+        table.text('risk_policy_version');
+    });
+
+    await knex.raw(`
+    COMMENT ON COLUMN redemption_challenges.risk_policy_version IS
+      'Version of the risk policy whose CHALLENGE decision raised this challenge.';
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.alterTable('redemption_challenges', (table) => {
+        table.dropColumn('risk_policy_version');
+    });
+};
@@ -0,0 +1,53 @@
+/**
+ * Migration 010: Shadow risk decisions for A/B evaluation of candidate policies.
+ *
+ * Each row pairs the enforcing decision for a redemption with the decision one shadow policy
+ * would have made on identical signals. Shadow decisions are never enforced; they exist so the
+ * fraud team can compare approve/challenge/reject rates before promoting a policy.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.raw(`
+    DO $$ BEGIN
+      CREATE TYPE risk_decision AS ENUM ('APPROVE', 'CHALLENGE', 'REJECT');
+    EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+  `);
+
+    await knex.schema.createTable('shadow_risk_decisions', (table) => {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table.uuid('account_id').notNullable();
+        table.text('agent_id').notNullable();
+        table
+            .uuid('token_id')
+            .references('id')
+            .inTable('tokens')
+            .onDelete('RESTRICT')
+            .onUpdate('CASCADE');
+        table.text('enforcing_policy_version').notNullable();
+        table.specificType('enforcing_decision', 'risk_decision').notNullable();
+        table.decimal('enforcing_score', 5, 2).notNullable();
+        table.text('shadow_policy_version').notNullable();
+        table.specificType('shadow_decision', 'risk_decision').notNullable();
+        table.decimal('shadow_score', 5, 2).notNullable();
+        table.jsonb('shadow_reasons').notNullable().defaultTo(knex.raw(`'[]'::jsonb`));
+        table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+        table.index(['created_at', 'shadow_policy_version'], 'shadow_risk_decisions_created_shadow_idx');
+    });
+
+    await knex.raw(`
+    COMMENT ON TABLE shadow_risk_decisions IS
+      'Decision a shadow (candidate) risk policy would have made, next to the enforcing decision. Never enforced; used for A/B comparison.';
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('shadow_risk_decisions');
+    await knex.raw('DROP TYPE IF EXISTS risk_decision');
+};
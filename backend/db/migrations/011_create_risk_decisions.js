@@ -0,0 +1,64 @@
+/**
+ * Migration 011: Persist every enforcing risk assessment.
+ *
+ * Previously only the score and reasons of successful redemptions survived (inside
+ * redemption_attempts.metadata); rejected redemptions were only logged. risk_decisions records
+ * each evaluation with its raw signal values and policy version, so analysts can reconstruct
+ * exactly why a withdrawal was approved, challenged or blocked.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('risk_decisions', (table) => {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table.uuid('account_id').notNullable();
+        table.text('agent_id').notNullable();
+        table
+            .uuid('token_id')
+            .references('id')
+            .inTable('tokens')
+            .onDelete('RESTRICT')
+            .onUpdate('CASCADE');
+        table.decimal('score', 5, 2).notNullable();
+        table.specificType('decision', 'risk_decision').notNullable();
+        table.jsonb('reasons').notNullable().defaultTo(knex.raw(`'[]'::jsonb`));
+        table.jsonb('signals').notNullable().defaultTo(knex.raw(`'{}'::jsonb`));
+        table.text('policy_version').notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+        table.index(['account_id', 'created_at'], 'risk_decisions_account_created_idx');
+        table.index(['token_id'], 'risk_decisions_token_idx');
+        table.index(['decision', 'created_at'], 'risk_decisions_decision_created_idx');
+    });
+
+    // Shadow outcomes point at the enforcing decision they were compared with
+    await knex.schema.alterTable('shadow_risk_decisions', (table) => {
+        table
+            .uuid('risk_decision_id')
+            .references('id')
+            .inTable('risk_decisions')
+            .onDelete('RESTRICT')
+            .onUpdate('CASCADE');
+    });
+
+    await knex.raw(`
+    COMMENT ON TABLE risk_decisions IS
+      'Every enforcing risk evaluation of a redemption, including REJECTs. Forensic record for fraud analysts.';
+    COMMENT ON COLUMN risk_decisions.signals IS
+      'Raw signal values the policy was applied to (velocity, amount deviation, failed attempts, IP mismatch).';
+    COMMENT ON COLUMN risk_decisions.policy_version IS
+      'Version of the enforcing risk policy that produced the decision.';
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.alterTable('shadow_risk_decisions', (table) => {
+        table.dropColumn('risk_decision_id');
+    });
+    await knex.schema.dropTableIfExists('risk_decisions');
+};
@@ -0,0 +1,64 @@
+/**
+ * Migration 012: Record every redemption attempt outcome, not only successes.
+ *
+ * The failed-attempts abuse signal counts non-SUCCESS rows, but only successes were written.
+ * Attempts whose prefix matched no token have no token to reference, so token_id becomes
+ * nullable and the account the attempt targeted is stored directly (backfilled from tokens).
+ *
+ * New enum values must be committed before use, so this migration runs outside a transaction
+ * (same approach as migration 004). Each statement is idempotent.
+ */
+exports.config = { transaction: false };
+
+const NEW_RESULTS = ['NOT_FOUND', 'CANCELLED', 'ACCOUNT_INACTIVE', 'RISK_REJECTED', 'CHALLENGED', 'CHALLENGE_FAILED'];
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    for (const result of NEW_RESULTS) {
+        await knex.raw(`ALTER TYPE redemption_result ADD VALUE IF NOT EXISTS '${result}'`);
+    }
+
+    await knex.raw(`
+    ALTER TABLE redemption_attempts
+      ALTER COLUMN token_id DROP NOT NULL,
+      ADD COLUMN IF NOT EXISTS account_id uuid;
+
+    UPDATE redemption_attempts ra
+      SET account_id = t.account_id
+      FROM tokens t
+      WHERE ra.token_id = t.id AND ra.account_id IS NULL;
+
+    CREATE INDEX IF NOT EXISTS redemption_attempts_account_created_idx
+      ON redemption_attempts (account_id, created_at);
+
+    ALTER TABLE redemption_attempts DROP CONSTRAINT IF EXISTS redemption_attempts_success_has_token;
+    ALTER TABLE redemption_attempts
+      ADD CONSTRAINT redemption_attempts_success_has_token CHECK (result <> 'SUCCESS' OR token_id IS NOT NULL);
+
+    COMMENT ON COLUMN redemption_attempts.token_id IS
+      'Token the attempt resolved to. NULL when the presented token matched no live token (INVALID / NOT_FOUND).';
+    COMMENT ON COLUMN redemption_attempts.account_id IS
+      'Account targeted by the attempt (the token owner, or the account claimed in the request). Drives the failed-attempts risk signal.';
+  `);
+};
+
+/**
+ * Postgres cannot drop enum values, so the new results remain in redemption_result.
+ * Attempts without a token cannot satisfy the original NOT NULL and are removed.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.raw(`
+    ALTER TABLE redemption_attempts DROP CONSTRAINT IF EXISTS redemption_attempts_success_has_token;
+    DROP INDEX IF EXISTS redemption_attempts_account_created_idx;
+    DELETE FROM redemption_attempts WHERE token_id IS NULL;
+    ALTER TABLE redemption_attempts
+      DROP COLUMN IF EXISTS account_id,
+      ALTER COLUMN token_id SET NOT NULL;
+  `);
+};
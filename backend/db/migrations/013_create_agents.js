@@ -0,0 +1,65 @@
+/**
+ * Migration 013: Agent registry for authenticated redemption.
+ *
+ * Agents (ATMs, POS terminals, human cash-out agents) keep the free-text identifiers already
+ * stored in agent_id columns, so existing attempt/challenge/decision rows stay meaningful.
+ * Each agent holds one credential secret used either as an API key or to sign requests
+ * (HMAC). The server must be able to verify signatures, so the secret is stored encrypted
+ * (AES-256-GCM under a key derived from TOKEN_PEPPER) rather than hashed.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.raw(`
+    DO $$ BEGIN
+      CREATE TYPE agent_status AS ENUM ('ACTIVE', 'SUSPENDED');
+    EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+  `);
+
+    await knex.schema.createTable('agents', (table) => {
+        table.text('id').primary();
+        table.text('name').notNullable();
+        table.text('location');
+        table.specificType('status', 'agent_status').notNullable().defaultTo('ACTIVE');
+        table.binary('credential_ciphertext').notNullable();
+        table.timestamp('credential_rotated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.text('suspended_reason');
+        table.timestamp('suspended_at', { useTz: true });
+        table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+        table.index(['status'], 'agents_status_idx');
+    });
+
+    await knex.raw(`
+    CREATE TRIGGER trg_agents_set_updated_at
+    BEFORE UPDATE ON agents
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+    ALTER TABLE agents
+      ADD CONSTRAINT agents_id_format CHECK (id ~ '^[A-Za-z0-9._:-]{1,64}$'),
+      ADD CONSTRAINT agents_suspension_consistency CHECK (
+        (status = 'SUSPENDED' AND suspended_at IS NOT NULL) OR (status = 'ACTIVE' AND suspended_at IS NULL)
+      );
+
+    COMMENT ON TABLE agents IS
+      'Registered redemption agents. Only ACTIVE agents presenting valid credentials may redeem tokens.';
+    COMMENT ON COLUMN agents.id IS
+      'Agent identifier as recorded in agent_id columns (redemption_attempts, risk_decisions, challenges).';
+    COMMENT ON COLUMN agents.credential_ciphertext IS
+      'AES-256-GCM (iv | auth tag | ciphertext) of the agent secret. The plaintext is returned once, at registration or rotation.';
+    COMMENT ON COLUMN agents.status IS
+      'SUSPENDED agents are refused at authentication, before any token lookup or risk evaluation.';
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('agents');
+    await knex.raw('DROP TYPE IF EXISTS agent_status');
+};
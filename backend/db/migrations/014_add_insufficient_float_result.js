@@ -0,0 +1,23 @@
+/**
+ * Migration 014: Record redemptions refused because the agent lacks cash float.
+ *
+ * Runs outside a transaction so the new enum value is committed before use (as migrations
+ * 004 and 012 do). A float refusal is an agent liquidity problem, not customer abuse, so the
+ * application excludes it from the failed-attempts risk signal.
+ */
+exports.config = { transaction: false };
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.raw(`ALTER TYPE redemption_result ADD VALUE IF NOT EXISTS 'INSUFFICIENT_FLOAT'`);
+};
+
+/**
+ * Postgres cannot drop enum values; INSUFFICIENT_FLOAT remains in redemption_result.
+ *
+ * @returns { Promise<void> }
+ */
+exports.down = async function () {};
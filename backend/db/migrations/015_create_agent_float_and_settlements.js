@@ -0,0 +1,147 @@
+/**
+ * Migration 015: Agent cash float and daily settlements.
+ *
+ * - agents.float_balance is the cash the agent holds to pay out. Each SUCCESS redemption
+ *   debits it in the same DB transaction as the WITHDRAWAL ledger row; top-ups credit it.
+ *   It can never go negative, so a redemption the agent cannot cover is refused.
+ * - agent_float_movements is the append-only history behind float_balance.
+ * - transactions.agent_id attributes WITHDRAWAL (and the REVERSAL correcting it) to the
+ *   paying agent. The ledger is immutable, so rows written before this migration stay NULL
+ *   and are not settled.
+ * - agent_settlements holds one row per agent and business day, computed from the ledger.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.raw(`
+    DO $$ BEGIN
+      CREATE TYPE agent_float_movement_type AS ENUM ('TOP_UP', 'REDEMPTION', 'REVERSAL');
+    EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+  `);
+
+    await knex.schema.alterTable('agents', (table) => {
+        table.decimal('float_balance', 15, 2).notNullable().defaultTo(0);
+        table.integer('commission_bps');
+    });
+
+    await knex.schema.alterTable('transactions', (table) => {
+        table.text('agent_id');
+        table.index(['agent_id', 'created_at'], 'transactions_agent_created_idx');
+    });
+
+    await knex.schema.createTable('agent_float_movements', (table) => {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table
+            .text('agent_id')
+            .notNullable()
+            .references('id')
+            .inTable('agents')
+            .onDelete('RESTRICT')
+            .onUpdate('CASCADE');
+        table.specificType('type', 'agent_float_movement_type').notNullable();
+        table.decimal('amount', 15, 2).notNullable();
+        table.decimal('balance_after', 15, 2).notNullable();
+        table
+            .uuid('transaction_id')
+            .references('id')
+            .inTable('transactions')
+            .onDelete('RESTRICT')
+            .onUpdate('CASCADE');
+        table.text('reference');
+        table.text('performed_by');
+        table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+        table.index(['agent_id', 'created_at'], 'agent_float_movements_agent_created_idx');
+    });
+
+    await knex.schema.createTable('agent_settlements', (table) => {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table
+            .text('agent_id')
+            .notNullable()
+            .references('id')
+            .inTable('agents')
+            .onDelete('RESTRICT')
+            .onUpdate('CASCADE');
+        table.date('business_date').notNullable();
+        table.integer('redemption_count').notNullable();
+        table.decimal('gross_amount', 15, 2).notNullable();
+        table.integer('reversal_count').notNullable();
+        table.decimal('reversal_amount', 15, 2).notNullable();
+        table.decimal('net_amount', 15, 2).notNullable();
+        table.integer('commission_bps').notNullable();
+        table.decimal('commission_amount', 15, 2).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+        table.unique(['agent_id', 'business_date'], { indexName: 'agent_settlements_agent_day_uq' });
+        table.index(['business_date'], 'agent_settlements_business_date_idx');
+    });
+
+    await knex.raw(`
+    ALTER TABLE agents
+      ADD CONSTRAINT agents_float_non_negative CHECK (float_balance >= 0),
+      ADD CONSTRAINT agents_commission_bps_range CHECK (commission_bps IS NULL OR commission_bps BETWEEN 0 AND 10000);
+
+    ALTER TABLE agent_float_movements
+      ADD CONSTRAINT agent_float_movements_amount_positive CHECK (amount > 0),
+      ADD CONSTRAINT agent_float_movements_ledger_link CHECK (type = 'TOP_UP' OR transaction_id IS NOT NULL);
+
+    ALTER TABLE agent_settlements
+      ADD CONSTRAINT agent_settlements_counts_non_negative CHECK (redemption_count >= 0 AND reversal_count >= 0),
+      ADD CONSTRAINT agent_settlements_net_consistency CHECK (net_amount = gross_amount - reversal_amount);
+
+    CREATE OR REPLACE FUNCTION agent_float_movements_immutable()
+    RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+    BEGIN
+      RAISE EXCEPTION 'agent_float_movements is append-only: UPDATE/DELETE are not permitted';
+    END;
+    $$;
+
+    CREATE TRIGGER trg_agent_float_movements_immutable
+    BEFORE UPDATE OR DELETE ON agent_float_movements
+    FOR EACH ROW
+    EXECUTE FUNCTION agent_float_movements_immutable();
+
+    COMMENT ON COLUMN agents.float_balance IS
+      'Cash the agent holds for payouts. Debited with each SUCCESS redemption, credited by top-ups and reversals. Never negative.';
+    COMMENT ON COLUMN agents.commission_bps IS
+      'Per-agent commission in basis points of net redeemed value. NULL uses AGENT_COMMISSION_BPS.';
+    COMMENT ON COLUMN transactions.agent_id IS
+      'Agent that paid out a WITHDRAWAL (copied onto its REVERSAL). Drives agent settlement.';
+    COMMENT ON TABLE agent_float_movements IS
+      'Append-only history of float changes. balance_after allows reconciliation against agents.float_balance.';
+    COMMENT ON TABLE agent_settlements IS
+      'Per-agent daily settlement computed from the transactions ledger. Unique per agent and day, so re-runs never double-settle.';
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('agent_settlements');
+    await knex.schema.dropTableIfExists('agent_float_movements');
+    await knex.raw('DROP FUNCTION IF EXISTS agent_float_movements_immutable()');
+
+    await knex.schema.alterTable('transactions', (table) => {
+        table.dropIndex(['agent_id', 'created_at'], 'transactions_agent_created_idx');
+        table.dropColumn('agent_id');
+    });
+
+    await knex.raw(`
+    ALTER TABLE agents
+      DROP CONSTRAINT IF EXISTS agents_commission_bps_range,
+      DROP CONSTRAINT IF EXISTS agents_float_non_negative;
+  `);
+
+    await knex.schema.alterTable('agents', (table) => {
+        table.dropColumn('commission_bps');
+        table.dropColumn('float_balance');
+    });
+
+    await knex.raw('DROP TYPE IF EXISTS agent_float_movement_type');
+};
@@ -0,0 +1,72 @@
+/**
+ * Migration 016: Numeric tokens with a customer PIN, for keypad-only terminals.
+ *
+ * A numeric token's digit core carries less entropy than the alphanumeric core, so it is
+ * paired with a PIN chosen by the customer at generation. The PIN is stored as a salted
+ * scrypt hash and checked under the token's row lock; failed_pin_attempts counts wrong PINs
+ * and the application cancels the token once NUMERIC_TOKEN_MAX_PIN_ATTEMPTS is reached.
+ *
+ * Runs outside a transaction so the new redemption_result value is committed before use
+ * (as migrations 004, 012 and 014 do). Each statement is idempotent.
+ */
+exports.config = { transaction: false };
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.raw(`
+    DO $$ BEGIN
+      CREATE TYPE token_kind AS ENUM ('ALPHANUMERIC', 'NUMERIC');
+    EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+  `);
+
+    await knex.raw(`ALTER TYPE redemption_result ADD VALUE IF NOT EXISTS 'INVALID_PIN'`);
+
+    await knex.raw(`
+    ALTER TABLE tokens
+      ADD COLUMN IF NOT EXISTS kind token_kind NOT NULL DEFAULT 'ALPHANUMERIC',
+      ADD COLUMN IF NOT EXISTS pin_hash bytea,
+      ADD COLUMN IF NOT EXISTS failed_pin_attempts integer NOT NULL DEFAULT 0;
+  `);
+
+    await knex.raw(`
+    ALTER TABLE tokens DROP CONSTRAINT IF EXISTS tokens_pin_consistency;
+    ALTER TABLE tokens
+      ADD CONSTRAINT tokens_pin_consistency CHECK (
+        (kind = 'NUMERIC' AND pin_hash IS NOT NULL) OR (kind = 'ALPHANUMERIC' AND pin_hash IS NULL)
+      ),
+      ADD CONSTRAINT tokens_failed_pin_attempts_non_negative CHECK (failed_pin_attempts >= 0);
+
+    COMMENT ON COLUMN tokens.kind IS
+      'ALPHANUMERIC (PREFIX-BODY) or NUMERIC (digits only, redeemed together with the customer PIN).';
+    COMMENT ON COLUMN tokens.pin_hash IS
+      'scrypt hash of the customer PIN under the token salt. Present exactly for NUMERIC tokens.';
+    COMMENT ON COLUMN tokens.failed_pin_attempts IS
+      'Wrong PINs presented for this token. The token is cancelled when the configured limit is reached.';
+  `);
+};
+
+/**
+ * Postgres cannot drop enum values; INVALID_PIN remains in redemption_result.
+ * Outstanding numeric tokens are expired because they cannot be redeemed without their PIN.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.raw(`UPDATE tokens SET status = 'EXPIRED' WHERE kind = 'NUMERIC' AND status = 'ACTIVE'`);
+    await knex.raw(`
+    ALTER TABLE tokens
+      DROP CONSTRAINT IF EXISTS tokens_failed_pin_attempts_non_negative,
+      DROP CONSTRAINT IF EXISTS tokens_pin_consistency;
+  `);
+
+    await knex.schema.alterTable('tokens', (table) => {
+        table.dropColumn('failed_pin_attempts');
+        table.dropColumn('pin_hash');
+        table.dropColumn('kind');
+    });
+    await knex.raw('DROP TYPE IF EXISTS token_kind');
+};
@@ -0,0 +1,50 @@
+/**
+ * Migration 017: Record how each token was hashed so the pepper can be rotated.
+ *
+ * hash_version selects the strategy in services/tokenHasher.js and pepper_id the pepper
+ * (TOKEN_HASH_PEPPERS) it was keyed with. Existing rows are the legacy
+ * SHA256(pepper + token + salt) under TOKEN_PEPPER: version 1 with no pepper_id.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.schema.alterTable('tokens', (table) => {
+        table.smallint('hash_version').notNullable().defaultTo(1);
+        table.text('pepper_id');
+    });
+
+    // New rows must say how they were hashed
+    await knex.raw(`ALTER TABLE tokens ALTER COLUMN hash_version DROP DEFAULT`);
+
+    await knex.raw(`
+    ALTER TABLE tokens
+      ADD CONSTRAINT tokens_hash_version_pepper CHECK (
+        (hash_version = 1 AND pepper_id IS NULL) OR (hash_version > 1 AND pepper_id IS NOT NULL)
+      );
+
+    CREATE INDEX tokens_live_pepper_idx ON tokens (hash_version, pepper_id) WHERE status = 'ACTIVE';
+
+    COMMENT ON COLUMN tokens.hash_version IS
+      '1 = SHA256(TOKEN_PEPPER + token + salt), 2 = HMAC-SHA256(pepper, token + salt), 3 = Argon2id with the pepper as secret.';
+    COMMENT ON COLUMN tokens.pepper_id IS
+      'Id of the TOKEN_HASH_PEPPERS entry the hash (and the numeric-token PIN hash) was keyed with. Not secret.';
+  `);
+};
+
+/**
+ * Rows hashed with version 2 or 3 cannot be verified by the legacy scheme; they are expired.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.raw(`UPDATE tokens SET status = 'EXPIRED' WHERE hash_version > 1 AND status = 'ACTIVE'`);
+    await knex.raw(`DROP INDEX IF EXISTS tokens_live_pepper_idx`);
+    await knex.raw(`ALTER TABLE tokens DROP CONSTRAINT IF EXISTS tokens_hash_version_pepper`);
+
+    await knex.schema.alterTable('tokens', (table) => {
+        table.dropColumn('pepper_id');
+        table.dropColumn('hash_version');
+    });
+};
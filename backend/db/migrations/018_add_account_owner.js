@@ -0,0 +1,33 @@
+/**
+ * Migration 018: Bind each account to the customer who owns it.
+ *
+ * owner_user_id is the "sub" claim of the owner's access token (an identity-provider id,
+ * hence text). Token generation and cancellation are only allowed for the owner. Existing
+ * accounts have no owner until one is assigned with PUT /api/v1/accounts/:id/owner, so no
+ * customer can issue tokens against them in the meantime.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.schema.alterTable('accounts', (table) => {
+        table.text('owner_user_id');
+        table.index(['owner_user_id'], 'accounts_owner_user_id_idx');
+    });
+
+    await knex.raw(`
+    COMMENT ON COLUMN accounts.owner_user_id IS
+      'Identity-provider user id ("sub" claim) allowed to issue and cancel tokens for this account.';
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.alterTable('accounts', (table) => {
+        table.dropIndex(['owner_user_id'], 'accounts_owner_user_id_idx');
+        table.dropColumn('owner_user_id');
+    });
+};
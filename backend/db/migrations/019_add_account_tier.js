@@ -0,0 +1,31 @@
+/**
+ * Migration 019: Withdrawal limit tier per account.
+ *
+ * tier names an entry of WITHDRAWAL_LIMIT_TIERS whose per-token, daily and monthly limits
+ * replace the configured defaults for this account. NULL (every existing account) means the
+ * defaults apply. Tiers live in configuration rather than a table so that limits change with
+ * a deploy, not a data edit; a tier removed from configuration falls back to the defaults.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.schema.alterTable('accounts', (table) => {
+        table.text('tier');
+    });
+
+    await knex.raw(`
+    COMMENT ON COLUMN accounts.tier IS
+      'Withdrawal limit tier (WITHDRAWAL_LIMIT_TIERS); NULL uses the default limits.';
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.alterTable('accounts', (table) => {
+        table.dropColumn('tier');
+    });
+};
@@ -0,0 +1,211 @@
+const { CURRENCIES } = require('../../config/currencies');
+
+/**
+ * Migration 020: Explicit currency and integer minor units.
+ *
+ * Amounts were numeric(15,2) with no currency, while the API only took integers, so it was
+ * unclear whether 100 meant 100 naira or 100 kobo. From here on:
+ * - accounts, tokens, transactions and agents carry an ISO 4217 currency. A token and its
+ *   ledger rows always share the account's currency (composite foreign keys), and an agent
+ *   only pays out tokens in the currency of its float.
+ * - Every money column is a bigint count of minor units of that currency (kobo, cents;
+ *   whole units for zero-exponent currencies such as UGX). Holds, float movements and
+ *   settlements are in the currency of their account or agent.
+ *
+ * Existing rows are in DEFAULT_CURRENCY and their amounts were in major units, so they are
+ * converted by 10^exponent of that currency. The currency columns have no default: every
+ * new row must state its currency. DEFAULT_CURRENCY is read from the environment alone (with
+ * the same NGN default as config/index.js), so migrating does not need the rest of the app
+ * configuration.
+ *
+ * The redeem_token() SQL helper from migration 001 is dropped. It inserts ledger rows without
+ * a currency and, having predated holds and agent float, never debited either; redemption
+ * only goes through TokenService. down() restores it as it was.
+ */
+
+// Money columns, all converted from major to minor units
+const MONEY_COLUMNS = {
+    accounts: ['balance', 'held_amount'],
+    account_holds: ['amount'],
+    tokens: ['amount'],
+    transactions: ['amount'],
+    agents: ['float_balance'],
+    agent_float_movements: ['amount', 'balance_after'],
+    agent_settlements: ['gross_amount', 'reversal_amount', 'net_amount', 'commission_amount']
+};
+
+const CURRENCY_TABLES = ['accounts', 'tokens', 'transactions', 'agents'];
+
+const existingCurrency = () => {
+    const currency = process.env.DEFAULT_CURRENCY || 'NGN';
+    if (!CURRENCIES[currency]) {
+        throw new Error(`DEFAULT_CURRENCY "${currency}" is not a known ISO 4217 currency`);
+    }
+    return currency;
+};
+
+// redeem_token() as created by migration 001, restored by down()
+const LEGACY_REDEEM_TOKEN = `
+    CREATE OR REPLACE FUNCTION redeem_token(
+      p_token_hash bytea,
+      p_agent_id text,
+      p_metadata jsonb DEFAULT '{}'::jsonb
+    )
+    RETURNS TABLE (
+      out_token_id uuid,
+      out_transaction_id uuid,
+      out_result redemption_result
+    )
+    LANGUAGE plpgsql
+    AS $$
+    DECLARE
+      v_token tokens%ROWTYPE;
+    BEGIN
+      /*
+        ACID redemption:
+        - Lock token row (FOR UPDATE) to serialize concurrent attempts.
+        - Validate ACTIVE + not expired.
+        - Mark token USED (used_at set) exactly once.
+        - Append ledger transaction (immutable).
+        - Append redemption_attempt for forensic evidence.
+      */
+
+      SELECT * INTO v_token
+      FROM tokens
+      WHERE token_hash = p_token_hash
+      FOR UPDATE;
+
+      IF NOT FOUND THEN
+        out_token_id := NULL;
+        out_transaction_id := NULL;
+        out_result := 'INVALID';
+        RETURN NEXT;
+        RETURN;
+      END IF;
+
+      IF v_token.status = 'USED' THEN
+        INSERT INTO redemption_attempts(token_id, agent_id, result, metadata)
+        VALUES (v_token.id, p_agent_id, 'USED', p_metadata);
+
+        out_token_id := v_token.id;
+        out_transaction_id := NULL;
+        out_result := 'USED';
+        RETURN NEXT;
+        RETURN;
+      END IF;
+
+      IF now() >= v_token.expires_at OR v_token.status = 'EXPIRED' THEN
+        UPDATE tokens SET status = 'EXPIRED'
+        WHERE id = v_token.id AND status <> 'USED';
+
+        INSERT INTO redemption_attempts(token_id, agent_id, result, metadata)
+        VALUES (v_token.id, p_agent_id, 'EXPIRED', p_metadata);
+
+        out_token_id := v_token.id;
+        out_transaction_id := NULL;
+        out_result := 'EXPIRED';
+        RETURN NEXT;
+        RETURN;
+      END IF;
+
+      UPDATE tokens
+      SET status = 'USED',
+          used_at = now()
+      WHERE id = v_token.id AND status = 'ACTIVE';
+
+      INSERT INTO transactions(account_id, token_id, type, amount, status)
+      VALUES (v_token.account_id, v_token.id, 'WITHDRAWAL', v_token.amount, 'SUCCESS')
+      RETURNING id INTO out_transaction_id;
+
+      INSERT INTO redemption_attempts(token_id, agent_id, result, metadata)
+      VALUES (v_token.id, p_agent_id, 'SUCCESS', p_metadata);
+
+      out_token_id := v_token.id;
+      out_result := 'SUCCESS';
+      RETURN NEXT;
+    END;
+    $$;
+
+    COMMENT ON FUNCTION redeem_token(bytea, text, jsonb) IS
+      'ACID-safe redemption helper: row locks + constrained states prevent double-spend; emits append-only ledger + attempt evidence for compliance.';
+`;
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    const currency = existingCurrency();
+    const factor = 10 ** CURRENCIES[currency].exponent;
+
+    await knex.raw('DROP FUNCTION IF EXISTS redeem_token(bytea, text, jsonb)');
+
+    for (const [table, columns] of Object.entries(MONEY_COLUMNS)) {
+        const alterations = columns
+            .map((column) => `ALTER COLUMN ${column} TYPE bigint USING round(${column} * ${factor})::bigint`)
+            .join(', ');
+        await knex.raw(`ALTER TABLE ${table} ${alterations}`);
+    }
+
+    for (const table of CURRENCY_TABLES) {
+        await knex.raw(`
+      ALTER TABLE ${table}
+        ADD COLUMN currency char(3) NOT NULL DEFAULT '${currency}',
+        ADD CONSTRAINT ${table}_currency_iso4217 CHECK (currency ~ '^[A-Z]{3}$');
+      ALTER TABLE ${table} ALTER COLUMN currency DROP DEFAULT;
+    `);
+    }
+
+    await knex.raw(`
+    ALTER TABLE accounts ADD CONSTRAINT accounts_id_currency_uq UNIQUE (id, currency);
+
+    ALTER TABLE tokens
+      ADD CONSTRAINT tokens_account_currency_fk FOREIGN KEY (account_id, currency)
+        REFERENCES accounts (id, currency) ON DELETE RESTRICT;
+
+    ALTER TABLE transactions
+      ADD CONSTRAINT transactions_account_currency_fk FOREIGN KEY (account_id, currency)
+        REFERENCES accounts (id, currency) ON DELETE RESTRICT;
+
+    COMMENT ON COLUMN accounts.currency IS
+      'ISO 4217 currency of the account. balance and held_amount are minor units of it. Fixed once tokens exist.';
+    COMMENT ON COLUMN tokens.currency IS
+      'ISO 4217 currency of amount (minor units); always the account currency.';
+    COMMENT ON COLUMN transactions.currency IS
+      'ISO 4217 currency of amount (minor units); always the account currency.';
+    COMMENT ON COLUMN agents.currency IS
+      'ISO 4217 currency of the cash the agent holds. float_balance is minor units of it; the agent only pays out tokens in this currency.';
+  `);
+};
+
+/**
+ * Converts back to numeric(15,2) major units. Only exact while every row is in the
+ * currency the migration was run with.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    const factor = 10 ** CURRENCIES[existingCurrency()].exponent;
+
+    await knex.raw(`
+    ALTER TABLE transactions DROP CONSTRAINT transactions_account_currency_fk;
+    ALTER TABLE tokens DROP CONSTRAINT tokens_account_currency_fk;
+    ALTER TABLE accounts DROP CONSTRAINT accounts_id_currency_uq;
+  `);
+
+    for (const table of CURRENCY_TABLES) {
+        await knex.schema.alterTable(table, (t) => {
+            t.dropColumn('currency');
+        });
+    }
+
+    for (const [table, columns] of Object.entries(MONEY_COLUMNS)) {
+        const alterations = columns
+            .map((column) => `ALTER COLUMN ${column} TYPE numeric(15,2) USING ${column}::numeric / ${factor}`)
+            .join(', ');
+        await knex.raw(`ALTER TABLE ${table} ${alterations}`);
+    }
+
+    await knex.raw(LEGACY_REDEEM_TOKEN);
+};
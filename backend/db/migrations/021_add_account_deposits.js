@@ -0,0 +1,66 @@
+/**
+ * Migration 021: DEPOSIT ledger entries, the funding source of account balances.
+ *
+ * Migration 005 started every account at a balance of 0 and nothing credited it, so no
+ * token could be issued. A deposit is a ledger row like any other: it has no token, names
+ * the external (core banking) reference it mirrors, and is recorded together with the
+ * balance credit it justifies. A reference can be deposited once per account, so a
+ * re-sent deposit or a re-run opening balance import never credits twice.
+ *
+ * Runs outside a transaction so the new enum value is committed before use (as migrations
+ * 004, 012 and 014 do).
+ */
+exports.config = { transaction: false };
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    await knex.raw(`ALTER TYPE transaction_type ADD VALUE IF NOT EXISTS 'DEPOSIT'`);
+
+    await knex.schema.alterTable('transactions', (table) => {
+        table.text('reference');
+    });
+
+    await knex.raw(`
+    ALTER TABLE transactions ALTER COLUMN token_id DROP NOT NULL;
+
+    ALTER TABLE transactions
+      ADD CONSTRAINT transactions_deposit_consistency CHECK (
+        (type = 'DEPOSIT' AND token_id IS NULL AND reference IS NOT NULL AND initiated_by IS NOT NULL)
+        OR (type <> 'DEPOSIT' AND token_id IS NOT NULL AND reference IS NULL)
+      );
+
+    CREATE UNIQUE INDEX transactions_deposit_reference_uq
+      ON transactions (account_id, reference)
+      WHERE type = 'DEPOSIT';
+
+    COMMENT ON COLUMN transactions.reference IS
+      'For DEPOSIT rows: the external reference credited. Unique per account, so a deposit is recorded at most once.';
+    COMMENT ON COLUMN transactions.initiated_by IS
+      'Operator who requested the REVERSAL or recorded the DEPOSIT. Required for both, for maker accountability.';
+  `);
+};
+
+/**
+ * Fails while DEPOSIT rows exist: the ledger is append-only and they cannot be removed.
+ * Postgres cannot drop enum values; DEPOSIT remains in transaction_type.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.raw(`
+    DROP INDEX IF EXISTS transactions_deposit_reference_uq;
+    ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_deposit_consistency;
+    ALTER TABLE transactions ALTER COLUMN token_id SET NOT NULL;
+
+    COMMENT ON COLUMN transactions.initiated_by IS
+      'Operator who requested the reversal. Required for REVERSAL rows for maker accountability.';
+  `);
+
+    await knex.schema.alterTable('transactions', (table) => {
+        table.dropColumn('reference');
+    });
+};
@@ -0,0 +1,56 @@
+/**
+ * Token Pepper Usage Report
+ *
+ * Pepper rotation:
+ * 1. Add the new pepper to TOKEN_HASH_PEPPERS and make it TOKEN_HASH_ACTIVE_PEPPER_ID.
+ *    New tokens are hashed under it; outstanding tokens keep verifying under theirs.
+ * 2. Run `npm run peppers:usage` until the old pepper has no live tokens (at most
+ *    TOKEN_EXPIRY_SECONDS after step 1), then remove it from TOKEN_HASH_PEPPERS.
+ *
+ * The same check runs at server startup and warns about live tokens whose pepper is no
+ * longer configured: those tokens can no longer be redeemed.
+ */
+
+const TokenService = require('../services/tokenService');
+const { logSystem, logSecurity, logError } = require('../utils/logger');
+
+/**
+ * Logs live token counts per hash version and pepper.
+ * @param {Object} db Knex instance
+ * @returns {Promise<Object[]>} See TokenService.getPepperUsage
+ */
+const reportPepperUsage = async (db) => {
+  const usage = await new TokenService(db).getPepperUsage();
+
+  logSystem('Token pepper usage', { component: 'token_hashing', usage });
+
+  const unconfigured = usage.filter((entry) => !entry.configured);
+  if (unconfigured.length > 0) {
+    logSecurity('error', 'Live tokens reference peppers that are not configured; they cannot be redeemed', {
+      component: 'token_hashing',
+      pepperIds: unconfigured.map((entry) => entry.pepperId),
+      liveTokens: unconfigured.reduce((sum, entry) => sum + entry.liveTokens, 0),
+    });
+  }
+
+  return usage;
+};
+
+if (require.main === module) {
+  const { getDb, close: closeDb } = require('../config/database');
+
+  reportPepperUsage(getDb())
+    .then(() => 0)
+    .catch((error) => {
+      logError(error, { component: 'token_hashing', action: 'pepper_usage' });
+      return 1;
+    })
+    .then(async (exitCode) => {
+      await closeDb();
+      process.exit(exitCode);
+    });
+}
+
+module.exports = {
+  reportPepperUsage,
+};
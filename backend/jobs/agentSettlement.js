@@ -0,0 +1,125 @@
+/**
+ * Agent Settlement Job
+ *
+ * Produces one agent_settlements row per agent for the previous UTC business day: number of
+ * redemptions paid out, gross and reversed amounts, net amount and commission. Figures come
+ * from the transactions ledger (WITHDRAWAL/REVERSAL rows attributed to the agent), never
+ * from agents.float_balance, so settlement is independent of float bookkeeping.
+ *
+ * Financial System Design Decisions:
+ * 1. Idempotent Runs: agent_settlements is unique per (agent, business day) and inserts use
+ *    ON CONFLICT DO NOTHING. Re-runs, overlapping instances and manual back-fills can never
+ *    settle an agent twice, so no leader lock is needed.
+ *
+ * 2. Closed Days Only: a day is settled once it has fully elapsed in UTC; the job runs on an
+ *    interval and each run simply (re)attempts the previous day.
+ *
+ * Usage:
+ * - In-process: set AGENT_SETTLEMENT_ENABLED=true and server.js starts it after listen
+ * - Standalone: `npm run settle:agents [YYYY-MM-DD]` settles one day and exits (cron friendly)
+ */
+
+const { logSystem, logError } = require('../utils/logger');
+const SettlementService = require('../services/settlementService');
+
+class AgentSettlementJob {
+  /**
+   * @param {import('knex').Knex} db - Knex instance
+   * @param {Object} options
+   * @param {number} options.intervalMs - Delay between runs when scheduled
+   * @param {number} options.commissionBps - Default commission for agents without their own rate
+   */
+  constructor(db, options) {
+    this.db = db;
+    this.options = options;
+    this.settlementService = new SettlementService(db);
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Settle one business day
+   * @param {string} businessDate - YYYY-MM-DD, defaults to the previous UTC day
+   * @returns {Promise<Object>} Run summary
+   */
+  async runOnce(businessDate = SettlementService.previousBusinessDate()) {
+    const startedAt = Date.now();
+
+    const { settled, alreadySettled } = await this.settlementService.settleDay(businessDate, {
+      defaultCommissionBps: this.options.commissionBps,
+    });
+
+    logSystem('Agent settlement run completed', {
+      component: 'agent_settlement',
+      businessDate,
+      settled: settled.length,
+      alreadySettled,
+      duration: Date.now() - startedAt,
+    });
+
+    return { businessDate, settled: settled.length, alreadySettled };
+  }
+
+  /**
+   * Schedule recurring runs. Runs never overlap within this process.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = async () => {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+      try {
+        await this.runOnce();
+      } catch (error) {
+        logError(error, { component: 'agent_settlement', action: 'run' });
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(tick, this.options.intervalMs);
+    // Do not keep the process alive just for settlement
+    this.timer.unref();
+
+    logSystem('Agent settlement job started', {
+      component: 'agent_settlement',
+      intervalMs: this.options.intervalMs,
+    });
+  }
+
+  /**
+   * Stop scheduling new runs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Settle a single day if called directly
+if (require.main === module) {
+  const config = require('../config');
+  const { getDb, close: closeDb } = require('../config/database');
+
+  const job = new AgentSettlementJob(getDb(), config.agentSettlement);
+
+  job.runOnce(process.argv[2] || undefined)
+    .then(() => 0)
+    .catch((error) => {
+      logError(error, { component: 'agent_settlement', action: 'run' });
+      return 1;
+    })
+    .then(async (exitCode) => {
+      await closeDb();
+      process.exit(exitCode);
+    });
+}
+
+module.exports = AgentSettlementJob;
@@ -0,0 +1,253 @@
+/**
+ * Token Expiry Sweeper
+ *
+ * Moves tokens that are past `expires_at` but still ACTIVE into the EXPIRED state.
+ * Redemption already refuses expired tokens under row lock, so the sweeper exists to keep
+ * stored state truthful for reporting, reconciliation and anything keyed off `status`.
+ *
+ * Financial System Design Decisions:
+ * 1. Batched Updates: Each batch touches at most `batchSize` rows
+ *    - Uses tokens_status_expires_at_idx to find candidates cheaply
+ *    - Short transactions keep lock hold time low on a hot table
+ *    - FOR UPDATE SKIP LOCKED never waits on a row an in-flight redemption holds
+ *
+ * 2. Leader Lock: A Redis lock (SET NX PX) ensures one instance sweeps at a time
+ *    - Released with a compare-and-delete script so an instance never frees another's lock
+ *    - If Redis is unavailable the sweep still runs: SKIP LOCKED keeps concurrent sweeps safe,
+ *      so losing the lock only costs duplicate work, never correctness
+ *
+ * 3. Holds Released Atomically: Expiring a token and releasing its funds hold happen in the
+ *    same transaction, so available balance is restored exactly when the token dies
+ *
+ * 4. Observability: Every batch emits a BUSINESS log and increments a Prometheus counter
+ *
+ * Usage:
+ * - In-process: set EXPIRY_SWEEPER_ENABLED=true and server.js starts it after listen
+ * - Standalone: `npm run sweep:expired` performs one run and exits (cron friendly)
+ */
+
+const crypto = require('crypto');
+const promClient = require('prom-client');
+const { logBusiness, logSystem, logError } = require('../utils/logger');
+const BalanceService = require('../services/balanceService');
+
+const LOCK_KEY = 'lock:expiry_sweeper';
+
+// Compare-and-delete: only the holder may release the lock
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0
+`;
+
+/**
+ * Counter is registered once per process on the default registry (exposed via /metrics)
+ */
+const getExpiredCounter = () => {
+  const name = 'cardless_tokens_expired_total';
+  return promClient.register.getSingleMetric(name) || new promClient.Counter({
+    name,
+    help: 'Number of ACTIVE tokens transitioned to EXPIRED by the expiry sweeper',
+  });
+};
+
+class ExpirySweeper {
+  /**
+   * @param {import('knex').Knex} db - Knex instance
+   * @param {import('ioredis').Redis} redis - Redis client used for the leader lock
+   * @param {Object} options
+   * @param {number} options.intervalMs - Delay between runs when scheduled
+   * @param {number} options.batchSize - Max rows updated per batch
+   * @param {number} options.maxBatches - Max batches per run
+   * @param {number} options.lockTtlMs - Leader lock TTL (must exceed a full run)
+   */
+  constructor(db, redis, options) {
+    this.db = db;
+    this.redis = redis;
+    this.options = options;
+    this.balanceService = new BalanceService(db);
+    this.instanceId = crypto.randomUUID();
+    this.timer = null;
+    this.running = false;
+    this.expiredCounter = getExpiredCounter();
+  }
+
+  /**
+   * Try to become the sweeping leader for this run
+   * @returns {Promise<boolean|null>} true if acquired, false if held elsewhere, null if Redis failed
+   */
+  async acquireLock() {
+    try {
+      const result = await this.redis.set(LOCK_KEY, this.instanceId, 'PX', this.options.lockTtlMs, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      logError(error, { component: 'expiry_sweeper', action: 'acquire_lock', severity: 'warning' });
+      return null;
+    }
+  }
+
+  /**
+   * Release the leader lock if this instance still holds it
+   */
+  async releaseLock() {
+    try {
+      await this.redis.eval(RELEASE_LOCK_SCRIPT, 1, LOCK_KEY, this.instanceId);
+    } catch (error) {
+      // Lock expires on its own; nothing else to do
+      logError(error, { component: 'expiry_sweeper', action: 'release_lock', severity: 'warning' });
+    }
+  }
+
+  /**
+   * Expire a single batch of stale ACTIVE tokens and release their holds
+   * @returns {Promise<number>} Number of tokens transitioned
+   */
+  async sweepBatch() {
+    return await this.db.transaction(async (trx) => {
+      const candidates = await trx('tokens')
+        .select('id')
+        .where({ status: 'ACTIVE' })
+        .andWhere('expires_at', '<=', new Date())
+        .orderBy('expires_at')
+        .limit(this.options.batchSize)
+        .forUpdate()
+        .skipLocked();
+
+      if (candidates.length === 0) {
+        return 0;
+      }
+
+      const tokenIds = candidates.map((candidate) => candidate.id);
+
+      await trx('tokens')
+        .whereIn('id', tokenIds)
+        .andWhere({ status: 'ACTIVE' }) // Re-check: never overwrite USED/CANCELLED
+        .update({ status: 'EXPIRED' });
+
+      await this.balanceService.releaseHolds(trx, tokenIds, 'EXPIRED');
+
+      return tokenIds.length;
+    });
+  }
+
+  /**
+   * Perform one sweep run: acquire the lock, expire batches until none remain
+   * (or maxBatches is reached), then release the lock.
+   * @returns {Promise<Object>} Run summary
+   */
+  async runOnce() {
+    const lock = await this.acquireLock();
+    if (lock === false) {
+      logSystem('Expiry sweep skipped, another instance holds the lock', {
+        component: 'expiry_sweeper',
+      });
+      return { skipped: true, expired: 0, batches: 0 };
+    }
+
+    const startedAt = Date.now();
+    let expired = 0;
+    let batches = 0;
+
+    try {
+      while (batches < this.options.maxBatches) {
+        const count = await this.sweepBatch();
+        batches++;
+
+        if (count > 0) {
+          expired += count;
+          this.expiredCounter.inc(count);
+          logBusiness('Expired stale withdrawal tokens', {
+            component: 'expiry_sweeper',
+            action: 'batch_expired',
+            batch: batches,
+            count,
+          });
+        }
+
+        if (count < this.options.batchSize) {
+          break;
+        }
+      }
+    } finally {
+      if (lock) {
+        await this.releaseLock();
+      }
+    }
+
+    logSystem('Expiry sweep completed', {
+      component: 'expiry_sweeper',
+      expired,
+      batches,
+      duration: Date.now() - startedAt,
+    });
+
+    return { skipped: false, expired, batches };
+  }
+
+  /**
+   * Schedule recurring runs. Runs never overlap within this process.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = async () => {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+      try {
+        await this.runOnce();
+      } catch (error) {
+        logError(error, { component: 'expiry_sweeper', action: 'run' });
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(tick, this.options.intervalMs);
+    // Do not keep the process alive just for the sweeper
+    this.timer.unref();
+
+    logSystem('Expiry sweeper started', {
+      component: 'expiry_sweeper',
+      intervalMs: this.options.intervalMs,
+      batchSize: this.options.batchSize,
+    });
+  }
+
+  /**
+   * Stop scheduling new runs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Run a single sweep if called directly
+if (require.main === module) {
+  const config = require('../config');
+  const { getDb, close: closeDb } = require('../config/database');
+  const { redis, close: closeRedis } = require('../config/redis');
+
+  const sweeper = new ExpirySweeper(getDb(), redis, config.expirySweeper);
+
+  sweeper.runOnce()
+    .then(() => 0)
+    .catch((error) => {
+      logError(error, { component: 'expiry_sweeper', action: 'run' });
+      return 1;
+    })
+    .then(async (exitCode) => {
+      await closeDb();
+      await closeRedis().catch(() => {});
+      process.exit(exitCode);
+    });
+}
+
+module.exports = ExpirySweeper;
@@ -0,0 +1,111 @@
+/**
+ * Agent Authentication Middleware
+ *
+ * Financial System Design Decisions:
+ * 1. Proof of Identity: Redemption moves cash, so the caller must prove it is a registered
+ *    agent. A free-text agentId in the body is no longer trusted; the authenticated agent
+ *    is attached to request.agent and used for attempts, risk decisions and challenges.
+ *
+ * 2. Two Credential Modes (same per-agent secret):
+ *    - API key: X-Agent-Id + X-Agent-Key. Simple, but the secret travels with every request.
+ *    - HMAC: X-Agent-Id + X-Agent-Timestamp + X-Agent-Signature over
+ *      "timestamp\nMETHOD\npath\nsha256(raw body)". The secret never leaves the device and a
+ *      captured request cannot be altered or replayed outside the clock-skew window.
+ *    AGENT_API_KEY_AUTH_ENABLED=false restricts redemption to signed requests.
+ *
+ * 3. Suspension: SUSPENDED agents are refused with 403 before any token lookup, so a
+ *    compromised terminal cannot probe tokens or feed the risk engine.
+ *
+ * 4. Body Binding: If the body still carries agentId (older clients), it must match the
+ *    authenticated agent.
+ */
+
+const AgentService = require('../services/agentService');
+const { getDb } = require('../config/database');
+const { logSecurity } = require('../utils/logger');
+
+/**
+ * JSON body parser that keeps the raw text for signature verification.
+ * Register it on the plugin whose routes use createAgentAuth.
+ */
+const parseJsonWithRawBody = (request, body, done) => {
+  request.rawBody = body;
+  try {
+    done(null, JSON.parse(body));
+  } catch (err) {
+    err.statusCode = 400;
+    done(err, undefined);
+  }
+};
+
+/**
+ * Creates the agent authentication preHandler
+ * @returns {Function} Fastify preHandler
+ */
+const createAgentAuth = () => async (request, reply) => {
+  const agentId = request.headers['x-agent-id'];
+  const apiKey = request.headers['x-agent-key'];
+  const signature = request.headers['x-agent-signature'];
+
+  const securityContext = {
+    agentId,
+    ip: request.ip,
+    path: request.routerPath || request.url,
+  };
+
+  if (!agentId || (!apiKey && !signature)) {
+    reply.code(401).send({
+      error: 'Unauthorized',
+      message: 'Agent credentials required (X-Agent-Id with X-Agent-Key or X-Agent-Signature)',
+    });
+    return reply;
+  }
+
+  const agentService = new AgentService(getDb());
+  const outcome = await agentService.authenticate({
+    agentId,
+    apiKey,
+    signature,
+    timestamp: request.headers['x-agent-timestamp'],
+    method: request.method,
+    url: request.url,
+    rawBody: request.rawBody || '',
+  });
+
+  switch (outcome.result) {
+    case 'AUTHENTICATED':
+      break;
+    case 'SUSPENDED':
+      logSecurity('warn', 'Suspended agent attempted redemption', securityContext);
+      reply.code(403).send({ error: 'Agent Suspended', message: 'This agent is suspended and cannot redeem tokens' });
+      return reply;
+    case 'STALE_SIGNATURE':
+      logSecurity('warn', 'Agent request signature outside the allowed clock skew', securityContext);
+      reply.code(401).send({ error: 'Unauthorized', message: 'Request timestamp is missing or outside the allowed window' });
+      return reply;
+    case 'METHOD_DISABLED':
+      reply.code(401).send({ error: 'Unauthorized', message: 'API-key authentication is disabled; sign the request' });
+      return reply;
+    default:
+      logSecurity('warn', 'Agent authentication failed', securityContext);
+      reply.code(401).send({ error: 'Unauthorized', message: 'Invalid agent credentials' });
+      return reply;
+  }
+
+  const bodyAgentId = request.body && request.body.agentId;
+  if (bodyAgentId && bodyAgentId !== outcome.agent.id) {
+    logSecurity('warn', 'Request body agentId does not match the authenticated agent', {
+      ...securityContext,
+      bodyAgentId,
+    });
+    reply.code(403).send({ error: 'Agent Mismatch', message: 'agentId does not match the authenticated agent' });
+    return reply;
+  }
+
+  request.agent = outcome.agent;
+};
+
+module.exports = {
+  createAgentAuth,
+  parseJsonWithRawBody,
+};
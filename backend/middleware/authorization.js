@@ -0,0 +1,122 @@
+/**
+ * Role-Based Access Control Middleware
+ *
+ * Financial System Design Decisions:
+ * 1. Route-Level Permissions: Every API route declares what it needs in its config,
+ *    e.g. `config: { permissions: ['tokens:redeem'] }`. The authorize preHandler runs after
+ *    authentication and refuses the request with 403 unless the caller's roles grant every
+ *    listed permission. Routes are checked at startup, so one cannot ship without a
+ *    declaration or without the check in its preHandler chain.
+ *
+ * 2. Roles, not Identities: Permissions are granted to roles only (ROLE_PERMISSIONS).
+ *    - customer: account holders issuing and cancelling their own tokens
+ *    - agent: cash agents redeeming tokens (authenticated with agent credentials)
+ *    - operations: staff managing accounts, agents and ledger corrections
+ *    - auditor: read-only access to accounts, agents and risk decisions
+ *
+ * 3. Role Sources: Agents are always and only "agent". Users get their roles from the
+ *    access token "roles" claim (customer when absent); a token can never claim "agent",
+ *    since redemption is bound to the agent credentials it was made with.
+ *
+ * 4. Ordering: authorize runs before idempotency hooks, so a replayed response is never
+ *    served to a caller who may not make the request.
+ */
+
+const { ROLES, ROLE_PERMISSIONS } = require('../config/roles');
+const { createUserAuth } = require('./userAuth');
+const { createAgentAuth } = require('./agentAuth');
+const { ForbiddenError } = require('../utils/errors');
+const { logSecurity } = require('../utils/logger');
+
+/**
+ * Roles of the authenticated caller
+ * @param {Object} request
+ * @returns {string[]}
+ */
+const rolesOf = (request) => {
+  if (request.agent) {
+    return [ROLES.AGENT];
+  }
+  return (request.user && request.user.roles) || [];
+};
+
+/**
+ * @param {string[]} roles
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const hasPermission = (roles, permission) => roles.some(
+  (role) => (ROLE_PERMISSIONS[role] || []).includes(permission)
+);
+
+/**
+ * Checks the route's config.permissions against the caller's roles. Must run after
+ * authentication.
+ * @param {Object} request
+ * @param {Object} reply
+ */
+const authorize = async (request, reply) => {
+  const required = request.routeOptions.config.permissions;
+  const roles = rolesOf(request);
+  const missing = required.filter((permission) => !hasPermission(roles, permission));
+
+  if (missing.length === 0) {
+    return;
+  }
+
+  logSecurity('warn', 'Caller lacks permission for route', {
+    userId: request.user && request.user.id,
+    agentId: request.agent && request.agent.id,
+    roles,
+    missing,
+    ip: request.ip,
+    path: request.routeOptions.url,
+  });
+
+  const error = new ForbiddenError(`Missing permission: ${missing.join(', ')}`);
+  reply.code(error.statusCode).send({ error: 'Forbidden', message: error.message });
+  return reply;
+};
+
+/**
+ * Creates a preHandler authenticating either a user (Authorization: Bearer) or an agent
+ * (X-Agent-Id with a key or signature), for routes both may call.
+ * @returns {Function} Fastify preHandler
+ */
+const createPrincipalAuth = () => {
+  const userAuth = createUserAuth();
+  const agentAuth = createAgentAuth();
+
+  return async (request, reply) => {
+    if (!request.headers.authorization && request.headers['x-agent-id']) {
+      return agentAuth(request, reply);
+    }
+    return userAuth(request, reply);
+  };
+};
+
+/**
+ * onRoute hook that fails startup for a route missing config.permissions, or declaring
+ * permissions without authorize in its preHandler chain.
+ * @param {Object} routeOptions
+ */
+const assertRoutePermissions = (routeOptions) => {
+  const permissions = routeOptions.config && routeOptions.config.permissions;
+  const route = `${routeOptions.method} ${routeOptions.url}`;
+
+  if (!Array.isArray(permissions)) {
+    throw new Error(`Route ${route} must declare config.permissions ([] for public routes)`);
+  }
+
+  const preHandlers = [].concat(routeOptions.preHandler || []);
+  if (permissions.length > 0 && !preHandlers.includes(authorize)) {
+    throw new Error(`Route ${route} declares permissions but does not run authorize`);
+  }
+};
+
+module.exports = {
+  authorize,
+  hasPermission,
+  createPrincipalAuth,
+  assertRoutePermissions,
+};
@@ -0,0 +1,122 @@
+/**
+ * Idempotency-Key Middleware
+ *
+ * Financial System Design Decisions:
+ * 1. Retry Safety: Mobile clients retry after timeouts without knowing whether the first
+ *    request landed. Replaying the stored response means a retry can never issue a second
+ *    token or record a second redemption.
+ *
+ * 2. Scoping: Keys are scoped to (key, accountId, route) so one client's key can never
+ *    replay another account's response.
+ *
+ * 3. Body Binding: A key reused with a different request body is rejected with 422 rather
+ *    than silently replaying an unrelated response.
+ *
+ * 4. Failure Handling: 5xx responses are not stored; the key is released so the client can
+ *    retry. 4xx responses are stored because they are deterministic for the same body.
+ *
+ * The header is optional: requests without it behave exactly as before.
+ */
+
+const IdempotencyService = require('../services/idempotencyService');
+const { getDb } = require('../config/database');
+const { logSecurity, logError } = require('../utils/logger');
+
+// Lazy load config to avoid circular dependencies
+const getConfig = () => require('../config');
+
+const HEADER = 'idempotency-key';
+
+/**
+ * Creates the preHandler/onSend hook pair for one route
+ * @param {Object} options
+ * @param {string} options.scope - Route identifier used to namespace keys
+ * @param {number} options.ttlSeconds - Replay window (defaults to IDEMPOTENCY_TTL_SECONDS)
+ * @returns {{ preHandler: Function, onSend: Function }}
+ */
+const createIdempotencyHooks = ({ scope, ttlSeconds } = {}) => {
+  const getTtl = () => ttlSeconds || getConfig().idempotency.ttlSeconds;
+
+  const preHandler = async (request, reply) => {
+    const key = request.headers[HEADER];
+    if (!key) {
+      return;
+    }
+
+    const accountId = request.body && request.body.accountId;
+    const context = {
+      key,
+      accountId,
+      scope,
+      requestHash: IdempotencyService.hashRequest(request.body),
+      ttlSeconds: getTtl(),
+    };
+
+    const idempotencyService = new IdempotencyService(getDb());
+    const outcome = await idempotencyService.begin(context);
+
+    switch (outcome.state) {
+      case 'NEW':
+        // Picked up by onSend to persist the response
+        request.idempotency = { ...context, recordId: outcome.recordId };
+        return;
+      case 'REPLAY':
+        reply.header('Idempotent-Replayed', 'true');
+        reply.code(outcome.statusCode).send(outcome.body);
+        return reply;
+      case 'MISMATCH':
+        logSecurity('warn', 'Idempotency key reused with a different request body', {
+          ip: request.ip,
+          path: request.routerPath || request.url,
+        });
+        reply.code(422).send({
+          error: 'Idempotency Key Reuse',
+          message: 'This Idempotency-Key was already used with a different request body',
+        });
+        return reply;
+      default:
+        reply.code(409).send({
+          error: 'Request In Progress',
+          message: 'A request with this Idempotency-Key is still being processed',
+        });
+        return reply;
+    }
+  };
+
+  const onSend = async (request, reply, payload) => {
+    const claim = request.idempotency;
+    if (!claim) {
+      return payload;
+    }
+    // Only persist once, even if onSend runs again for an error response
+    request.idempotency = null;
+
+    const idempotencyService = new IdempotencyService(getDb());
+
+    try {
+      if (reply.statusCode >= 500) {
+        await idempotencyService.abandon(claim.recordId);
+        return payload;
+      }
+
+      const body = typeof payload === 'string' ? JSON.parse(payload) : payload;
+      await idempotencyService.complete(claim, reply.statusCode, body);
+    } catch (error) {
+      // The original response still goes out; release the key rather than leave it IN_PROGRESS
+      logError(error, {
+        component: 'idempotency',
+        action: 'store_response',
+        request_id: request.id,
+      });
+      await idempotencyService.abandon(claim.recordId);
+    }
+
+    return payload;
+  };
+
+  return { preHandler, onSend };
+};
+
+module.exports = {
+  createIdempotencyHooks,
+};
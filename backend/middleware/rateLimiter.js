@@ -168,15 +168,17 @@ const strictRateLimiter = createRateLimiter({
 
 /**
  * Per-user rate limiter (for authenticated endpoints)
- * Limits requests per user ID instead of IP
+ * Limits requests per user ID instead of IP. The user ID comes from the verified access
+ * token (request.user, set by createUserAuth, which must run first); client-supplied
+ * headers are never trusted. Requests without a user fall back to the IP.
  */
 const createUserRateLimiter = (options = {}) => {
   return createRateLimiter({
     ...options,
     keyGenerator: (request) => {
-      const userId = request.user?.id || request.headers['x-user-id'];
+      const subject = request.user?.id ? `user:${request.user.id}` : `ip:${request.ip}`;
       const path = request.routerPath || request.url;
-      return `rate_limit:user:${userId}:${path}`;
+      return `rate_limit:${subject}:${path}`;
     },
   });
 };
@@ -0,0 +1,119 @@
+/**
+ * User Authentication Middleware
+ *
+ * Financial System Design Decisions:
+ * 1. Bearer Access Tokens: Customers and staff present an HS256 JWT issued by the identity
+ *    provider and signed with JWT_SECRET. The "sub" claim is the user id and the "roles"
+ *    claim the user's roles (config/roles.js; customer when absent). Both are attached to
+ *    request.user, the only identity downstream hooks (permissions, rate limits, ownership)
+ *    trust.
+ *
+ * 2. Strict Verification: The algorithm is pinned to HS256 so a token cannot choose its own
+ *    ("none" or an asymmetric key confusion). "sub" and "exp" are required, so every token
+ *    expires; JWT_ISSUER and JWT_AUDIENCE are checked when configured.
+ *
+ * 3. Account Ownership: Token generation and cancellation are only allowed on accounts whose
+ *    owner_user_id is the authenticated user. Any other account answers 404 exactly like an
+ *    unknown one, so account ids cannot be probed.
+ */
+
+const fastifyJwt = require('@fastify/jwt');
+const { ROLES, USER_ROLES } = require('../config/roles');
+const AccountService = require('../services/accountService');
+const { getDb } = require('../config/database');
+const { logSecurity } = require('../utils/logger');
+
+// Lazy load config to avoid circular dependencies
+const getConfig = () => require('../config');
+
+/**
+ * Roles from the "roles" claim; unknown roles are dropped. Tokens without the claim
+ * belong to customers.
+ * @param {*} claim
+ * @returns {string[]}
+ */
+const rolesFromClaim = (claim) => {
+  if (claim === undefined) {
+    return [ROLES.CUSTOMER];
+  }
+  return Array.isArray(claim) ? claim.filter((role) => USER_ROLES.includes(role)) : [];
+};
+
+/**
+ * Registers JWT verification (request.jwtVerify) on the root instance.
+ * Must run before the route plugins that use createUserAuth.
+ * @param {FastifyInstance} fastify
+ */
+const registerUserAuth = async (fastify) => {
+  const { jwtSecret, jwtIssuer, jwtAudience } = getConfig().security;
+
+  await fastify.register(fastifyJwt, {
+    secret: jwtSecret,
+    verify: {
+      algorithms: ['HS256'],
+      requiredClaims: ['sub', 'exp'],
+      ...(jwtIssuer && { allowedIss: jwtIssuer }),
+      ...(jwtAudience && { allowedAud: jwtAudience }),
+    },
+    formatUser: (payload) => ({ id: payload.sub, roles: rolesFromClaim(payload.roles) }),
+  });
+};
+
+/**
+ * Creates the user authentication preHandler
+ * @returns {Function} Fastify preHandler; sets request.user = { id, roles }
+ */
+const createUserAuth = () => async (request, reply) => {
+  const securityContext = {
+    ip: request.ip,
+    path: request.routerPath || request.url,
+  };
+
+  if (!request.headers.authorization) {
+    reply.code(401).send({ error: 'Unauthorized', message: 'Bearer access token required' });
+    return reply;
+  }
+
+  try {
+    await request.jwtVerify();
+  } catch (err) {
+    logSecurity('warn', 'Access token rejected', { ...securityContext, reason: err.code });
+    reply.code(401).send({ error: 'Unauthorized', message: 'Invalid or expired access token' });
+    return reply;
+  }
+
+  if (typeof request.user.id !== 'string' || request.user.id.length === 0) {
+    logSecurity('warn', 'Access token has no usable subject', securityContext);
+    reply.code(401).send({ error: 'Unauthorized', message: 'Invalid or expired access token' });
+    return reply;
+  }
+};
+
+/**
+ * Creates the preHandler that restricts a route to the owner of body.accountId.
+ * Runs after createUserAuth and the body schema (accountId is a required uuid).
+ * @returns {Function} Fastify preHandler
+ */
+const createAccountOwnershipCheck = () => async (request, reply) => {
+  const { accountId } = request.body;
+
+  const accountService = new AccountService(getDb());
+  if (await accountService.isOwnedBy(accountId, request.user.id)) {
+    return;
+  }
+
+  logSecurity('warn', 'User attempted to act on an account they do not own', {
+    userId: request.user.id,
+    accountId,
+    ip: request.ip,
+    path: request.routerPath || request.url,
+  });
+  reply.code(404).send({ error: 'Not Found', message: 'Account not found' });
+  return reply;
+};
+
+module.exports = {
+  registerUserAuth,
+  createUserAuth,
+  createAccountOwnershipCheck,
+};
@@ -0,0 +1,69 @@
+const AccountController = require('../controllers/accountController');
+const { authorize, createPrincipalAuth } = require('../middleware/authorization');
+const { createUserAuth } = require('../middleware/userAuth');
+const {
+    createAccountSchema,
+    listOwnedAccountsSchema,
+    getAccountSchema,
+    getAccountByRefSchema,
+    assignOwnerSchema,
+    assignTierSchema,
+    deactivateAccountSchema,
+    recordDepositSchema
+} = require('../schemas/accountSchemas');
+
+// Agents look accounts up to confirm a redemption, so reads also accept agent credentials
+const principalAuth = createPrincipalAuth();
+const userAuth = createUserAuth();
+
+async function accountRoutes(fastify) {
+    fastify.post('/', {
+        schema: createAccountSchema,
+        config: { permissions: ['accounts:manage'] },
+        preHandler: [userAuth, authorize]
+    }, AccountController.createAccount);
+
+    fastify.get('/mine', {
+        schema: listOwnedAccountsSchema,
+        config: { permissions: ['accounts:read-own'] },
+        preHandler: [userAuth, authorize]
+    }, AccountController.listOwnedAccounts);
+
+    fastify.get('/by-ref/:accountRef', {
+        schema: getAccountByRefSchema,
+        config: { permissions: ['accounts:read'] },
+        preHandler: [principalAuth, authorize]
+    }, AccountController.getAccountByRef);
+
+    fastify.get('/:id', {
+        schema: getAccountSchema,
+        config: { permissions: ['accounts:read'] },
+        preHandler: [principalAuth, authorize]
+    }, AccountController.getAccount);
+
+    fastify.put('/:id/owner', {
+        schema: assignOwnerSchema,
+        config: { permissions: ['accounts:manage'] },
+        preHandler: [userAuth, authorize]
+    }, AccountController.assignOwner);
+
+    fastify.put('/:id/tier', {
+        schema: assignTierSchema,
+        config: { permissions: ['accounts:manage'] },
+        preHandler: [userAuth, authorize]
+    }, AccountController.assignTier);
+
+    fastify.post('/:id/deactivate', {
+        schema: deactivateAccountSchema,
+        config: { permissions: ['accounts:manage'] },
+        preHandler: [userAuth, authorize]
+    }, AccountController.deactivateAccount);
+
+    fastify.post('/:id/deposits', {
+        schema: recordDepositSchema,
+        config: { permissions: ['accounts:fund'] },
+        preHandler: [userAuth, authorize]
+    }, AccountController.recordDeposit);
+}
+
+module.exports = accountRoutes;
@@ -0,0 +1,75 @@
+const AgentController = require('../controllers/agentController');
+const { createUserAuth } = require('../middleware/userAuth');
+const { authorize } = require('../middleware/authorization');
+const {
+    registerAgentSchema,
+    getAgentSchema,
+    suspendAgentSchema,
+    reactivateAgentSchema,
+    rotateCredentialsSchema,
+    getFloatSchema,
+    listFloatMovementsSchema,
+    topUpFloatSchema,
+    listSettlementsSchema
+} = require('../schemas/agentSchemas');
+
+// The agent registry is staff-only: operations manage agents, auditors can read
+const userAuth = createUserAuth();
+
+async function agentRoutes(fastify) {
+    fastify.post('/', {
+        schema: registerAgentSchema,
+        config: { permissions: ['agents:manage'] },
+        preHandler: [userAuth, authorize]
+    }, AgentController.registerAgent);
+
+    fastify.get('/:id', {
+        schema: getAgentSchema,
+        config: { permissions: ['agents:read'] },
+        preHandler: [userAuth, authorize]
+    }, AgentController.getAgent);
+
+    fastify.post('/:id/suspend', {
+        schema: suspendAgentSchema,
+        config: { permissions: ['agents:manage'] },
+        preHandler: [userAuth, authorize]
+    }, AgentController.suspendAgent);
+
+    fastify.post('/:id/reactivate', {
+        schema: reactivateAgentSchema,
+        config: { permissions: ['agents:manage'] },
+        preHandler: [userAuth, authorize]
+    }, AgentController.reactivateAgent);
+
+    fastify.post('/:id/rotate-credentials', {
+        schema: rotateCredentialsSchema,
+        config: { permissions: ['agents:manage'] },
+        preHandler: [userAuth, authorize]
+    }, AgentController.rotateCredentials);
+
+    fastify.get('/:id/float', {
+        schema: getFloatSchema,
+        config: { permissions: ['agents:read'] },
+        preHandler: [userAuth, authorize]
+    }, AgentController.getFloat);
+
+    fastify.get('/:id/float/movements', {
+        schema: listFloatMovementsSchema,
+        config: { permissions: ['agents:read'] },
+        preHandler: [userAuth, authorize]
+    }, AgentController.listFloatMovements);
+
+    fastify.post('/:id/float/top-ups', {
+        schema: topUpFloatSchema,
+        config: { permissions: ['agents:manage'] },
+        preHandler: [userAuth, authorize]
+    }, AgentController.topUpFloat);
+
+    fastify.get('/:id/settlements', {
+        schema: listSettlementsSchema,
+        config: { permissions: ['agents:read'] },
+        preHandler: [userAuth, authorize]
+    }, AgentController.listSettlements);
+}
+
+module.exports = agentRoutes;
@@ -14,6 +14,8 @@
  */
 
 const healthRoutes = require('./health');
+const { registerUserAuth } = require('../middleware/userAuth');
+const { assertRoutePermissions } = require('../middleware/authorization');
 
 /**
  * Register all routes with Fastify instance
@@ -24,8 +26,22 @@ const registerRoutes = async (fastify) => {
   fastify.get('/health', healthRoutes.healthCheck);
   fastify.get('/ready', healthRoutes.readinessCheck);
 
+  // User access tokens, verified by createUserAuth in the route modules
+  await registerUserAuth(fastify);
+
+  // Every API route must declare its permissions (see middleware/authorization.js)
+  fastify.addHook('onRoute', (routeOptions) => {
+    if (routeOptions.url.startsWith('/api/')) {
+      assertRoutePermissions(routeOptions);
+    }
+  });
+
   // Example: Register other route modules here
   fastify.register(require('./token'), { prefix: '/api/v1/tokens' });
+  fastify.register(require('./account'), { prefix: '/api/v1/accounts' });
+  fastify.register(require('./transaction'), { prefix: '/api/v1/transactions' });
+  fastify.register(require('./risk'), { prefix: '/api/v1/risk' });
+  fastify.register(require('./agent'), { prefix: '/api/v1/agents' });
 };
 
 module.exports = registerRoutes;
@@ -0,0 +1,28 @@
+const RiskController = require('../controllers/riskController');
+const { createUserAuth } = require('../middleware/userAuth');
+const { authorize } = require('../middleware/authorization');
+const { shadowReportSchema, listDecisionsSchema, getDecisionSchema } = require('../schemas/riskSchemas');
+
+const userAuth = createUserAuth();
+
+async function riskRoutes(fastify) {
+    fastify.get('/shadow-report', {
+        schema: shadowReportSchema,
+        config: { permissions: ['risk:read'] },
+        preHandler: [userAuth, authorize]
+    }, RiskController.getShadowReport);
+
+    fastify.get('/decisions', {
+        schema: listDecisionsSchema,
+        config: { permissions: ['risk:read'] },
+        preHandler: [userAuth, authorize]
+    }, RiskController.listDecisions);
+
+    fastify.get('/decisions/:id', {
+        schema: getDecisionSchema,
+        config: { permissions: ['risk:read'] },
+        preHandler: [userAuth, authorize]
+    }, RiskController.getDecision);
+}
+
+module.exports = riskRoutes;
@@ -1,5 +1,10 @@
+const config = require('../config');
 const TokenController = require('../controllers/tokenController');
-const { createRateLimiter } = require('../middleware/rateLimiter');
+const { createRateLimiter, createUserRateLimiter } = require('../middleware/rateLimiter');
+const { createIdempotencyHooks } = require('../middleware/idempotency');
+const { createAgentAuth, parseJsonWithRawBody } = require('../middleware/agentAuth');
+const { createUserAuth, createAccountOwnershipCheck } = require('../middleware/userAuth');
+const { authorize } = require('../middleware/authorization');
 
 /**
  * Custom strict rate limiter specifically for redemption to prevent brute force testing.
@@ -12,18 +17,23 @@ const redemptionIpRateLimiter = createRateLimiter({
 });
 
 /**
- * Custom limit per agent/machine attempting redemptions
+ * Custom limit per agent/machine attempting redemptions.
+ * Runs after agent authentication, so the key is the authenticated agent.
  */
 const redemptionAgentRateLimiter = createRateLimiter({
     windowMs: 60000,
     maxRequests: 10,
     keyGenerator: (request) => {
-        // If agentId lacks, fallback to IP (though Joi schema rejects missing agentId anyway)
-        const agentId = (request.body && request.body.agentId) || request.ip;
+        const agentId = (request.agent && request.agent.id) || request.ip;
         return `redeem:agent:${agentId}`;
     }
 });
 
+/**
+ * Redemption is only available to registered, ACTIVE agents (API key or HMAC signature)
+ */
+const agentAuth = createAgentAuth();
+
 /**
  * Custom limit per user account attempting redemptions (prevents distributed brute force targeting 1 account)
  */
@@ -36,25 +46,103 @@ const redemptionUserRateLimiter = createRateLimiter({
     }
 });
 
-const { generateTokenSchema, redeemTokenSchema } = require('../schemas/tokenSchemas');
+/**
+ * Numeric tokens carry less entropy than alphanumeric ones, so redemptions presenting one are
+ * additionally limited per account (NUMERIC_TOKEN_RATE_LIMIT_MAX per minute).
+ * Numeric tokens are the only ones without a hyphen.
+ */
+const numericRedemptionRateLimiter = createRateLimiter({
+    windowMs: 60000,
+    maxRequests: config.token.numeric.rateLimitMax,
+    keyGenerator: (request) => `redeem:numeric:${request.body.accountId || request.ip}`
+});
+
+const redemptionNumericRateLimiter = async (request, reply) => {
+    const token = request.body && request.body.token;
+    if (typeof token === 'string' && !token.includes('-')) {
+        return numericRedemptionRateLimiter(request, reply);
+    }
+};
+
+/**
+ * Generation, QR rendering and cancellation are customer actions: a verified access token is
+ * required and the account in the body must belong to that user.
+ */
+const userAuth = createUserAuth();
+const accountOwnership = createAccountOwnershipCheck();
+
+/**
+ * Limit per authenticated user generating tokens, whichever of their accounts is used
+ */
+const generationUserRateLimiter = createUserRateLimiter({
+    windowMs: 60000,
+    maxRequests: 10
+});
+
+const {
+    generateTokenSchema,
+    redeemTokenSchema,
+    verifyRedemptionSchema,
+    cancelTokenSchema,
+    renderQrCodeSchema
+} = require('../schemas/tokenSchemas');
+
+/**
+ * Idempotency-Key support: retries replay the first response instead of executing again.
+ * Runs after the rate limiters so replays still count towards brute-force limits.
+ */
+const generateIdempotency = createIdempotencyHooks({ scope: 'tokens:generate' });
+const redeemIdempotency = createIdempotencyHooks({ scope: 'tokens:redeem' });
+const verifyIdempotency = createIdempotencyHooks({ scope: 'tokens:redeem-verify' });
 
 async function tokenRoutes(fastify, options) {
+    // Signed agent requests are verified against the exact body bytes
+    fastify.addContentTypeParser('application/json', { parseAs: 'string' }, parseJsonWithRawBody);
+
     // We apply the rate limiters explicitly via `preHandler` hooks.
+    // The IP limiter runs before authentication so credential guessing is throttled too.
     const rateLimiterHooks = [
         redemptionIpRateLimiter,
+        agentAuth,
+        authorize,
         redemptionAgentRateLimiter,
-        redemptionUserRateLimiter
+        redemptionUserRateLimiter,
+        redemptionNumericRateLimiter
     ];
 
     fastify.post('/redeem-token', {
         schema: redeemTokenSchema,
-        preHandler: rateLimiterHooks
+        config: { permissions: ['tokens:redeem'] },
+        preHandler: [...rateLimiterHooks, redeemIdempotency.preHandler],
+        onSend: redeemIdempotency.onSend
     }, TokenController.redeemToken);
 
-    // Exposing token generation as well for testing integration completeness
+    // OTP guesses share the redemption limiters, so step-up cannot be brute forced around them
+    fastify.post('/redeem-token/verify', {
+        schema: verifyRedemptionSchema,
+        config: { permissions: ['tokens:redeem'] },
+        preHandler: [...rateLimiterHooks, verifyIdempotency.preHandler],
+        onSend: verifyIdempotency.onSend
+    }, TokenController.verifyRedemptionChallenge);
+
     fastify.post('/', {
-        schema: generateTokenSchema
+        schema: generateTokenSchema,
+        config: { permissions: ['tokens:generate'] },
+        preHandler: [userAuth, authorize, generationUserRateLimiter, accountOwnership, generateIdempotency.preHandler],
+        onSend: generateIdempotency.onSend
     }, TokenController.generateToken);
+
+    fastify.post('/qr', {
+        schema: renderQrCodeSchema,
+        config: { permissions: ['tokens:generate'] },
+        preHandler: [userAuth, authorize, accountOwnership]
+    }, TokenController.renderQrCode);
+
+    fastify.post('/:id/cancel', {
+        schema: cancelTokenSchema,
+        config: { permissions: ['tokens:cancel'] },
+        preHandler: [userAuth, authorize, accountOwnership]
+    }, TokenController.cancelToken);
 }
 
 module.exports = tokenRoutes;
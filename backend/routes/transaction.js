@@ -0,0 +1,16 @@
+const TransactionController = require('../controllers/transactionController');
+const { createUserAuth } = require('../middleware/userAuth');
+const { authorize } = require('../middleware/authorization');
+const { reverseTransactionSchema } = require('../schemas/transactionSchemas');
+
+const userAuth = createUserAuth();
+
+async function transactionRoutes(fastify) {
+    fastify.post('/:id/reverse', {
+        schema: reverseTransactionSchema,
+        config: { permissions: ['transactions:reverse'] },
+        preHandler: [userAuth, authorize]
+    }, TransactionController.reverseTransaction);
+}
+
+module.exports = transactionRoutes;
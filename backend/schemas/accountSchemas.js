@@ -0,0 +1,207 @@
+/**
+ * Account Schema Definitions
+ *
+ * Fastify JSON schemas for the account management API.
+ * Balances are returned read-only; they only change through deposits and token and ledger
+ * operations. They are integers in minor units of the account currency.
+ */
+
+const accountProperties = {
+    id: { type: 'string', format: 'uuid' },
+    accountRef: { type: 'string' },
+    status: { type: 'string', enum: ['ACTIVE', 'INACTIVE'] },
+    ownerUserId: { type: ['string', 'null'], description: 'User allowed to issue tokens; null until assigned' },
+    tier: { type: ['string', 'null'], description: 'Withdrawal limit tier; null uses the default limits' },
+    currency: { type: 'string', description: 'ISO 4217 code; balances are minor units of it' },
+    balance: { type: 'integer' },
+    heldAmount: { type: 'integer' },
+    available: { type: 'integer' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' }
+};
+
+const accountResponse = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        data: {
+            type: 'object',
+            properties: accountProperties
+        }
+    }
+};
+
+const accountListResponse = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        data: {
+            type: 'array',
+            items: { type: 'object', properties: accountProperties }
+        }
+    }
+};
+
+const errorResponse = {
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        message: { type: 'string' }
+    }
+};
+
+const accountIdParams = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', format: 'uuid' }
+    }
+};
+
+const createAccountSchema = {
+    description: 'Register an account by its external (core banking) reference',
+    tags: ['accounts'],
+    body: {
+        type: 'object',
+        required: ['accountRef'],
+        properties: {
+            accountRef: { type: 'string', minLength: 1, maxLength: 64 },
+            ownerUserId: { type: 'string', minLength: 1, maxLength: 255, description: 'Access token "sub" of the account holder' },
+            currency: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 code (SUPPORTED_CURRENCIES); defaults to DEFAULT_CURRENCY' }
+        },
+        additionalProperties: false
+    },
+    response: {
+        201: accountResponse,
+        409: { description: 'Account reference already registered', ...errorResponse }
+    }
+};
+
+const listOwnedAccountsSchema = {
+    description: 'List the accounts owned by the authenticated customer',
+    tags: ['accounts'],
+    response: {
+        200: accountListResponse
+    }
+};
+
+const getAccountSchema = {
+    description: 'Fetch an account by id',
+    tags: ['accounts'],
+    params: accountIdParams,
+    response: {
+        200: accountResponse,
+        404: { description: 'Account not found', ...errorResponse }
+    }
+};
+
+const getAccountByRefSchema = {
+    description: 'Fetch an account by its external reference',
+    tags: ['accounts'],
+    params: {
+        type: 'object',
+        required: ['accountRef'],
+        properties: {
+            accountRef: { type: 'string', minLength: 1, maxLength: 64 }
+        }
+    },
+    response: {
+        200: accountResponse,
+        404: { description: 'Account not found', ...errorResponse }
+    }
+};
+
+const assignOwnerSchema = {
+    description: 'Set the user allowed to issue and cancel tokens for an account',
+    tags: ['accounts'],
+    params: accountIdParams,
+    body: {
+        type: 'object',
+        required: ['ownerUserId'],
+        properties: {
+            ownerUserId: { type: 'string', minLength: 1, maxLength: 255, description: 'Access token "sub" of the account holder' }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: accountResponse,
+        404: { description: 'Account not found', ...errorResponse }
+    }
+};
+
+const assignTierSchema = {
+    description: 'Set the withdrawal limit tier of an account (null for the default limits)',
+    tags: ['accounts'],
+    params: accountIdParams,
+    body: {
+        type: 'object',
+        required: ['tier'],
+        properties: {
+            tier: { type: ['string', 'null'], description: 'A tier configured in WITHDRAWAL_LIMIT_TIERS' }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: accountResponse,
+        404: { description: 'Account not found', ...errorResponse }
+    }
+};
+
+const deactivateAccountSchema = {
+    description: 'Deactivate an account. Blocks token generation and redemption.',
+    tags: ['accounts'],
+    params: accountIdParams,
+    response: {
+        200: accountResponse,
+        404: { description: 'Account not found', ...errorResponse }
+    }
+};
+
+const recordDepositSchema = {
+    description: 'Record money paid into an account; credits its balance through a DEPOSIT ledger entry',
+    tags: ['accounts'],
+    params: accountIdParams,
+    body: {
+        type: 'object',
+        required: ['amount', 'reference'],
+        properties: {
+            amount: { type: 'integer', minimum: 1, description: 'Minor units of the account currency' },
+            reference: { type: 'string', minLength: 1, maxLength: 128, description: 'Core banking reference; recorded once per account' }
+        },
+        additionalProperties: false
+    },
+    response: {
+        201: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid', description: 'DEPOSIT ledger entry' },
+                        accountId: { type: 'string', format: 'uuid' },
+                        amount: { type: 'integer' },
+                        currency: { type: 'string' },
+                        reference: { type: 'string' },
+                        initiatedBy: { type: 'string' },
+                        balanceAfter: { type: 'integer' },
+                        createdAt: { type: 'string', format: 'date-time' }
+                    }
+                }
+            }
+        },
+        404: { description: 'Account not found', ...errorResponse },
+        409: { description: 'A deposit with this reference was already recorded', ...errorResponse }
+    }
+};
+
+module.exports = {
+    createAccountSchema,
+    listOwnedAccountsSchema,
+    getAccountSchema,
+    getAccountByRefSchema,
+    assignOwnerSchema,
+    assignTierSchema,
+    deactivateAccountSchema,
+    recordDepositSchema
+};
@@ -0,0 +1,271 @@
+/**
+ * Agent Schema Definitions
+ *
+ * Fastify JSON schemas for the agent registry API.
+ * Credential secrets are only ever returned by registration and rotation.
+ */
+
+const agentProperties = {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    location: { type: ['string', 'null'] },
+    status: { type: 'string', enum: ['ACTIVE', 'SUSPENDED'] },
+    currency: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 currency of the float; only tokens in it are paid out' },
+    floatBalance: { type: 'integer', description: 'Cash currently held for payouts, in minor units' },
+    commissionBps: { type: ['integer', 'null'], description: 'Agent-specific commission; null uses the default' },
+    suspendedReason: { type: ['string', 'null'] },
+    suspendedAt: { type: ['string', 'null'], format: 'date-time' },
+    credentialRotatedAt: { type: 'string', format: 'date-time' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' }
+};
+
+const agentResponse = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        data: {
+            type: 'object',
+            properties: agentProperties
+        }
+    }
+};
+
+const agentWithSecretResponse = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        data: {
+            type: 'object',
+            properties: {
+                ...agentProperties,
+                secret: { type: 'string', description: 'Credential secret; store it on the agent device, it is not shown again' }
+            }
+        }
+    }
+};
+
+const errorResponse = {
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        message: { type: 'string' }
+    }
+};
+
+const floatMovementProperties = {
+    id: { type: 'string', format: 'uuid' },
+    agentId: { type: 'string' },
+    type: { type: 'string', enum: ['TOP_UP', 'REDEMPTION', 'REVERSAL'] },
+    amount: { type: 'integer', description: 'Minor units of the agent currency' },
+    balanceAfter: { type: 'integer' },
+    transactionId: { type: ['string', 'null'], format: 'uuid' },
+    reference: { type: ['string', 'null'] },
+    performedBy: { type: ['string', 'null'] },
+    createdAt: { type: 'string', format: 'date-time' }
+};
+
+const settlementProperties = {
+    id: { type: 'string', format: 'uuid' },
+    agentId: { type: 'string' },
+    businessDate: { type: 'string', format: 'date' },
+    redemptionCount: { type: 'integer' },
+    grossAmount: { type: 'integer', description: 'Minor units of the agent currency, like every amount here' },
+    reversalCount: { type: 'integer' },
+    reversalAmount: { type: 'integer' },
+    netAmount: { type: 'integer' },
+    commissionBps: { type: 'integer' },
+    commissionAmount: { type: 'integer' },
+    createdAt: { type: 'string', format: 'date-time' }
+};
+
+const paginationQuery = {
+    limit: { type: 'integer', minimum: 1, maximum: 100 },
+    offset: { type: 'integer', minimum: 0 }
+};
+
+const agentIdParams = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', pattern: '^[A-Za-z0-9._:-]{1,64}$' }
+    }
+};
+
+const registerAgentSchema = {
+    description: 'Register a redemption agent and issue its credential secret',
+    tags: ['agents'],
+    body: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+            id: { type: 'string', pattern: '^[A-Za-z0-9._:-]{1,64}$' },
+            name: { type: 'string', minLength: 1, maxLength: 128 },
+            location: { type: 'string', maxLength: 255 },
+            currency: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 currency of the cash the agent holds; defaults to DEFAULT_CURRENCY' },
+            commissionBps: { type: 'integer', minimum: 0, maximum: 10000 }
+        },
+        additionalProperties: false
+    },
+    response: {
+        201: agentWithSecretResponse,
+        409: { description: 'Agent id already registered', ...errorResponse }
+    }
+};
+
+const getAgentSchema = {
+    description: 'Fetch an agent by id',
+    tags: ['agents'],
+    params: agentIdParams,
+    response: {
+        200: agentResponse,
+        404: { description: 'Agent not found', ...errorResponse }
+    }
+};
+
+const suspendAgentSchema = {
+    description: 'Suspend an agent. Its redemption requests are refused with 403.',
+    tags: ['agents'],
+    params: agentIdParams,
+    body: {
+        type: 'object',
+        required: ['reason'],
+        properties: {
+            reason: { type: 'string', minLength: 1, maxLength: 255 }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: agentResponse,
+        404: { description: 'Agent not found', ...errorResponse }
+    }
+};
+
+const reactivateAgentSchema = {
+    description: 'Return a suspended agent to ACTIVE',
+    tags: ['agents'],
+    params: agentIdParams,
+    response: {
+        200: agentResponse,
+        404: { description: 'Agent not found', ...errorResponse }
+    }
+};
+
+const rotateCredentialsSchema = {
+    description: 'Issue a new credential secret; the previous one stops working immediately',
+    tags: ['agents'],
+    params: agentIdParams,
+    response: {
+        200: agentWithSecretResponse,
+        404: { description: 'Agent not found', ...errorResponse }
+    }
+};
+
+const getFloatSchema = {
+    description: 'Current cash float of an agent',
+    tags: ['agents'],
+    params: agentIdParams,
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: {
+                    type: 'object',
+                    properties: {
+                        agentId: { type: 'string' },
+                        floatBalance: { type: 'number' }
+                    }
+                }
+            }
+        },
+        404: { description: 'Agent not found', ...errorResponse }
+    }
+};
+
+const listFloatMovementsSchema = {
+    description: 'Float movements (top-ups, redemptions, reversals), newest first',
+    tags: ['agents'],
+    params: agentIdParams,
+    querystring: {
+        type: 'object',
+        properties: paginationQuery
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: {
+                    type: 'array',
+                    items: { type: 'object', properties: floatMovementProperties }
+                }
+            }
+        },
+        404: { description: 'Agent not found', ...errorResponse }
+    }
+};
+
+const topUpFloatSchema = {
+    description: 'Record cash delivered to an agent; credits its float',
+    tags: ['agents'],
+    params: agentIdParams,
+    body: {
+        type: 'object',
+        required: ['amount', 'reference'],
+        properties: {
+            amount: { type: 'integer', minimum: 1, description: 'Minor units of the agent currency' },
+            reference: { type: 'string', minLength: 1, maxLength: 128, description: 'Cash delivery reference' }
+        },
+        additionalProperties: false
+    },
+    response: {
+        201: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: { type: 'object', properties: floatMovementProperties }
+            }
+        },
+        404: { description: 'Agent not found', ...errorResponse }
+    }
+};
+
+const listSettlementsSchema = {
+    description: 'Daily settlements of an agent, newest business day first',
+    tags: ['agents'],
+    params: agentIdParams,
+    querystring: {
+        type: 'object',
+        properties: {
+            from: { type: 'string', format: 'date', description: 'First business day (inclusive)' },
+            to: { type: 'string', format: 'date', description: 'Last business day (inclusive)' },
+            ...paginationQuery
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: {
+                    type: 'array',
+                    items: { type: 'object', properties: settlementProperties }
+                }
+            }
+        },
+        404: { description: 'Agent not found', ...errorResponse }
+    }
+};
+
+module.exports = {
+    registerAgentSchema,
+    getAgentSchema,
+    suspendAgentSchema,
+    reactivateAgentSchema,
+    rotateCredentialsSchema,
+    getFloatSchema,
+    listFloatMovementsSchema,
+    topUpFloatSchema,
+    listSettlementsSchema
+};
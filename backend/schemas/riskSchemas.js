@@ -0,0 +1,163 @@
+/**
+ * Risk Schema Definitions
+ *
+ * Fastify JSON schemas for risk analytics endpoints used by the fraud team.
+ */
+
+const decisionRates = {
+    type: 'object',
+    properties: ['APPROVE', 'CHALLENGE', 'REJECT'].reduce((acc, decision) => ({
+        ...acc,
+        [decision]: {
+            type: 'object',
+            properties: {
+                count: { type: 'integer' },
+                rate: { type: 'number' }
+            }
+        }
+    }), {})
+};
+
+const errorResponse = {
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        message: { type: 'string' }
+    }
+};
+
+const shadowReportSchema = {
+    description: 'Compare enforcing and shadow risk policy decisions over a time window (defaults to the last 24h)',
+    tags: ['risk'],
+    querystring: {
+        type: 'object',
+        properties: {
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' },
+            shadowPolicyVersion: { type: 'string', maxLength: 128 }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: {
+                    type: 'object',
+                    properties: {
+                        from: { type: 'string', format: 'date-time' },
+                        to: { type: 'string', format: 'date-time' },
+                        comparisons: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    enforcingPolicyVersion: { type: 'string' },
+                                    shadowPolicyVersion: { type: 'string' },
+                                    evaluations: { type: 'integer' },
+                                    enforcing: decisionRates,
+                                    shadow: decisionRates,
+                                    agreementRate: { type: 'number' },
+                                    disagreements: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                enforcingDecision: { type: 'string' },
+                                                shadowDecision: { type: 'string' },
+                                                count: { type: 'integer' }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        400: { description: 'Invalid or too wide report window', ...errorResponse }
+    }
+};
+
+const decisionProperties = {
+    id: { type: 'string', format: 'uuid' },
+    accountId: { type: 'string', format: 'uuid' },
+    agentId: { type: 'string' },
+    tokenId: { type: ['string', 'null'], format: 'uuid' },
+    score: { type: 'number' },
+    decision: { type: 'string', enum: ['APPROVE', 'CHALLENGE', 'REJECT'] },
+    reasons: { type: 'array', items: { type: 'string' } },
+    signals: { type: 'object', additionalProperties: true },
+    policyVersion: { type: 'string' },
+    createdAt: { type: 'string', format: 'date-time' }
+};
+
+const listDecisionsSchema = {
+    description: 'Search persisted risk decisions (newest first) to investigate approvals, challenges and rejections',
+    tags: ['risk'],
+    querystring: {
+        type: 'object',
+        properties: {
+            accountId: { type: 'string', format: 'uuid' },
+            agentId: { type: 'string', maxLength: 128 },
+            tokenId: { type: 'string', format: 'uuid' },
+            decision: { type: 'string', enum: ['APPROVE', 'CHALLENGE', 'REJECT'] },
+            policyVersion: { type: 'string', maxLength: 128 },
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' },
+            limit: { type: 'integer', minimum: 1, maximum: 200 },
+            offset: { type: 'integer', minimum: 0 }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: {
+                    type: 'array',
+                    items: { type: 'object', properties: decisionProperties }
+                },
+                pagination: {
+                    type: 'object',
+                    properties: {
+                        limit: { type: 'integer' },
+                        offset: { type: 'integer' }
+                    }
+                }
+            }
+        },
+        400: { description: 'Invalid filters', ...errorResponse }
+    }
+};
+
+const getDecisionSchema = {
+    description: 'Fetch one risk decision, including the signal values and policy version behind it',
+    tags: ['risk'],
+    params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { type: 'string', format: 'uuid' }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: { type: 'object', properties: decisionProperties }
+            }
+        },
+        404: { description: 'Risk decision not found', ...errorResponse }
+    }
+};
+
+module.exports = {
+    shadowReportSchema,
+    listDecisionsSchema,
+    getDecisionSchema
+};
@@ -7,15 +7,134 @@
  * 3. Standardized Error Formats: 400 for validation errors, 403 for risk, etc.
  */
 
+const config = require('../config');
+const { createTokenFormat, createNumericTokenFormat } = require('../config/tokenFormat');
+
+/**
+ * Optional Idempotency-Key header accepted by the money-moving routes
+ */
+const idempotencyHeaders = {
+    type: 'object',
+    properties: {
+        'idempotency-key': { type: 'string', minLength: 1, maxLength: 255 }
+    }
+};
+
+/**
+ * Agent credentials required on redemption routes: X-Agent-Key, or an HMAC signature
+ */
+const agentAuthHeaders = {
+    type: 'object',
+    required: ['x-agent-id'],
+    properties: {
+        ...idempotencyHeaders.properties,
+        'x-agent-id': { type: 'string', minLength: 1, maxLength: 64 },
+        'x-agent-key': { type: 'string' },
+        'x-agent-timestamp': { type: 'string', pattern: '^[0-9]{1,12}$' },
+        'x-agent-signature': { type: 'string', pattern: '^[0-9a-fA-F]{64}$' }
+    }
+};
+
+/**
+ * Redemption refused because the agent's cash float cannot cover the token (or key reuse)
+ */
+const redemptionUnprocessableResponse = {
+    description: 'Agent float cannot cover the withdrawal, or Idempotency-Key reused with a different body',
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        message: { type: 'string' },
+        availableFloat: { type: 'number' }
+    }
+};
+
+/**
+ * Returned when the risk engine requires OTP step-up before the token can be redeemed
+ */
+const challengeRequiredResponse = {
+    description: 'Step-up verification required; submit the OTP to /redeem-token/verify',
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: ['CHALLENGE_REQUIRED'] },
+        message: { type: 'string' },
+        challengeId: { type: 'string', format: 'uuid' },
+        expiresAt: { type: 'string', format: 'date-time' }
+    }
+};
+
+/**
+ * Typed token in the configured format (see config/tokenFormat.js), the legacy
+ * PPPP-CCCCCCCC while TOKEN_ACCEPT_LEGACY_FORMAT is on, or a numeric token
+ */
+const tokenProperty = {
+    type: 'string',
+    pattern: `${createTokenFormat(config.token).pattern}|${createNumericTokenFormat(config.token.numeric).pattern}`
+};
+
+/**
+ * Customer PIN chosen at generation; numeric tokens are only redeemable with it
+ */
+const pinProperty = {
+    type: 'string',
+    pattern: '^[0-9]{4,6}$'
+};
+
+/**
+ * Wrong customer PIN for a numeric token, or missing/invalid agent credentials
+ */
+const redemptionUnauthorizedResponse = {
+    description: 'Incorrect customer PIN for a numeric token, or missing/invalid agent credentials',
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        message: { type: 'string' },
+        attemptsRemaining: { type: 'integer' }
+    }
+};
+
+/**
+ * Customer routes take a bearer access token (see middleware/userAuth.js)
+ */
+const customerSecurity = [{ bearerAuth: [] }];
+
+const customerUnauthorizedResponse = {
+    description: 'Missing, invalid or expired access token',
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        message: { type: 'string' }
+    }
+};
+
+/**
+ * Scanned QR payload (see QrCodeService), accepted instead of the typed token
+ */
+const qrPayloadProperty = {
+    type: 'string',
+    maxLength: 256,
+    description: 'Scanned QR payload; send either this or token'
+};
+
 const generateTokenSchema = {
-    description: 'Generate a new withdrawal token',
+    description: 'Generate a new withdrawal token for an account the caller owns',
     tags: ['tokens'],
+    security: customerSecurity,
+    headers: idempotencyHeaders,
     body: {
         type: 'object',
         required: ['accountId', 'amount'],
         properties: {
             accountId: { type: 'string', format: 'uuid' },
-            amount: { type: 'integer', minimum: 1 }
+            amount: { type: 'integer', minimum: 1, description: 'Minor units of currency (e.g. kobo for NGN); must be payable in its notes' },
+            currency: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 code the amount is in; defaults to, and must be, the account currency' },
+            kind: {
+                type: 'string',
+                enum: ['ALPHANUMERIC', 'NUMERIC'],
+                default: 'ALPHANUMERIC',
+                description: 'NUMERIC issues a digit-only token for keypad terminals; it requires pin'
+            },
+            pin: { ...pinProperty, description: 'Required for, and only allowed with, NUMERIC tokens' },
+            includeQr: { type: 'boolean', description: 'Also return a signed QR payload for scanning at the agent (not for NUMERIC tokens)' }
         },
         additionalProperties: false
     },
@@ -29,25 +148,79 @@ const generateTokenSchema = {
                     properties: {
                         id: { type: 'string', format: 'uuid' },
                         token: { type: 'string' },
-                        amount: { type: 'number' },
-                        expiresAt: { type: 'string', format: 'date-time' }
+                        kind: { type: 'string', enum: ['ALPHANUMERIC', 'NUMERIC'] },
+                        amount: { type: 'integer', description: 'Minor units of currency' },
+                        currency: { type: 'string' },
+                        expiresAt: { type: 'string', format: 'date-time' },
+                        qrPayload: { type: 'string', description: 'Present when includeQr was set; render it with POST /tokens/qr' },
+                        cancelledTokenIds: {
+                            type: 'array',
+                            items: { type: 'string', format: 'uuid' },
+                            description: 'Older tokens cancelled to stay within the active token limit (TOKEN_ACTIVE_LIMIT_POLICY=CANCEL_OLDEST)'
+                        }
                     }
                 }
             }
+        },
+        401: customerUnauthorizedResponse,
+        403: {
+            description: 'Account is inactive',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' }
+            }
+        },
+        404: {
+            description: 'Account not found or not owned by the caller',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' }
+            }
+        },
+        409: {
+            description: 'The account already holds the maximum number of active tokens, or a request with this Idempotency-Key is still in progress',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' },
+                maxActiveTokens: { type: 'number' }
+            }
+        },
+        422: {
+            description: 'Available balance cannot cover the amount, a withdrawal limit would be exceeded, the currency is not the account\'s, the amount cannot be paid in notes, or Idempotency-Key reused with a different body',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' },
+                available: { type: 'number' },
+                limit: { type: 'string', enum: ['PER_TOKEN', 'DAILY', 'MONTHLY'] },
+                limitAmount: { type: 'number' },
+                remaining: { type: 'number', description: 'Largest amount the account can withdraw right now' },
+                currency: { type: 'string' },
+                accountCurrency: { type: 'string', description: 'Currency the account is held in' },
+                below: { type: ['number', 'null'], description: 'Nearest smaller amount payable in notes' },
+                above: { type: 'number', description: 'Nearest larger amount payable in notes' }
+            }
         }
     }
 };
 
 const redeemTokenSchema = {
-    description: 'Redeem a withdrawal token',
+    description: 'Redeem a withdrawal token as an authenticated agent',
     tags: ['tokens'],
+    headers: agentAuthHeaders,
     body: {
         type: 'object',
-        required: ['token', 'accountId', 'agentId'],
+        required: ['accountId'],
+        oneOf: [{ required: ['token'] }, { required: ['qrPayload'] }],
         properties: {
-            token: { type: 'string', pattern: '^[A-Z0-9]{4}-[A-Z0-9]{8}$' },
+            token: tokenProperty,
+            qrPayload: qrPayloadProperty,
+            pin: { ...pinProperty, description: 'Customer PIN; required with numeric tokens' },
             accountId: { type: 'string', format: 'uuid' },
-            agentId: { type: 'string' },
+            agentId: { type: 'string', description: 'Deprecated; must match X-Agent-Id when sent' },
             metadata: {
                 type: 'object',
                 properties: {
@@ -70,30 +243,35 @@ const redeemTokenSchema = {
                 transactionId: { type: 'string', format: 'uuid' }
             }
         },
+        202: challengeRequiredResponse,
         400: {
-            description: 'Bad Request / Invalid Token',
+            description: 'Bad Request / Invalid Token / Likely Typo (check character mismatch, not counted as a failed attempt)',
             type: 'object',
             properties: {
                 error: { type: 'string' },
                 message: { type: 'string' }
             }
         },
+        401: redemptionUnauthorizedResponse,
         403: {
-            description: 'Redemption declined by risk policy',
+            description: 'Redemption declined by risk policy, account inactive, agent suspended, or token locked after too many wrong PINs',
             type: 'object',
             properties: {
                 error: { type: 'string' },
                 message: { type: 'string' },
-                reasons: { type: 'array', items: { type: 'string' } }
+                reasons: { type: 'array', items: { type: 'string' } },
+                riskDecisionId: { type: 'string', format: 'uuid' }
             }
         },
         409: {
-            description: 'Token Already Used or Expired',
+            description: 'Token Already Used, Expired or Cancelled (or Idempotency-Key request in progress)',
             type: 'object',
             properties: {
-                error: { type: 'string' }
+                error: { type: 'string' },
+                message: { type: 'string' }
             }
         },
+        422: redemptionUnprocessableResponse,
         429: {
             description: 'Too Many Requests',
             type: 'object',
@@ -109,7 +287,189 @@ const redeemTokenSchema = {
     }
 };
 
+const verifyRedemptionSchema = {
+    description: 'Complete a challenged redemption with the OTP sent to the account holder',
+    tags: ['tokens'],
+    headers: agentAuthHeaders,
+    body: {
+        type: 'object',
+        required: ['challengeId', 'otp', 'accountId'],
+        oneOf: [{ required: ['token'] }, { required: ['qrPayload'] }],
+        properties: {
+            challengeId: { type: 'string', format: 'uuid' },
+            otp: { type: 'string', pattern: '^[0-9]{4,10}$' },
+            token: tokenProperty,
+            qrPayload: qrPayloadProperty,
+            pin: { ...pinProperty, description: 'Customer PIN; required with numeric tokens' },
+            accountId: { type: 'string', format: 'uuid' },
+            agentId: { type: 'string', description: 'Deprecated; must match X-Agent-Id when sent' },
+            metadata: {
+                type: 'object',
+                properties: {
+                    ip: { type: 'string' },
+                    deviceId: { type: 'string' },
+                    location: { type: 'string' }
+                },
+                additionalProperties: true
+            }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: redeemTokenSchema.response[200],
+        400: redeemTokenSchema.response[400],
+        401: {
+            description: 'Incorrect OTP or customer PIN, or missing/invalid agent credentials',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' },
+                attemptsRemaining: { type: 'integer' }
+            }
+        },
+        403: {
+            description: 'Challenge locked after too many incorrect codes, token locked after too many wrong PINs, account inactive, or agent suspended',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' }
+            }
+        },
+        404: {
+            description: 'Challenge not found for this agent and account',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' }
+            }
+        },
+        409: {
+            description: 'Challenge already completed, or token no longer redeemable',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' }
+            }
+        },
+        410: {
+            description: 'Challenge expired',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' }
+            }
+        },
+        422: redemptionUnprocessableResponse,
+        429: redeemTokenSchema.response[429]
+    }
+};
+
+const cancelTokenSchema = {
+    description: 'Cancel an ACTIVE withdrawal token before it expires',
+    tags: ['tokens'],
+    security: customerSecurity,
+    params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { type: 'string', format: 'uuid' }
+        }
+    },
+    body: {
+        type: 'object',
+        required: ['accountId', 'reason'],
+        properties: {
+            accountId: { type: 'string', format: 'uuid' },
+            reason: { type: 'string', minLength: 1, maxLength: 255 }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: {
+            description: 'Token cancelled',
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        status: { type: 'string' },
+                        cancelledAt: { type: 'string', format: 'date-time' }
+                    }
+                }
+            }
+        },
+        401: customerUnauthorizedResponse,
+        404: {
+            description: 'Token not found for this account, or account not owned by the caller',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' }
+            }
+        },
+        409: {
+            description: 'Token is no longer ACTIVE',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' }
+            }
+        }
+    }
+};
+
+const renderQrCodeSchema = {
+    description: 'Render a QR payload returned by token generation as an SVG or PNG image',
+    tags: ['tokens'],
+    body: {
+        type: 'object',
+        required: ['accountId', 'qrPayload'],
+        properties: {
+            accountId: { type: 'string', format: 'uuid' },
+            qrPayload: qrPayloadProperty,
+            format: { type: 'string', enum: ['svg', 'png'], default: 'svg' }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: {
+            description: 'image/svg+xml or image/png',
+            type: 'string'
+        },
+        400: {
+            description: 'Payload malformed or not issued by this service',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' }
+            }
+        },
+        401: customerUnauthorizedResponse,
+        404: {
+            description: 'Token not live on this account, or account not owned by the caller',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' }
+            }
+        },
+        410: {
+            description: 'The token in the payload has expired',
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                message: { type: 'string' }
+            }
+        }
+    }
+};
+
 module.exports = {
     generateTokenSchema,
-    redeemTokenSchema
+    redeemTokenSchema,
+    verifyRedemptionSchema,
+    cancelTokenSchema,
+    renderQrCodeSchema
 };
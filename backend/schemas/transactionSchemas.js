@@ -0,0 +1,64 @@
+/**
+ * Transaction Schema Definitions
+ *
+ * Fastify JSON schemas for ledger operations. Ledger rows are never edited;
+ * corrections are appended as REVERSAL entries.
+ */
+
+const { REVERSAL_REASONS } = require('../services/reversalService');
+
+const errorResponse = {
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        message: { type: 'string' }
+    }
+};
+
+const reverseTransactionSchema = {
+    description: 'Reverse a successful withdrawal by appending a REVERSAL ledger entry and crediting the account',
+    tags: ['transactions'],
+    params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { type: 'string', format: 'uuid' }
+        }
+    },
+    body: {
+        type: 'object',
+        required: ['reasonCode'],
+        properties: {
+            reasonCode: { type: 'string', enum: REVERSAL_REASONS },
+            note: { type: 'string', maxLength: 1000 }
+        },
+        additionalProperties: false
+    },
+    response: {
+        201: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                data: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        reversalOf: { type: 'string', format: 'uuid' },
+                        amount: { type: 'integer', description: 'Minor units of currency' },
+                        currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+                        reasonCode: { type: 'string' },
+                        initiatedBy: { type: 'string' },
+                        createdAt: { type: 'string', format: 'date-time' }
+                    }
+                }
+            }
+        },
+        404: { description: 'Transaction not found', ...errorResponse },
+        409: { description: 'Transaction already reversed', ...errorResponse },
+        422: { description: 'Transaction is not a successful withdrawal', ...errorResponse }
+    }
+};
+
+module.exports = {
+    reverseTransactionSchema
+};
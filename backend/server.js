@@ -49,6 +49,15 @@ const { testConnection: testRedisConnection } = require('./config/redis');
 const registerRoutes = require('./routes');
 const { requestLogger, responseLogger } = require('./middleware/requestLogger');
 const { defaultRateLimiter } = require('./middleware/rateLimiter');
+const ExpirySweeper = require('./jobs/expirySweeper');
+const AgentSettlementJob = require('./jobs/agentSettlement');
+const riskPolicy = require('./config/riskPolicy');
+const { reportPepperUsage } = require('./db/pepperUsage');
+const { getNotifier } = require('./services/notifiers');
+
+// Background jobs started after the server is listening (stopped on shutdown)
+let expirySweeper = null;
+let agentSettlementJob = null;
 
 /**
  * Register Fastify plugins and middleware
@@ -73,14 +82,19 @@ const registerPlugins = async () => {
       ],
       tags: [
         { name: 'tokens', description: 'Token generation and redemption' },
+        { name: 'accounts', description: 'Account registration and lifecycle' },
+        { name: 'transactions', description: 'Ledger corrections (reversals)' },
+        { name: 'risk', description: 'Risk decisions and policy analytics' },
+        { name: 'agents', description: 'Redemption agent registry and credentials' },
         { name: 'health', description: 'System health and monitoring' }
       ],
       components: {
         securitySchemes: {
-          apiKey: {
-            type: 'apiKey',
-            name: 'X-API-KEY',
-            in: 'header'
+          // Customer access tokens (middleware/userAuth.js)
+          bearerAuth: {
+            type: 'http',
+            scheme: 'bearer',
+            bearerFormat: 'JWT'
           }
         }
       }
@@ -207,6 +221,29 @@ const initializeRoutes = async () => {
   });
 };
 
+/**
+ * Start in-process background jobs
+ * The expiry sweeper and agent settlement can alternatively run standalone via
+ * `npm run sweep:expired` and `npm run settle:agents`
+ */
+const startBackgroundJobs = () => {
+  // Risk policy changes apply without a restart
+  riskPolicy.watchPolicy();
+
+  if (config.expirySweeper.enabled) {
+    const { getDb } = require('./config/database');
+    const { redis } = require('./config/redis');
+    expirySweeper = new ExpirySweeper(getDb(), redis, config.expirySweeper);
+    expirySweeper.start();
+  }
+
+  if (config.agentSettlement.enabled) {
+    const { getDb } = require('./config/database');
+    agentSettlementJob = new AgentSettlementJob(getDb(), config.agentSettlement);
+    agentSettlementJob.start();
+  }
+};
+
 /**
  * Graceful shutdown handler
  * Important for financial systems to ensure data integrity
@@ -219,6 +256,15 @@ const setupGracefulShutdown = () => {
     });
 
     try {
+      // Stop background jobs before their connections go away
+      if (expirySweeper) {
+        expirySweeper.stop();
+      }
+      if (agentSettlementJob) {
+        agentSettlementJob.stop();
+      }
+      riskPolicy.unwatchPolicy();
+
       // Close Fastify server (stops accepting new requests)
       await fastify.close();
       logSystem('Fastify server closed', {
@@ -288,6 +334,25 @@ const start = async () => {
     // Initialize database connections
     await initializeConnections();
 
+    // Load the risk policy (fail fast on an invalid policy file)
+    const policy = riskPolicy.getActivePolicy();
+    logSystem('Risk policy loaded', {
+      component: 'startup',
+      policyVersion: policy.version,
+      shadowPolicyVersions: riskPolicy.getShadowPolicies().map((shadow) => shadow.version),
+    });
+
+    // Resolve the OTP notifier (fail fast in production when no real notifier is registered)
+    getNotifier();
+
+    // Warn about live tokens hashed under a pepper that has been removed (non-blocking)
+    try {
+      const { getDb } = require('./config/database');
+      await reportPepperUsage(getDb());
+    } catch (error) {
+      logError(error, { component: 'startup', action: 'pepper_usage' });
+    }
+
     // Register routes
     await initializeRoutes();
 
@@ -306,6 +371,9 @@ const start = async () => {
       port: config.server.port,
       host: config.server.host,
     });
+
+    // Start background jobs
+    startBackgroundJobs();
   } catch (error) {
     logError(error, {
       component: 'startup',
@@ -0,0 +1,184 @@
+const { logger } = require('../utils/logger');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * Account Service
+ * Manages accounts eligible for cardless withdrawals, keyed by their external reference.
+ */
+class AccountService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Maps a DB row to the API representation (balances as numbers, in minor units of currency).
+     * @param {Object} row accounts row
+     * @returns {Object}
+     */
+    toAccount(row) {
+        const balance = Number(row.balance);
+        const heldAmount = Number(row.held_amount);
+
+        return {
+            id: row.id,
+            accountRef: row.account_ref,
+            status: row.status,
+            ownerUserId: row.owner_user_id,
+            tier: row.tier,
+            currency: row.currency,
+            balance,
+            heldAmount,
+            available: balance - heldAmount,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Creates an ACTIVE account for an external (core banking) reference.
+     * @param {string} accountRef
+     * @param {string|null} [ownerUserId] User id (access token "sub") allowed to issue tokens
+     * @param {string} currency ISO 4217 code the account is held in; fixed for its lifetime
+     * @returns {Promise<Object>} Created account
+     * @throws {ConflictError} If the reference is already registered
+     */
+    async createAccount(accountRef, ownerUserId = null, currency) {
+        try {
+            const [row] = await this.db('accounts')
+                .insert({ account_ref: accountRef, status: 'ACTIVE', owner_user_id: ownerUserId, currency })
+                .returning('*');
+
+            logger.info({ accountId: row.id }, 'Account created');
+
+            return this.toAccount(row);
+        } catch (err) {
+            // Postgres unique violation on account_ref
+            if (err.code === '23505') {
+                throw new ConflictError('An account with this reference already exists');
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object>}
+     * @throws {NotFoundError}
+     */
+    async getById(id) {
+        const row = await this.db('accounts').where({ id }).first();
+        if (!row) {
+            throw new NotFoundError('Account not found');
+        }
+        return this.toAccount(row);
+    }
+
+    /**
+     * @param {string} accountRef
+     * @returns {Promise<Object>}
+     * @throws {NotFoundError}
+     */
+    async getByRef(accountRef) {
+        const row = await this.db('accounts').where({ account_ref: accountRef }).first();
+        if (!row) {
+            throw new NotFoundError('Account not found');
+        }
+        return this.toAccount(row);
+    }
+
+    /**
+     * Accounts owned by a user, oldest first.
+     * @param {string} userId
+     * @returns {Promise<Object[]>}
+     */
+    async listByOwner(userId) {
+        const rows = await this.db('accounts')
+            .where({ owner_user_id: userId })
+            .orderBy('created_at', 'asc');
+        return rows.map((row) => this.toAccount(row));
+    }
+
+    /**
+     * Whether the user owns the account. Unknown accounts and accounts without an owner are
+     * owned by nobody.
+     * @param {string} id
+     * @param {string} userId
+     * @returns {Promise<boolean>}
+     */
+    async isOwnedBy(id, userId) {
+        const row = await this.db('accounts')
+            .where({ id, owner_user_id: userId })
+            .first('id');
+        return Boolean(row);
+    }
+
+    /**
+     * Sets (or replaces) the user allowed to issue tokens for the account. Tokens already
+     * issued are unaffected.
+     * @param {string} id
+     * @param {string} ownerUserId
+     * @returns {Promise<Object>} Updated account
+     * @throws {NotFoundError}
+     */
+    async assignOwner(id, ownerUserId) {
+        const [row] = await this.db('accounts')
+            .where({ id })
+            .update({ owner_user_id: ownerUserId })
+            .returning('*');
+
+        if (!row) {
+            throw new NotFoundError('Account not found');
+        }
+
+        logger.info({ accountId: row.id, ownerUserId }, 'Account owner assigned');
+
+        return this.toAccount(row);
+    }
+
+    /**
+     * Sets the account's withdrawal limit tier; null returns it to the default limits.
+     * Applies to the next token generated; tokens already issued are unaffected.
+     * @param {string} id
+     * @param {string|null} tier A tier configured in WITHDRAWAL_LIMIT_TIERS
+     * @returns {Promise<Object>} Updated account
+     * @throws {NotFoundError}
+     */
+    async assignTier(id, tier) {
+        const [row] = await this.db('accounts')
+            .where({ id })
+            .update({ tier })
+            .returning('*');
+
+        if (!row) {
+            throw new NotFoundError('Account not found');
+        }
+
+        logger.info({ accountId: row.id, tier }, 'Account tier assigned');
+
+        return this.toAccount(row);
+    }
+
+    /**
+     * Moves an account to INACTIVE. Idempotent. Outstanding tokens stay in place but can
+     * no longer be redeemed, and no new tokens can be issued.
+     * @param {string} id
+     * @returns {Promise<Object>} Updated account
+     * @throws {NotFoundError}
+     */
+    async deactivate(id) {
+        const [row] = await this.db('accounts')
+            .where({ id })
+            .update({ status: 'INACTIVE' })
+            .returning('*');
+
+        if (!row) {
+            throw new NotFoundError('Account not found');
+        }
+
+        logger.info({ accountId: row.id }, 'Account deactivated');
+
+        return this.toAccount(row);
+    }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,182 @@
+const { logBusiness } = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * Maps an agent_float_movements row to its API shape
+ */
+const toMovement = (row) => ({
+    id: row.id,
+    agentId: row.agent_id,
+    type: row.type,
+    amount: Number(row.amount),
+    balanceAfter: Number(row.balance_after),
+    transactionId: row.transaction_id,
+    reference: row.reference,
+    performedBy: row.performed_by,
+    createdAt: row.created_at
+});
+
+/**
+ * Agent Float Service
+ * Tracks the cash each agent holds for payouts. Every change to agents.float_balance is
+ * paired with an append-only agent_float_movements row.
+ *
+ * Payout methods take the caller's transaction so the float moves together with the
+ * WITHDRAWAL/REVERSAL ledger row that justifies it.
+ */
+class AgentFloatService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * @param {string} agentId
+     * @returns {Promise<Object>} { agentId, currency, floatBalance }
+     * @throws {NotFoundError}
+     */
+    async getFloat(agentId) {
+        const agent = await this.db('agents')
+            .where({ id: agentId })
+            .first('id', 'currency', 'float_balance');
+
+        if (!agent) {
+            throw new NotFoundError('Agent not found');
+        }
+
+        return { agentId: agent.id, currency: agent.currency, floatBalance: Number(agent.float_balance) };
+    }
+
+    /**
+     * Lists float movements newest first.
+     * @param {string} agentId
+     * @param {Object} page
+     * @param {number} page.limit
+     * @param {number} page.offset
+     * @returns {Promise<Object[]>}
+     */
+    async listMovements(agentId, { limit, offset }) {
+        const rows = await this.db('agent_float_movements')
+            .where({ agent_id: agentId })
+            .orderBy('created_at', 'desc')
+            .limit(limit)
+            .offset(offset);
+
+        return rows.map(toMovement);
+    }
+
+    /**
+     * Credits cash delivered to an agent (cash-in, replenishment).
+     * @param {string} agentId
+     * @param {Object} topUp
+     * @param {number} topUp.amount
+     * @param {string} topUp.reference External reference (e.g. cash delivery slip)
+     * @param {string} topUp.performedBy Operator recording the top-up
+     * @returns {Promise<Object>} The TOP_UP movement
+     * @throws {NotFoundError}
+     */
+    async topUp(agentId, { amount, reference, performedBy }) {
+        return await this.db.transaction(async (trx) => {
+            const agent = await trx('agents')
+                .where({ id: agentId })
+                .forUpdate()
+                .first('id');
+
+            if (!agent) {
+                throw new NotFoundError('Agent not found');
+            }
+
+            const movement = await this.applyMovement(trx, {
+                agentId,
+                type: 'TOP_UP',
+                amount,
+                reference,
+                performedBy
+            });
+
+            logBusiness('Agent float topped up', {
+                component: 'agent_float',
+                agentId,
+                amount,
+                floatBalance: movement.balanceAfter
+            });
+
+            return movement;
+        });
+    }
+
+    /**
+     * Locks the agent's float for a payout decision. Concurrent redemptions by the same agent
+     * serialize here, so two payouts can never both spend the same cash.
+     * @param {Object} trx Knex transaction
+     * @param {string} agentId
+     * @param {string} currency Currency of the payout
+     * @returns {Promise<number>} Float available in that currency (minor units); 0 when the
+     *   agent holds a different currency
+     * @throws {NotFoundError}
+     */
+    async lockFloat(trx, agentId, currency) {
+        const agent = await trx('agents')
+            .where({ id: agentId })
+            .forUpdate()
+            .first('currency', 'float_balance');
+
+        if (!agent) {
+            throw new NotFoundError('Agent not found');
+        }
+
+        return agent.currency === currency ? Number(agent.float_balance) : 0;
+    }
+
+    /**
+     * Debits the float for a SUCCESS redemption. Call after lockFloat in the same transaction.
+     * @param {Object} trx Knex transaction
+     * @param {Object} payout
+     * @param {string} payout.agentId
+     * @param {number|string} payout.amount
+     * @param {string} payout.transactionId WITHDRAWAL ledger row
+     * @returns {Promise<Object>} The REDEMPTION movement
+     */
+    async debitForRedemption(trx, { agentId, amount, transactionId }) {
+        return await this.applyMovement(trx, { agentId, type: 'REDEMPTION', amount, transactionId });
+    }
+
+    /**
+     * Returns a reversed withdrawal's cash to the float: the agent kept (or took back) the cash.
+     * @param {Object} trx Knex transaction
+     * @param {Object} reversal
+     * @param {string} reversal.agentId
+     * @param {number|string} reversal.amount
+     * @param {string} reversal.transactionId REVERSAL ledger row
+     * @returns {Promise<Object>} The REVERSAL movement
+     */
+    async creditForReversal(trx, { agentId, amount, transactionId }) {
+        return await this.applyMovement(trx, { agentId, type: 'REVERSAL', amount, transactionId });
+    }
+
+    /**
+     * Applies a signed change to float_balance and appends the movement row.
+     * The float_balance CHECK constraint is the backstop against a negative float.
+     */
+    async applyMovement(trx, { agentId, type, amount, transactionId = null, reference = null, performedBy = null }) {
+        const delta = type === 'REDEMPTION' ? -Number(amount) : Number(amount);
+
+        const [agent] = await trx('agents')
+            .where({ id: agentId })
+            .increment('float_balance', delta)
+            .returning('float_balance');
+
+        const [row] = await trx('agent_float_movements').insert({
+            agent_id: agentId,
+            type,
+            amount,
+            balance_after: agent.float_balance,
+            transaction_id: transactionId,
+            reference,
+            performed_by: performedBy
+        }).returning('*');
+
+        return toMovement(row);
+    }
+}
+
+module.exports = AgentFloatService;
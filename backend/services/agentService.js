@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { deriveKey } = require('../utils/keyDerivation');
+
+const SECRET_PREFIX = 'agk_';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+/**
+ * Canonical string an agent signs: timestamp, method, path (with query) and the SHA-256 of the raw body.
+ * @param {Object} request
+ * @param {string} request.timestamp Unix seconds, as sent in X-Agent-Timestamp
+ * @param {string} request.method
+ * @param {string} request.url
+ * @param {string} [request.rawBody]
+ * @returns {string}
+ */
+const buildSigningString = ({ timestamp, method, url, rawBody = '' }) => {
+    const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
+    return `${timestamp}\n${method.toUpperCase()}\n${url}\n${bodyHash}`;
+};
+
+/**
+ * Hex HMAC-SHA256 signature an agent sends in X-Agent-Signature.
+ * @param {string} secret Agent credential secret
+ * @param {Object} request See buildSigningString
+ * @returns {string}
+ */
+const signRequest = (secret, request) => crypto.createHmac('sha256', secret)
+    .update(buildSigningString(request))
+    .digest('hex');
+
+/**
+ * Constant-time comparison of two strings of any length.
+ */
+const safeEqual = (a, b) => {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+};
+
+/**
+ * Agent Service
+ * Registry of redemption agents and verification of their credentials.
+ * Each agent has one secret, usable as an API key or to HMAC-sign requests.
+ */
+class AgentService {
+    constructor(db) {
+        this.db = db;
+        this.credentialKey = deriveKey('agent-credentials');
+    }
+
+    /**
+     * Maps a DB row to the API representation. Credentials are never exposed.
+     * @param {Object} row agents row
+     * @returns {Object}
+     */
+    toAgent(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            location: row.location,
+            status: row.status,
+            currency: row.currency,
+            floatBalance: Number(row.float_balance),
+            commissionBps: row.commission_bps,
+            suspendedReason: row.suspended_reason,
+            suspendedAt: row.suspended_at,
+            credentialRotatedAt: row.credential_rotated_at,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    generateSecret() {
+        return SECRET_PREFIX + crypto.randomBytes(32).toString('base64url');
+    }
+
+    /**
+     * @param {string} secret
+     * @returns {Buffer} iv | auth tag | ciphertext
+     */
+    encryptSecret(secret) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.credentialKey, iv);
+        const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+    }
+
+    /**
+     * @param {Buffer} blob Output of encryptSecret
+     * @returns {string}
+     */
+    decryptSecret(blob) {
+        const iv = blob.subarray(0, IV_LENGTH);
+        const authTag = blob.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.credentialKey, iv);
+        decipher.setAuthTag(authTag);
+        return Buffer.concat([
+            decipher.update(blob.subarray(IV_LENGTH + AUTH_TAG_LENGTH)),
+            decipher.final()
+        ]).toString('utf8');
+    }
+
+    /**
+     * Registers an ACTIVE agent. The secret is only returned here; store it on the device.
+     * @param {Object} agent
+     * @param {string} agent.id
+     * @param {string} agent.name
+     * @param {string} [agent.location]
+     * @param {number} [agent.commissionBps] Overrides AGENT_COMMISSION_BPS for this agent
+     * @returns {Promise<Object>} { agent, secret }
+     * @throws {ConflictError} If the agent id is already registered
+     */
+    async registerAgent({ id, name, currency, location = null, commissionBps = null }) {
+        const secret = this.generateSecret();
+
+        try {
+            const [row] = await this.db('agents')
+                .insert({
+                    id,
+                    name,
+                    currency,
+                    location,
+                    commission_bps: commissionBps,
+                    status: 'ACTIVE',
+                    credential_ciphertext: this.encryptSecret(secret)
+                })
+                .returning('*');
+
+            logger.info({ agentId: row.id }, 'Agent registered');
+
+            return { agent: this.toAgent(row), secret };
+        } catch (err) {
+            if (err.code === '23505') {
+                throw new ConflictError('An agent with this id already exists');
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object>}
+     * @throws {NotFoundError}
+     */
+    async getById(id) {
+        const row = await this.db('agents').where({ id }).first();
+        if (!row) {
+            throw new NotFoundError('Agent not found');
+        }
+        return this.toAgent(row);
+    }
+
+    /**
+     * Blocks an agent from redeeming. Idempotent; the first suspension time is kept.
+     * @param {string} id
+     * @param {string} reason
+     * @returns {Promise<Object>} Updated agent
+     * @throws {NotFoundError}
+     */
+    async suspend(id, reason) {
+        const [row] = await this.db('agents')
+            .where({ id })
+            .update({
+                status: 'SUSPENDED',
+                suspended_reason: reason,
+                suspended_at: this.db.raw('COALESCE(suspended_at, now())')
+            })
+            .returning('*');
+
+        if (!row) {
+            throw new NotFoundError('Agent not found');
+        }
+
+        logger.warn({ agentId: row.id, reason }, 'Agent suspended');
+
+        return this.toAgent(row);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object>} Updated agent
+     * @throws {NotFoundError}
+     */
+    async reactivate(id) {
+        const [row] = await this.db('agents')
+            .where({ id })
+            .update({ status: 'ACTIVE', suspended_reason: null, suspended_at: null })
+            .returning('*');
+
+        if (!row) {
+            throw new NotFoundError('Agent not found');
+        }
+
+        logger.info({ agentId: row.id }, 'Agent reactivated');
+
+        return this.toAgent(row);
+    }
+
+    /**
+     * Issues a new secret; the previous one stops working immediately.
+     * @param {string} id
+     * @returns {Promise<Object>} { agent, secret }
+     * @throws {NotFoundError}
+     */
+    async rotateCredentials(id) {
+        const secret = this.generateSecret();
+
+        const [row] = await this.db('agents')
+            .where({ id })
+            .update({
+                credential_ciphertext: this.encryptSecret(secret),
+                credential_rotated_at: new Date()
+            })
+            .returning('*');
+
+        if (!row) {
+            throw new NotFoundError('Agent not found');
+        }
+
+        logger.info({ agentId: row.id }, 'Agent credentials rotated');
+
+        return { agent: this.toAgent(row), secret };
+    }
+
+    /**
+     * Verifies an agent's API key or request signature. Suspension is only reported once the
+     * credentials check out, so an unauthenticated caller learns nothing about agent status.
+     * @param {Object} credentials
+     * @param {string} credentials.agentId
+     * @param {string} [credentials.apiKey] X-Agent-Key value
+     * @param {string} [credentials.timestamp] X-Agent-Timestamp (Unix seconds), with signature
+     * @param {string} [credentials.signature] X-Agent-Signature (hex HMAC-SHA256)
+     * @param {string} [credentials.method]
+     * @param {string} [credentials.url]
+     * @param {string} [credentials.rawBody]
+     * @returns {Promise<Object>} { result: 'AUTHENTICATED', agent } |
+     *   { result: 'INVALID_CREDENTIALS' | 'STALE_SIGNATURE' | 'METHOD_DISABLED' } | { result: 'SUSPENDED', agent }
+     */
+    async authenticate({ agentId, apiKey, timestamp, signature, method, url, rawBody }) {
+        if (!signature && apiKey && !config.agentAuth.apiKeyEnabled) {
+            return { result: 'METHOD_DISABLED' };
+        }
+
+        if (signature) {
+            const skewSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+            if (!Number.isFinite(skewSeconds) || skewSeconds > config.agentAuth.signatureToleranceSeconds) {
+                return { result: 'STALE_SIGNATURE' };
+            }
+        }
+
+        const row = await this.db('agents').where({ id: agentId }).first();
+        if (!row) {
+            return { result: 'INVALID_CREDENTIALS' };
+        }
+
+        const secret = this.decryptSecret(row.credential_ciphertext);
+        const valid = signature
+            ? safeEqual(signature.toLowerCase(), signRequest(secret, { timestamp, method, url, rawBody }))
+            : safeEqual(apiKey, secret);
+
+        if (!valid) {
+            return { result: 'INVALID_CREDENTIALS' };
+        }
+
+        const agent = this.toAgent(row);
+        if (agent.status !== 'ACTIVE') {
+            return { result: 'SUSPENDED', agent };
+        }
+
+        return { result: 'AUTHENTICATED', agent };
+    }
+}
+
+module.exports = AgentService;
+module.exports.buildSigningString = buildSigningString;
+module.exports.signRequest = signRequest;
@@ -0,0 +1,257 @@
+const { logger, logBusiness } = require('../utils/logger');
+const { NotFoundError, ConflictError, AccountInactiveError, InsufficientFundsError } = require('../utils/errors');
+
+const toDeposit = (row, balanceAfter) => ({
+    id: row.id,
+    accountId: row.account_id,
+    amount: Number(row.amount),
+    currency: row.currency,
+    reference: row.reference,
+    initiatedBy: row.initiated_by,
+    balanceAfter,
+    createdAt: row.created_at
+});
+
+/**
+ * Balance Service
+ * Maintains account balances and the holds (reservations) backing outstanding tokens.
+ *
+ * Every mutating method takes the caller's transaction so balance changes commit or roll
+ * back together with the token and ledger writes that justify them.
+ */
+class BalanceService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Reads the current balance position of an account.
+     * @param {string} accountId
+     * @returns {Promise<Object>} { balance, heldAmount, available }
+     */
+    async getBalance(accountId) {
+        const account = await this.db('accounts')
+            .where({ id: accountId })
+            .select('balance', 'held_amount')
+            .first();
+
+        if (!account) {
+            throw new NotFoundError('Account not found');
+        }
+
+        const balance = Number(account.balance);
+        const heldAmount = Number(account.held_amount);
+
+        return { balance, heldAmount, available: balance - heldAmount };
+    }
+
+    /**
+     * Locks an account row for the rest of the caller's transaction and returns it, so
+     * concurrent generations (or a deactivation) are serialized on it. Token generation
+     * takes this lock once and passes the row to every check that needs it.
+     * @param {Object} trx Knex transaction
+     * @param {string} accountId
+     * @returns {Promise<Object>} The accounts row
+     * @throws {NotFoundError}
+     */
+    async lockAccount(trx, accountId) {
+        const account = await trx('accounts')
+            .where({ id: accountId })
+            .forUpdate()
+            .first();
+
+        if (!account) {
+            throw new NotFoundError('Account not found');
+        }
+
+        return account;
+    }
+
+    /**
+     * Reserves funds for a newly issued token.
+     * @param {Object} trx Knex transaction
+     * @param {Object} hold
+     * @param {Object} hold.account Accounts row locked by lockAccount() in this transaction
+     * @param {string} hold.tokenId
+     * @param {number} hold.amount
+     * @returns {Promise<Object>} The created hold row
+     * @throws {AccountInactiveError|InsufficientFundsError}
+     */
+    async placeHold(trx, { account, tokenId, amount }) {
+        if (account.status !== 'ACTIVE') {
+            throw new AccountInactiveError('Account is inactive and cannot issue withdrawal tokens');
+        }
+
+        // Availability is checked against the row as it is now, not as it was locked: holds
+        // released since (tokens cancelled to make room) have already lowered held_amount
+        const reserved = await trx('accounts')
+            .where({ id: account.id })
+            .andWhereRaw('balance - held_amount >= ?', [amount])
+            .increment('held_amount', amount);
+
+        if (reserved === 0) {
+            const current = await trx('accounts')
+                .where({ id: account.id })
+                .first('balance', 'held_amount');
+            const available = Number(current.balance) - Number(current.held_amount);
+            logger.warn({ amount, available }, 'Hold refused: insufficient available balance');
+            throw new InsufficientFundsError('Insufficient available balance for this withdrawal', available);
+        }
+
+        const [hold] = await trx('account_holds').insert({
+            account_id: account.id,
+            token_id: tokenId,
+            amount,
+            status: 'ACTIVE'
+        }).returning('*');
+
+        return hold;
+    }
+
+    /**
+     * Converts a token's hold into a debit: the held funds leave the balance.
+     * Called in the same transaction that writes the WITHDRAWAL ledger row.
+     * @param {Object} trx Knex transaction
+     * @param {string} tokenId
+     * @returns {Promise<Object|null>} The captured hold, or null for tokens issued without one
+     */
+    async captureHold(trx, tokenId) {
+        const hold = await trx('account_holds')
+            .where({ token_id: tokenId, status: 'ACTIVE' })
+            .forUpdate()
+            .first();
+
+        if (!hold) {
+            // Tokens issued before holds existed carry no reservation
+            logger.warn({ tokenId }, 'No ACTIVE hold found to capture for token');
+            return null;
+        }
+
+        await trx('accounts')
+            .where({ id: hold.account_id })
+            .decrement({ balance: hold.amount, held_amount: hold.amount });
+
+        await trx('account_holds')
+            .where({ id: hold.id })
+            .update({ status: 'CAPTURED', resolved_at: new Date() });
+
+        return hold;
+    }
+
+    /**
+     * Returns funds to an account's balance (e.g. when a withdrawal is reversed).
+     * Called in the same transaction that writes the crediting ledger row.
+     * @param {Object} trx Knex transaction
+     * @param {string} accountId
+     * @param {number|string} amount
+     */
+    async credit(trx, accountId, amount) {
+        await trx('accounts')
+            .where({ id: accountId })
+            .increment('balance', amount);
+    }
+
+    /**
+     * Records money paid into an account (a core banking credit, or its opening balance) as a
+     * DEPOSIT ledger row and credits the balance with it. This is the only way funds enter.
+     * @param {string} accountId
+     * @param {Object} deposit
+     * @param {number} deposit.amount Minor units of the account currency
+     * @param {string} deposit.reference External reference; recorded once per account
+     * @param {string} deposit.initiatedBy Operator (or import) recording the deposit
+     * @returns {Promise<Object>} The deposit, with the balance after it
+     * @throws {NotFoundError|ConflictError}
+     */
+    async deposit(accountId, { amount, reference, initiatedBy }) {
+        return await this.db.transaction(async (trx) => {
+            const account = await this.lockAccount(trx, accountId);
+
+            // Checked under the account lock, so the unique index is only a backstop
+            const existing = await trx('transactions')
+                .where({ account_id: accountId, type: 'DEPOSIT', reference })
+                .first('id');
+
+            if (existing) {
+                throw new ConflictError('A deposit with this reference has already been recorded');
+            }
+
+            const [row] = await trx('transactions').insert({
+                account_id: accountId,
+                type: 'DEPOSIT',
+                amount,
+                currency: account.currency,
+                status: 'SUCCESS',
+                reference,
+                initiated_by: initiatedBy
+            }).returning('*');
+
+            await this.credit(trx, accountId, amount);
+
+            const balanceAfter = Number(account.balance) + amount;
+
+            logBusiness('Account deposit recorded', {
+                component: 'balance',
+                accountId,
+                transactionId: row.id,
+                amount,
+                currency: account.currency
+            });
+
+            return toDeposit(row, balanceAfter);
+        });
+    }
+
+    /**
+     * Releases the ACTIVE holds of the given tokens back to available balance.
+     * Accounts are updated in a stable order to avoid lock-order deadlocks between batches.
+     * @param {Object} trx Knex transaction
+     * @param {string[]} tokenIds
+     * @param {string} reason Why the holds are released (e.g. CANCELLED, EXPIRED)
+     * @returns {Promise<number>} Number of holds released
+     */
+    async releaseHolds(trx, tokenIds, reason) {
+        if (tokenIds.length === 0) {
+            return 0;
+        }
+
+        const holds = await trx('account_holds')
+            .whereIn('token_id', tokenIds)
+            .andWhere({ status: 'ACTIVE' })
+            .forUpdate();
+
+        if (holds.length === 0) {
+            return 0;
+        }
+
+        const totalsByAccount = new Map();
+        for (const hold of holds) {
+            const current = totalsByAccount.get(hold.account_id) || 0;
+            totalsByAccount.set(hold.account_id, current + Number(hold.amount));
+        }
+
+        for (const accountId of [...totalsByAccount.keys()].sort()) {
+            await trx('accounts')
+                .where({ id: accountId })
+                .decrement('held_amount', totalsByAccount.get(accountId));
+        }
+
+        await trx('account_holds')
+            .whereIn('id', holds.map((hold) => hold.id))
+            .update({ status: 'RELEASED', release_reason: reason, resolved_at: new Date() });
+
+        return holds.length;
+    }
+
+    /**
+     * Releases a single token's hold.
+     * @param {Object} trx Knex transaction
+     * @param {string} tokenId
+     * @param {string} reason
+     * @returns {Promise<boolean>} true if a hold was released
+     */
+    async releaseHold(trx, tokenId, reason) {
+        return (await this.releaseHolds(trx, [tokenId], reason)) > 0;
+    }
+}
+
+module.exports = BalanceService;
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { getNotifier } = require('./notifiers');
+const { deriveKey } = require('../utils/keyDerivation');
+
+/**
+ * Challenge Service
+ * Step-up verification for redemptions the risk engine marks CHALLENGE.
+ * An OTP is delivered to the account holder through the configured notifier; the agent
+ * must submit it within the window, and a bounded number of wrong guesses locks the challenge.
+ */
+class ChallengeService {
+    /**
+     * @param {Object} db Knex instance
+     * @param {Object} notifier Object implementing sendOtp() (defaults to the configured notifier)
+     */
+    constructor(db, notifier = getNotifier()) {
+        this.db = db;
+        this.notifier = notifier;
+        this.otpKey = deriveKey('redemption-otp');
+    }
+
+    /**
+     * Generates a uniformly random numeric OTP.
+     * @param {number} length
+     * @returns {string}
+     */
+    generateOtp(length = config.otp.length) {
+        let otp = '';
+        for (let i = 0; i < length; i++) {
+            otp += crypto.randomInt(0, 10);
+        }
+        return otp;
+    }
+
+    /**
+     * HMAC binding the OTP to its challenge, so a code cannot be replayed against another challenge.
+     * @param {string} challengeId
+     * @param {string} otp
+     * @returns {Buffer}
+     */
+    hashOtp(challengeId, otp) {
+        return crypto.createHmac('sha256', this.otpKey)
+            .update(`${challengeId}:${otp}`)
+            .digest();
+    }
+
+    /**
+     * Raises a challenge for a token and sends the OTP to the account holder.
+     * Any earlier PENDING challenge for the same token is superseded, so only the latest code works.
+     * @param {Object} params
+     * @param {string} params.tokenId
+     * @param {string} params.accountId
+     * @param {string} params.agentId Agent allowed to answer the challenge
+     * @param {Object} params.riskAssessment Output of RiskEngine.evaluateRedemption
+     * @returns {Promise<Object>} { challengeId, expiresAt }
+     */
+    async issueChallenge({ tokenId, accountId, agentId, riskAssessment }) {
+        const challengeId = crypto.randomUUID();
+        const otp = this.generateOtp();
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + config.otp.ttlSeconds * 1000);
+
+        await this.db.transaction(async (trx) => {
+            await trx('redemption_challenges')
+                .where({ token_id: tokenId, status: 'PENDING' })
+                .update({ status: 'EXPIRED', resolved_at: now });
+
+            await trx('redemption_challenges').insert({
+                id: challengeId,
+                token_id: tokenId,
+                account_id: accountId,
+                agent_id: agentId,
+                otp_hash: this.hashOtp(challengeId, otp),
+                status: 'PENDING',
+                max_attempts: config.otp.maxAttempts,
+                risk_score: riskAssessment.score,
+                risk_reasons: JSON.stringify(riskAssessment.reasons || []),
+                risk_policy_version: riskAssessment.policyVersion || null,
+                expires_at: expiresAt
+            });
+        });
+
+        try {
+            await this.notifier.sendOtp({ challengeId, accountId, otp, expiresAt });
+        } catch (err) {
+            // An undeliverable code must not stay answerable
+            await this.db('redemption_challenges')
+                .where({ id: challengeId, status: 'PENDING' })
+                .update({ status: 'EXPIRED', resolved_at: new Date() });
+            throw err;
+        }
+
+        logger.info({ challengeId, tokenId, agentId }, 'Redemption step-up challenge issued');
+
+        return { challengeId, expiresAt };
+    }
+
+    /**
+     * Checks an OTP against a PENDING challenge. Wrong guesses are counted and committed even
+     * though the verification fails, so attempt limits survive retries.
+     * @param {string} challengeId
+     * @param {string} otp
+     * @param {Object} requester
+     * @param {string} requester.accountId
+     * @param {string} requester.agentId
+     * @returns {Promise<Object>} { result: 'VERIFIED', tokenId, riskScore, riskReasons, riskPolicyVersion } |
+     *   { result: 'INVALID_OTP', attemptsRemaining } | { result: 'NOT_FOUND' | 'EXPIRED' | 'LOCKED' | 'ALREADY_VERIFIED' }
+     */
+    async verifyChallenge(challengeId, otp, { accountId, agentId }) {
+        return await this.db.transaction(async (trx) => {
+            const challenge = await trx('redemption_challenges')
+                .where({ id: challengeId })
+                .forUpdate()
+                .first();
+
+            // Only the agent that raised the challenge, for the same account, may answer it
+            if (!challenge || challenge.account_id !== accountId || challenge.agent_id !== agentId) {
+                return { result: 'NOT_FOUND' };
+            }
+
+            switch (challenge.status) {
+                case 'PENDING':
+                    break;
+                case 'VERIFIED':
+                    return { result: 'ALREADY_VERIFIED' };
+                case 'FAILED':
+                    return { result: 'LOCKED' };
+                default:
+                    return { result: 'EXPIRED' };
+            }
+
+            const now = new Date();
+            if (now >= new Date(challenge.expires_at)) {
+                await trx('redemption_challenges')
+                    .where({ id: challenge.id })
+                    .update({ status: 'EXPIRED', resolved_at: now });
+                return { result: 'EXPIRED' };
+            }
+
+            const matches = crypto.timingSafeEqual(this.hashOtp(challenge.id, otp), challenge.otp_hash);
+
+            if (!matches) {
+                const attempts = challenge.attempts + 1;
+                const locked = attempts >= challenge.max_attempts;
+
+                await trx('redemption_challenges')
+                    .where({ id: challenge.id })
+                    .update(locked
+                        ? { attempts, status: 'FAILED', resolved_at: now }
+                        : { attempts });
+
+                logger.warn({ challengeId: challenge.id, agentId, attempts }, 'Step-up OTP mismatch');
+
+                return locked
+                    ? { result: 'LOCKED' }
+                    : { result: 'INVALID_OTP', attemptsRemaining: challenge.max_attempts - attempts };
+            }
+
+            await trx('redemption_challenges')
+                .where({ id: challenge.id })
+                .update({ status: 'VERIFIED', resolved_at: now });
+
+            const riskReasons = typeof challenge.risk_reasons === 'string'
+                ? JSON.parse(challenge.risk_reasons)
+                : challenge.risk_reasons;
+
+            return {
+                result: 'VERIFIED',
+                tokenId: challenge.token_id,
+                riskScore: challenge.risk_score === null ? null : Number(challenge.risk_score),
+                riskReasons: riskReasons || [],
+                riskPolicyVersion: challenge.risk_policy_version
+            };
+        });
+    }
+}
+
+module.exports = ChallengeService;
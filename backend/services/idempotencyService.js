@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const cache = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { deriveKey } = require('../utils/keyDerivation');
+
+/**
+ * Idempotency Service
+ * Records Idempotency-Key requests so that client retries replay the first response
+ * instead of executing twice.
+ *
+ * Stored responses are encrypted (AES-256-GCM, key derived from SERVICE_KEY_SECRET) in both
+ * Redis and Postgres because a generation response carries the plaintext token.
+ */
+class IdempotencyService {
+    /**
+     * @param {Object} db Knex instance
+     * @param {Object} responseCache Cache with get/set/del (defaults to the Redis helpers)
+     */
+    constructor(db, responseCache = cache) {
+        this.db = db;
+        this.cache = responseCache;
+        this.encryptionKey = deriveKey('idempotency-response');
+    }
+
+    /**
+     * SHA-256 over a canonical (key-sorted) JSON rendering of the request body,
+     * so semantically identical retries hash identically.
+     * @param {Object} body
+     * @returns {string} hex digest
+     */
+    static hashRequest(body) {
+        const canonical = (value) => {
+            if (Array.isArray(value)) {
+                return value.map(canonical);
+            }
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort().reduce((acc, key) => {
+                    acc[key] = canonical(value[key]);
+                    return acc;
+                }, {});
+            }
+            return value;
+        };
+
+        return crypto.createHash('sha256')
+            .update(JSON.stringify(canonical(body ?? {})))
+            .digest('hex');
+    }
+
+    cacheKey({ scope, accountId, key }) {
+        return `idempotency:${scope}:${accountId}:${key}`;
+    }
+
+    encrypt(body) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(body), 'utf8'), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+    }
+
+    decrypt(payload) {
+        const iv = payload.subarray(0, 12);
+        const tag = payload.subarray(12, 28);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+        decipher.setAuthTag(tag);
+        const plaintext = Buffer.concat([decipher.update(payload.subarray(28)), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    }
+
+    /**
+     * Turns a stored record (cache entry or DB row) into a begin() outcome.
+     */
+    resolveExisting({ requestHash, state, statusCode, ciphertext }, expectedHash) {
+        if (requestHash !== expectedHash) {
+            return { state: 'MISMATCH' };
+        }
+        if (state !== 'COMPLETED') {
+            return { state: 'IN_PROGRESS' };
+        }
+        return { state: 'REPLAY', statusCode, body: this.decrypt(ciphertext) };
+    }
+
+    /**
+     * Claims an idempotency key for a request, or reports what already happened under it.
+     * @param {Object} params
+     * @param {string} params.key Client Idempotency-Key
+     * @param {string} params.accountId Account the request acts on
+     * @param {string} params.scope Route identifier
+     * @param {string} params.requestHash From hashRequest()
+     * @param {number} params.ttlSeconds Replay window
+     * @returns {Promise<Object>} { state: 'NEW', recordId } | { state: 'REPLAY', statusCode, body } |
+     *   { state: 'MISMATCH' } | { state: 'IN_PROGRESS' }
+     */
+    async begin({ key, accountId, scope, requestHash, ttlSeconds }) {
+        // 1. Hot path: completed responses are cached in Redis
+        const cached = await this.cache.get(this.cacheKey({ scope, accountId, key }));
+        if (cached) {
+            return this.resolveExisting({
+                ...cached,
+                state: 'COMPLETED',
+                ciphertext: Buffer.from(cached.ciphertext, 'base64')
+            }, requestHash);
+        }
+
+        const identity = { idempotency_key: key, account_id: accountId, scope };
+
+        // 2. Expired records no longer bind the key
+        await this.db('idempotency_keys')
+            .where(identity)
+            .andWhere('expires_at', '<=', new Date())
+            .del();
+
+        // 3. Claim the key; the unique index arbitrates concurrent first requests
+        try {
+            const [record] = await this.db('idempotency_keys').insert({
+                ...identity,
+                request_hash: requestHash,
+                state: 'IN_PROGRESS',
+                expires_at: new Date(Date.now() + ttlSeconds * 1000)
+            }).returning('id');
+
+            return { state: 'NEW', recordId: record.id };
+        } catch (err) {
+            if (err.code !== '23505') {
+                throw err;
+            }
+        }
+
+        const existing = await this.db('idempotency_keys').where(identity).first();
+        if (!existing) {
+            // Lost a race with a failed first request that released the key; let the client retry
+            return { state: 'IN_PROGRESS' };
+        }
+
+        return this.resolveExisting({
+            requestHash: existing.request_hash,
+            state: existing.state,
+            statusCode: existing.status_code,
+            ciphertext: existing.response_ciphertext
+        }, requestHash);
+    }
+
+    /**
+     * Stores the response of a claimed request for replay.
+     * @param {Object} params
+     * @param {string} params.recordId From begin()
+     * @param {string} params.key
+     * @param {string} params.accountId
+     * @param {string} params.scope
+     * @param {string} params.requestHash
+     * @param {number} params.ttlSeconds
+     * @param {number} statusCode
+     * @param {Object} body Parsed response body
+     */
+    async complete({ recordId, key, accountId, scope, requestHash, ttlSeconds }, statusCode, body) {
+        const ciphertext = this.encrypt(body);
+
+        await this.db('idempotency_keys')
+            .where({ id: recordId })
+            .update({
+                state: 'COMPLETED',
+                status_code: statusCode,
+                response_ciphertext: ciphertext
+            });
+
+        await this.cache.set(this.cacheKey({ scope, accountId, key }), {
+            requestHash,
+            statusCode,
+            ciphertext: ciphertext.toString('base64')
+        }, ttlSeconds);
+    }
+
+    /**
+     * Releases a claimed key when the request failed unexpectedly, so a retry can execute.
+     * @param {string} recordId
+     */
+    async abandon(recordId) {
+        try {
+            await this.db('idempotency_keys').where({ id: recordId, state: 'IN_PROGRESS' }).del();
+        } catch (err) {
+            // The row expires with its TTL; retries see IN_PROGRESS until then
+            logger.error({ err, recordId }, 'Failed to release idempotency key');
+        }
+    }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,21 @@
+const { logger } = require('../../utils/logger');
+
+/**
+ * Console OTP Notifier
+ * Development stand-in that only logs that an OTP was issued. The code itself never reaches
+ * the log; use the file notifier to read codes locally.
+ */
+class ConsoleNotifier {
+    /**
+     * @param {Object} message
+     * @param {string} message.challengeId
+     * @param {string} message.accountId Recipient account
+     * @param {string} message.otp Plaintext one-time password
+     * @param {Date} message.expiresAt
+     */
+    async sendOtp({ challengeId, accountId, expiresAt }) {
+        logger.info({ challengeId, accountId, expiresAt }, 'Step-up OTP issued (console notifier, code not delivered)');
+    }
+}
+
+module.exports = ConsoleNotifier;
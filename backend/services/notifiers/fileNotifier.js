@@ -0,0 +1,24 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File OTP Notifier
+ * Local stand-in that appends each OTP message as a JSON line to an outbox file,
+ * so manual testing and tooling can read codes without a real SMS gateway.
+ */
+class FileNotifier {
+    /**
+     * @param {string} filePath Outbox file (created with its directory if missing)
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async sendOtp({ challengeId, accountId, otp, expiresAt }) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const line = JSON.stringify({ challengeId, accountId, otp, expiresAt, sentAt: new Date() });
+        await fs.appendFile(this.filePath, `${line}\n`, { mode: 0o600 });
+    }
+}
+
+module.exports = FileNotifier;
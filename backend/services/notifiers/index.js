@@ -0,0 +1,53 @@
+/**
+ * OTP Notifier Registry
+ *
+ * A notifier is any object with `async sendOtp({ challengeId, accountId, otp, expiresAt })`.
+ * The built-in console and file notifiers are local stand-ins selected by OTP_NOTIFIER and
+ * unavailable in production, which must register a real channel (SMS, push) with
+ * setNotifier() before the server starts.
+ */
+
+const config = require('../../config');
+const ConsoleNotifier = require('./consoleNotifier');
+const FileNotifier = require('./fileNotifier');
+
+let notifier = null;
+
+const createDefaultNotifier = () => {
+    if (config.otp.notifier === 'file') {
+        return new FileNotifier(config.otp.notifierFile);
+    }
+    if (config.otp.notifier === 'console') {
+        return new ConsoleNotifier();
+    }
+    throw new Error('No OTP notifier registered: production requires a real notifier set with setNotifier()');
+};
+
+/**
+ * @returns {Object} The active notifier
+ * @throws {Error} When no notifier is registered and no stand-in is configured (production)
+ */
+const getNotifier = () => {
+    if (!notifier) {
+        notifier = createDefaultNotifier();
+    }
+    return notifier;
+};
+
+/**
+ * Replaces the active notifier.
+ * @param {Object} customNotifier Object implementing sendOtp()
+ */
+const setNotifier = (customNotifier) => {
+    if (!customNotifier || typeof customNotifier.sendOtp !== 'function') {
+        throw new TypeError('Notifier must implement sendOtp()');
+    }
+    notifier = customNotifier;
+};
+
+module.exports = {
+    getNotifier,
+    setNotifier,
+    ConsoleNotifier,
+    FileNotifier
+};
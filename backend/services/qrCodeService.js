@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { deriveKey } = require('../utils/keyDerivation');
+
+const PAYLOAD_VERSION = 'CCW2';
+const MAC_LENGTH = 22; // base64url characters, ~128 bits
+const PAYLOAD_PATTERN = /^CCW2\.([A-Z0-9]{2,8}(?:-[A-Z0-9]{1,33}){1,33})\.([1-9][0-9]{0,15})\.([A-Z]{3})\.([0-9]{1,12})\.([A-Za-z0-9_-]{22})$/;
+
+/**
+ * QR Code Service
+ * Encodes withdrawal tokens as scannable payloads and renders them as images.
+ *
+ * Payload: CCW2.<token>.<amount>.<currency>.<expires unix seconds>.<mac>, the amount in minor
+ * units of the ISO 4217 currency, and the MAC a truncated HMAC-SHA256 under a key derived from
+ * SERVICE_KEY_SECRET. An agent can show the amount and expiry before redeeming and detect a payload
+ * altered after it was issued. (CCW1 payloads carried no currency; they lived no longer than
+ * TOKEN_EXPIRY_SECONDS and are no longer accepted.) The MAC proves
+ * integrity only; the token itself is still verified against its stored hash on redemption.
+ */
+class QrCodeService {
+    constructor() {
+        this.macKey = deriveKey('token-qr-payload');
+    }
+
+    computeMac(body) {
+        return crypto.createHmac('sha256', this.macKey).update(body).digest('base64url').slice(0, MAC_LENGTH);
+    }
+
+    /**
+     * @param {Object} token
+     * @param {string} token.token Plaintext token
+     * @param {number} token.amount Minor units
+     * @param {string} token.currency
+     * @param {Date|string} token.expiresAt
+     * @returns {string}
+     */
+    buildPayload({ token, amount, currency, expiresAt }) {
+        const expiresAtSeconds = Math.floor(new Date(expiresAt).getTime() / 1000);
+        const body = `${PAYLOAD_VERSION}.${token}.${amount}.${currency}.${expiresAtSeconds}`;
+        return `${body}.${this.computeMac(body)}`;
+    }
+
+    /**
+     * Checks a scanned payload's format and MAC.
+     * @param {string} payload
+     * @returns {Object} { result: 'VALID', token, amount, currency, expiresAt } | { result: 'MALFORMED' | 'TAMPERED' }
+     */
+    parsePayload(payload) {
+        const match = PAYLOAD_PATTERN.exec(String(payload).trim());
+        if (!match) {
+            return { result: 'MALFORMED' };
+        }
+
+        const [, token, amount, currency, expiresAtSeconds, mac] = match;
+        const expected = this.computeMac(`${PAYLOAD_VERSION}.${token}.${amount}.${currency}.${expiresAtSeconds}`);
+        if (!crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected))) {
+            return { result: 'TAMPERED' };
+        }
+
+        return {
+            result: 'VALID',
+            token,
+            amount: Number(amount),
+            currency,
+            expiresAt: new Date(Number(expiresAtSeconds) * 1000)
+        };
+    }
+
+    /**
+     * @param {string} payload
+     * @param {'svg'|'png'} format
+     * @returns {Promise<string|Buffer>} SVG markup or PNG bytes
+     */
+    async render(payload, format) {
+        const options = { errorCorrectionLevel: 'M', margin: 2 };
+        if (format === 'png') {
+            return await QRCode.toBuffer(payload, { ...options, type: 'png', width: 320 });
+        }
+        return await QRCode.toString(payload, { ...options, type: 'svg' });
+    }
+}
+
+module.exports = QrCodeService;
@@ -0,0 +1,57 @@
+/**
+ * Attempt outcomes that do not indicate abuse. Everything else (invalid tokens, unknown
+ * prefixes, replays of used/cancelled tokens, risk rejections, wrong OTPs) feeds the
+ * failed-attempts risk signal. INSUFFICIENT_FLOAT is the agent running out of cash.
+ */
+const NON_ABUSE_RESULTS = ['SUCCESS', 'CHALLENGED', 'INSUFFICIENT_FLOAT'];
+
+/**
+ * Redemption Attempt Service
+ * Appends one redemption_attempts row per redemption outcome, successful or not.
+ */
+class RedemptionAttemptService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Appends an attempt row. Takes the connection to write with so attempts made inside a
+     * redemption transaction commit (or roll back) with it.
+     * @param {Object} conn Knex instance or transaction
+     * @param {Object} attempt
+     * @param {string} [attempt.tokenId] Token the attempt resolved to, if any
+     * @param {string} [attempt.accountId] Token owner, or the account claimed in the request
+     * @param {string} attempt.agentId
+     * @param {string} attempt.result redemption_result value
+     * @param {Object} [attempt.metadata] IP/device/risk context
+     */
+    async recordAttempt(conn, { tokenId = null, accountId = null, agentId, result, metadata = {} }) {
+        await conn('redemption_attempts').insert({
+            token_id: tokenId,
+            account_id: accountId,
+            agent_id: agentId,
+            result,
+            metadata: JSON.stringify(metadata)
+        });
+    }
+
+    /**
+     * Counts abuse-indicating attempts against an account since a point in time.
+     * @param {string} accountId
+     * @param {Date} since
+     * @returns {Promise<number>}
+     */
+    async countFailedAttempts(accountId, since) {
+        const row = await this.db('redemption_attempts')
+            .where({ account_id: accountId })
+            .whereNotIn('result', NON_ABUSE_RESULTS)
+            .andWhere('created_at', '>', since)
+            .count('id as count')
+            .first();
+
+        return parseInt(row?.count || 0);
+    }
+}
+
+module.exports = RedemptionAttemptService;
+module.exports.NON_ABUSE_RESULTS = NON_ABUSE_RESULTS;
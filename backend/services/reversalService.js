@@ -0,0 +1,141 @@
+const { logger, logBusiness } = require('../utils/logger');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const BalanceService = require('./balanceService');
+const AgentFloatService = require('./agentFloatService');
+
+/**
+ * Reason codes accepted for a reversal (mirrors the reversal_reason enum).
+ */
+const REVERSAL_REASONS = [
+    'CASH_NOT_DISPENSED',
+    'PARTIAL_DISPENSE',
+    'AGENT_DEVICE_FAILURE',
+    'CUSTOMER_DISPUTE',
+    'OPERATIONAL_ERROR'
+];
+
+/**
+ * Reversal Service
+ * Corrects a SUCCESS withdrawal by appending a REVERSAL ledger row and crediting the
+ * account (and the paying agent's float) back. The original entry is never modified
+ * (the ledger is append-only).
+ *
+ * The account is only credited when the redemption debited it, i.e. captured the token's
+ * hold. Tokens issued before holds existed were redeemed without touching the balance, so
+ * crediting their reversal would create money.
+ */
+class ReversalService {
+    constructor(db) {
+        this.db = db;
+        this.balanceService = new BalanceService(db);
+        this.floatService = new AgentFloatService(db);
+    }
+
+    /**
+     * Reverses a WITHDRAWAL ledger entry exactly once.
+     * @param {string} transactionId The WITHDRAWAL to reverse
+     * @param {Object} reversal
+     * @param {string} reversal.reasonCode One of REVERSAL_REASONS
+     * @param {string} reversal.initiatedBy Operator requesting the reversal
+     * @param {string} [reversal.note] Free-text context for investigators
+     * @returns {Promise<Object>} The REVERSAL entry
+     * @throws {NotFoundError|ValidationError|ConflictError}
+     */
+    async reverseWithdrawal(transactionId, { reasonCode, initiatedBy, note = null }) {
+        if (!REVERSAL_REASONS.includes(reasonCode)) {
+            throw new ValidationError('Unknown reversal reason code', [{ field: 'reasonCode', allowed: REVERSAL_REASONS }]);
+        }
+
+        try {
+            return await this.db.transaction(async (trx) => {
+                // Lock the original entry so concurrent reversal requests serialize here
+                const original = await trx('transactions')
+                    .where({ id: transactionId })
+                    .forUpdate()
+                    .first();
+
+                if (!original) {
+                    throw new NotFoundError('Transaction not found');
+                }
+
+                if (original.type !== 'WITHDRAWAL' || original.status !== 'SUCCESS') {
+                    throw new ValidationError('Only successful WITHDRAWAL entries can be reversed');
+                }
+
+                const existing = await trx('transactions')
+                    .where({ reversal_of: original.id })
+                    .first('id');
+
+                if (existing) {
+                    throw new ConflictError('Transaction has already been reversed');
+                }
+
+                const [entry] = await trx('transactions').insert({
+                    account_id: original.account_id,
+                    token_id: original.token_id,
+                    agent_id: original.agent_id,
+                    type: 'REVERSAL',
+                    amount: original.amount,
+                    currency: original.currency,
+                    status: 'SUCCESS',
+                    reversal_of: original.id,
+                    reason_code: reasonCode,
+                    initiated_by: initiatedBy,
+                    note
+                }).returning('*');
+
+                const capturedHold = original.token_id
+                    ? await trx('account_holds')
+                        .where({ token_id: original.token_id, status: 'CAPTURED' })
+                        .first('id')
+                    : undefined;
+
+                if (capturedHold) {
+                    await this.balanceService.credit(trx, original.account_id, original.amount);
+                } else {
+                    logger.warn({ transactionId: original.id, tokenId: original.token_id }, 'Reversed withdrawal never debited the balance; account not credited');
+                }
+
+                // The paying agent kept (or took back) the cash; withdrawals predating agent attribution have none
+                if (original.agent_id) {
+                    await this.floatService.creditForReversal(trx, {
+                        agentId: original.agent_id,
+                        amount: original.amount,
+                        transactionId: entry.id
+                    });
+                }
+
+                logBusiness('Withdrawal reversed', {
+                    component: 'reversal',
+                    transactionId: original.id,
+                    reversalId: entry.id,
+                    reasonCode,
+                    initiatedBy,
+                    accountCredited: Boolean(capturedHold)
+                });
+
+                return {
+                    id: entry.id,
+                    reversalOf: original.id,
+                    amount: Number(entry.amount),
+                    currency: entry.currency,
+                    reasonCode,
+                    initiatedBy,
+                    createdAt: entry.created_at
+                };
+            });
+        } catch (err) {
+            // Unique index backstop: a concurrent reversal committed first
+            if (err.code === '23505') {
+                throw new ConflictError('Transaction has already been reversed');
+            }
+            if (!(err instanceof NotFoundError || err instanceof ValidationError || err instanceof ConflictError)) {
+                logger.error({ err, transactionId }, 'Error reversing withdrawal');
+            }
+            throw err;
+        }
+    }
+}
+
+module.exports = ReversalService;
+module.exports.REVERSAL_REASONS = REVERSAL_REASONS;
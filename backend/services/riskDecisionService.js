@@ -0,0 +1,111 @@
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * Maps a risk_decisions row to its API shape
+ */
+const toDecision = (row) => ({
+    id: row.id,
+    accountId: row.account_id,
+    agentId: row.agent_id,
+    tokenId: row.token_id,
+    score: Number(row.score),
+    decision: row.decision,
+    reasons: typeof row.reasons === 'string' ? JSON.parse(row.reasons) : row.reasons,
+    signals: typeof row.signals === 'string' ? JSON.parse(row.signals) : row.signals,
+    policyVersion: row.policy_version,
+    createdAt: row.created_at
+});
+
+/**
+ * Risk Decision Service
+ * Persists every enforcing risk assessment (including REJECTs) and serves them to fraud analysts.
+ */
+class RiskDecisionService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Records an enforcing assessment. Runs before the decision is acted on, so a redemption is
+     * never approved or refused without its audit record.
+     * @param {Object} params
+     * @param {string} params.accountId
+     * @param {string} params.agentId
+     * @param {string} [params.tokenId]
+     * @param {Object} params.assessment RiskEngine.evaluateRedemption output
+     * @returns {Promise<string>} risk_decisions.id
+     */
+    async recordDecision({ accountId, agentId, tokenId = null, assessment }) {
+        const [row] = await this.db('risk_decisions').insert({
+            account_id: accountId,
+            agent_id: agentId,
+            token_id: tokenId,
+            score: assessment.score,
+            decision: assessment.decision,
+            reasons: JSON.stringify(assessment.reasons || []),
+            signals: JSON.stringify(assessment.signals || {}),
+            policy_version: assessment.policyVersion
+        }).returning('id');
+
+        return row.id;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object>}
+     * @throws {NotFoundError}
+     */
+    async getById(id) {
+        const row = await this.db('risk_decisions').where({ id }).first();
+        if (!row) {
+            throw new NotFoundError('Risk decision not found');
+        }
+        return toDecision(row);
+    }
+
+    /**
+     * Lists decisions newest first.
+     * @param {Object} filters
+     * @param {string} [filters.accountId]
+     * @param {string} [filters.agentId]
+     * @param {string} [filters.tokenId]
+     * @param {string} [filters.decision] APPROVE | CHALLENGE | REJECT
+     * @param {string} [filters.policyVersion]
+     * @param {Date} [filters.from]
+     * @param {Date} [filters.to]
+     * @param {number} filters.limit
+     * @param {number} filters.offset
+     * @returns {Promise<Object[]>}
+     */
+    async findDecisions({ accountId, agentId, tokenId, decision, policyVersion, from, to, limit, offset }) {
+        const columns = {
+            account_id: accountId,
+            agent_id: agentId,
+            token_id: tokenId,
+            decision,
+            policy_version: policyVersion
+        };
+
+        const rows = await this.db('risk_decisions')
+            .modify((query) => {
+                for (const [column, filterValue] of Object.entries(columns)) {
+                    if (filterValue !== undefined) {
+                        query.andWhere(column, filterValue);
+                    }
+                }
+                if (from) {
+                    query.andWhere('created_at', '>=', from);
+                }
+                if (to) {
+                    query.andWhere('created_at', '<=', to);
+                }
+            })
+            .orderBy('created_at', 'desc')
+            .limit(limit)
+            .offset(offset);
+
+        return rows.map(toDecision);
+    }
+}
+
+module.exports = RiskDecisionService;
@@ -1,72 +1,92 @@
 const { logger } = require('../utils/logger');
+const { getActivePolicy, getShadowPolicies } = require('../config/riskPolicy');
 
 /**
  * Production Risk Engine
  * Deterministic fraud prevention using historical and contextual signals.
+ * Thresholds, weights and decision bands come from the declarative risk policy
+ * (config/risk-policy.yaml); this class only computes signal values and applies the policy.
  */
 class RiskEngine {
     /**
-     * Evaluate redemption risk using deterministic signals.
+     * Computes raw signal values from the historical context and request metadata.
+     * A null value means the signal cannot be assessed (e.g. no withdrawal history).
      * @param {Object} context Historical context from getRiskContext
      * @param {Object} metadata Current request metadata (IP, deviceId, etc.)
-     * @returns {Object} { score: number, decision: 'APPROVE' | 'CHALLENGE' | 'REJECT', reasons: string[] }
+     * @returns {Object} Signal values keyed by policy signal name
      */
-    static evaluateRedemption(context, metadata = {}) {
+    static computeSignals(context, metadata = {}) {
+        const currentIp = metadata.ip || '127.0.0.1';
+
+        return {
+            velocity10m: context.velocity10m,
+            amountDeviation: context.avgAmount > 0
+                ? Math.abs(context.currentAmount - context.avgAmount) / context.avgAmount
+                : null,
+            failedAttempts24h: context.failedAttempts24h,
+            ipMismatch: context.lastIp && context.lastIp !== currentIp ? 1 : 0
+        };
+    }
+
+    /**
+     * Fills {value} and {percent} placeholders in a policy reason.
+     */
+    static formatReason(template, value) {
+        return template
+            .replace('{percent}', Math.round(value * 100))
+            .replace('{value}', value);
+    }
+
+    /**
+     * Scores precomputed signal values against one policy (pure, no logging).
+     * @param {Object} signals From computeSignals
+     * @param {Object} policy
+     * @returns {Object} { score, decision, reasons, policyVersion }
+     */
+    static applyPolicy(signals, policy) {
         let score = 0;
         const reasons = [];
 
-        // 1. Velocity Signal (High weight: 40%)
-        // Threshold: > 3 tokens in 10 minutes is highly suspicious
-        if (context.velocity10m > 3) {
-            score += 0.4;
-            reasons.push('High token generation velocity (10m)');
-        } else if (context.velocity10m > 1) {
-            score += 0.15;
-            reasons.push('Elevated token generation velocity (10m)');
-        }
-
-        // 2. Behavior Signal (Moderate weight: 30%)
-        // Deviation from average withdrawal amount
-        if (context.avgAmount > 0) {
-            const deviation = Math.abs(context.currentAmount - context.avgAmount) / context.avgAmount;
-            if (deviation > 2.0) { // > 200% deviation
-                score += 0.3;
-                reasons.push(`Significant deviation from average amount (${Math.round(deviation * 100)}%)`);
-            } else if (deviation > 1.0) { // > 100% deviation
-                score += 0.15;
-                reasons.push(`Moderate deviation from average amount (${Math.round(deviation * 100)}%)`);
+        for (const [name, rule] of Object.entries(policy.signals)) {
+            const value = signals[name];
+            if (value === null || value === undefined) {
+                continue;
             }
-        }
-
-        // 3. Abuse Signal (High weight: 40%)
-        // Number of failed redemptions in last 24 hours
-        if (context.failedAttempts24h > 5) {
-            score += 0.5;
-            reasons.push('Excessive failed redemption attempts (24h)');
-        } else if (context.failedAttempts24h > 2) {
-            score += 0.25;
-            reasons.push('Elevated failed redemption attempts (24h)');
-        }
 
-        // 4. Geo/IP Signal (Moderate weight: 20%)
-        // Check for IP change from last successful redemption
-        const currentIp = metadata.ip || '127.0.0.1';
-        if (context.lastIp && context.lastIp !== currentIp) {
-            score += 0.2;
-            reasons.push('IP address mismatch from last success');
+            // First matching band wins, so bands are listed from most to least severe
+            const band = rule.bands.find((candidate) => value > candidate.above);
+            if (band) {
+                score += band.weight;
+                reasons.push(RiskEngine.formatReason(band.reason, value));
+            }
         }
 
         // Cap score at 1.0
         score = Math.min(1.0, parseFloat(score.toFixed(2)));
 
         let decision = 'APPROVE';
-        if (score > 0.7) decision = 'REJECT';
-        else if (score >= 0.3) decision = 'CHALLENGE';
+        if (score > policy.decisions.rejectAbove) decision = 'REJECT';
+        else if (score >= policy.decisions.challengeAt) decision = 'CHALLENGE';
+
+        return { score, decision, reasons, policyVersion: policy.version };
+    }
+
+    /**
+     * Evaluate redemption risk using deterministic signals.
+     * @param {Object} context Historical context from getRiskContext
+     * @param {Object} metadata Current request metadata (IP, deviceId, etc.)
+     * @param {Object} policy Risk policy to apply (defaults to the active policy)
+     * @returns {Object} { score: number, decision: 'APPROVE' | 'CHALLENGE' | 'REJECT', reasons: string[], policyVersion: string, signals: Object }
+     */
+    static evaluateRedemption(context, metadata = {}, policy = getActivePolicy()) {
+        const signals = RiskEngine.computeSignals(context, metadata);
+        const { score, decision, reasons } = RiskEngine.applyPolicy(signals, policy);
 
         logger.info({
             score,
             decision,
             reasons,
+            policyVersion: policy.version,
             context: {
                 velocity: context.velocity10m,
                 failed: context.failedAttempts24h,
@@ -74,7 +94,29 @@ class RiskEngine {
             }
         }, 'Deterministic risk evaluation completed');
 
-        return { score, decision, reasons };
+        return { score, decision, reasons, policyVersion: policy.version, signals };
+    }
+
+    /**
+     * Evaluates candidate (shadow) policies on the same inputs as the enforcing one.
+     * Shadow outcomes are only recorded for comparison; a faulty shadow policy never affects the request.
+     * @param {Object} context Historical context from getRiskContext
+     * @param {Object} metadata Current request metadata
+     * @param {Object[]} policies Shadow policies (defaults to RISK_SHADOW_POLICY_PATHS)
+     * @returns {Object[]} One { score, decision, reasons, policyVersion } per shadow policy
+     */
+    static evaluateShadows(context, metadata = {}, policies = getShadowPolicies()) {
+        const signals = RiskEngine.computeSignals(context, metadata);
+        const results = [];
+
+        for (const policy of policies) {
+            try {
+                results.push(RiskEngine.applyPolicy(signals, policy));
+            } catch (err) {
+                logger.error({ err, policyVersion: policy.version }, 'Shadow risk policy evaluation failed');
+            }
+        }
+        return results;
     }
 }
 
@@ -0,0 +1,180 @@
+const { logBusiness } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a DATE column as YYYY-MM-DD. node-postgres parses DATE values as local midnight,
+ * so local getters are used rather than toISOString().
+ */
+const formatBusinessDate = (value) => {
+    if (!(value instanceof Date)) {
+        return value;
+    }
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+/**
+ * Maps an agent_settlements row to its API shape
+ */
+const toSettlement = (row) => ({
+    id: row.id,
+    agentId: row.agent_id,
+    businessDate: formatBusinessDate(row.business_date),
+    redemptionCount: Number(row.redemption_count),
+    grossAmount: Number(row.gross_amount),
+    reversalCount: Number(row.reversal_count),
+    reversalAmount: Number(row.reversal_amount),
+    netAmount: Number(row.net_amount),
+    commissionBps: Number(row.commission_bps),
+    commissionAmount: Number(row.commission_amount),
+    createdAt: row.created_at
+});
+
+/**
+ * Settlement Service
+ * Produces per-agent daily settlements from the transactions ledger.
+ *
+ * Business days are UTC calendar days. A reversal is settled on the day it is booked, even if
+ * the withdrawal it corrects was settled earlier, so a settled day is never rewritten.
+ */
+class SettlementService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Commission on the net redeemed value, rounded to the minor unit. Negative net (more reversed
+     * than paid out that day) earns no commission.
+     * @param {number} netAmount
+     * @param {number} commissionBps
+     * @returns {number}
+     */
+    static commissionFor(netAmount, commissionBps) {
+        if (netAmount <= 0) {
+            return 0;
+        }
+        return Math.round(netAmount * commissionBps / 10000);
+    }
+
+    /**
+     * The UTC day before `now`, as YYYY-MM-DD.
+     * @param {Date} [now]
+     * @returns {string}
+     */
+    static previousBusinessDate(now = new Date()) {
+        return new Date(now.getTime() - DAY_MS).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Settles every agent with ledger activity on the given day. Safe to re-run: agents already
+     * settled for the day are left untouched.
+     * @param {string} businessDate YYYY-MM-DD (UTC)
+     * @param {Object} options
+     * @param {number} options.defaultCommissionBps Used for agents without their own commission_bps
+     * @returns {Promise<Object>} { businessDate, settled: Object[], alreadySettled: number }
+     * @throws {ValidationError} For dates that are not complete past days
+     */
+    async settleDay(businessDate, { defaultCommissionBps }) {
+        const start = new Date(`${businessDate}T00:00:00.000Z`);
+        if (Number.isNaN(start.getTime()) || start.toISOString().slice(0, 10) !== businessDate) {
+            throw new ValidationError('businessDate must be a valid YYYY-MM-DD date');
+        }
+
+        const end = new Date(start.getTime() + DAY_MS);
+        if (end > new Date()) {
+            throw new ValidationError('Only completed business days can be settled');
+        }
+
+        const totals = await this.db('transactions as t')
+            .join('agents as a', 'a.id', 't.agent_id')
+            .where('t.status', 'SUCCESS')
+            .whereIn('t.type', ['WITHDRAWAL', 'REVERSAL'])
+            .andWhere('t.created_at', '>=', start)
+            .andWhere('t.created_at', '<', end)
+            .groupBy('t.agent_id', 'a.commission_bps')
+            .select(
+                't.agent_id',
+                'a.commission_bps',
+                this.db.raw(`count(*) FILTER (WHERE t.type = 'WITHDRAWAL') AS redemption_count`),
+                this.db.raw(`COALESCE(sum(t.amount) FILTER (WHERE t.type = 'WITHDRAWAL'), 0) AS gross_amount`),
+                this.db.raw(`count(*) FILTER (WHERE t.type = 'REVERSAL') AS reversal_count`),
+                this.db.raw(`COALESCE(sum(t.amount) FILTER (WHERE t.type = 'REVERSAL'), 0) AS reversal_amount`)
+            );
+
+        if (totals.length === 0) {
+            return { businessDate, settled: [], alreadySettled: 0 };
+        }
+
+        const records = totals.map((row) => {
+            const grossAmount = Number(row.gross_amount);
+            const reversalAmount = Number(row.reversal_amount);
+            const netAmount = grossAmount - reversalAmount;
+            const commissionBps = row.commission_bps === null ? defaultCommissionBps : Number(row.commission_bps);
+
+            return {
+                agent_id: row.agent_id,
+                business_date: businessDate,
+                redemption_count: Number(row.redemption_count),
+                gross_amount: grossAmount,
+                reversal_count: Number(row.reversal_count),
+                reversal_amount: reversalAmount,
+                net_amount: netAmount,
+                commission_bps: commissionBps,
+                commission_amount: SettlementService.commissionFor(netAmount, commissionBps)
+            };
+        });
+
+        const inserted = await this.db('agent_settlements')
+            .insert(records)
+            .onConflict(['agent_id', 'business_date'])
+            .ignore()
+            .returning('*');
+
+        const settled = inserted.map(toSettlement);
+
+        for (const settlement of settled) {
+            logBusiness('Agent settlement produced', {
+                component: 'agent_settlement',
+                agentId: settlement.agentId,
+                businessDate,
+                redemptionCount: settlement.redemptionCount,
+                netAmount: settlement.netAmount,
+                commissionAmount: settlement.commissionAmount
+            });
+        }
+
+        return { businessDate, settled, alreadySettled: records.length - settled.length };
+    }
+
+    /**
+     * Lists an agent's settlements, newest business day first.
+     * @param {string} agentId
+     * @param {Object} filters
+     * @param {string} [filters.from] YYYY-MM-DD, inclusive
+     * @param {string} [filters.to] YYYY-MM-DD, inclusive
+     * @param {number} filters.limit
+     * @param {number} filters.offset
+     * @returns {Promise<Object[]>}
+     */
+    async listSettlements(agentId, { from, to, limit, offset }) {
+        const rows = await this.db('agent_settlements')
+            .where({ agent_id: agentId })
+            .modify((query) => {
+                if (from) {
+                    query.andWhere('business_date', '>=', from);
+                }
+                if (to) {
+                    query.andWhere('business_date', '<=', to);
+                }
+            })
+            .orderBy('business_date', 'desc')
+            .limit(limit)
+            .offset(offset);
+
+        return rows.map(toSettlement);
+    }
+}
+
+module.exports = SettlementService;
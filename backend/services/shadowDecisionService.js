@@ -0,0 +1,129 @@
+const { logger } = require('../utils/logger');
+
+const DECISIONS = ['APPROVE', 'CHALLENGE', 'REJECT'];
+
+/**
+ * Shadow Decision Service
+ * Persists shadow policy outcomes next to the enforcing decision and reports how a
+ * candidate policy would have changed approve/challenge/reject rates.
+ */
+class ShadowDecisionService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Records one row per shadow policy for a redemption evaluation.
+     * @param {Object} params
+     * @param {string} params.accountId
+     * @param {string} params.agentId
+     * @param {string} [params.tokenId]
+     * @param {string} [params.riskDecisionId] Persisted enforcing decision (risk_decisions.id)
+     * @param {Object} params.enforcing Enforcing RiskEngine assessment
+     * @param {Object[]} params.shadows RiskEngine.evaluateShadows output
+     */
+    async recordShadowDecisions({ accountId, agentId, tokenId = null, riskDecisionId = null, enforcing, shadows }) {
+        if (!shadows || shadows.length === 0) {
+            return;
+        }
+
+        await this.db('shadow_risk_decisions').insert(shadows.map((shadow) => ({
+            account_id: accountId,
+            agent_id: agentId,
+            token_id: tokenId,
+            risk_decision_id: riskDecisionId,
+            enforcing_policy_version: enforcing.policyVersion,
+            enforcing_decision: enforcing.decision,
+            enforcing_score: enforcing.score,
+            shadow_policy_version: shadow.policyVersion,
+            shadow_decision: shadow.decision,
+            shadow_score: shadow.score,
+            shadow_reasons: JSON.stringify(shadow.reasons)
+        })));
+
+        const disagreements = shadows.filter((shadow) => shadow.decision !== enforcing.decision);
+        if (disagreements.length > 0) {
+            logger.info({
+                agentId,
+                enforcingDecision: enforcing.decision,
+                shadowDecisions: disagreements.map(({ policyVersion, decision }) => ({ policyVersion, decision }))
+            }, 'Shadow risk policy disagrees with enforcing decision');
+        }
+    }
+
+    /**
+     * Compares enforcing and shadow decisions over a time window.
+     * @param {Object} params
+     * @param {Date} params.from
+     * @param {Date} params.to
+     * @param {string} [params.shadowPolicyVersion] Restrict to one candidate policy
+     * @returns {Promise<Object[]>} One comparison per (enforcing version, shadow version) pair
+     */
+    async getComparisonReport({ from, to, shadowPolicyVersion }) {
+        const rows = await this.db('shadow_risk_decisions')
+            .whereBetween('created_at', [from, to])
+            .modify((query) => {
+                if (shadowPolicyVersion) {
+                    query.andWhere('shadow_policy_version', shadowPolicyVersion);
+                }
+            })
+            .select('enforcing_policy_version', 'shadow_policy_version', 'enforcing_decision', 'shadow_decision')
+            .count('id as count')
+            .groupBy('enforcing_policy_version', 'shadow_policy_version', 'enforcing_decision', 'shadow_decision');
+
+        const comparisons = new Map();
+
+        for (const row of rows) {
+            const key = `${row.enforcing_policy_version}\u0000${row.shadow_policy_version}`;
+            if (!comparisons.has(key)) {
+                comparisons.set(key, {
+                    enforcingPolicyVersion: row.enforcing_policy_version,
+                    shadowPolicyVersion: row.shadow_policy_version,
+                    evaluations: 0,
+                    enforcing: Object.fromEntries(DECISIONS.map((d) => [d, 0])),
+                    shadow: Object.fromEntries(DECISIONS.map((d) => [d, 0])),
+                    agreements: 0,
+                    disagreements: []
+                });
+            }
+
+            const comparison = comparisons.get(key);
+            const count = parseInt(row.count, 10);
+
+            comparison.evaluations += count;
+            comparison.enforcing[row.enforcing_decision] += count;
+            comparison.shadow[row.shadow_decision] += count;
+
+            if (row.enforcing_decision === row.shadow_decision) {
+                comparison.agreements += count;
+            } else {
+                comparison.disagreements.push({
+                    enforcingDecision: row.enforcing_decision,
+                    shadowDecision: row.shadow_decision,
+                    count
+                });
+            }
+        }
+
+        const rate = (count, total) => (total > 0 ? parseFloat((count / total).toFixed(4)) : 0);
+
+        return Array.from(comparisons.values()).map((comparison) => {
+            const total = comparison.evaluations;
+            const toRates = (counts) => Object.fromEntries(
+                DECISIONS.map((d) => [d, { count: counts[d], rate: rate(counts[d], total) }])
+            );
+
+            return {
+                enforcingPolicyVersion: comparison.enforcingPolicyVersion,
+                shadowPolicyVersion: comparison.shadowPolicyVersion,
+                evaluations: total,
+                enforcing: toRates(comparison.enforcing),
+                shadow: toRates(comparison.shadow),
+                agreementRate: rate(comparison.agreements, total),
+                disagreements: comparison.disagreements.sort((a, b) => b.count - a.count)
+            };
+        });
+    }
+}
+
+module.exports = ShadowDecisionService;
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const argon2 = require('argon2');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Stored in tokens.hash_version. A version fixes the algorithm and its parameters, so
+ * changing either means adding a version, never editing one: rows keep verifying under
+ * the version they were written with.
+ */
+const HASH_VERSIONS = {
+    SHA256_LEGACY: 1,
+    HMAC_SHA256: 2,
+    ARGON2ID: 3
+};
+
+const ALGORITHM_VERSIONS = {
+    'hmac-sha256': HASH_VERSIONS.HMAC_SHA256,
+    argon2id: HASH_VERSIONS.ARGON2ID
+};
+
+// OWASP baseline for Argon2id: 19 MiB, 2 passes, 1 lane
+const ARGON2_OPTIONS = {
+    type: argon2.argon2id,
+    memoryCost: 19456,
+    timeCost: 2,
+    parallelism: 1,
+    hashLength: 32,
+    raw: true
+};
+
+/**
+ * Hash strategies by version. Each takes the plaintext token, the per-token salt and the
+ * pepper secret, and resolves to the binary hash stored in tokens.token_hash.
+ */
+const strategies = {
+    // SHA256(pepper + token + salt) under TOKEN_PEPPER; tokens issued before hash versioning
+    [HASH_VERSIONS.SHA256_LEGACY]: async (plaintextToken, salt, pepper) => crypto.createHash('sha256')
+        .update(pepper)
+        .update(plaintextToken)
+        .update(salt)
+        .digest(),
+
+    [HASH_VERSIONS.HMAC_SHA256]: async (plaintextToken, salt, pepper) => crypto.createHmac('sha256', pepper)
+        .update(plaintextToken)
+        .update(salt)
+        .digest(),
+
+    // The pepper is Argon2's secret input, so a leaked table cannot be attacked offline without it
+    [HASH_VERSIONS.ARGON2ID]: async (plaintextToken, salt, pepper) => await argon2.hash(plaintextToken, {
+        ...ARGON2_OPTIONS,
+        salt,
+        secret: Buffer.from(pepper)
+    })
+};
+
+/**
+ * Token Hasher
+ * Versioned, peppered hashing of withdrawal tokens.
+ *
+ * New tokens are hashed with TOKEN_HASH_ALGORITHM under the active pepper, and the row records
+ * hash_version and pepper_id. Verification uses whatever the row recorded, so a new pepper can
+ * be introduced for new tokens while outstanding ones still verify under the pepper they were
+ * issued with. Legacy rows (version 1, no pepper_id) always use TOKEN_PEPPER.
+ */
+class TokenHasher {
+    /**
+     * @param {Object} [settings] config.token.hashing
+     * @param {string} settings.algorithm 'hmac-sha256' | 'argon2id'
+     * @param {Object<string, string>} settings.peppers Pepper secrets by id
+     * @param {string} settings.activePepperId Pepper for new tokens
+     */
+    constructor(settings = config.token.hashing) {
+        this.hashVersion = ALGORITHM_VERSIONS[settings.algorithm];
+        this.peppers = settings.peppers;
+        this.activePepperId = settings.activePepperId;
+    }
+
+    /**
+     * Secret for a pepper id; null (legacy rows) resolves to TOKEN_PEPPER.
+     * @param {string|null} pepperId
+     * @returns {string|undefined} undefined once the pepper has been retired from configuration
+     *   (for legacy rows: once TOKEN_PEPPER is no longer set)
+     */
+    pepperFor(pepperId) {
+        return pepperId === null ? config.token.pepper : this.peppers[pepperId];
+    }
+
+    /**
+     * Hashes a new token with the configured algorithm and active pepper.
+     * @param {string} plaintextToken Canonical token
+     * @param {Buffer} salt Per-token salt
+     * @returns {Promise<Object>} { hash: Buffer, hashVersion, pepperId }
+     */
+    async hash(plaintextToken, salt) {
+        const hash = await strategies[this.hashVersion](plaintextToken, salt, this.pepperFor(this.activePepperId));
+        return { hash, hashVersion: this.hashVersion, pepperId: this.activePepperId };
+    }
+
+    /**
+     * Checks a plaintext token against a stored row in constant time.
+     * @param {string} plaintextToken Canonical token
+     * @param {Object} row tokens row (token_hash, salt, hash_version, pepper_id)
+     * @returns {Promise<boolean>}
+     */
+    async verify(plaintextToken, row) {
+        const strategy = strategies[row.hash_version];
+        const pepper = this.pepperFor(row.pepper_id);
+
+        if (!strategy || pepper === undefined) {
+            // A live token under a retired pepper can never be redeemed; see `npm run peppers:usage`
+            logger.error(
+                { tokenId: row.id, hashVersion: row.hash_version, pepperId: row.pepper_id },
+                'Token hash version or pepper is not configured'
+            );
+            return false;
+        }
+
+        const candidateHash = await strategy(plaintextToken, row.salt, pepper);
+        return candidateHash.length === row.token_hash.length && crypto.timingSafeEqual(candidateHash, row.token_hash);
+    }
+}
+
+module.exports = TokenHasher;
+module.exports.HASH_VERSIONS = HASH_VERSIONS;
@@ -1,7 +1,29 @@
 const crypto = require('crypto');
+const { promisify } = require('util');
 const Joi = require('joi');
 const config = require('../config');
 const { logger } = require('../utils/logger');
+const {
+    AppError,
+    ActiveTokenLimitError,
+    CurrencyMismatchError,
+    AmountNotDispensableError
+} = require('../utils/errors');
+const BalanceService = require('./balanceService');
+const RedemptionAttemptService = require('./redemptionAttemptService');
+const AgentFloatService = require('./agentFloatService');
+const WithdrawalLimitService = require('./withdrawalLimitService');
+const QrCodeService = require('./qrCodeService');
+const TokenHasher = require('./tokenHasher');
+const { createTokenFormat, createNumericTokenFormat } = require('../config/tokenFormat');
+const { CURRENCIES, formatMinorUnits, checkDispensable } = require('../config/currencies');
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_KINDS = ['ALPHANUMERIC', 'NUMERIC'];
+
+// Recorded as cancelled_by on tokens cancelled to make room under TOKEN_MAX_ACTIVE_PER_ACCOUNT
+const ACTIVE_LIMIT_CANCELLER = 'SYSTEM:active-token-limit';
 
 /**
  * Token Service
@@ -10,8 +32,17 @@ const { logger } = require('../utils/logger');
 class TokenService {
     constructor(db) {
         this.db = db;
-        // Strict uppercase alphanumeric charset as requested (A-Z, 0-9)
-        this.charset = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+        this.balanceService = new BalanceService(db);
+        this.attemptService = new RedemptionAttemptService(db);
+        this.floatService = new AgentFloatService(db);
+        this.limitService = new WithdrawalLimitService(db);
+        // Versioned, peppered hashing; rows record the version and pepper they were hashed with
+        this.hasher = new TokenHasher();
+        // Prefix/core lengths, charset and grouping come from the TOKEN_* settings
+        this.format = createTokenFormat(config.token);
+        this.charset = this.format.charset;
+        // Digit-only tokens for keypad terminals, always paired with a customer PIN
+        this.numericFormat = createNumericTokenFormat(config.token.numeric);
         // Max retries for handling very rare token collisions
         this.MAX_RETRIES = 3;
     }
@@ -19,152 +50,478 @@ class TokenService {
     /**
      * Generates a CSPRNG token string of given length using crypto.randomInt.
      * @param {number} length 
+     * @param {string} [charset] Defaults to the configured alphanumeric charset
      * @returns {string} plaintext token
      */
-    generateRandomToken(length = 8) {
+    generateRandomToken(length = 8, charset = this.charset) {
         let result = '';
         for (let i = 0; i < length; i++) {
             // crypto.randomInt guarantees unbiased, uniformly distributed random numbers
-            const randomIndex = crypto.randomInt(0, this.charset.length);
-            result += this.charset[randomIndex];
+            const randomIndex = crypto.randomInt(0, charset.length);
+            result += charset[randomIndex];
         }
         return result;
     }
 
     /**
-     * Hashes the plaintext token using SHA-256 with pepper and per-token salt.
-     * Format: SHA256(pepper + token + salt)
+     * Hashes a new plaintext token with the configured algorithm, active pepper and per-token salt.
      * @param {string} plaintextToken 
      * @param {Buffer} salt
-     * @returns {Buffer} binary hash for storing in DB
+     * @returns {Promise<Object>} { hash: Buffer, hashVersion, pepperId } for storing in DB
      */
-    hashToken(plaintextToken, salt) {
-        return crypto.createHash('sha256')
-            .update(config.token.pepper) // Global secret pepper
-            .update(plaintextToken)
-            .update(salt) // Per-token random salt
-            .digest();
+    async hashToken(plaintextToken, salt) {
+        return await this.hasher.hash(plaintextToken, salt);
+    }
+
+    /**
+     * Hashes a customer PIN with scrypt. PINs are short enough to brute-force offline, so
+     * unlike the token itself they get a deliberately slow hash under the token's salt.
+     * The PIN uses the same pepper as its token, so both retire together.
+     * @param {string} pin
+     * @param {Buffer} salt Per-token salt
+     * @param {string|null} pepperId The token's pepper_id
+     * @returns {Promise<Buffer>}
+     */
+    async hashPin(pin, salt, pepperId) {
+        return await scrypt(`${this.hasher.pepperFor(pepperId)}:${pin}`, salt, 32);
     }
 
     /**
      * Validates parameters for token generation
      */
-    validateGenerationParams(accountId, amount) {
+    validateGenerationParams(accountId, amount, kind, pin, currency) {
         const schema = Joi.object({
             accountId: Joi.string().uuid().required(),
-            // Amount must be STRICTLY a positive integer (no floats)
-            amount: Joi.number().integer().positive().required()
+            // Minor units of the account currency: STRICTLY a positive integer (no floats)
+            amount: Joi.number().integer().positive().max(Number.MAX_SAFE_INTEGER).required(),
+            currency: Joi.string().pattern(/^[A-Z]{3}$/).optional(),
+            kind: Joi.string().valid(...TOKEN_KINDS).required(),
+            // Numeric tokens are only redeemable together with the customer's PIN
+            pin: Joi.when('kind', {
+                is: 'NUMERIC',
+                then: Joi.string().pattern(/^[0-9]{4,6}$/).required(),
+                otherwise: Joi.forbidden()
+            })
         });
-        return schema.validate({ accountId, amount });
+        return schema.validate({ accountId, amount, kind, pin, currency });
     }
 
     /**
      * Generates and stores a new withdrawal token.
+     * The active-token cap, the limit check, the token insert and the hold reserving its
+     * amount commit in one transaction, so a token never exists without the funds backing
+     * it or beyond the account's limits.
      * Implements collision retry logic.
      * @param {string} accountId 
-     * @param {number} amount 
-     * @returns {Promise<Object>} The plaintext token and related info
+     * @param {number} amount Minor units of the account currency
+     * @param {Object} [options]
+     * @param {string} [options.currency] ISO 4217 code the caller priced the amount in; must be the account's
+     * @param {boolean} [options.includeQr] Also return a signed QR payload (see QrCodeService)
+     * @param {string} [options.kind] 'ALPHANUMERIC' (default) or 'NUMERIC' for keypad-only terminals
+     * @param {string} [options.pin] 4-6 digit customer PIN, required for NUMERIC tokens
+     * @returns {Promise<Object>} The plaintext token and related info, plus cancelledTokenIds
+     *   when older tokens were cancelled to make room
+     * @throws {NotFoundError|AccountInactiveError|InsufficientFundsError|WithdrawalLimitExceededError|
+     *   ActiveTokenLimitError|CurrencyMismatchError|AmountNotDispensableError} When the account cannot issue the token
      */
-    async generateWithdrawalToken(accountId, amount) {
-        const { error } = this.validateGenerationParams(accountId, amount);
+    async generateWithdrawalToken(accountId, amount, { currency, includeQr = false, kind = 'ALPHANUMERIC', pin } = {}) {
+        const { error } = this.validateGenerationParams(accountId, amount, kind, pin, currency);
         if (error) {
             const msg = `Invalid token generation params: ${error.message}`;
             logger.warn({ accountId, amount }, msg);
             throw new Error(msg);
         }
 
+        const format = kind === 'NUMERIC' ? this.numericFormat : this.format;
         let retries = 0;
 
         while (retries < this.MAX_RETRIES) {
             try {
-                // High-entropy 8-character core
-                const coreToken = this.generateRandomToken(8);
+                // High-entropy secret core (entropy enforced at startup for alphanumeric tokens)
+                const coreToken = this.generateRandomToken(format.coreLength, format.charset);
+
+                // Non-secret random prefix to enable O(1) row lookup later
+                const tokenIdPrefix = this.generateRandomToken(format.prefixLength, format.charset);
 
-                // Non-secret random prefix (e.g. 4 chars) to enable O(1) row lookup later
-                const tokenIdPrefix = this.generateRandomToken(4);
-                const plaintextToken = `${tokenIdPrefix}-${coreToken}`;
+                // Trailing check character lets typos be caught before any lookup. The hash
+                // covers the canonical form, so display grouping can change without reissuing.
+                const { canonical, display: plaintextToken } = format.build(tokenIdPrefix, coreToken);
 
                 const salt = crypto.randomBytes(16); // 16 bytes for per-token salt
-                const tokenHash = this.hashToken(plaintextToken, salt);
+                const { hash: tokenHash, hashVersion, pepperId } = await this.hashToken(canonical, salt);
+                const pinHash = kind === 'NUMERIC' ? await this.hashPin(pin, salt, pepperId) : null;
 
                 const expiresAt = new Date(Date.now() + config.token.expirySeconds * 1000);
 
-                const [tokenRecord] = await this.db('tokens').insert({
-                    account_id: accountId,
-                    amount,
-                    token_hash: tokenHash,
-                    salt: salt, // Persist the salt
-                    prefix: tokenIdPrefix, // Store the non-secret prefix for fast lookup
-                    status: 'ACTIVE',
-                    expires_at: expiresAt
-                }).returning('*');
+                const { tokenRecord, supersededIds } = await this.db.transaction(async (trx) => {
+                    // The account row is locked once, here, so concurrent generations cannot
+                    // both fit under a cap; every check below works from this row.
+                    // Tokens cancelled to make room no longer count towards the withdrawal limits.
+                    const account = await this.balanceService.lockAccount(trx, accountId);
+                    const accountCurrency = this.assertPayableAmount(account, { amount, currency });
+                    const cancelled = await this.enforceActiveTokenCap(trx, account);
+                    await this.limitService.assertWithinLimits(trx, { account, amount });
+
+                    const [record] = await trx('tokens').insert({
+                        account_id: accountId,
+                        amount,
+                        currency: accountCurrency,
+                        token_hash: tokenHash,
+                        hash_version: hashVersion,
+                        pepper_id: pepperId,
+                        salt: salt, // Persist the salt
+                        prefix: tokenIdPrefix, // Store the non-secret prefix for fast lookup
+                        kind,
+                        pin_hash: pinHash,
+                        status: 'ACTIVE',
+                        expires_at: expiresAt
+                    }).returning('*');
+
+                    // Reserve the funds; throws (rolling back the token) if the account cannot cover it
+                    await this.balanceService.placeHold(trx, { account, tokenId: record.id, amount });
+
+                    return { tokenRecord: { ...record, currency: accountCurrency }, supersededIds: cancelled };
+                });
 
                 logger.info({ tokenId: tokenRecord.id, accountId }, 'Withdrawal token generated successfully');
 
-                return {
+                const generated = {
                     id: tokenRecord.id,
                     token: plaintextToken, // Returned exactly once
+                    kind,
                     amount,
+                    currency: tokenRecord.currency,
                     expiresAt
                 };
+
+                if (includeQr) {
+                    generated.qrPayload = new QrCodeService().buildPayload(generated);
+                }
+
+                // Only under TOKEN_ACTIVE_LIMIT_POLICY=CANCEL_OLDEST, so the customer knows which tokens stopped working
+                if (supersededIds.length > 0) {
+                    generated.cancelledTokenIds = supersededIds;
+                }
+
+                return generated;
             } catch (err) {
                 // Postgres unique violation code is '23505'
                 if (err.code === '23505') {
                     retries++;
                     logger.warn({ accountId, retryAttempt: retries }, 'Token Hash Collision detected, retrying');
                     if (retries >= this.MAX_RETRIES) {
-                        throw new Error('Failed to generate unique token after maximum retries');
+                        throw new Error('Failed to generate unique token after maximum retries', { cause: err });
                     }
                     continue;
                 }
 
+                // Business refusals (unknown account, insufficient funds, limits) propagate as-is
+                if (err instanceof AppError) {
+                    throw err;
+                }
+
                 logger.error({ err, accountId }, 'Error generating withdrawal token');
                 throw err;
             }
         }
     }
 
+    /**
+     * Checks that an amount can be issued on the account: priced in the account's currency and
+     * payable exactly in that currency's notes (config.currency), so no agent is asked for an
+     * amount it cannot hand over.
+     * @param {Object} account Accounts row locked in the generation transaction
+     * @param {Object} withdrawal
+     * @param {number} withdrawal.amount Minor units
+     * @param {string} [withdrawal.currency] Currency named by the caller
+     * @returns {string} The account currency
+     * @throws {CurrencyMismatchError|AmountNotDispensableError}
+     */
+    assertPayableAmount(account, { amount, currency }) {
+        const accountId = account.id;
+
+        if (currency && currency !== account.currency) {
+            throw new CurrencyMismatchError(`Account is held in ${account.currency}, not ${currency}`, account.currency);
+        }
+
+        const rules = config.currency.currencies[account.currency];
+        if (!rules) {
+            // The account's currency was removed from SUPPORTED_CURRENCIES: agents no longer pay it out
+            throw new CurrencyMismatchError(`Withdrawals in ${account.currency} are not supported`, account.currency);
+        }
+
+        const payable = checkDispensable(amount, rules.denominations);
+        if (!payable.dispensable) {
+            const { exponent } = CURRENCIES[account.currency];
+            const options = [payable.below, payable.above]
+                .filter((option) => option !== null)
+                .map((option) => formatMinorUnits(option, account.currency, exponent));
+            logger.warn({ accountId, amount, currency: account.currency }, 'Token generation refused: amount not payable in notes');
+            throw new AmountNotDispensableError(
+                `${formatMinorUnits(amount, account.currency, exponent)} cannot be paid out in available notes; try ${options.join(' or ')}`,
+                { currency: account.currency, below: payable.below, above: payable.above }
+            );
+        }
+
+        return account.currency;
+    }
+
+    /**
+     * Keeps the account under TOKEN_MAX_ACTIVE_PER_ACCOUNT live tokens, counting the one about
+     * to be issued. The caller holds the account row lock, so concurrent generations are
+     * counted one after the other. Depending on TOKEN_ACTIVE_LIMIT_POLICY a full account is
+     * refused (REJECT) or its oldest live tokens are cancelled and their holds released
+     * (CANCEL_OLDEST).
+     * @param {Object} trx Knex transaction (the token generation transaction)
+     * @param {Object} account Accounts row locked in this transaction
+     * @returns {Promise<string[]>} Ids of the tokens cancelled to make room
+     * @throws {ActiveTokenLimitError}
+     */
+    async enforceActiveTokenCap(trx, account) {
+        const { maxActivePerAccount, activeLimitPolicy } = config.token;
+        const accountId = account.id;
+
+        // ACTIVE rows past expires_at are already unredeemable; the sweeper expires them later
+        const live = await trx('tokens')
+            .where({ account_id: accountId, status: 'ACTIVE' })
+            .andWhere('expires_at', '>', new Date())
+            .orderBy('created_at', 'asc')
+            .forUpdate()
+            .select('id');
+
+        const excess = live.length - maxActivePerAccount + 1;
+        if (excess <= 0) {
+            return [];
+        }
+
+        if (activeLimitPolicy !== 'CANCEL_OLDEST') {
+            logger.warn({ accountId, active: live.length, maxActivePerAccount }, 'Token generation refused: active token limit reached');
+            throw new ActiveTokenLimitError(
+                `Account already has ${live.length} active token(s), the maximum allowed; cancel one or wait for it to expire`,
+                maxActivePerAccount
+            );
+        }
+
+        const supersededIds = live.slice(0, excess).map((token) => token.id);
+        await trx('tokens')
+            .whereIn('id', supersededIds)
+            .andWhere({ status: 'ACTIVE' })
+            .update({
+                status: 'CANCELLED',
+                cancelled_at: new Date(),
+                cancelled_by: ACTIVE_LIMIT_CANCELLER,
+                cancellation_reason: 'Superseded by a newer token (active token limit reached)'
+            });
+
+        await this.balanceService.releaseHolds(trx, supersededIds, 'CANCELLED');
+
+        logger.info({ accountId, tokenIds: supersededIds }, 'Oldest active tokens cancelled to make room for a new token');
+
+        return supersededIds;
+    }
+
+    /**
+     * Classifies a plaintext token against the alphanumeric format, then the numeric one.
+     * Alphanumeric tokens always contain a hyphen and numeric tokens never do.
+     * @param {string} fullToken
+     * @returns {Object} { result, kind, prefix, canonical } (see config/tokenFormat.js)
+     */
+    classifyToken(fullToken) {
+        const alphanumeric = this.format.classify(fullToken);
+        if (alphanumeric.result !== 'MALFORMED') {
+            return { ...alphanumeric, kind: 'ALPHANUMERIC' };
+        }
+        return { ...this.numericFormat.classify(fullToken), kind: 'NUMERIC' };
+    }
+
+    /**
+     * Classifies a plaintext token's format without touching the database.
+     * Tokens issued before the check character (PPPP-CCCCCCCC) are LEGACY and accepted only
+     * while TOKEN_ACCEPT_LEGACY_FORMAT is on.
+     * @param {string} fullToken
+     * @returns {'VALID'|'LEGACY'|'CHECKSUM_MISMATCH'|'MALFORMED'}
+     */
+    checkTokenFormat(fullToken) {
+        return this.classifyToken(fullToken).result;
+    }
+
+    /**
+     * Validates a plaintext token and returns its lookup prefix, canonical (hashed) form and kind.
+     * @param {string} fullToken
+     * @returns {{ prefix: string, canonical: string, kind: string }|null} null when malformed or mistyped
+     */
+    parseToken(fullToken) {
+        const { result, prefix, canonical, kind } = this.classifyToken(fullToken);
+        if (result !== 'VALID' && result !== 'LEGACY') {
+            return null;
+        }
+        return { prefix, canonical, kind };
+    }
+
+    /**
+     * Checks the customer PIN of a NUMERIC token. Call with the token row locked FOR UPDATE:
+     * a wrong PIN is counted on the row, and the token is cancelled (releasing its hold) once
+     * NUMERIC_TOKEN_MAX_PIN_ATTEMPTS wrong PINs have been presented.
+     * @param {Object} trx Knex transaction
+     * @param {Object} token Locked tokens row
+     * @param {string} [pin]
+     * @returns {Promise<Object>} { result: 'VALID' } | { result: 'INVALID_PIN', tokenId, attemptsRemaining } |
+     *   { result: 'PIN_LOCKED', tokenId }
+     */
+    async checkPin(trx, token, pin) {
+        const candidate = await this.hashPin(pin || '', token.salt, token.pepper_id);
+        if (pin && crypto.timingSafeEqual(candidate, token.pin_hash)) {
+            return { result: 'VALID' };
+        }
+
+        const failedAttempts = token.failed_pin_attempts + 1;
+        const attemptsRemaining = Math.max(0, config.token.numeric.maxPinAttempts - failedAttempts);
+
+        if (attemptsRemaining > 0) {
+            await trx('tokens')
+                .where({ id: token.id })
+                .update({ failed_pin_attempts: failedAttempts });
+            return { result: 'INVALID_PIN', tokenId: token.id, attemptsRemaining };
+        }
+
+        await trx('tokens')
+            .where({ id: token.id, status: 'ACTIVE' })
+            .update({
+                failed_pin_attempts: failedAttempts,
+                status: 'CANCELLED',
+                cancelled_at: new Date(),
+                cancelled_by: 'system',
+                cancellation_reason: 'PIN attempt limit reached'
+            });
+
+        await this.balanceService.releaseHold(trx, token.id, 'CANCELLED');
+
+        logger.warn({ tokenId: token.id, failedAttempts }, 'Numeric token cancelled after too many wrong PINs');
+
+        return { result: 'PIN_LOCKED', tokenId: token.id };
+    }
+
+    /**
+     * Finds the live token row whose hash matches the canonical plaintext token.
+     * CANCELLED tokens are included so a revoked token yields a distinct result instead of INVALID.
+     * @param {Object} conn Knex instance or transaction
+     * @param {string} canonicalToken See parseToken
+     * @param {string} prefix
+     * @returns {Promise<Object|null>} Matching candidate row
+     */
+    async findMatchingToken(conn, canonicalToken, prefix) {
+        const candidateTokens = await conn('tokens')
+            .where({ prefix: prefix })
+            .whereIn('status', ['ACTIVE', 'CANCELLED'])
+            .andWhere('expires_at', '>', new Date());
+
+        // Each row is verified with the hash version and pepper it was issued under (constant-time comparison)
+        for (const t of candidateTokens) {
+            if (await this.hasher.verify(canonicalToken, t)) {
+                return t;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Live (ACTIVE, unexpired) tokens per hash version and pepper. A pepper can be removed from
+     * TOKEN_HASH_PEPPERS once it has no live tokens left.
+     * @returns {Promise<Object[]>} [{ hashVersion, pepperId, configured, liveTokens }]
+     */
+    async getPepperUsage() {
+        const rows = await this.db('tokens')
+            .where({ status: 'ACTIVE' })
+            .andWhere('expires_at', '>', new Date())
+            .groupBy('hash_version', 'pepper_id')
+            .orderBy(['hash_version', 'pepper_id'])
+            .select('hash_version', 'pepper_id', this.db.raw('count(*) AS live_tokens'));
+
+        return rows.map((row) => ({
+            hashVersion: row.hash_version,
+            pepperId: row.pepper_id,
+            configured: this.hasher.pepperFor(row.pepper_id) !== undefined,
+            liveTokens: Number(row.live_tokens)
+        }));
+    }
+
+    /**
+     * Checks that a plaintext token is genuine and still redeemable without consuming it.
+     * Used before raising a step-up challenge so OTPs are only sent for real tokens.
+     * @param {string} fullToken
+     * @returns {Promise<Object>} { result: 'VALID', tokenId, accountId } or a redemption result code
+     */
+    async verifyWithdrawalToken(fullToken) {
+        const parsed = this.parseToken(fullToken);
+        if (!parsed) {
+            return { result: 'INVALID' };
+        }
+
+        const token = await this.findMatchingToken(this.db, parsed.canonical, parsed.prefix);
+        if (!token) {
+            return { result: 'INVALID' };
+        }
+        if (token.status === 'CANCELLED') {
+            return { result: 'CANCELLED', tokenId: token.id };
+        }
+
+        return { result: 'VALID', tokenId: token.id, accountId: token.account_id };
+    }
+
     /**
    * Redeems a token securely. Enforces single-use via DB transaction row locks
    * and strict isolation levels.
    * @param {string} fullToken String containing prefix and core token (e.g. PREFIX-CORETOKEN)
    * @param {string} agentId 
    * @param {Object} metadata 
+   * @param {Object} [options]
+   * @param {string} [options.expectedTokenId] Only redeem if the token resolves to this id (challenge-verified redemptions)
+   * @param {string} [options.accountId] Account claimed by the request; attributes attempts that match no token
+   * @param {string} [options.pin] Customer PIN, checked for NUMERIC tokens
    * @returns {Promise<Object>} Redemption result
    */
-    async redeemWithdrawalToken(fullToken, agentId, metadata = {}) {
-        if (!fullToken || !fullToken.includes('-') || !agentId) {
+    async redeemWithdrawalToken(fullToken, agentId, metadata = {}, { expectedTokenId, accountId, pin } = {}) {
+        if (!agentId) {
             return { result: 'INVALID' };
         }
 
-        const [prefix, coreToken] = fullToken.split('-');
+        // A failed check character is a typo, not a guess: never counted against the customer
+        if (this.checkTokenFormat(fullToken) === 'CHECKSUM_MISMATCH') {
+            return { result: 'LIKELY_TYPO' };
+        }
 
-        // Enforce length and constraints to prevent abuse
-        if (prefix.length !== 4 || coreToken.length !== 8) {
+        const parsed = this.parseToken(fullToken);
+        if (!parsed) {
+            await this.attemptService.recordAttempt(this.db, { accountId, agentId, result: 'INVALID', metadata });
             return { result: 'INVALID' };
         }
 
-        return await this.db.transaction(async (trx) => {
-            // 1. Fetch only ACTIVE tokens matching the non-secret prefix.
-            const candidateTokens = await trx('tokens')
-                .where({ prefix: prefix, status: 'ACTIVE' })
-                .andWhere('expires_at', '>', new Date());
+        const { prefix, canonical } = parsed;
 
-            let matchedTokenId = null;
+        // Every outcome below is recorded as attempt evidence; it commits with the transaction
+        return await this.db.transaction(async (trx) => {
+            const recordAttempt = (result, token) => this.attemptService.recordAttempt(trx, {
+                tokenId: token ? token.id : null,
+                accountId: token ? token.account_id : accountId,
+                agentId,
+                result,
+                metadata: { ...metadata, prefix }
+            });
 
-            // Constant time verification loop to prevent timing attacks.
-            for (const t of candidateTokens) {
-                const candidateHash = this.hashToken(fullToken, t.salt);
-
-                // Constant-time comparison
-                if (crypto.timingSafeEqual(candidateHash, t.token_hash)) {
-                    matchedTokenId = t.id;
-                    break;
-                }
-            }
+            // 1. Fetch live tokens matching the non-secret prefix and verify the hash
+            const matched = await this.findMatchingToken(trx, canonical, prefix);
+            const matchedTokenId = matched ? matched.id : null;
 
             if (!matchedTokenId) {
                 logger.warn({ agentId, prefix }, 'Failed redemption attempt: INVALID token / hash mismatch');
+                await recordAttempt('INVALID', null);
+                return { result: 'INVALID' };
+            }
+
+            // A verified challenge authorises one specific token, not whichever token is presented
+            if (expectedTokenId && matchedTokenId !== expectedTokenId) {
+                logger.warn({ agentId, prefix }, 'Failed redemption attempt: token does not match verified challenge');
+                await recordAttempt('INVALID', matched);
                 return { result: 'INVALID' };
             }
 
@@ -174,10 +531,46 @@ class TokenService {
                 .forUpdate() // CRITICAL: Row-level lock
                 .first();
 
+            if (token && token.status === 'CANCELLED') {
+                logger.warn({ tokenId: token.id, agentId }, 'Redemption attempted on CANCELLED token');
+                await recordAttempt('CANCELLED', token);
+                return { result: 'CANCELLED', tokenId: token.id };
+            }
+
             if (!token || token.status !== 'ACTIVE' || new Date() >= new Date(token.expires_at)) {
+                await recordAttempt(token && token.status === 'USED' ? 'USED' : 'EXPIRED', token || matched);
                 return { result: 'EXPIRED_OR_USED' };
             }
 
+            // The digit core alone is too weak to authorise a payout; the customer PIN must match too
+            if (token.kind === 'NUMERIC') {
+                const pinCheck = await this.checkPin(trx, token, pin);
+                if (pinCheck.result !== 'VALID') {
+                    logger.warn({ tokenId: token.id, agentId, result: pinCheck.result }, 'Failed redemption attempt: wrong PIN');
+                    await recordAttempt('INVALID_PIN', token);
+                    return pinCheck;
+                }
+            }
+
+            // Deactivated accounts cannot withdraw, even with a previously issued token
+            const account = await trx('accounts')
+                .where({ id: token.account_id })
+                .first('status');
+
+            if (account && account.status !== 'ACTIVE') {
+                logger.warn({ tokenId: token.id, agentId }, 'Redemption refused: account is INACTIVE');
+                await recordAttempt('ACCOUNT_INACTIVE', token);
+                return { result: 'ACCOUNT_INACTIVE', tokenId: token.id };
+            }
+
+            // The paying agent must hold the cash in the token's currency; otherwise the token stays ACTIVE for another agent
+            const availableFloat = await this.floatService.lockFloat(trx, agentId, token.currency);
+            if (Number(token.amount) > availableFloat) {
+                logger.warn({ tokenId: token.id, agentId, availableFloat }, 'Redemption refused: insufficient agent float');
+                await recordAttempt('INSUFFICIENT_FLOAT', token);
+                return { result: 'INSUFFICIENT_FLOAT', tokenId: token.id, availableFloat };
+            }
+
             // 3. Mark as USED exactly once
             await trx('tokens')
                 .where({ id: token.id, status: 'ACTIVE' }) // Extra sanity check
@@ -190,17 +583,28 @@ class TokenService {
             const [transaction] = await trx('transactions').insert({
                 account_id: token.account_id,
                 token_id: token.id,
+                agent_id: agentId,
                 type: 'WITHDRAWAL',
                 amount: token.amount,
+                currency: token.currency,
                 status: 'SUCCESS'
             }).returning('id');
 
-            // 5. Insert Attempt Evidence
-            await trx('redemption_attempts').insert({
-                token_id: token.id,
-                agent_id: agentId,
+            // 5. Convert the reservation into a debit alongside the ledger entry, and pay out of the agent's float
+            await this.balanceService.captureHold(trx, token.id);
+            await this.floatService.debitForRedemption(trx, {
+                agentId,
+                amount: token.amount,
+                transactionId: transaction.id
+            });
+
+            // 6. Insert Attempt Evidence
+            await this.attemptService.recordAttempt(trx, {
+                tokenId: token.id,
+                accountId: token.account_id,
+                agentId,
                 result: 'SUCCESS',
-                metadata: JSON.stringify(metadata)
+                metadata
             });
 
             logger.info({ tokenId: token.id, transactionId: transaction.id, agentId }, 'Token successfully redeemed');
@@ -213,6 +617,56 @@ class TokenService {
         }, { isolationLevel: 'repeatable read' });
     }
 
+    /**
+     * Cancels an ACTIVE token on behalf of its owner. The row is locked so a
+     * concurrent redemption either completes first or observes CANCELLED.
+     * @param {string} tokenId
+     * @param {string} accountId Owning account (cross-checked against the token)
+     * @param {Object} cancellation
+     * @param {string} cancellation.cancelledBy Actor performing the cancellation
+     * @param {string} cancellation.reason Reason recorded for audit
+     * @returns {Promise<Object>} Cancellation result
+     */
+    async cancelWithdrawalToken(tokenId, accountId, { cancelledBy, reason }) {
+        return await this.db.transaction(async (trx) => {
+            const token = await trx('tokens')
+                .where({ id: tokenId })
+                .forUpdate()
+                .first();
+
+            // Do not reveal whether a token exists for a different account
+            if (!token || token.account_id !== accountId) {
+                return { result: 'NOT_FOUND' };
+            }
+
+            if (token.status !== 'ACTIVE' || new Date() >= new Date(token.expires_at)) {
+                // An ACTIVE row past expires_at is effectively EXPIRED even if its status was never updated
+                const status = token.status === 'ACTIVE' ? 'EXPIRED' : token.status;
+                return { result: 'NOT_CANCELLABLE', status };
+            }
+
+            const cancelledAt = new Date();
+            await trx('tokens')
+                .where({ id: token.id, status: 'ACTIVE' })
+                .update({
+                    status: 'CANCELLED',
+                    cancelled_at: cancelledAt,
+                    cancelled_by: cancelledBy,
+                    cancellation_reason: reason
+                });
+
+            await this.balanceService.releaseHold(trx, token.id, 'CANCELLED');
+
+            logger.info({ tokenId: token.id, cancelledBy }, 'Withdrawal token cancelled');
+
+            return {
+                result: 'CANCELLED',
+                tokenId: token.id,
+                cancelledAt
+            };
+        }, { isolationLevel: 'repeatable read' });
+    }
+
     /**
      * Gathers historical signals for risk evaluation.
      * @param {string} accountId 
@@ -238,14 +692,8 @@ class TokenService {
             .avg('amount as avg')
             .first();
 
-        // 3. Abuse: Failed redemption attempts in last 24 hours
-        const failedAttemptsCount = await this.db('redemption_attempts as ra')
-            .join('tokens as t', 'ra.token_id', 't.id')
-            .where({ 't.account_id': accountId })
-            .andWhere('ra.result', '<>', 'SUCCESS')
-            .andWhere('ra.created_at', '>', twentyFourHoursAgo)
-            .count('ra.id as count')
-            .first();
+        // 3. Abuse: Failed redemption attempts in last 24 hours (including attempts that matched no token)
+        const failedAttempts24h = await this.attemptService.countFailedAttempts(accountId, twentyFourHoursAgo);
 
         // 4. Geo/IP: Last successful redemption IP
         const lastSuccessAttempt = await this.db('redemption_attempts as ra')
@@ -270,7 +718,7 @@ class TokenService {
         return {
             velocity10m: parseInt(recentTokensCount?.count || 0),
             avgAmount: parseFloat(avgAmountResult?.avg || 0),
-            failedAttempts24h: parseInt(failedAttemptsCount?.count || 0),
+            failedAttempts24h,
             lastIp,
             currentAmount
         };
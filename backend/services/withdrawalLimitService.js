@@ -0,0 +1,105 @@
+const config = require('../config');
+const { CURRENCIES, formatMinorUnits } = require('../config/currencies');
+const { logger } = require('../utils/logger');
+const { WithdrawalLimitExceededError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = 30 * DAY_MS;
+
+/**
+ * Withdrawal Limit Service
+ * Caps how much an account can withdraw: per token, and over rolling 24-hour and 30-day
+ * windows. Usage counts successful withdrawals that have not been reversed plus the
+ * amounts of ACTIVE unexpired tokens, since an issued token is a withdrawal the customer
+ * can complete at any moment.
+ *
+ * Limits come from config.withdrawalLimits.byCurrency for the account's currency: its defaults,
+ * or its entry for the account's tier. They are configured in whole units of that currency and
+ * applied in minor units.
+ */
+class WithdrawalLimitService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Limits applying to a tier, in minor units of the currency; tiers the currency does not
+     * configure, or no tier, get the currency's defaults.
+     * @param {string|null} tier
+     * @param {string} currency ISO 4217 code
+     * @returns {Object} { perToken, daily, monthly }
+     */
+    limitsFor(tier, currency) {
+        const { defaults, tiers } = config.withdrawalLimits.byCurrency[currency];
+        const limits = (tier && tiers[tier]) || defaults;
+        const factor = 10 ** CURRENCIES[currency].exponent;
+
+        return {
+            perToken: limits.perToken * factor,
+            daily: limits.daily * factor,
+            monthly: limits.monthly * factor,
+        };
+    }
+
+    /**
+     * Refuses an amount that would exceed any of the account's limits. The caller holds the
+     * account row lock, so concurrent generations for the same account are checked one after
+     * the other.
+     * @param {Object} trx Knex transaction (the token generation transaction)
+     * @param {Object} withdrawal
+     * @param {Object} withdrawal.account Accounts row locked in this transaction
+     * @param {number} withdrawal.amount Minor units
+     * @returns {Promise<Object>} { limits, usedDaily, usedMonthly, remaining }
+     * @throws {WithdrawalLimitExceededError}
+     */
+    async assertWithinLimits(trx, { account, amount }) {
+        const accountId = account.id;
+        const limits = this.limitsFor(account.tier, account.currency);
+        const now = Date.now();
+        const dayStart = new Date(now - DAY_MS);
+        const monthStart = new Date(now - MONTH_MS);
+
+        // Tokens are read before the ledger: a token redeemed in between is counted twice
+        // (over the limit, never under it) rather than missed.
+        const outstanding = await trx('tokens')
+            .where({ account_id: accountId, status: 'ACTIVE' })
+            .andWhere('expires_at', '>', new Date(now))
+            .first(trx.raw('COALESCE(sum(amount), 0) AS amount'));
+
+        const withdrawn = await trx('transactions as t')
+            .leftJoin('transactions as r', 'r.reversal_of', 't.id')
+            .where({ 't.account_id': accountId, 't.type': 'WITHDRAWAL', 't.status': 'SUCCESS' })
+            .andWhere('t.created_at', '>=', monthStart)
+            .whereNull('r.id')
+            .first(
+                trx.raw('COALESCE(sum(t.amount) FILTER (WHERE t.created_at >= ?), 0) AS daily', [dayStart]),
+                trx.raw('COALESCE(sum(t.amount), 0) AS monthly')
+            );
+
+        const pending = Number(outstanding.amount);
+        const usedDaily = Number(withdrawn.daily) + pending;
+        const usedMonthly = Number(withdrawn.monthly) + pending;
+
+        // Checked in order, so the reported limit is the narrowest one the amount breaks
+        const checks = [
+            { limit: 'PER_TOKEN', limitAmount: limits.perToken, remaining: limits.perToken, label: 'per-token' },
+            { limit: 'DAILY', limitAmount: limits.daily, remaining: limits.daily - usedDaily, label: 'daily' },
+            { limit: 'MONTHLY', limitAmount: limits.monthly, remaining: limits.monthly - usedMonthly, label: 'monthly' },
+        ];
+        const remaining = Math.max(0, Math.min(...checks.map((check) => check.remaining)));
+
+        const exceeded = checks.find((check) => amount > check.remaining);
+        if (exceeded) {
+            const format = (value) => formatMinorUnits(value, account.currency, CURRENCIES[account.currency].exponent);
+            logger.warn({ accountId, amount, limit: exceeded.limit, remaining }, 'Withdrawal refused: limit exceeded');
+            throw new WithdrawalLimitExceededError(
+                `Amount exceeds the ${exceeded.label} withdrawal limit of ${format(exceeded.limitAmount)}; at most ${format(remaining)} can be withdrawn now`,
+                { limit: exceeded.limit, limitAmount: exceeded.limitAmount, remaining, currency: account.currency }
+            );
+        }
+
+        return { limits, usedDaily, usedMonthly, remaining };
+    }
+}
+
+module.exports = WithdrawalLimitService;
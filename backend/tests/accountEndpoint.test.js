@@ -0,0 +1,371 @@
+jest.mock('../config/redis', () => ({
+    redis: {
+        zremrangebyscore: jest.fn().mockResolvedValue(1),
+        zcard: jest.fn().mockResolvedValue(1),
+        zadd: jest.fn().mockResolvedValue(1),
+        expire: jest.fn().mockResolvedValue(1),
+        zrem: jest.fn().mockResolvedValue(1),
+        ttl: jest.fn().mockResolvedValue(60)
+    },
+    testConnection: jest.fn().mockResolvedValue({ connected: true })
+}));
+
+jest.mock('../config', () => ({
+    keys: { secret: 'test_service_key_secret_value_32_chars_plus' },
+    server: { nodeEnv: 'test', port: 3000, host: '127.0.0.1' },
+    rateLimit: { windowMs: 60000, maxRequests: 5, skipSuccessfulRequests: false },
+    token: {
+        expirySeconds: 300,
+        pepper: 'test_super_secure_pepper_value_16_chars_plus',
+        acceptLegacyFormat: true,
+        prefixLength: 4,
+        coreLength: 8,
+        charset: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+        groupSize: 0,
+        hashing: { algorithm: 'hmac-sha256', peppers: { default: 'test_super_secure_pepper_value_16_chars_plus' }, activePepperId: 'default' },
+        numeric: { prefixLength: 4, coreLength: 12, maxPinAttempts: 3, rateLimitMax: 3 }
+    },
+    cors: { origin: '*' },
+    security: { jwtSecret: 'test_jwt_secret_value_of_at_least_32_chars' },
+    withdrawalLimits: {
+        byCurrency: {
+            NGN: {
+                defaults: { perToken: 50000, daily: 100000, monthly: 1000000 },
+                tiers: { PREMIUM: { perToken: 200000, daily: 500000, monthly: 5000000 } }
+            }
+        },
+        tiers: ['PREMIUM']
+    },
+    currency: {
+        default: 'NGN',
+        currencies: { NGN: { exponent: 2, denominations: [100000, 50000, 20000, 10000, 5000] } }
+    }
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    },
+    logSecurity: jest.fn(),
+    logError: jest.fn(),
+    logSystem: jest.fn(),
+    EVENT_TYPES: { ERROR: 'ERROR' }
+}));
+
+jest.mock('../config/database', () => ({
+    getDb: () => jest.fn(),
+    testConnection: jest.fn().mockResolvedValue({ connected: true }),
+    close: jest.fn()
+}));
+
+const Fastify = require('fastify');
+const registerRoutes = require('../routes');
+const AccountService = require('../services/accountService');
+const BalanceService = require('../services/balanceService');
+const AgentService = require('../services/agentService');
+const { assertRoutePermissions, authorize } = require('../middleware/authorization');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+describe('/api/v1/accounts Endpoints', () => {
+    let app;
+    const accountId = '123e4567-e89b-12d3-a456-426614174000';
+    const account = {
+        id: accountId,
+        accountRef: 'CBA-0001',
+        status: 'ACTIVE',
+        currency: 'NGN',
+        balance: 100000,
+        heldAmount: 20000,
+        available: 80000,
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:00:00.000Z'
+    };
+
+    beforeAll(async () => {
+        app = Fastify();
+        await registerRoutes(app);
+        await app.ready();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    // Operations staff may call every route exercised here
+    const inject = (options) => app.inject({
+        ...options,
+        headers: { authorization: `Bearer ${app.jwt.sign({ sub: 'ops-1', roles: ['operations'] }, { expiresIn: '5m' })}`, ...options.headers }
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('creates an account by external reference (201)', async () => {
+        jest.spyOn(AccountService.prototype, 'createAccount').mockResolvedValue(account);
+
+        const response = await inject({
+            method: 'POST',
+            url: '/api/v1/accounts',
+            payload: { accountRef: 'CBA-0001' }
+        });
+
+        expect(response.statusCode).toBe(201);
+        expect(JSON.parse(response.payload).data.accountRef).toBe('CBA-0001');
+        expect(AccountService.prototype.createAccount).toHaveBeenCalledWith('CBA-0001', null, 'NGN');
+    });
+
+    it('assigns the account owner', async () => {
+        jest.spyOn(AccountService.prototype, 'assignOwner').mockResolvedValue({ ...account, ownerUserId: 'user-1' });
+
+        const response = await inject({
+            method: 'PUT',
+            url: `/api/v1/accounts/${accountId}/owner`,
+            payload: { ownerUserId: 'user-1' }
+        });
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.payload).data.ownerUserId).toBe('user-1');
+        expect(AccountService.prototype.assignOwner).toHaveBeenCalledWith(accountId, 'user-1');
+    });
+
+    it('assigns a configured withdrawal limit tier, or clears it', async () => {
+        jest.spyOn(AccountService.prototype, 'assignTier').mockResolvedValue({ ...account, tier: 'PREMIUM' });
+
+        const assigned = await inject({
+            method: 'PUT',
+            url: `/api/v1/accounts/${accountId}/tier`,
+            payload: { tier: 'PREMIUM' }
+        });
+        const cleared = await inject({
+            method: 'PUT',
+            url: `/api/v1/accounts/${accountId}/tier`,
+            payload: { tier: null }
+        });
+
+        expect(assigned.statusCode).toBe(200);
+        expect(JSON.parse(assigned.payload).data.tier).toBe('PREMIUM');
+        expect(cleared.statusCode).toBe(200);
+        expect(AccountService.prototype.assignTier).toHaveBeenNthCalledWith(1, accountId, 'PREMIUM');
+        expect(AccountService.prototype.assignTier).toHaveBeenNthCalledWith(2, accountId, null);
+    });
+
+    it('rejects tiers that are not configured (400)', async () => {
+        jest.spyOn(AccountService.prototype, 'assignTier');
+
+        const response = await inject({
+            method: 'PUT',
+            url: `/api/v1/accounts/${accountId}/tier`,
+            payload: { tier: 'GOLD' }
+        });
+
+        expect(response.statusCode).toBe(400);
+        expect(AccountService.prototype.assignTier).not.toHaveBeenCalled();
+    });
+
+    it('returns 409 for a duplicate reference', async () => {
+        jest.spyOn(AccountService.prototype, 'createAccount')
+            .mockRejectedValue(new ConflictError('An account with this reference already exists'));
+
+        const response = await inject({
+            method: 'POST',
+            url: '/api/v1/accounts',
+            payload: { accountRef: 'CBA-0001' }
+        });
+
+        expect(response.statusCode).toBe(409);
+    });
+
+    it('fetches by id and by reference', async () => {
+        jest.spyOn(AccountService.prototype, 'getById').mockResolvedValue(account);
+        jest.spyOn(AccountService.prototype, 'getByRef').mockResolvedValue(account);
+
+        const byId = await inject({ method: 'GET', url: `/api/v1/accounts/${accountId}` });
+        const byRef = await inject({ method: 'GET', url: '/api/v1/accounts/by-ref/CBA-0001' });
+
+        expect(byId.statusCode).toBe(200);
+        expect(JSON.parse(byId.payload).data.available).toBe(80000);
+        expect(byRef.statusCode).toBe(200);
+        expect(AccountService.prototype.getByRef).toHaveBeenCalledWith('CBA-0001');
+    });
+
+    it('returns 404 for unknown accounts', async () => {
+        jest.spyOn(AccountService.prototype, 'getById').mockRejectedValue(new NotFoundError('Account not found'));
+
+        const response = await inject({ method: 'GET', url: `/api/v1/accounts/${accountId}` });
+
+        expect(response.statusCode).toBe(404);
+    });
+
+    it('deactivates an account', async () => {
+        jest.spyOn(AccountService.prototype, 'deactivate').mockResolvedValue({ ...account, status: 'INACTIVE' });
+
+        const response = await inject({ method: 'POST', url: `/api/v1/accounts/${accountId}/deactivate` });
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.payload).data.status).toBe('INACTIVE');
+    });
+
+    it('records a deposit against the authenticated operator (201)', async () => {
+        jest.spyOn(BalanceService.prototype, 'deposit').mockResolvedValue({
+            id: '0b6f3f7e-3a2e-4f2c-8a0d-6d1f5c9b2e11',
+            accountId,
+            amount: 50000,
+            currency: 'NGN',
+            reference: 'CBA-CR-1',
+            initiatedBy: 'ops-1',
+            balanceAfter: 150000,
+            createdAt: '2026-01-02T00:00:00.000Z'
+        });
+
+        const response = await inject({
+            method: 'POST',
+            url: `/api/v1/accounts/${accountId}/deposits`,
+            payload: { amount: 50000, reference: 'CBA-CR-1', initiatedBy: 'someone-else' }
+        });
+
+        expect(response.statusCode).toBe(201);
+        expect(JSON.parse(response.payload).data.balanceAfter).toBe(150000);
+        expect(BalanceService.prototype.deposit).toHaveBeenCalledWith(accountId, {
+            amount: 50000,
+            reference: 'CBA-CR-1',
+            initiatedBy: 'ops-1'
+        });
+    });
+
+    it('refuses a deposit reference that was already recorded (409)', async () => {
+        jest.spyOn(BalanceService.prototype, 'deposit')
+            .mockRejectedValue(new ConflictError('A deposit with this reference has already been recorded'));
+
+        const response = await inject({
+            method: 'POST',
+            url: `/api/v1/accounts/${accountId}/deposits`,
+            payload: { amount: 50000, reference: 'CBA-CR-1' }
+        });
+
+        expect(response.statusCode).toBe(409);
+    });
+});
+
+describe('Role-based access control', () => {
+    let app;
+    const accountId = '123e4567-e89b-12d3-a456-426614174000';
+    const account = { id: accountId, accountRef: 'CBA-0001', status: 'ACTIVE', ownerUserId: 'user-1' };
+
+    const bearer = (sub, roles) => ({
+        authorization: `Bearer ${app.jwt.sign(roles ? { sub, roles } : { sub }, { expiresIn: '5m' })}`
+    });
+
+    beforeAll(async () => {
+        app = Fastify();
+        await registerRoutes(app);
+        await app.ready();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    beforeEach(() => {
+        jest.spyOn(AccountService.prototype, 'getByRef').mockResolvedValue(account);
+        jest.spyOn(AccountService.prototype, 'deactivate').mockResolvedValue({ ...account, status: 'INACTIVE' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('requires authentication (401)', async () => {
+        const response = await app.inject({ method: 'GET', url: '/api/v1/accounts/by-ref/CBA-0001' });
+
+        expect(response.statusCode).toBe(401);
+        expect(AccountService.prototype.getByRef).not.toHaveBeenCalled();
+    });
+
+    it('lets auditors read but not change accounts (403)', async () => {
+        const read = await app.inject({ method: 'GET', url: '/api/v1/accounts/by-ref/CBA-0001', headers: bearer('audit-1', ['auditor']) });
+        const deactivate = await app.inject({
+            method: 'POST',
+            url: `/api/v1/accounts/${accountId}/deactivate`,
+            headers: bearer('audit-1', ['auditor'])
+        });
+
+        expect(read.statusCode).toBe(200);
+        expect(deactivate.statusCode).toBe(403);
+        expect(JSON.parse(deactivate.payload)).toEqual({ error: 'Forbidden', message: 'Missing permission: accounts:manage' });
+        expect(AccountService.prototype.deactivate).not.toHaveBeenCalled();
+    });
+
+    it('lets only operations staff fund accounts (403)', async () => {
+        jest.spyOn(BalanceService.prototype, 'deposit');
+        const fund = (headers) => app.inject({
+            method: 'POST',
+            url: `/api/v1/accounts/${accountId}/deposits`,
+            headers,
+            payload: { amount: 50000, reference: 'CBA-CR-1' }
+        });
+
+        const auditor = await fund(bearer('audit-1', ['auditor']));
+        const customer = await fund(bearer('user-1'));
+
+        expect(auditor.statusCode).toBe(403);
+        expect(customer.statusCode).toBe(403);
+        expect(JSON.parse(customer.payload).message).toBe('Missing permission: accounts:fund');
+        expect(BalanceService.prototype.deposit).not.toHaveBeenCalled();
+    });
+
+    it('treats tokens without a roles claim as customers, who only see their own accounts', async () => {
+        jest.spyOn(AccountService.prototype, 'listByOwner').mockResolvedValue([account]);
+
+        const byRef = await app.inject({ method: 'GET', url: '/api/v1/accounts/by-ref/CBA-0001', headers: bearer('user-1') });
+        const mine = await app.inject({ method: 'GET', url: '/api/v1/accounts/mine', headers: bearer('user-1') });
+
+        expect(byRef.statusCode).toBe(403);
+        expect(mine.statusCode).toBe(200);
+        expect(JSON.parse(mine.payload).data).toHaveLength(1);
+        expect(AccountService.prototype.listByOwner).toHaveBeenCalledWith('user-1');
+    });
+
+    it('never grants a role the token cannot carry', async () => {
+        const response = await app.inject({
+            method: 'GET',
+            url: '/api/v1/accounts/by-ref/CBA-0001',
+            headers: bearer('user-1', ['agent', 'superuser'])
+        });
+
+        expect(response.statusCode).toBe(403);
+    });
+
+    it('lets authenticated agents look accounts up', async () => {
+        jest.spyOn(AgentService.prototype, 'authenticate').mockResolvedValue({
+            result: 'AUTHENTICATED',
+            agent: { id: 'atm-1', status: 'ACTIVE' }
+        });
+
+        const response = await app.inject({
+            method: 'GET',
+            url: '/api/v1/accounts/by-ref/CBA-0001',
+            headers: { 'x-agent-id': 'atm-1', 'x-agent-key': 'agk_test-secret' }
+        });
+        const deactivate = await app.inject({
+            method: 'POST',
+            url: `/api/v1/accounts/${accountId}/deactivate`,
+            headers: { 'x-agent-id': 'atm-1', 'x-agent-key': 'agk_test-secret' }
+        });
+
+        expect(response.statusCode).toBe(200);
+        expect(deactivate.statusCode).toBe(401);
+    });
+
+    it('refuses to register API routes without declared permissions or the authorize check', () => {
+        const route = { method: 'GET', url: '/api/v1/example' };
+
+        expect(() => assertRoutePermissions(route)).toThrow(/must declare config.permissions/);
+        expect(() => assertRoutePermissions({ ...route, config: { permissions: ['risk:read'] }, preHandler: [] }))
+            .toThrow(/does not run authorize/);
+        expect(() => assertRoutePermissions({ ...route, config: { permissions: ['risk:read'] }, preHandler: [authorize] }))
+            .not.toThrow();
+    });
+});
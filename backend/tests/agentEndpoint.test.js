@@ -0,0 +1,258 @@
+jest.mock('../config/redis', () => ({
+    redis: {
+        zremrangebyscore: jest.fn().mockResolvedValue(1),
+        zcard: jest.fn().mockResolvedValue(1),
+        zadd: jest.fn().mockResolvedValue(1),
+        expire: jest.fn().mockResolvedValue(1),
+        zrem: jest.fn().mockResolvedValue(1),
+        ttl: jest.fn().mockResolvedValue(60)
+    },
+    testConnection: jest.fn().mockResolvedValue({ connected: true })
+}));
+
+jest.mock('../config', () => ({
+    keys: { secret: 'test_service_key_secret_value_32_chars_plus' },
+    server: { nodeEnv: 'test', port: 3000, host: '127.0.0.1' },
+    rateLimit: { windowMs: 60000, maxRequests: 5, skipSuccessfulRequests: false },
+    token: {
+        expirySeconds: 300,
+        pepper: 'test_super_secure_pepper_value_16_chars_plus',
+        acceptLegacyFormat: true,
+        prefixLength: 4,
+        coreLength: 8,
+        charset: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+        groupSize: 0,
+        hashing: { algorithm: 'hmac-sha256', peppers: { default: 'test_super_secure_pepper_value_16_chars_plus' }, activePepperId: 'default' },
+        numeric: { prefixLength: 4, coreLength: 12, maxPinAttempts: 3, rateLimitMax: 3 }
+    },
+    currency: {
+        default: 'NGN',
+        currencies: { NGN: { exponent: 2, denominations: [100000, 50000, 20000, 10000, 5000] }, KES: { exponent: 2, denominations: [100000, 50000] } }
+    },
+    agentAuth: { apiKeyEnabled: true, signatureToleranceSeconds: 300 },
+    cors: { origin: '*' },
+    security: { jwtSecret: 'test_jwt_secret_value_of_at_least_32_chars' }
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    },
+    logSecurity: jest.fn(),
+    logError: jest.fn(),
+    logSystem: jest.fn(),
+    EVENT_TYPES: { ERROR: 'ERROR' }
+}));
+
+jest.mock('../config/database', () => ({
+    getDb: () => jest.fn(),
+    testConnection: jest.fn().mockResolvedValue({ connected: true }),
+    close: jest.fn()
+}));
+
+const Fastify = require('fastify');
+const registerRoutes = require('../routes');
+const AgentService = require('../services/agentService');
+const AgentFloatService = require('../services/agentFloatService');
+const SettlementService = require('../services/settlementService');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+describe('/api/v1/agents Endpoints', () => {
+    let app;
+    const agent = {
+        id: 'atm-1',
+        name: 'Lobby ATM',
+        location: 'Branch 12',
+        status: 'ACTIVE',
+        currency: 'NGN',
+        floatBalance: 0,
+        commissionBps: null,
+        suspendedReason: null,
+        suspendedAt: null,
+        credentialRotatedAt: '2026-01-01T00:00:00.000Z',
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:00:00.000Z'
+    };
+
+    beforeAll(async () => {
+        app = Fastify();
+        await registerRoutes(app);
+        await app.ready();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    // Operations staff may call every route exercised here
+    const inject = (options) => app.inject({
+        ...options,
+        headers: { authorization: `Bearer ${app.jwt.sign({ sub: 'ops-1', roles: ['operations'] }, { expiresIn: '5m' })}`, ...options.headers }
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('registers an agent and returns its secret once (201)', async () => {
+        jest.spyOn(AgentService.prototype, 'registerAgent').mockResolvedValue({ agent, secret: 'agk_issued' });
+
+        const response = await inject({
+            method: 'POST',
+            url: '/api/v1/agents',
+            payload: { id: 'atm-1', name: 'Lobby ATM', location: 'Branch 12' }
+        });
+
+        expect(response.statusCode).toBe(201);
+        expect(JSON.parse(response.payload).data).toEqual(expect.objectContaining({ id: 'atm-1', secret: 'agk_issued' }));
+        // The float is held in the default currency unless another is named
+        expect(AgentService.prototype.registerAgent).toHaveBeenCalledWith(expect.objectContaining({ currency: 'NGN' }));
+    });
+
+    it('only registers agents in a supported currency (400)', async () => {
+        const register = jest.spyOn(AgentService.prototype, 'registerAgent').mockResolvedValue({ agent, secret: 'agk_issued' });
+
+        const rejected = await inject({
+            method: 'POST',
+            url: '/api/v1/agents',
+            payload: { id: 'atm-1', name: 'Lobby ATM', currency: 'USD' }
+        });
+        const accepted = await inject({
+            method: 'POST',
+            url: '/api/v1/agents',
+            payload: { id: 'atm-1', name: 'Lobby ATM', currency: 'KES' }
+        });
+
+        expect(rejected.statusCode).toBe(400);
+        expect(accepted.statusCode).toBe(201);
+        expect(register).toHaveBeenCalledTimes(1);
+        expect(register).toHaveBeenCalledWith(expect.objectContaining({ currency: 'KES' }));
+    });
+
+    it('returns 409 for a duplicate agent id', async () => {
+        jest.spyOn(AgentService.prototype, 'registerAgent')
+            .mockRejectedValue(new ConflictError('An agent with this id already exists'));
+
+        const response = await inject({
+            method: 'POST',
+            url: '/api/v1/agents',
+            payload: { id: 'atm-1', name: 'Lobby ATM' }
+        });
+
+        expect(response.statusCode).toBe(409);
+    });
+
+    it('never exposes the secret when fetching an agent', async () => {
+        jest.spyOn(AgentService.prototype, 'getById').mockResolvedValue({ ...agent, secret: 'agk_leak' });
+
+        const response = await inject({ method: 'GET', url: '/api/v1/agents/atm-1' });
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.payload).data).not.toHaveProperty('secret');
+    });
+
+    it('suspends an agent with a reason', async () => {
+        jest.spyOn(AgentService.prototype, 'suspend').mockResolvedValue({
+            ...agent,
+            status: 'SUSPENDED',
+            suspendedReason: 'Skimmer found',
+            suspendedAt: '2026-01-02T00:00:00.000Z'
+        });
+
+        const missingReason = await inject({ method: 'POST', url: '/api/v1/agents/atm-1/suspend', payload: {} });
+        const response = await inject({
+            method: 'POST',
+            url: '/api/v1/agents/atm-1/suspend',
+            payload: { reason: 'Skimmer found' }
+        });
+
+        expect(missingReason.statusCode).toBe(400);
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.payload).data.status).toBe('SUSPENDED');
+        expect(AgentService.prototype.suspend).toHaveBeenCalledWith('atm-1', 'Skimmer found');
+    });
+
+    it('returns 404 when rotating credentials of an unknown agent', async () => {
+        jest.spyOn(AgentService.prototype, 'rotateCredentials').mockRejectedValue(new NotFoundError('Agent not found'));
+
+        const response = await inject({ method: 'POST', url: '/api/v1/agents/atm-404/rotate-credentials' });
+
+        expect(response.statusCode).toBe(404);
+    });
+
+    it('records a float top-up (201) and requires a reference', async () => {
+        jest.spyOn(AgentFloatService.prototype, 'topUp').mockResolvedValue({
+            id: '8d0f1c7a-2f43-4d7e-9a51-1b7c3f0e9a10',
+            agentId: 'atm-1',
+            type: 'TOP_UP',
+            amount: 5000,
+            balanceAfter: 5000,
+            transactionId: null,
+            reference: 'CIT-881',
+            performedBy: 'ops-user-7',
+            createdAt: '2026-01-02T00:00:00.000Z'
+        });
+
+        const missingReference = await inject({
+            method: 'POST',
+            url: '/api/v1/agents/atm-1/float/top-ups',
+            payload: { amount: 5000 }
+        });
+        const response = await inject({
+            method: 'POST',
+            url: '/api/v1/agents/atm-1/float/top-ups',
+            // A name in the body is dropped: the top-up is recorded against the caller
+            payload: { amount: 5000, reference: 'CIT-881', performedBy: 'ops-user-7' }
+        });
+
+        expect(missingReference.statusCode).toBe(400);
+        expect(response.statusCode).toBe(201);
+        expect(JSON.parse(response.payload).data).toEqual(expect.objectContaining({ type: 'TOP_UP', balanceAfter: 5000 }));
+        expect(AgentFloatService.prototype.topUp).toHaveBeenCalledWith('atm-1', {
+            amount: 5000,
+            reference: 'CIT-881',
+            performedBy: 'ops-1'
+        });
+    });
+
+    it('lists settlements within a business-day range', async () => {
+        jest.spyOn(AgentFloatService.prototype, 'getFloat').mockResolvedValue({ agentId: 'atm-1', floatBalance: 0 });
+        jest.spyOn(SettlementService.prototype, 'listSettlements').mockResolvedValue([{
+            id: '0b6f3f7e-3a2e-4f2c-8a0d-6d1f5c9b2e11',
+            agentId: 'atm-1',
+            businessDate: '2026-01-01',
+            redemptionCount: 3,
+            grossAmount: 75000,
+            reversalCount: 1,
+            reversalAmount: 25000,
+            netAmount: 50000,
+            commissionBps: 50,
+            commissionAmount: 250,
+            createdAt: '2026-01-02T01:00:00.000Z'
+        }]);
+
+        const response = await inject({
+            method: 'GET',
+            url: '/api/v1/agents/atm-1/settlements?from=2026-01-01&to=2026-01-31'
+        });
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.payload).data[0]).toEqual(expect.objectContaining({ netAmount: 50000, commissionAmount: 250 }));
+        expect(SettlementService.prototype.listSettlements).toHaveBeenCalledWith('atm-1', {
+            from: '2026-01-01',
+            to: '2026-01-31',
+            limit: 30,
+            offset: 0
+        });
+    });
+
+    it('returns 404 for the float of an unknown agent', async () => {
+        jest.spyOn(AgentFloatService.prototype, 'getFloat').mockRejectedValue(new NotFoundError('Agent not found'));
+
+        const response = await inject({ method: 'GET', url: '/api/v1/agents/atm-404/float' });
+
+        expect(response.statusCode).toBe(404);
+    });
+});
@@ -0,0 +1,107 @@
+jest.mock('../utils/logger', () => ({
+    logBusiness: jest.fn()
+}));
+
+const AgentFloatService = require('../services/agentFloatService');
+const { NotFoundError } = require('../utils/errors');
+
+describe('AgentFloatService', () => {
+    let queries;
+    let trx;
+    let floatService;
+
+    const buildQuery = () => ({
+        where: jest.fn().mockReturnThis(),
+        forUpdate: jest.fn().mockReturnThis(),
+        first: jest.fn(),
+        increment: jest.fn().mockReturnThis(),
+        insert: jest.fn().mockReturnThis(),
+        returning: jest.fn()
+    });
+
+    beforeEach(() => {
+        queries = {
+            agents: buildQuery(),
+            agent_float_movements: buildQuery()
+        };
+        trx = jest.fn((table) => queries[table]);
+        trx.transaction = jest.fn((callback) => callback(trx));
+        floatService = new AgentFloatService(trx);
+    });
+
+    it('locks the agent row and returns the float as a number', async () => {
+        queries.agents.first.mockResolvedValue({ currency: 'NGN', float_balance: '150000' });
+
+        await expect(floatService.lockFloat(trx, 'atm-1', 'NGN')).resolves.toBe(150000);
+        expect(queries.agents.forUpdate).toHaveBeenCalled();
+    });
+
+    it('has no float to pay out tokens in another currency', async () => {
+        queries.agents.first.mockResolvedValue({ currency: 'NGN', float_balance: '150000' });
+
+        await expect(floatService.lockFloat(trx, 'atm-1', 'KES')).resolves.toBe(0);
+    });
+
+    it('debits the float for a redemption and records the balance after it', async () => {
+        queries.agents.returning.mockResolvedValue([{ float_balance: '1250.00' }]);
+        queries.agent_float_movements.returning.mockResolvedValue([{
+            id: 'mov-1',
+            agent_id: 'atm-1',
+            type: 'REDEMPTION',
+            amount: '250.00',
+            balance_after: '1250.00',
+            transaction_id: 'txn-1',
+            reference: null,
+            performed_by: null,
+            created_at: new Date()
+        }]);
+
+        const movement = await floatService.debitForRedemption(trx, {
+            agentId: 'atm-1',
+            amount: '250.00',
+            transactionId: 'txn-1'
+        });
+
+        expect(queries.agents.increment).toHaveBeenCalledWith('float_balance', -250);
+        expect(queries.agent_float_movements.insert).toHaveBeenCalledWith(expect.objectContaining({
+            agent_id: 'atm-1',
+            type: 'REDEMPTION',
+            balance_after: '1250.00',
+            transaction_id: 'txn-1'
+        }));
+        expect(movement).toEqual(expect.objectContaining({ type: 'REDEMPTION', amount: 250, balanceAfter: 1250 }));
+    });
+
+    it('credits a top-up with its reference and operator', async () => {
+        queries.agents.first.mockResolvedValue({ id: 'atm-1' });
+        queries.agents.returning.mockResolvedValue([{ float_balance: '5000.00' }]);
+        queries.agent_float_movements.returning.mockResolvedValue([{
+            id: 'mov-2',
+            agent_id: 'atm-1',
+            type: 'TOP_UP',
+            amount: '5000.00',
+            balance_after: '5000.00',
+            transaction_id: null,
+            reference: 'CIT-881',
+            performed_by: 'ops-user-7',
+            created_at: new Date()
+        }]);
+
+        const movement = await floatService.topUp('atm-1', {
+            amount: 5000,
+            reference: 'CIT-881',
+            performedBy: 'ops-user-7'
+        });
+
+        expect(queries.agents.increment).toHaveBeenCalledWith('float_balance', 5000);
+        expect(movement).toEqual(expect.objectContaining({ type: 'TOP_UP', reference: 'CIT-881', balanceAfter: 5000 }));
+    });
+
+    it('rejects a top-up for an unknown agent', async () => {
+        queries.agents.first.mockResolvedValue(undefined);
+
+        await expect(floatService.topUp('ghost', { amount: 10, reference: 'r', performedBy: 'p' }))
+            .rejects.toBeInstanceOf(NotFoundError);
+        expect(queries.agent_float_movements.insert).not.toHaveBeenCalled();
+    });
+});
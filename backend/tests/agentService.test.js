@@ -0,0 +1,152 @@
+jest.mock('../config', () => ({
+    keys: { secret: 'test_service_key_secret_value_32_chars_plus' },
+    token: { expirySeconds: 300 },
+    agentAuth: { apiKeyEnabled: true, signatureToleranceSeconds: 300 }
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+const config = require('../config');
+const AgentService = require('../services/agentService');
+const { signRequest } = require('../services/agentService');
+const { ConflictError } = require('../utils/errors');
+
+describe('AgentService', () => {
+    let query;
+    let db;
+    let agentService;
+    let secret;
+    let agentRow;
+
+    const request = { method: 'POST', url: '/api/v1/tokens/redeem-token', rawBody: '{"token":"ABCD-12345678"}' };
+    const now = () => String(Math.floor(Date.now() / 1000));
+
+    beforeEach(() => {
+        query = {
+            where: jest.fn().mockReturnThis(),
+            first: jest.fn(),
+            insert: jest.fn().mockReturnThis(),
+            update: jest.fn().mockReturnThis(),
+            returning: jest.fn()
+        };
+        db = jest.fn(() => query);
+        db.raw = jest.fn((sql) => sql);
+        agentService = new AgentService(db);
+
+        secret = agentService.generateSecret();
+        agentRow = {
+            id: 'atm-1',
+            name: 'Lobby ATM',
+            location: 'Branch 12',
+            status: 'ACTIVE',
+            credential_ciphertext: agentService.encryptSecret(secret)
+        };
+        query.first.mockResolvedValue(agentRow);
+        config.agentAuth.apiKeyEnabled = true;
+    });
+
+    it('stores the secret encrypted and returns it once at registration', async () => {
+        query.returning.mockImplementation(async () => [{ ...query.insert.mock.calls[0][0] }]);
+
+        const { agent, secret: issued } = await agentService.registerAgent({ id: 'atm-1', name: 'Lobby ATM' });
+
+        const stored = query.insert.mock.calls[0][0].credential_ciphertext;
+        expect(stored.toString('utf8')).not.toContain(issued);
+        expect(agentService.decryptSecret(stored)).toBe(issued);
+        expect(agent).not.toHaveProperty('credential_ciphertext');
+        expect(agent.status).toBe('ACTIVE');
+    });
+
+    it('maps duplicate agent ids to ConflictError', async () => {
+        const err = new Error('duplicate key');
+        err.code = '23505';
+        query.returning.mockRejectedValue(err);
+
+        await expect(agentService.registerAgent({ id: 'atm-1', name: 'Lobby ATM' }))
+            .rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('authenticates a matching API key', async () => {
+        const outcome = await agentService.authenticate({ agentId: 'atm-1', apiKey: secret });
+
+        expect(outcome.result).toBe('AUTHENTICATED');
+        expect(outcome.agent.id).toBe('atm-1');
+    });
+
+    it('rejects a wrong API key and unknown agents alike', async () => {
+        expect((await agentService.authenticate({ agentId: 'atm-1', apiKey: 'agk_wrong' })).result)
+            .toBe('INVALID_CREDENTIALS');
+
+        query.first.mockResolvedValue(undefined);
+        expect((await agentService.authenticate({ agentId: 'atm-404', apiKey: secret })).result)
+            .toBe('INVALID_CREDENTIALS');
+    });
+
+    it('refuses API keys when only signed requests are allowed', async () => {
+        config.agentAuth.apiKeyEnabled = false;
+
+        const outcome = await agentService.authenticate({ agentId: 'atm-1', apiKey: secret });
+
+        expect(outcome.result).toBe('METHOD_DISABLED');
+    });
+
+    it('authenticates a valid HMAC signature over the raw body', async () => {
+        const timestamp = now();
+        const signature = signRequest(secret, { ...request, timestamp });
+
+        const outcome = await agentService.authenticate({ agentId: 'atm-1', signature, timestamp, ...request });
+
+        expect(outcome.result).toBe('AUTHENTICATED');
+    });
+
+    it('rejects a signature once the body has been altered', async () => {
+        const timestamp = now();
+        const signature = signRequest(secret, { ...request, timestamp });
+
+        const outcome = await agentService.authenticate({
+            agentId: 'atm-1',
+            signature,
+            timestamp,
+            ...request,
+            rawBody: '{"token":"WXYZ-12345678"}'
+        });
+
+        expect(outcome.result).toBe('INVALID_CREDENTIALS');
+    });
+
+    it('rejects signatures outside the clock-skew window without a lookup', async () => {
+        const timestamp = String(Math.floor(Date.now() / 1000) - 301);
+        const signature = signRequest(secret, { ...request, timestamp });
+
+        const outcome = await agentService.authenticate({ agentId: 'atm-1', signature, timestamp, ...request });
+
+        expect(outcome.result).toBe('STALE_SIGNATURE');
+        expect(query.first).not.toHaveBeenCalled();
+    });
+
+    it('reports suspension only for valid credentials', async () => {
+        query.first.mockResolvedValue({ ...agentRow, status: 'SUSPENDED', suspended_at: new Date() });
+
+        expect((await agentService.authenticate({ agentId: 'atm-1', apiKey: 'agk_wrong' })).result)
+            .toBe('INVALID_CREDENTIALS');
+        expect((await agentService.authenticate({ agentId: 'atm-1', apiKey: secret })).result)
+            .toBe('SUSPENDED');
+    });
+
+    it('invalidates the previous secret on rotation', async () => {
+        query.returning.mockImplementation(async () => [{ ...agentRow, ...query.update.mock.calls[0][0] }]);
+
+        const { secret: rotated } = await agentService.rotateCredentials('atm-1');
+        query.first.mockResolvedValue({ ...agentRow, ...query.update.mock.calls[0][0] });
+
+        expect(rotated).not.toBe(secret);
+        expect((await agentService.authenticate({ agentId: 'atm-1', apiKey: secret })).result).toBe('INVALID_CREDENTIALS');
+        expect((await agentService.authenticate({ agentId: 'atm-1', apiKey: rotated })).result).toBe('AUTHENTICATED');
+    });
+});
@@ -0,0 +1,209 @@
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    },
+    logBusiness: jest.fn()
+}));
+
+const BalanceService = require('../services/balanceService');
+const { NotFoundError, ConflictError, AccountInactiveError, InsufficientFundsError } = require('../utils/errors');
+
+describe('BalanceService', () => {
+    let balanceService;
+    let queries;
+    let trx;
+
+    // Builds a chainable query mock per table so assertions can target one table
+    const buildQuery = () => ({
+        where: jest.fn().mockReturnThis(),
+        whereIn: jest.fn().mockReturnThis(),
+        andWhere: jest.fn().mockReturnThis(),
+        andWhereRaw: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        forUpdate: jest.fn().mockReturnThis(),
+        first: jest.fn(),
+        increment: jest.fn().mockResolvedValue(1),
+        decrement: jest.fn().mockResolvedValue(1),
+        update: jest.fn().mockResolvedValue(1),
+        insert: jest.fn().mockReturnThis(),
+        returning: jest.fn()
+    });
+
+    beforeEach(() => {
+        queries = {
+            accounts: buildQuery(),
+            account_holds: buildQuery(),
+            transactions: buildQuery()
+        };
+        trx = jest.fn((table) => queries[table]);
+        trx.transaction = jest.fn((callback) => callback(trx));
+        balanceService = new BalanceService(trx);
+    });
+
+    describe('lockAccount()', () => {
+        it('locks and returns the account row', async () => {
+            queries.accounts.first.mockResolvedValue({ id: 'acc-1', status: 'ACTIVE', balance: '500.00', held_amount: '0.00' });
+
+            const account = await balanceService.lockAccount(trx, 'acc-1');
+
+            expect(queries.accounts.forUpdate).toHaveBeenCalled();
+            expect(account.id).toBe('acc-1');
+        });
+
+        it('rejects unknown accounts', async () => {
+            queries.accounts.first.mockResolvedValue(undefined);
+
+            await expect(balanceService.lockAccount(trx, 'acc-x')).rejects.toBeInstanceOf(NotFoundError);
+        });
+    });
+
+    describe('placeHold()', () => {
+        const account = { id: 'acc-1', status: 'ACTIVE', balance: '500.00', held_amount: '100.00' };
+
+        it('reserves the amount when available balance covers it', async () => {
+            queries.account_holds.returning.mockResolvedValue([{ id: 'hold-1', amount: '400.00' }]);
+
+            const hold = await balanceService.placeHold(trx, { account, tokenId: 'tok-1', amount: 400 });
+
+            expect(queries.accounts.forUpdate).not.toHaveBeenCalled();
+            expect(queries.accounts.andWhereRaw).toHaveBeenCalledWith('balance - held_amount >= ?', [400]);
+            expect(queries.accounts.increment).toHaveBeenCalledWith('held_amount', 400);
+            expect(queries.account_holds.insert).toHaveBeenCalledWith({
+                account_id: 'acc-1',
+                token_id: 'tok-1',
+                amount: 400,
+                status: 'ACTIVE'
+            });
+            expect(hold.id).toBe('hold-1');
+        });
+
+        it('refuses amounts above the available balance', async () => {
+            queries.accounts.increment.mockResolvedValue(0);
+            queries.accounts.first.mockResolvedValue({ balance: '500.00', held_amount: '450.00' });
+
+            const attempt = balanceService.placeHold(trx, { account, tokenId: 'tok-1', amount: 100 });
+
+            await expect(attempt).rejects.toBeInstanceOf(InsufficientFundsError);
+            await expect(attempt).rejects.toMatchObject({ available: 50 });
+            expect(queries.account_holds.insert).not.toHaveBeenCalled();
+        });
+
+        it('counts holds released after the account was locked', async () => {
+            // The locked row still shows the held amount of a token cancelled to make room
+            const stale = { ...account, held_amount: '500.00' };
+            queries.account_holds.returning.mockResolvedValue([{ id: 'hold-1', amount: '400.00' }]);
+
+            await expect(balanceService.placeHold(trx, { account: stale, tokenId: 'tok-1', amount: 400 }))
+                .resolves.toMatchObject({ id: 'hold-1' });
+            expect(queries.accounts.first).not.toHaveBeenCalled();
+        });
+
+        it('refuses INACTIVE accounts regardless of balance', async () => {
+            const inactive = { ...account, status: 'INACTIVE', held_amount: '0.00' };
+
+            await expect(balanceService.placeHold(trx, { account: inactive, tokenId: 'tok-1', amount: 100 }))
+                .rejects.toBeInstanceOf(AccountInactiveError);
+            expect(queries.accounts.increment).not.toHaveBeenCalled();
+            expect(queries.account_holds.insert).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('captureHold()', () => {
+        it('debits balance and held amount then marks the hold CAPTURED', async () => {
+            queries.account_holds.first.mockResolvedValue({ id: 'hold-1', account_id: 'acc-1', amount: '200.00' });
+
+            await balanceService.captureHold(trx, 'tok-1');
+
+            expect(queries.accounts.decrement).toHaveBeenCalledWith({ balance: '200.00', held_amount: '200.00' });
+            expect(queries.account_holds.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'CAPTURED' }));
+        });
+
+        it('leaves balances untouched for tokens issued without a hold', async () => {
+            queries.account_holds.first.mockResolvedValue(undefined);
+
+            const hold = await balanceService.captureHold(trx, 'legacy-token');
+
+            expect(hold).toBeNull();
+            expect(queries.accounts.decrement).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('releaseHolds()', () => {
+        it('returns held funds per account and marks holds RELEASED', async () => {
+            queries.account_holds.forUpdate.mockResolvedValue([
+                { id: 'hold-1', account_id: 'acc-2', amount: '100.00' },
+                { id: 'hold-2', account_id: 'acc-1', amount: '50.00' },
+                { id: 'hold-3', account_id: 'acc-2', amount: '25.00' }
+            ]);
+
+            const released = await balanceService.releaseHolds(trx, ['tok-1', 'tok-2', 'tok-3'], 'EXPIRED');
+
+            expect(released).toBe(3);
+            expect(queries.accounts.decrement.mock.calls).toEqual([
+                ['held_amount', 50],
+                ['held_amount', 125]
+            ]);
+            expect(queries.account_holds.update).toHaveBeenCalledWith(expect.objectContaining({
+                status: 'RELEASED',
+                release_reason: 'EXPIRED'
+            }));
+        });
+
+        it('is a no-op when no token ids are given', async () => {
+            expect(await balanceService.releaseHolds(trx, [], 'EXPIRED')).toBe(0);
+            expect(trx).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deposit()', () => {
+        const deposit = { amount: 50000, reference: 'CBA-CR-1', initiatedBy: 'ops-1' };
+
+        beforeEach(() => {
+            queries.accounts.first.mockResolvedValue({ id: 'acc-1', currency: 'NGN', balance: '100000', held_amount: '0' });
+            queries.transactions.first.mockResolvedValue(undefined);
+            queries.transactions.returning.mockResolvedValue([{
+                id: 'txn-1',
+                account_id: 'acc-1',
+                amount: '50000',
+                currency: 'NGN',
+                reference: 'CBA-CR-1',
+                initiated_by: 'ops-1',
+                created_at: '2026-01-02T00:00:00.000Z'
+            }]);
+        });
+
+        it('writes a DEPOSIT ledger entry and credits the balance in one transaction', async () => {
+            const result = await balanceService.deposit('acc-1', deposit);
+
+            expect(trx.transaction).toHaveBeenCalled();
+            expect(queries.accounts.forUpdate).toHaveBeenCalled();
+            expect(queries.transactions.insert).toHaveBeenCalledWith({
+                account_id: 'acc-1',
+                type: 'DEPOSIT',
+                amount: 50000,
+                currency: 'NGN',
+                status: 'SUCCESS',
+                reference: 'CBA-CR-1',
+                initiated_by: 'ops-1'
+            });
+            expect(queries.accounts.increment).toHaveBeenCalledWith('balance', 50000);
+            expect(result).toMatchObject({ id: 'txn-1', amount: 50000, balanceAfter: 150000, initiatedBy: 'ops-1' });
+        });
+
+        it('never credits the same reference twice', async () => {
+            queries.transactions.first.mockResolvedValue({ id: 'txn-0' });
+
+            await expect(balanceService.deposit('acc-1', deposit)).rejects.toBeInstanceOf(ConflictError);
+            expect(queries.transactions.insert).not.toHaveBeenCalled();
+            expect(queries.accounts.increment).not.toHaveBeenCalled();
+        });
+
+        it('rejects unknown accounts', async () => {
+            queries.accounts.first.mockResolvedValue(undefined);
+
+            await expect(balanceService.deposit('acc-x', deposit)).rejects.toBeInstanceOf(NotFoundError);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+jest.mock('../config', () => ({
+    keys: { secret: 'test_service_key_secret_value_32_chars_plus' },
+    token: { expirySeconds: 300 },
+    otp: { length: 6, ttlSeconds: 180, maxAttempts: 3, notifier: 'console' }
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+const ChallengeService = require('../services/challengeService');
+
+describe('ChallengeService', () => {
+    let query;
+    let db;
+    let notifier;
+    let challengeService;
+
+    const requester = { accountId: 'acc-1', agentId: 'atm-1' };
+
+    beforeEach(() => {
+        query = {
+            where: jest.fn().mockReturnThis(),
+            forUpdate: jest.fn().mockReturnThis(),
+            first: jest.fn(),
+            update: jest.fn().mockResolvedValue(1),
+            insert: jest.fn().mockResolvedValue([])
+        };
+        db = jest.fn(() => query);
+        db.transaction = jest.fn((callback) => callback(db));
+        notifier = { sendOtp: jest.fn().mockResolvedValue() };
+        challengeService = new ChallengeService(db, notifier);
+    });
+
+    // A PENDING challenge whose OTP is known to the test
+    const pendingChallenge = (overrides = {}) => ({
+        id: 'ch-1',
+        token_id: 'tok-1',
+        account_id: 'acc-1',
+        agent_id: 'atm-1',
+        otp_hash: challengeService.hashOtp('ch-1', '123456'),
+        status: 'PENDING',
+        attempts: 0,
+        max_attempts: 3,
+        risk_score: '0.40',
+        risk_reasons: ['IP address mismatch from last success'],
+        expires_at: new Date(Date.now() + 60000),
+        ...overrides
+    });
+
+    it('generates numeric OTPs of the configured length', () => {
+        expect(challengeService.generateOtp()).toMatch(/^[0-9]{6}$/);
+    });
+
+    it('stores only a hash of the OTP and delivers the code through the notifier', async () => {
+        const { challengeId } = await challengeService.issueChallenge({
+            tokenId: 'tok-1',
+            accountId: 'acc-1',
+            agentId: 'atm-1',
+            riskAssessment: { score: 0.4, reasons: ['IP address mismatch from last success'] }
+        });
+
+        const stored = query.insert.mock.calls[0][0];
+        const { otp } = notifier.sendOtp.mock.calls[0][0];
+
+        expect(stored.id).toBe(challengeId);
+        expect(stored.otp_hash.equals(challengeService.hashOtp(challengeId, otp))).toBe(true);
+        expect(JSON.stringify(stored)).not.toContain(`"${otp}"`);
+        // Earlier PENDING challenges for the token are superseded
+        expect(query.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'EXPIRED' }));
+    });
+
+    it('expires the challenge when the OTP cannot be delivered', async () => {
+        notifier.sendOtp.mockRejectedValue(new Error('gateway down'));
+
+        await expect(challengeService.issueChallenge({
+            tokenId: 'tok-1',
+            accountId: 'acc-1',
+            agentId: 'atm-1',
+            riskAssessment: { score: 0.4, reasons: [] }
+        })).rejects.toThrow('gateway down');
+
+        expect(query.update).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'EXPIRED' }));
+    });
+
+    it('verifies a matching OTP', async () => {
+        query.first.mockResolvedValue(pendingChallenge());
+
+        const result = await challengeService.verifyChallenge('ch-1', '123456', requester);
+
+        expect(result).toEqual({
+            result: 'VERIFIED',
+            tokenId: 'tok-1',
+            riskScore: 0.4,
+            riskReasons: ['IP address mismatch from last success']
+        });
+        expect(query.forUpdate).toHaveBeenCalled();
+        expect(query.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'VERIFIED' }));
+    });
+
+    it('counts wrong OTPs and reports the attempts left', async () => {
+        query.first.mockResolvedValue(pendingChallenge());
+
+        const result = await challengeService.verifyChallenge('ch-1', '000000', requester);
+
+        expect(result).toEqual({ result: 'INVALID_OTP', attemptsRemaining: 2 });
+        expect(query.update).toHaveBeenCalledWith({ attempts: 1 });
+    });
+
+    it('locks the challenge on the last allowed wrong OTP', async () => {
+        query.first.mockResolvedValue(pendingChallenge({ attempts: 2 }));
+
+        const result = await challengeService.verifyChallenge('ch-1', '000000', requester);
+
+        expect(result).toEqual({ result: 'LOCKED' });
+        expect(query.update).toHaveBeenCalledWith(expect.objectContaining({ attempts: 3, status: 'FAILED' }));
+    });
+
+    it('rejects OTPs submitted after the window', async () => {
+        query.first.mockResolvedValue(pendingChallenge({ expires_at: new Date(Date.now() - 1000) }));
+
+        expect(await challengeService.verifyChallenge('ch-1', '123456', requester)).toEqual({ result: 'EXPIRED' });
+    });
+
+    it('hides challenges raised by a different agent', async () => {
+        query.first.mockResolvedValue(pendingChallenge({ agent_id: 'atm-2' }));
+
+        expect(await challengeService.verifyChallenge('ch-1', '123456', requester)).toEqual({ result: 'NOT_FOUND' });
+        expect(query.update).not.toHaveBeenCalled();
+    });
+
+    it('does not accept a challenge twice', async () => {
+        query.first.mockResolvedValue(pendingChallenge({ status: 'VERIFIED' }));
+
+        expect(await challengeService.verifyChallenge('ch-1', '123456', requester)).toEqual({ result: 'ALREADY_VERIFIED' });
+    });
+});
@@ -0,0 +1,37 @@
+const { CURRENCIES, toMinorUnits, formatMinorUnits, checkDispensable } = require('../config/currencies');
+
+describe('Currencies', () => {
+    it('converts major units to minor units by the ISO 4217 exponent', () => {
+        expect(toMinorUnits(1500, CURRENCIES.NGN.exponent)).toBe(150000);
+        expect(toMinorUnits(1500, CURRENCIES.UGX.exponent)).toBe(1500);
+        expect(toMinorUnits(0.25, CURRENCIES.KWD.exponent)).toBe(250);
+    });
+
+    it('formats minor units with the digits of the currency', () => {
+        expect(formatMinorUnits(150050, 'NGN', 2)).toBe('NGN 1500.50');
+        expect(formatMinorUnits(20000, 'UGX', 0)).toBe('UGX 20000');
+        expect(formatMinorUnits(250, 'KWD', 3)).toBe('KWD 0.250');
+    });
+
+    describe('checkDispensable()', () => {
+        // NGN notes in kobo
+        const naira = [100000, 50000, 20000, 10000, 5000];
+
+        it('accepts amounts the notes make exactly', () => {
+            expect(checkDispensable(5000, naira)).toEqual({ dispensable: true });
+            expect(checkDispensable(155000, naira)).toEqual({ dispensable: true });
+            expect(checkDispensable(5000000000, naira)).toEqual({ dispensable: true });
+        });
+
+        it('suggests the nearest payable amounts either side', () => {
+            expect(checkDispensable(123456, naira)).toEqual({ dispensable: false, below: 120000, above: 125000 });
+            expect(checkDispensable(100, naira)).toEqual({ dispensable: false, below: null, above: 5000 });
+        });
+
+        it('refuses multiples of the smallest step that no combination of notes makes', () => {
+            // With only 20 and 50 notes, 30 cannot be paid although it is a multiple of 10
+            expect(checkDispensable(3000, [5000, 2000])).toEqual({ dispensable: false, below: 2000, above: 4000 });
+            expect(checkDispensable(11000, [5000, 2000])).toEqual({ dispensable: true });
+        });
+    });
+});
@@ -0,0 +1,91 @@
+jest.mock('../utils/logger', () => ({
+    logBusiness: jest.fn(),
+    logSystem: jest.fn(),
+    logError: jest.fn()
+}));
+
+const ExpirySweeper = require('../jobs/expirySweeper');
+const BalanceService = require('../services/balanceService');
+const { logBusiness } = require('../utils/logger');
+
+describe('ExpirySweeper', () => {
+    const options = { intervalMs: 60000, batchSize: 2, maxBatches: 5, lockTtlMs: 30000 };
+    let builder;
+    let db;
+    let redis;
+
+    beforeEach(() => {
+        builder = {
+            select: jest.fn().mockReturnThis(),
+            where: jest.fn().mockReturnThis(),
+            andWhere: jest.fn().mockReturnThis(),
+            orderBy: jest.fn().mockReturnThis(),
+            limit: jest.fn().mockReturnThis(),
+            forUpdate: jest.fn().mockReturnThis(),
+            skipLocked: jest.fn(), // Resolves the locked candidate rows
+            whereIn: jest.fn().mockReturnThis(),
+            update: jest.fn().mockResolvedValue(1)
+        };
+        db = jest.fn(() => builder);
+        db.transaction = jest.fn(async (callback) => callback(db));
+        jest.spyOn(BalanceService.prototype, 'releaseHolds').mockResolvedValue(0);
+        redis = {
+            set: jest.fn().mockResolvedValue('OK'),
+            eval: jest.fn().mockResolvedValue(1)
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    it('expires batches until a partial batch is returned and logs each one', async () => {
+        builder.skipLocked
+            .mockResolvedValueOnce([{ id: 'a' }, { id: 'b' }])
+            .mockResolvedValueOnce([{ id: 'c' }]);
+
+        const sweeper = new ExpirySweeper(db, redis, options);
+        const summary = await sweeper.runOnce();
+
+        expect(summary).toEqual({ skipped: false, expired: 3, batches: 2 });
+        expect(builder.update).toHaveBeenCalledWith({ status: 'EXPIRED' });
+        expect(BalanceService.prototype.releaseHolds).toHaveBeenCalledWith(db, ['a', 'b'], 'EXPIRED');
+        expect(BalanceService.prototype.releaseHolds).toHaveBeenCalledWith(db, ['c'], 'EXPIRED');
+        expect(logBusiness).toHaveBeenCalledTimes(2);
+        expect(redis.eval).toHaveBeenCalledWith(expect.any(String), 1, 'lock:expiry_sweeper', sweeper.instanceId);
+    });
+
+    it('stops after maxBatches even if more rows remain', async () => {
+        builder.skipLocked.mockResolvedValue([{ id: 'a' }, { id: 'b' }]);
+
+        const sweeper = new ExpirySweeper(db, redis, { ...options, maxBatches: 3 });
+        const summary = await sweeper.runOnce();
+
+        expect(summary.batches).toBe(3);
+        expect(summary.expired).toBe(6);
+    });
+
+    it('skips the run when another instance holds the leader lock', async () => {
+        redis.set.mockResolvedValue(null);
+
+        const sweeper = new ExpirySweeper(db, redis, options);
+        const summary = await sweeper.runOnce();
+
+        expect(summary.skipped).toBe(true);
+        expect(builder.update).not.toHaveBeenCalled();
+        expect(redis.eval).not.toHaveBeenCalled();
+    });
+
+    it('still sweeps when Redis is unavailable', async () => {
+        redis.set.mockRejectedValue(new Error('ECONNREFUSED'));
+        builder.skipLocked.mockResolvedValueOnce([]);
+
+        const sweeper = new ExpirySweeper(db, redis, options);
+        const summary = await sweeper.runOnce();
+
+        expect(summary).toEqual({ skipped: false, expired: 0, batches: 1 });
+        expect(builder.update).not.toHaveBeenCalled();
+        expect(redis.eval).not.toHaveBeenCalled();
+    });
+});
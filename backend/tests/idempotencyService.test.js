@@ -0,0 +1,131 @@
+jest.mock('../config', () => ({
+    keys: { secret: 'test_service_key_secret_value_32_chars_plus' },
+    token: { expirySeconds: 300 }
+}));
+
+jest.mock('../config/redis', () => ({}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+const IdempotencyService = require('../services/idempotencyService');
+
+describe('IdempotencyService', () => {
+    let query;
+    let db;
+    let cache;
+    let service;
+
+    const context = {
+        key: 'retry-key-1',
+        accountId: '123e4567-e89b-12d3-a456-426614174000',
+        scope: 'tokens:generate',
+        requestHash: IdempotencyService.hashRequest({ accountId: 'a', amount: 100 }),
+        ttlSeconds: 3600
+    };
+
+    beforeEach(() => {
+        query = {
+            where: jest.fn().mockReturnThis(),
+            andWhere: jest.fn().mockReturnThis(),
+            del: jest.fn().mockResolvedValue(0),
+            insert: jest.fn().mockReturnThis(),
+            returning: jest.fn().mockResolvedValue([{ id: 'record-1' }]),
+            update: jest.fn().mockResolvedValue(1),
+            first: jest.fn()
+        };
+        db = jest.fn(() => query);
+        cache = {
+            get: jest.fn().mockResolvedValue(null),
+            set: jest.fn().mockResolvedValue(true)
+        };
+        service = new IdempotencyService(db, cache);
+    });
+
+    it('hashes bodies independently of key order', () => {
+        expect(IdempotencyService.hashRequest({ amount: 100, accountId: 'a' }))
+            .toBe(IdempotencyService.hashRequest({ accountId: 'a', amount: 100 }));
+        expect(IdempotencyService.hashRequest({ accountId: 'a', amount: 101 }))
+            .not.toBe(IdempotencyService.hashRequest({ accountId: 'a', amount: 100 }));
+    });
+
+    it('claims an unseen key', async () => {
+        const outcome = await service.begin(context);
+
+        expect(outcome).toEqual({ state: 'NEW', recordId: 'record-1' });
+        expect(query.insert).toHaveBeenCalledWith(expect.objectContaining({
+            idempotency_key: 'retry-key-1',
+            state: 'IN_PROGRESS'
+        }));
+    });
+
+    it('replays a completed response from the cache without touching Postgres', async () => {
+        const ciphertext = service.encrypt({ success: true, data: { token: 'ABCD-12345678' } });
+        cache.get.mockResolvedValue({
+            requestHash: context.requestHash,
+            statusCode: 201,
+            ciphertext: ciphertext.toString('base64')
+        });
+
+        const outcome = await service.begin(context);
+
+        expect(outcome).toEqual({ state: 'REPLAY', statusCode: 201, body: { success: true, data: { token: 'ABCD-12345678' } } });
+        expect(db).not.toHaveBeenCalled();
+    });
+
+    it('falls back to Postgres when the key is already claimed', async () => {
+        const duplicate = new Error('duplicate key');
+        duplicate.code = '23505';
+        query.returning.mockRejectedValue(duplicate);
+        query.first.mockResolvedValue({
+            request_hash: context.requestHash,
+            state: 'COMPLETED',
+            status_code: 409,
+            response_ciphertext: service.encrypt({ error: 'Token Expired or Already Used' })
+        });
+
+        const outcome = await service.begin(context);
+
+        expect(outcome.state).toBe('REPLAY');
+        expect(outcome.statusCode).toBe(409);
+    });
+
+    it('reports a key reused with a different body', async () => {
+        const duplicate = new Error('duplicate key');
+        duplicate.code = '23505';
+        query.returning.mockRejectedValue(duplicate);
+        query.first.mockResolvedValue({ request_hash: 'other-hash', state: 'COMPLETED' });
+
+        expect(await service.begin(context)).toEqual({ state: 'MISMATCH' });
+    });
+
+    it('reports a claimed key whose first request has not finished', async () => {
+        const duplicate = new Error('duplicate key');
+        duplicate.code = '23505';
+        query.returning.mockRejectedValue(duplicate);
+        query.first.mockResolvedValue({ request_hash: context.requestHash, state: 'IN_PROGRESS' });
+
+        expect(await service.begin(context)).toEqual({ state: 'IN_PROGRESS' });
+    });
+
+    it('stores completed responses encrypted in Postgres and Redis', async () => {
+        const body = { success: true, data: { token: 'ABCD-12345678' } };
+
+        await service.complete({ ...context, recordId: 'record-1' }, 201, body);
+
+        const stored = query.update.mock.calls[0][0];
+        expect(stored.state).toBe('COMPLETED');
+        expect(stored.response_ciphertext.toString('utf8')).not.toContain('ABCD-12345678');
+        expect(service.decrypt(stored.response_ciphertext)).toEqual(body);
+        expect(cache.set).toHaveBeenCalledWith(
+            'idempotency:tokens:generate:123e4567-e89b-12d3-a456-426614174000:retry-key-1',
+            expect.objectContaining({ statusCode: 201 }),
+            3600
+        );
+    });
+});
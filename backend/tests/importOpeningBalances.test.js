@@ -0,0 +1,76 @@
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    },
+    logBusiness: jest.fn(),
+    logSystem: jest.fn(),
+    logError: jest.fn()
+}));
+
+const { parseBalances, importOpeningBalances } = require('../db/importOpeningBalances');
+const AccountService = require('../services/accountService');
+const BalanceService = require('../services/balanceService');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+describe('Opening balance import', () => {
+    const db = jest.fn();
+
+    beforeEach(() => {
+        jest.spyOn(AccountService.prototype, 'getByRef').mockImplementation(async (accountRef) => {
+            if (accountRef === 'CBA-404') {
+                throw new NotFoundError('Account not found');
+            }
+            return { id: `id-${accountRef}` };
+        });
+        jest.spyOn(BalanceService.prototype, 'deposit').mockResolvedValue({ id: 'txn-1' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('reads account_ref,amount lines, ignoring the header, blanks and comments', () => {
+        const csv = 'account_ref,amount\nCBA-0001,150000\n\n# closed accounts follow\nCBA-0002, 0 \nCBA-0003,12.50\r\n';
+
+        expect(parseBalances(csv)).toEqual([
+            { line: 2, accountRef: 'CBA-0001', amount: 150000 },
+            { line: 5, accountRef: 'CBA-0002', amount: 0 },
+            { line: 6, accountRef: 'CBA-0003', amount: NaN }
+        ]);
+    });
+
+    it('records each balance as an OPENING_BALANCE deposit', async () => {
+        const summary = await importOpeningBalances(db, [{ line: 2, accountRef: 'CBA-0001', amount: 150000 }]);
+
+        expect(BalanceService.prototype.deposit).toHaveBeenCalledWith('id-CBA-0001', {
+            amount: 150000,
+            reference: 'OPENING_BALANCE',
+            initiatedBy: 'SYSTEM:opening-balance-import'
+        });
+        expect(summary).toEqual({ imported: [2], skipped: [], failed: [] });
+    });
+
+    it('skips zero and already imported balances, and reports unknown accounts and bad amounts', async () => {
+        BalanceService.prototype.deposit.mockRejectedValueOnce(new ConflictError('Already recorded'));
+
+        const summary = await importOpeningBalances(db, [
+            { line: 2, accountRef: 'CBA-0001', amount: 150000 },
+            { line: 3, accountRef: 'CBA-0002', amount: 0 },
+            { line: 4, accountRef: 'CBA-404', amount: 100 },
+            { line: 5, accountRef: 'CBA-0003', amount: NaN },
+            { line: 6, accountRef: 'CBA-0004', amount: 100 }
+        ]);
+
+        expect(summary).toEqual({ imported: [6], skipped: [2, 3], failed: [4, 5] });
+        expect(BalanceService.prototype.deposit).toHaveBeenCalledTimes(2);
+    });
+
+    it('stops on anything but a known refusal', async () => {
+        BalanceService.prototype.deposit.mockRejectedValueOnce(new Error('connection lost'));
+
+        await expect(importOpeningBalances(db, [{ line: 2, accountRef: 'CBA-0001', amount: 150000 }]))
+            .rejects.toThrow('connection lost');
+    });
+});
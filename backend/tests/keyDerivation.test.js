@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+jest.mock('../config', () => ({
+    keys: { secret: 'test_service_key_secret_value_32_chars_plus' },
+    token: { pepper: 'test_super_secure_pepper_value_16_chars_plus' }
+}));
+
+const config = require('../config');
+const { deriveKey } = require('../utils/keyDerivation');
+
+describe('deriveKey()', () => {
+    it('derives a distinct 32-byte key per purpose from SERVICE_KEY_SECRET', () => {
+        const otp = deriveKey('redemption-otp');
+        const qr = deriveKey('token-qr-payload');
+
+        expect(otp).toHaveLength(32);
+        expect(otp.equals(qr)).toBe(false);
+        expect(otp.equals(deriveKey('redemption-otp'))).toBe(true);
+    });
+
+    it('is unaffected by the token pepper, so peppers can be rotated freely', () => {
+        const before = deriveKey('agent-credentials');
+        config.token.pepper = 'a_rotated_pepper_of_16_chars_plus';
+
+        expect(deriveKey('agent-credentials').equals(before)).toBe(true);
+    });
+
+    it('matches the keys formerly derived from TOKEN_PEPPER when set to its value', () => {
+        // Upgraded deployments keep their agent credentials and live OTPs by doing exactly this
+        const formerPepper = 'test_super_secure_pepper_value_16_chars_plus';
+        const formerKey = Buffer.from(
+            crypto.hkdfSync('sha256', formerPepper, Buffer.alloc(0), 'idempotency-response', 32)
+        );
+        config.keys.secret = formerPepper;
+
+        expect(deriveKey('idempotency-response').equals(formerKey)).toBe(true);
+    });
+});
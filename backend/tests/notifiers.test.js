@@ -0,0 +1,57 @@
+const mockConfig = {
+    otp: { notifier: 'console', notifierFile: '/tmp/otp-outbox.log' }
+};
+
+jest.mock('../config', () => mockConfig);
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+describe('OTP notifiers', () => {
+    let notifiers;
+    let logger;
+
+    beforeEach(() => {
+        jest.resetModules();
+        jest.clearAllMocks();
+        mockConfig.otp.notifier = 'console';
+        notifiers = require('../services/notifiers');
+        ({ logger } = require('../utils/logger'));
+    });
+
+    it('uses the configured stand-in', () => {
+        mockConfig.otp.notifier = 'file';
+
+        expect(notifiers.getNotifier()).toBeInstanceOf(notifiers.FileNotifier);
+    });
+
+    it('refuses to resolve without a registered notifier when no stand-in is configured (production)', () => {
+        mockConfig.otp.notifier = undefined;
+
+        expect(() => notifiers.getNotifier()).toThrow(/setNotifier/);
+    });
+
+    it('uses a registered notifier when no stand-in is configured', () => {
+        mockConfig.otp.notifier = undefined;
+        const smsNotifier = { sendOtp: jest.fn() };
+
+        notifiers.setNotifier(smsNotifier);
+
+        expect(notifiers.getNotifier()).toBe(smsNotifier);
+    });
+
+    it('never writes the code to the log from the console notifier', async () => {
+        const expiresAt = new Date();
+
+        await notifiers.getNotifier().sendOtp({ challengeId: 'ch-1', accountId: 'acc-1', otp: '123456', expiresAt });
+
+        const [fields, message] = logger.info.mock.calls[0];
+        expect(fields).toEqual({ challengeId: 'ch-1', accountId: 'acc-1', expiresAt });
+        expect(JSON.stringify(fields) + message).not.toContain('123456');
+    });
+});
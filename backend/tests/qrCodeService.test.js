@@ -0,0 +1,46 @@
+jest.mock('../config', () => ({
+    keys: { secret: 'test_service_key_secret_value_32_chars_plus' }
+}));
+
+const QrCodeService = require('../services/qrCodeService');
+
+describe('QrCodeService', () => {
+    const qrCodeService = new QrCodeService();
+    const issued = { token: 'ABCD-EFGH2345', amount: 50000, currency: 'NGN', expiresAt: new Date('2030-01-01T00:05:00Z') };
+
+    it('round-trips the token, amount, currency and expiry through a payload', () => {
+        const payload = qrCodeService.buildPayload(issued);
+
+        expect(payload).toMatch(/^CCW2\.ABCD-EFGH2345\.50000\.NGN\.1893456300\.[A-Za-z0-9_-]{22}$/);
+        expect(qrCodeService.parsePayload(payload)).toEqual({ result: 'VALID', ...issued });
+    });
+
+    it('detects a payload altered after issue', () => {
+        const payload = qrCodeService.buildPayload(issued);
+
+        expect(qrCodeService.parsePayload(payload.replace('.50000.', '.90000.')).result).toBe('TAMPERED');
+        expect(qrCodeService.parsePayload(payload.replace('.NGN.', '.GHS.')).result).toBe('TAMPERED');
+        expect(qrCodeService.parsePayload(payload.replace('ABCD', 'ABCE')).result).toBe('TAMPERED');
+    });
+
+    it('rejects payloads signed under another pepper', () => {
+        const foreign = Object.create(QrCodeService.prototype);
+        foreign.macKey = Buffer.alloc(32, 1);
+
+        expect(qrCodeService.parsePayload(foreign.buildPayload(issued)).result).toBe('TAMPERED');
+    });
+
+    it('treats unreadable input as malformed', () => {
+        expect(qrCodeService.parsePayload('ABCD-EFGH2345').result).toBe('MALFORMED');
+        expect(qrCodeService.parsePayload('CCW2.ABCD-EFGH2345.500.1.xxxxxxxxxxxxxxxxxxxxxx').result).toBe('MALFORMED');
+        expect(qrCodeService.parsePayload('CCW1.ABCD-EFGH2345.500.1893456300.xxxxxxxxxxxxxxxxxxxxxx').result).toBe('MALFORMED');
+    });
+
+    it('renders SVG markup and PNG bytes', async () => {
+        const payload = qrCodeService.buildPayload(issued);
+
+        await expect(qrCodeService.render(payload, 'svg')).resolves.toMatch(/^<svg/);
+        const png = await qrCodeService.render(payload, 'png');
+        expect(png.subarray(1, 4).toString()).toBe('PNG');
+    });
+});
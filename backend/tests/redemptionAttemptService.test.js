@@ -0,0 +1,58 @@
+const RedemptionAttemptService = require('../services/redemptionAttemptService');
+
+describe('RedemptionAttemptService', () => {
+    let query;
+    let db;
+    let service;
+
+    beforeEach(() => {
+        query = {
+            insert: jest.fn().mockResolvedValue([]),
+            where: jest.fn().mockReturnThis(),
+            whereNotIn: jest.fn().mockReturnThis(),
+            andWhere: jest.fn().mockReturnThis(),
+            count: jest.fn().mockReturnThis(),
+            first: jest.fn().mockResolvedValue({ count: '3' })
+        };
+        db = jest.fn(() => query);
+        service = new RedemptionAttemptService(db);
+    });
+
+    it('records attempts that matched no token against the claimed account', async () => {
+        const trx = jest.fn(() => query);
+
+        await service.recordAttempt(trx, {
+            accountId: 'acc-1',
+            agentId: 'atm-1',
+            result: 'NOT_FOUND',
+            metadata: { ip: '10.0.0.1', prefix: 'ZZZZ' }
+        });
+
+        expect(trx).toHaveBeenCalledWith('redemption_attempts');
+        expect(db).not.toHaveBeenCalled();
+        expect(query.insert).toHaveBeenCalledWith({
+            token_id: null,
+            account_id: 'acc-1',
+            agent_id: 'atm-1',
+            result: 'NOT_FOUND',
+            metadata: JSON.stringify({ ip: '10.0.0.1', prefix: 'ZZZZ' })
+        });
+    });
+
+    it('counts only abuse-indicating results for the account', async () => {
+        const since = new Date('2026-01-01T00:00:00.000Z');
+
+        const count = await service.countFailedAttempts('acc-1', since);
+
+        expect(count).toBe(3);
+        expect(query.where).toHaveBeenCalledWith({ account_id: 'acc-1' });
+        expect(query.whereNotIn).toHaveBeenCalledWith('result', ['SUCCESS', 'CHALLENGED', 'INSUFFICIENT_FLOAT']);
+        expect(query.andWhere).toHaveBeenCalledWith('created_at', '>', since);
+    });
+
+    it('reports zero when the account has no failed attempts', async () => {
+        query.first.mockResolvedValue(undefined);
+
+        expect(await service.countFailedAttempts('acc-1', new Date())).toBe(0);
+    });
+});
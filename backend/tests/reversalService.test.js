@@ -0,0 +1,156 @@
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    },
+    logBusiness: jest.fn()
+}));
+
+const ReversalService = require('../services/reversalService');
+const AgentFloatService = require('../services/agentFloatService');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+
+describe('ReversalService', () => {
+    let reversalService;
+    let queries;
+    let trx;
+    let db;
+
+    const withdrawal = {
+        id: 'txn-1',
+        account_id: 'acc-1',
+        token_id: 'tok-1',
+        type: 'WITHDRAWAL',
+        amount: '250.00',
+        status: 'SUCCESS'
+    };
+
+    const request = { reasonCode: 'CASH_NOT_DISPENSED', initiatedBy: 'ops-user-7', note: 'ATM jammed' };
+
+    const buildQuery = () => ({
+        where: jest.fn().mockReturnThis(),
+        forUpdate: jest.fn().mockReturnThis(),
+        first: jest.fn(),
+        increment: jest.fn().mockResolvedValue(1),
+        insert: jest.fn().mockReturnThis(),
+        returning: jest.fn()
+    });
+
+    beforeEach(() => {
+        queries = {
+            transactions: buildQuery(),
+            accounts: buildQuery(),
+            account_holds: buildQuery()
+        };
+        // The redemption captured the token's hold, i.e. debited the balance
+        queries.account_holds.first.mockResolvedValue({ id: 'hold-1' });
+        trx = jest.fn((table) => queries[table]);
+        db = { transaction: jest.fn((callback) => callback(trx)) };
+        reversalService = new ReversalService(db);
+        jest.spyOn(AgentFloatService.prototype, 'creditForReversal').mockResolvedValue({ id: 'movement-1' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('appends a REVERSAL entry linked to the withdrawal and credits the account', async () => {
+        queries.transactions.first
+            .mockResolvedValueOnce(withdrawal)
+            .mockResolvedValueOnce(undefined);
+        queries.transactions.returning.mockResolvedValue([{ id: 'txn-2', amount: '250.00', created_at: new Date() }]);
+
+        const reversal = await reversalService.reverseWithdrawal('txn-1', request);
+
+        expect(queries.transactions.forUpdate).toHaveBeenCalled();
+        expect(queries.transactions.insert).toHaveBeenCalledWith({
+            account_id: 'acc-1',
+            token_id: 'tok-1',
+            type: 'REVERSAL',
+            amount: '250.00',
+            status: 'SUCCESS',
+            reversal_of: 'txn-1',
+            reason_code: 'CASH_NOT_DISPENSED',
+            initiated_by: 'ops-user-7',
+            note: 'ATM jammed'
+        });
+        expect(queries.account_holds.where).toHaveBeenCalledWith({ token_id: 'tok-1', status: 'CAPTURED' });
+        expect(queries.accounts.increment).toHaveBeenCalledWith('balance', '250.00');
+        expect(reversal).toEqual(expect.objectContaining({ id: 'txn-2', reversalOf: 'txn-1', amount: 250 }));
+        // Withdrawals without agent attribution have no float to restore
+        expect(AgentFloatService.prototype.creditForReversal).not.toHaveBeenCalled();
+    });
+
+    it('does not credit the account for a withdrawal that never debited it', async () => {
+        // Token issued before holds existed: redemption captured nothing
+        queries.account_holds.first.mockResolvedValue(undefined);
+        queries.transactions.first
+            .mockResolvedValueOnce({ ...withdrawal, agent_id: 'atm-1' })
+            .mockResolvedValueOnce(undefined);
+        queries.transactions.returning.mockResolvedValue([{ id: 'txn-2', amount: '250.00', created_at: new Date() }]);
+
+        const reversal = await reversalService.reverseWithdrawal('txn-1', request);
+
+        expect(reversal.id).toBe('txn-2');
+        expect(queries.transactions.insert).toHaveBeenCalledWith(expect.objectContaining({ type: 'REVERSAL', reversal_of: 'txn-1' }));
+        expect(queries.accounts.increment).not.toHaveBeenCalled();
+        // The agent still handed over (or kept) the cash
+        expect(AgentFloatService.prototype.creditForReversal).toHaveBeenCalled();
+    });
+
+    it('returns the cash to the paying agent float', async () => {
+        queries.transactions.first
+            .mockResolvedValueOnce({ ...withdrawal, agent_id: 'atm-1' })
+            .mockResolvedValueOnce(undefined);
+        queries.transactions.returning.mockResolvedValue([{ id: 'txn-2', amount: '250.00', created_at: new Date() }]);
+
+        await reversalService.reverseWithdrawal('txn-1', request);
+
+        expect(queries.transactions.insert).toHaveBeenCalledWith(expect.objectContaining({ agent_id: 'atm-1', type: 'REVERSAL' }));
+        expect(AgentFloatService.prototype.creditForReversal).toHaveBeenCalledWith(trx, {
+            agentId: 'atm-1',
+            amount: '250.00',
+            transactionId: 'txn-2'
+        });
+    });
+
+    it('requires a known reason code', async () => {
+        await expect(reversalService.reverseWithdrawal('txn-1', { ...request, reasonCode: 'BECAUSE' }))
+            .rejects.toBeInstanceOf(ValidationError);
+        expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('reports unknown transactions', async () => {
+        queries.transactions.first.mockResolvedValueOnce(undefined);
+
+        await expect(reversalService.reverseWithdrawal('txn-404', request)).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('only reverses successful withdrawals', async () => {
+        queries.transactions.first.mockResolvedValueOnce({ ...withdrawal, type: 'REVERSAL' });
+
+        await expect(reversalService.reverseWithdrawal('txn-1', request)).rejects.toBeInstanceOf(ValidationError);
+        expect(queries.transactions.insert).not.toHaveBeenCalled();
+    });
+
+    it('prevents a second reversal of the same withdrawal', async () => {
+        queries.transactions.first
+            .mockResolvedValueOnce(withdrawal)
+            .mockResolvedValueOnce({ id: 'txn-2' });
+
+        await expect(reversalService.reverseWithdrawal('txn-1', request)).rejects.toBeInstanceOf(ConflictError);
+        expect(queries.accounts.increment).not.toHaveBeenCalled();
+    });
+
+    it('maps a unique violation from a concurrent reversal to a conflict', async () => {
+        const duplicate = new Error('duplicate key');
+        duplicate.code = '23505';
+        queries.transactions.first
+            .mockResolvedValueOnce(withdrawal)
+            .mockResolvedValueOnce(undefined);
+        queries.transactions.returning.mockRejectedValue(duplicate);
+
+        await expect(reversalService.reverseWithdrawal('txn-1', request)).rejects.toBeInstanceOf(ConflictError);
+    });
+});
@@ -0,0 +1,84 @@
+const RiskDecisionService = require('../services/riskDecisionService');
+const { NotFoundError } = require('../utils/errors');
+
+describe('RiskDecisionService', () => {
+    let query;
+    let db;
+    let service;
+
+    const row = {
+        id: 'rd-1',
+        account_id: 'acc-1',
+        agent_id: 'atm-1',
+        token_id: 'tok-1',
+        score: '0.90',
+        decision: 'REJECT',
+        reasons: ['Excessive failed redemption attempts (24h)'],
+        signals: { velocity10m: 4, amountDeviation: 0, failedAttempts24h: 6, ipMismatch: 0 },
+        policy_version: '2026-01-baseline',
+        created_at: new Date('2026-01-01T00:00:00.000Z')
+    };
+
+    beforeEach(() => {
+        query = {
+            insert: jest.fn().mockReturnThis(),
+            returning: jest.fn().mockResolvedValue([{ id: 'rd-1' }]),
+            where: jest.fn().mockReturnThis(),
+            andWhere: jest.fn().mockReturnThis(),
+            modify: jest.fn(function (callback) {
+                callback(this);
+                return this;
+            }),
+            orderBy: jest.fn().mockReturnThis(),
+            limit: jest.fn().mockReturnThis(),
+            offset: jest.fn().mockResolvedValue([row]),
+            first: jest.fn()
+        };
+        db = jest.fn(() => query);
+        service = new RiskDecisionService(db);
+    });
+
+    it('records the assessment with its signals and policy version', async () => {
+        const id = await service.recordDecision({
+            accountId: 'acc-1',
+            agentId: 'atm-1',
+            tokenId: 'tok-1',
+            assessment: {
+                score: 0.9,
+                decision: 'REJECT',
+                reasons: ['Excessive failed redemption attempts (24h)'],
+                signals: row.signals,
+                policyVersion: '2026-01-baseline'
+            }
+        });
+
+        expect(id).toBe('rd-1');
+        expect(query.insert).toHaveBeenCalledWith({
+            account_id: 'acc-1',
+            agent_id: 'atm-1',
+            token_id: 'tok-1',
+            score: 0.9,
+            decision: 'REJECT',
+            reasons: JSON.stringify(['Excessive failed redemption attempts (24h)']),
+            signals: JSON.stringify(row.signals),
+            policy_version: '2026-01-baseline'
+        });
+    });
+
+    it('filters decisions and maps them to the API shape', async () => {
+        const from = new Date('2026-01-01T00:00:00.000Z');
+        const decisions = await service.findDecisions({ accountId: 'acc-1', decision: 'REJECT', from, limit: 20, offset: 0 });
+
+        expect(query.andWhere).toHaveBeenCalledWith('account_id', 'acc-1');
+        expect(query.andWhere).toHaveBeenCalledWith('decision', 'REJECT');
+        expect(query.andWhere).toHaveBeenCalledWith('created_at', '>=', from);
+        expect(query.andWhere).not.toHaveBeenCalledWith('agent_id', expect.anything());
+        expect(query.orderBy).toHaveBeenCalledWith('created_at', 'desc');
+        expect(decisions[0]).toEqual(expect.objectContaining({ id: 'rd-1', score: 0.9, decision: 'REJECT', policyVersion: '2026-01-baseline' }));
+    });
+
+    it('reports unknown decisions', async () => {
+        query.first.mockResolvedValue(undefined);
+        await expect(service.getById('rd-404')).rejects.toBeInstanceOf(NotFoundError);
+    });
+});
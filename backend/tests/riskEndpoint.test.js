@@ -0,0 +1,130 @@
+jest.mock('../config/redis', () => ({
+    redis: {
+        zremrangebyscore: jest.fn().mockResolvedValue(1),
+        zcard: jest.fn().mockResolvedValue(1),
+        zadd: jest.fn().mockResolvedValue(1),
+        expire: jest.fn().mockResolvedValue(1),
+        zrem: jest.fn().mockResolvedValue(1),
+        ttl: jest.fn().mockResolvedValue(60)
+    },
+    testConnection: jest.fn().mockResolvedValue({ connected: true })
+}));
+
+jest.mock('../config', () => ({
+    keys: { secret: 'test_service_key_secret_value_32_chars_plus' },
+    server: { nodeEnv: 'test', port: 3000, host: '127.0.0.1' },
+    rateLimit: { windowMs: 60000, maxRequests: 5, skipSuccessfulRequests: false },
+    token: {
+        expirySeconds: 300,
+        pepper: 'test_super_secure_pepper_value_16_chars_plus',
+        acceptLegacyFormat: true,
+        prefixLength: 4,
+        coreLength: 8,
+        charset: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+        groupSize: 0,
+        hashing: { algorithm: 'hmac-sha256', peppers: { default: 'test_super_secure_pepper_value_16_chars_plus' }, activePepperId: 'default' },
+        numeric: { prefixLength: 4, coreLength: 12, maxPinAttempts: 3, rateLimitMax: 3 }
+    },
+    cors: { origin: '*' },
+    security: { jwtSecret: 'test_jwt_secret_value_of_at_least_32_chars' }
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    },
+    logSecurity: jest.fn(),
+    logError: jest.fn(),
+    logSystem: jest.fn(),
+    EVENT_TYPES: { ERROR: 'ERROR' }
+}));
+
+jest.mock('../config/database', () => ({
+    getDb: () => jest.fn(),
+    testConnection: jest.fn().mockResolvedValue({ connected: true }),
+    close: jest.fn()
+}));
+
+const Fastify = require('fastify');
+const registerRoutes = require('../routes');
+const RiskDecisionService = require('../services/riskDecisionService');
+const ShadowDecisionService = require('../services/shadowDecisionService');
+const { NotFoundError } = require('../utils/errors');
+
+describe('/api/v1/risk Endpoints', () => {
+    let app;
+    const decision = {
+        id: '5f0c6a3e-2b1d-4c8e-9f7a-1e2d3c4b5a69',
+        accountId: '123e4567-e89b-12d3-a456-426614174000',
+        agentId: 'atm-1',
+        tokenId: null,
+        score: 0.9,
+        decision: 'REJECT',
+        reasons: ['Excessive failed redemption attempts (24h)'],
+        signals: { velocity10m: 4, failedAttempts24h: 6 },
+        policyVersion: '2026-01-baseline',
+        createdAt: '2026-01-01T00:00:00.000Z'
+    };
+
+    beforeAll(async () => {
+        app = Fastify();
+        await registerRoutes(app);
+        await app.ready();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    // Operations staff may call every route exercised here
+    const inject = (options) => app.inject({
+        ...options,
+        headers: { authorization: `Bearer ${app.jwt.sign({ sub: 'ops-1', roles: ['operations'] }, { expiresIn: '5m' })}`, ...options.headers }
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('lists decisions with filters and default paging (200)', async () => {
+        const find = jest.spyOn(RiskDecisionService.prototype, 'findDecisions').mockResolvedValue([decision]);
+
+        const response = await inject({
+            method: 'GET',
+            url: `/api/v1/risk/decisions?accountId=${decision.accountId}&decision=REJECT`
+        });
+
+        expect(response.statusCode).toBe(200);
+        const body = JSON.parse(response.payload);
+        expect(body.data[0].signals).toEqual({ velocity10m: 4, failedAttempts24h: 6 });
+        expect(body.pagination).toEqual({ limit: 50, offset: 0 });
+        expect(find).toHaveBeenCalledWith(expect.objectContaining({ accountId: decision.accountId, decision: 'REJECT' }));
+    });
+
+    it('rejects unknown decision values (400)', async () => {
+        const response = await inject({ method: 'GET', url: '/api/v1/risk/decisions?decision=MAYBE' });
+        expect(response.statusCode).toBe(400);
+    });
+
+    it('returns 404 for an unknown decision id', async () => {
+        jest.spyOn(RiskDecisionService.prototype, 'getById').mockRejectedValue(new NotFoundError('Risk decision not found'));
+
+        const response = await inject({ method: 'GET', url: `/api/v1/risk/decisions/${decision.id}` });
+
+        expect(response.statusCode).toBe(404);
+    });
+
+    it('refuses shadow report windows wider than 31 days (400)', async () => {
+        const report = jest.spyOn(ShadowDecisionService.prototype, 'getComparisonReport');
+
+        const response = await inject({
+            method: 'GET',
+            url: '/api/v1/risk/shadow-report?from=2026-01-01T00:00:00.000Z&to=2026-03-01T00:00:00.000Z'
+        });
+
+        expect(response.statusCode).toBe(400);
+        expect(report).not.toHaveBeenCalled();
+    });
+});
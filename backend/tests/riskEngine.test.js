@@ -1,3 +1,7 @@
+jest.mock('../config', () => ({
+    riskPolicy: { path: 'config/risk-policy.yaml', hotReload: false, reloadIntervalMs: 5000 }
+}));
+
 const RiskEngine = require('../services/riskEngine');
 
 describe('RiskEngine Unit Tests', () => {
@@ -66,4 +70,23 @@ describe('RiskEngine Unit Tests', () => {
         expect(resultCombined.score).toBe(0.35); // 0.2 + 0.15
         expect(resultCombined.decision).toBe('CHALLENGE');
     });
+
+    it('reports the version of the policy it applied', () => {
+        const result = RiskEngine.evaluateRedemption(defaultContext, defaultMetadata);
+        expect(result.policyVersion).toBe('2026-01-baseline');
+    });
+
+    it('applies thresholds and bands from an explicit policy', () => {
+        const strictPolicy = {
+            version: 'strict-1',
+            signals: {
+                velocity10m: { bands: [{ above: 0, weight: 0.35, reason: 'Any recent token ({value})' }] }
+            },
+            decisions: { challengeAt: 0.2, rejectAbove: 0.3 }
+        };
+
+        const result = RiskEngine.evaluateRedemption({ ...defaultContext, velocity10m: 1 }, defaultMetadata, strictPolicy);
+        expect(result).toEqual(expect.objectContaining({ score: 0.35, decision: 'REJECT', reasons: ['Any recent token (1)'], policyVersion: 'strict-1' }));
+        expect(result.signals).toEqual({ velocity10m: 1, amountDeviation: 0, failedAttempts24h: 0, ipMismatch: 0 });
+    });
 });
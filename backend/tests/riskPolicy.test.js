@@ -0,0 +1,101 @@
+jest.mock('../config', () => ({
+    riskPolicy: { path: 'config/risk-policy.yaml', hotReload: false, reloadIntervalMs: 5000 }
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const riskPolicy = require('../config/riskPolicy');
+
+describe('Risk policy loader', () => {
+    const basePolicy = {
+        version: 'test-1',
+        signals: {
+            velocity10m: { bands: [{ above: 3, weight: 0.4, reason: 'High velocity' }] }
+        },
+        decisions: { challengeAt: 0.3, rejectAbove: 0.7 }
+    };
+
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-policy-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('loads the bundled YAML policy', () => {
+        const policy = riskPolicy.loadPolicyFile(path.join(__dirname, '..', 'config', 'risk-policy.yaml'));
+
+        expect(policy.version).toBe('2026-01-baseline');
+        expect(Object.keys(policy.signals)).toEqual(riskPolicy.SIGNALS);
+        expect(policy.decisions).toEqual({ challengeAt: 0.3, rejectAbove: 0.7 });
+    });
+
+    it('loads JSON policies', () => {
+        const file = path.join(tmpDir, 'policy.json');
+        fs.writeFileSync(file, JSON.stringify(basePolicy));
+
+        expect(riskPolicy.loadPolicyFile(file).version).toBe('test-1');
+    });
+
+    it('rejects unknown signals, weights out of range and inverted decision bands', () => {
+        expect(() => riskPolicy.validatePolicy({
+            ...basePolicy,
+            signals: { deviceAge: basePolicy.signals.velocity10m }
+        })).toThrow(/signals.deviceAge/);
+
+        expect(() => riskPolicy.validatePolicy({
+            ...basePolicy,
+            signals: { velocity10m: { bands: [{ above: 3, weight: 2, reason: 'x' }] } }
+        })).toThrow(/weight/);
+
+        expect(() => riskPolicy.validatePolicy({
+            ...basePolicy,
+            decisions: { challengeAt: 0.6, rejectAbove: 0.5 }
+        })).toThrow(/rejectAbove must not be below/);
+    });
+
+    it('rejects bands whose thresholds are not strictly descending', () => {
+        const bands = (...thresholds) => ({
+            ...basePolicy,
+            signals: { velocity10m: { bands: thresholds.map((above) => ({ above, weight: 0.2, reason: 'x' })) } }
+        });
+
+        expect(() => riskPolicy.validatePolicy(bands(1, 3))).toThrow(/signals.velocity10m.bands: .*strictly descending/);
+        expect(() => riskPolicy.validatePolicy(bands(3, 3))).toThrow(/strictly descending/);
+        expect(riskPolicy.validatePolicy(bands(5, 3, 1)).signals.velocity10m.bands).toHaveLength(3);
+    });
+
+    it('requires a version', () => {
+        const unversioned = { ...basePolicy };
+        delete unversioned.version;
+        expect(() => riskPolicy.validatePolicy(unversioned)).toThrow(/version/);
+    });
+
+    it('keeps the active policy when a reload finds an invalid file', () => {
+        const file = path.join(tmpDir, 'policy.json');
+        fs.writeFileSync(file, JSON.stringify({ ...basePolicy, decisions: { challengeAt: 2 } }));
+        riskPolicy.setActivePolicy(basePolicy);
+
+        const config = require('../config');
+        config.riskPolicy.path = file;
+
+        expect(riskPolicy.reloadPolicy()).toBe(false);
+        expect(riskPolicy.getActivePolicy().version).toBe('test-1');
+
+        fs.writeFileSync(file, JSON.stringify({ ...basePolicy, version: 'test-2' }));
+        expect(riskPolicy.reloadPolicy()).toBe(true);
+        expect(riskPolicy.getActivePolicy().version).toBe('test-2');
+    });
+});
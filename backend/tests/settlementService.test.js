@@ -0,0 +1,106 @@
+jest.mock('../utils/logger', () => ({
+    logBusiness: jest.fn()
+}));
+
+const SettlementService = require('../services/settlementService');
+const { ValidationError } = require('../utils/errors');
+
+describe('SettlementService', () => {
+    let totalsQuery;
+    let insertQuery;
+    let db;
+
+    beforeEach(() => {
+        totalsQuery = {
+            join: jest.fn().mockReturnThis(),
+            where: jest.fn().mockReturnThis(),
+            whereIn: jest.fn().mockReturnThis(),
+            andWhere: jest.fn().mockReturnThis(),
+            groupBy: jest.fn().mockReturnThis(),
+            select: jest.fn()
+        };
+        insertQuery = {
+            insert: jest.fn().mockReturnThis(),
+            onConflict: jest.fn().mockReturnThis(),
+            ignore: jest.fn().mockReturnThis(),
+            returning: jest.fn()
+        };
+        db = jest.fn((table) => (table === 'agent_settlements' ? insertQuery : totalsQuery));
+        db.raw = jest.fn((sql) => sql);
+    });
+
+    it('computes commission on the net amount, rounded to the minor unit', () => {
+        expect(SettlementService.commissionFor(123456, 50)).toBe(617);
+        expect(SettlementService.commissionFor(-100, 50)).toBe(0);
+    });
+
+    it('defaults to the previous UTC day', () => {
+        expect(SettlementService.previousBusinessDate(new Date('2026-03-01T00:30:00Z'))).toBe('2026-02-28');
+    });
+
+    it('settles each agent from its ledger totals, net of reversals', async () => {
+        totalsQuery.select.mockResolvedValue([
+            {
+                agent_id: 'atm-1',
+                commission_bps: null,
+                redemption_count: '3',
+                gross_amount: '75000',
+                reversal_count: '1',
+                reversal_amount: '25000'
+            },
+            {
+                agent_id: 'shop-9',
+                commission_bps: 120,
+                redemption_count: '1',
+                gross_amount: '10000',
+                reversal_count: '0',
+                reversal_amount: '0'
+            }
+        ]);
+        insertQuery.returning.mockImplementation(async () => insertQuery.insert.mock.calls[0][0]
+            .map((record, index) => ({ id: `set-${index}`, ...record, created_at: new Date() })));
+
+        const result = await new SettlementService(db).settleDay('2026-03-01', { defaultCommissionBps: 50 });
+
+        expect(insertQuery.insert).toHaveBeenCalledWith([
+            expect.objectContaining({
+                agent_id: 'atm-1',
+                business_date: '2026-03-01',
+                redemption_count: 3,
+                net_amount: 50000,
+                commission_bps: 50,
+                commission_amount: 250
+            }),
+            expect.objectContaining({ agent_id: 'shop-9', commission_bps: 120, commission_amount: 120 })
+        ]);
+        expect(insertQuery.onConflict).toHaveBeenCalledWith(['agent_id', 'business_date']);
+        expect(result.settled).toHaveLength(2);
+        expect(result.alreadySettled).toBe(0);
+    });
+
+    it('reports agents already settled for the day without rewriting them', async () => {
+        totalsQuery.select.mockResolvedValue([{
+            agent_id: 'atm-1',
+            commission_bps: null,
+            redemption_count: '1',
+            gross_amount: '5000',
+            reversal_count: '0',
+            reversal_amount: '0'
+        }]);
+        insertQuery.returning.mockResolvedValue([]);
+
+        const result = await new SettlementService(db).settleDay('2026-03-01', { defaultCommissionBps: 50 });
+
+        expect(result).toEqual({ businessDate: '2026-03-01', settled: [], alreadySettled: 1 });
+    });
+
+    it('refuses days that have not finished yet', async () => {
+        const today = new Date().toISOString().slice(0, 10);
+
+        await expect(new SettlementService(db).settleDay(today, { defaultCommissionBps: 50 }))
+            .rejects.toBeInstanceOf(ValidationError);
+        await expect(new SettlementService(db).settleDay('2026-02-30', { defaultCommissionBps: 50 }))
+            .rejects.toBeInstanceOf(ValidationError);
+        expect(totalsQuery.select).not.toHaveBeenCalled();
+    });
+});
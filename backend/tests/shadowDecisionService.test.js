@@ -0,0 +1,98 @@
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+const ShadowDecisionService = require('../services/shadowDecisionService');
+const RiskEngine = require('../services/riskEngine');
+
+describe('ShadowDecisionService', () => {
+    let query;
+    let db;
+    let service;
+
+    beforeEach(() => {
+        query = {
+            insert: jest.fn().mockResolvedValue([]),
+            whereBetween: jest.fn().mockReturnThis(),
+            andWhere: jest.fn().mockReturnThis(),
+            modify: jest.fn(function (callback) {
+                callback(this);
+                return this;
+            }),
+            select: jest.fn().mockReturnThis(),
+            count: jest.fn().mockReturnThis(),
+            groupBy: jest.fn()
+        };
+        db = jest.fn(() => query);
+        service = new ShadowDecisionService(db);
+    });
+
+    it('stores one row per shadow policy next to the enforcing decision', async () => {
+        await service.recordShadowDecisions({
+            accountId: 'acc-1',
+            agentId: 'atm-1',
+            tokenId: 'tok-1',
+            enforcing: { score: 0.1, decision: 'APPROVE', policyVersion: 'live-1' },
+            shadows: [
+                { score: 0.35, decision: 'CHALLENGE', reasons: ['Any recent token'], policyVersion: 'candidate-a' },
+                { score: 0.1, decision: 'APPROVE', reasons: [], policyVersion: 'candidate-b' }
+            ]
+        });
+
+        const rows = query.insert.mock.calls[0][0];
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toEqual(expect.objectContaining({
+            enforcing_policy_version: 'live-1',
+            enforcing_decision: 'APPROVE',
+            shadow_policy_version: 'candidate-a',
+            shadow_decision: 'CHALLENGE',
+            shadow_reasons: JSON.stringify(['Any recent token'])
+        }));
+    });
+
+    it('skips the insert when no shadow policies are configured', async () => {
+        await service.recordShadowDecisions({ accountId: 'acc-1', agentId: 'atm-1', enforcing: {}, shadows: [] });
+        expect(db).not.toHaveBeenCalled();
+    });
+
+    it('reports decision rates and disagreements per policy pair', async () => {
+        query.groupBy.mockResolvedValue([
+            { enforcing_policy_version: 'live-1', shadow_policy_version: 'candidate-a', enforcing_decision: 'APPROVE', shadow_decision: 'APPROVE', count: '6' },
+            { enforcing_policy_version: 'live-1', shadow_policy_version: 'candidate-a', enforcing_decision: 'APPROVE', shadow_decision: 'CHALLENGE', count: '3' },
+            { enforcing_policy_version: 'live-1', shadow_policy_version: 'candidate-a', enforcing_decision: 'REJECT', shadow_decision: 'CHALLENGE', count: '1' }
+        ]);
+
+        const [comparison] = await service.getComparisonReport({
+            from: new Date('2026-01-01'),
+            to: new Date('2026-01-02'),
+            shadowPolicyVersion: 'candidate-a'
+        });
+
+        expect(query.andWhere).toHaveBeenCalledWith('shadow_policy_version', 'candidate-a');
+        expect(comparison.evaluations).toBe(10);
+        expect(comparison.enforcing.APPROVE).toEqual({ count: 9, rate: 0.9 });
+        expect(comparison.shadow.CHALLENGE).toEqual({ count: 4, rate: 0.4 });
+        expect(comparison.agreementRate).toBe(0.6);
+        expect(comparison.disagreements[0]).toEqual({ enforcingDecision: 'APPROVE', shadowDecision: 'CHALLENGE', count: 3 });
+    });
+});
+
+describe('RiskEngine.evaluateShadows', () => {
+    const strictPolicy = {
+        version: 'strict-1',
+        signals: { velocity10m: { bands: [{ above: 0, weight: 0.35, reason: 'Any recent token' }] } },
+        decisions: { challengeAt: 0.2, rejectAbove: 0.3 }
+    };
+
+    it('scores every shadow policy on the same signals', () => {
+        const context = { velocity10m: 1, avgAmount: 100, failedAttempts24h: 0, lastIp: null, currentAmount: 100 };
+
+        const [shadow] = RiskEngine.evaluateShadows(context, {}, [strictPolicy]);
+
+        expect(shadow).toEqual({ score: 0.35, decision: 'REJECT', reasons: ['Any recent token'], policyVersion: 'strict-1' });
+    });
+});
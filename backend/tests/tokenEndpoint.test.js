@@ -12,10 +12,26 @@ jest.mock('../config/redis', () => ({
 }));
 
 jest.mock('../config', () => ({
+    keys: { secret: 'test_service_key_secret_value_32_chars_plus' },
     server: { nodeEnv: 'test', port: 3000, host: '127.0.0.1' },
     rateLimit: { windowMs: 60000, maxRequests: 5, skipSuccessfulRequests: false },
-    token: { expirySeconds: 300, pepper: 'test_super_secure_pepper_value_16_chars_plus' },
-    cors: { origin: '*' }
+    token: {
+        expirySeconds: 300,
+        pepper: 'test_super_secure_pepper_value_16_chars_plus',
+        acceptLegacyFormat: true,
+        prefixLength: 4,
+        coreLength: 8,
+        charset: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+        groupSize: 0,
+        hashing: { algorithm: 'hmac-sha256', peppers: { default: 'test_super_secure_pepper_value_16_chars_plus' }, activePepperId: 'default' },
+        numeric: { prefixLength: 4, coreLength: 12, maxPinAttempts: 3, rateLimitMax: 3 }
+    },
+    idempotency: { ttlSeconds: 86400 },
+    otp: { length: 6, ttlSeconds: 180, maxAttempts: 3, notifier: 'console' },
+    riskPolicy: { path: 'config/risk-policy.yaml', hotReload: false, reloadIntervalMs: 5000, shadowPaths: [] },
+    agentAuth: { apiKeyEnabled: true, signatureToleranceSeconds: 300 },
+    cors: { origin: '*' },
+    security: { jwtSecret: 'test_jwt_secret_value_of_at_least_32_chars' }
 }));
 
 jest.mock('../utils/logger', () => ({
@@ -33,6 +49,7 @@ jest.mock('../utils/logger', () => ({
 // Mock Database Connection Context
 const mockDb = jest.fn().mockReturnValue({
     where: jest.fn().mockReturnThis(),
+    whereIn: jest.fn().mockReturnThis(),
     select: jest.fn().mockReturnThis(),
     first: jest.fn().mockResolvedValue({ amount: 100 }), // Default token amount
     andWhere: jest.fn().mockReturnThis(),
@@ -52,9 +69,28 @@ jest.mock('../config/database', () => ({
 
 // Removing explicit module mock for RiskEngine so we can spy on it properly
 
+const crypto = require('crypto');
 const Fastify = require('fastify');
 const registerRoutes = require('../routes');
 const RiskEngine = require('../services/riskEngine');
+const AgentService = require('../services/agentService');
+const AccountService = require('../services/accountService');
+
+const agentHeaders = (agentId) => ({ 'x-agent-id': agentId, 'x-agent-key': 'agk_test-secret' });
+
+// Access tokens are signed with the app's own JWT_SECRET
+const customerHeaders = (app, userId = 'user-1') => ({
+    authorization: `Bearer ${app.jwt.sign({ sub: userId }, { expiresIn: '5m' })}`
+});
+
+// Every agent presenting credentials is ACTIVE, and every customer owns the account, unless a test says otherwise
+beforeEach(() => {
+    jest.spyOn(AgentService.prototype, 'authenticate').mockImplementation(async ({ agentId }) => ({
+        result: 'AUTHENTICATED',
+        agent: { id: agentId, name: 'Test Agent', status: 'ACTIVE' }
+    }));
+    jest.spyOn(AccountService.prototype, 'isOwnedBy').mockResolvedValue(true);
+});
 
 describe('POST /api/v1/tokens/redeem-token Endpoint', () => {
     let app;
@@ -83,6 +119,12 @@ describe('POST /api/v1/tokens/redeem-token Endpoint', () => {
 
         // Since we clear mocks, we must re-establish the default successful RiskEngine response
         jest.spyOn(RiskEngine, 'evaluateRedemption').mockReturnValue({ score: 0.1, decision: 'APPROVE', reasons: [] });
+
+        const RiskDecisionService = require('../services/riskDecisionService');
+        jest.spyOn(RiskDecisionService.prototype, 'recordDecision').mockResolvedValue('5f0c6a3e-2b1d-4c8e-9f7a-1e2d3c4b5a69');
+
+        const RedemptionAttemptService = require('../services/redemptionAttemptService');
+        jest.spyOn(RedemptionAttemptService.prototype, 'recordAttempt').mockResolvedValue();
     });
 
     it('rejects completely invalid schemas (400)', async () => {
@@ -90,7 +132,8 @@ describe('POST /api/v1/tokens/redeem-token Endpoint', () => {
             method: 'POST',
             url: '/api/v1/tokens/redeem-token',
             remoteAddress: '127.0.0.1',
-            payload: { token: 'short' } // Missing accountId, agentId
+            headers: agentHeaders('atm-1'),
+            payload: { token: 'short' } // Missing accountId
         });
 
         expect(response.statusCode).toBe(400);
@@ -98,17 +141,41 @@ describe('POST /api/v1/tokens/redeem-token Endpoint', () => {
         expect(body.error).toBe('Bad Request');
     });
 
+    it('turns a mistyped token away before any lookup and without feeding the abuse signal (400)', async () => {
+        const { computeCheckCharacter, DEFAULT_CHARSET } = require('../config/tokenFormat');
+        const check = computeCheckCharacter('TEST12345678', DEFAULT_CHARSET);
+        mockDb.mockClear();
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            remoteAddress: '127.0.0.1',
+            headers: agentHeaders('atm-1'),
+            payload: {
+                token: `TEST-12345678${check === 'A' ? 'B' : 'A'}`,
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
+            }
+        });
+
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.payload).error).toBe('Likely Typo');
+        expect(mockDb).not.toHaveBeenCalled();
+        expect(RiskEngine.evaluateRedemption).not.toHaveBeenCalled();
+        const RedemptionAttemptService = require('../services/redemptionAttemptService');
+        expect(RedemptionAttemptService.prototype.recordAttempt).not.toHaveBeenCalled();
+    });
+
     it('handles Risk Engine REJECT (403)', async () => {
-        RiskEngine.evaluateRedemption.mockReturnValue({ score: 95, decision: 'REJECT' });
+        RiskEngine.evaluateRedemption.mockReturnValue({ score: 95, decision: 'REJECT', policyVersion: 'policy-7' });
 
         const response = await app.inject({
             method: 'POST',
             url: '/api/v1/tokens/redeem-token',
             remoteAddress: '192.168.100.5',
+            headers: agentHeaders('atm-1'),
             payload: {
                 token: 'TEST-12345678',
                 accountId: '123e4567-e89b-12d3-a456-426614174000',
-                agentId: 'atm-1',
                 metadata: { ip: '192.168.100.5' } // known high risk ip pattern in stub
             }
         });
@@ -118,6 +185,58 @@ describe('POST /api/v1/tokens/redeem-token Endpoint', () => {
         expect(response.statusCode).toBe(403);
         const body = JSON.parse(response.payload);
         expect(body.message).toBe('Redemption declined by risk policy');
+        // The rejection is persisted and referenced for analysts
+        expect(body.riskDecisionId).toBe('5f0c6a3e-2b1d-4c8e-9f7a-1e2d3c4b5a69');
+        const RiskDecisionService = require('../services/riskDecisionService');
+        expect(RiskDecisionService.prototype.recordDecision).toHaveBeenCalledWith(expect.objectContaining({
+            agentId: 'atm-1',
+            assessment: expect.objectContaining({ decision: 'REJECT' })
+        }));
+        // Rejections feed the failed-attempts abuse signal
+        const RedemptionAttemptService = require('../services/redemptionAttemptService');
+        expect(RedemptionAttemptService.prototype.recordAttempt).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+            accountId: '123e4567-e89b-12d3-a456-426614174000',
+            agentId: 'atm-1',
+            result: 'RISK_REJECTED',
+            metadata: expect.objectContaining({ riskPolicyVersion: 'policy-7' })
+        }));
+    });
+
+    it('issues a step-up challenge on Risk Engine CHALLENGE (202)', async () => {
+        RiskEngine.evaluateRedemption.mockReturnValue({ score: 60, decision: 'CHALLENGE', reasons: [], policyVersion: 'policy-7' });
+
+        const TokenService = require('../services/tokenService');
+        jest.spyOn(TokenService.prototype, 'verifyWithdrawalToken').mockResolvedValue({
+            result: 'VALID',
+            tokenId: 'tok-1',
+            accountId: '123e4567-e89b-12d3-a456-426614174000'
+        });
+        const ChallengeService = require('../services/challengeService');
+        jest.spyOn(ChallengeService.prototype, 'issueChallenge').mockResolvedValue({
+            challengeId: 'ch-1',
+            expiresAt: new Date()
+        });
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            remoteAddress: '127.0.0.1',
+            headers: agentHeaders('atm-1'),
+            payload: {
+                token: 'TEST-12345678',
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
+            }
+        });
+
+        expect(response.statusCode).toBe(202);
+        expect(JSON.parse(response.payload).challengeId).toBe('ch-1');
+        // The attempt names the policy that asked for the challenge
+        const RedemptionAttemptService = require('../services/redemptionAttemptService');
+        expect(RedemptionAttemptService.prototype.recordAttempt).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+            tokenId: 'tok-1',
+            result: 'CHALLENGED',
+            metadata: expect.objectContaining({ challengeId: 'ch-1', riskPolicyVersion: 'policy-7' })
+        }));
     });
 
     it('handles TokenService SUCCESS (200)', async () => {
@@ -134,10 +253,10 @@ describe('POST /api/v1/tokens/redeem-token Endpoint', () => {
             method: 'POST',
             url: '/api/v1/tokens/redeem-token',
             remoteAddress: '127.0.0.1',
+            headers: agentHeaders('atm-1'),
             payload: {
                 token: 'TEST-12345678',
-                accountId: '123e4567-e89b-12d3-a456-426614174000',
-                agentId: 'atm-1'
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
             }
         });
 
@@ -159,10 +278,10 @@ describe('POST /api/v1/tokens/redeem-token Endpoint', () => {
             method: 'POST',
             url: '/api/v1/tokens/redeem-token',
             remoteAddress: '127.0.0.1',
+            headers: agentHeaders('atm-2'),
             payload: {
                 token: 'TEST-12345678',
-                accountId: '123e4567-e89b-12d3-a456-426614174000',
-                agentId: 'atm-2'
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
             }
         });
 
@@ -170,6 +289,898 @@ describe('POST /api/v1/tokens/redeem-token Endpoint', () => {
         const body = JSON.parse(response.payload);
         expect(body.error).toBe('Token Expired or Already Used');
     });
+
+    it('refuses a payout the agent float cannot cover (422)', async () => {
+        RiskEngine.evaluateRedemption.mockReturnValue({ score: 10, decision: 'APPROVE' });
+
+        const TokenService = require('../services/tokenService');
+        jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken').mockResolvedValue({
+            result: 'INSUFFICIENT_FLOAT',
+            tokenId: 'tok-1',
+            availableFloat: 40
+        });
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            remoteAddress: '127.0.0.1',
+            headers: agentHeaders('atm-3'),
+            payload: {
+                token: 'TEST-12345678',
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
+            }
+        });
+
+        expect(response.statusCode).toBe(422);
+        const body = JSON.parse(response.payload);
+        expect(body.error).toBe('Insufficient Agent Float');
+        expect(body.availableFloat).toBe(40);
+    });
+
+    it('replays the stored response for a repeated Idempotency-Key without redeeming again', async () => {
+        const IdempotencyService = require('../services/idempotencyService');
+        const TokenService = require('../services/tokenService');
+        jest.spyOn(IdempotencyService.prototype, 'begin').mockResolvedValue({
+            state: 'REPLAY',
+            statusCode: 200,
+            body: { success: true, message: 'Token successfully redeemed', transactionId: '2c1f3a4e-1c2d-4e5f-8a9b-0c1d2e3f4a5b' }
+        });
+        const redeemSpy = jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken');
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            remoteAddress: '127.0.0.1',
+            headers: { ...agentHeaders('atm-1'), 'idempotency-key': 'retry-1' },
+            payload: {
+                token: 'TEST-12345678',
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
+            }
+        });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.headers['idempotent-replayed']).toBe('true');
+        expect(JSON.parse(response.payload).transactionId).toBe('2c1f3a4e-1c2d-4e5f-8a9b-0c1d2e3f4a5b');
+        expect(redeemSpy).not.toHaveBeenCalled();
+
+        IdempotencyService.prototype.begin.mockRestore();
+    });
+
+    it('rejects an Idempotency-Key reused with a different body (422)', async () => {
+        const IdempotencyService = require('../services/idempotencyService');
+        jest.spyOn(IdempotencyService.prototype, 'begin').mockResolvedValue({ state: 'MISMATCH' });
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            remoteAddress: '127.0.0.1',
+            headers: { ...agentHeaders('atm-1'), 'idempotency-key': 'retry-1' },
+            payload: {
+                token: 'TEST-12345678',
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
+            }
+        });
+
+        expect(response.statusCode).toBe(422);
+        expect(JSON.parse(response.payload).error).toBe('Idempotency Key Reuse');
+
+        IdempotencyService.prototype.begin.mockRestore();
+    });
+
+    it('reports CANCELLED tokens before running risk evaluation (409)', async () => {
+        mockDb().first.mockResolvedValueOnce({ amount: 100, status: 'CANCELLED' });
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            remoteAddress: '127.0.0.1',
+            headers: agentHeaders('atm-3'),
+            payload: {
+                token: 'TEST-12345678',
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
+            }
+        });
+
+        expect(response.statusCode).toBe(409);
+        const body = JSON.parse(response.payload);
+        expect(body.error).toBe('Token Cancelled');
+        expect(RiskEngine.evaluateRedemption).not.toHaveBeenCalled();
+    });
+
+    it('records shadow policy decisions without letting them change the outcome', async () => {
+        RiskEngine.evaluateRedemption.mockReturnValue({ score: 0.1, decision: 'APPROVE', reasons: [], policyVersion: 'live-1' });
+        jest.spyOn(RiskEngine, 'evaluateShadows').mockReturnValue([
+            { score: 0.8, decision: 'REJECT', reasons: ['Strict candidate'], policyVersion: 'candidate-2' }
+        ]);
+
+        const TokenService = require('../services/tokenService');
+        const ShadowDecisionService = require('../services/shadowDecisionService');
+        jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken').mockResolvedValue({ result: 'SUCCESS', transactionId: 'tx-456' });
+        const record = jest.spyOn(ShadowDecisionService.prototype, 'recordShadowDecisions').mockRejectedValue(new Error('db down'));
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            remoteAddress: '127.0.0.1',
+            headers: agentHeaders('atm-5'),
+            payload: {
+                token: 'TEST-12345678',
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
+            }
+        });
+
+        expect(response.statusCode).toBe(200);
+        expect(record).toHaveBeenCalledWith(expect.objectContaining({
+            agentId: 'atm-5',
+            enforcing: expect.objectContaining({ decision: 'APPROVE' }),
+            shadows: [expect.objectContaining({ decision: 'REJECT', policyVersion: 'candidate-2' })]
+        }));
+
+        RiskEngine.evaluateShadows.mockRestore();
+    });
+
+    it('holds CHALLENGE decisions for OTP step-up instead of redeeming (202)', async () => {
+        RiskEngine.evaluateRedemption.mockReturnValue({ score: 0.4, decision: 'CHALLENGE', reasons: ['IP address mismatch from last success'] });
+
+        const TokenService = require('../services/tokenService');
+        const ChallengeService = require('../services/challengeService');
+        const redeem = jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken');
+        jest.spyOn(TokenService.prototype, 'verifyWithdrawalToken').mockResolvedValue({
+            result: 'VALID',
+            tokenId: 'tok-1',
+            accountId: '123e4567-e89b-12d3-a456-426614174000'
+        });
+        const issue = jest.spyOn(ChallengeService.prototype, 'issueChallenge').mockResolvedValue({
+            challengeId: '7d444840-9dc0-11d1-b245-5ffdce74fad2',
+            expiresAt: new Date('2026-01-01T00:03:00.000Z')
+        });
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            remoteAddress: '127.0.0.1',
+            headers: agentHeaders('atm-4'),
+            payload: {
+                token: 'TEST-12345678',
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
+            }
+        });
+
+        expect(response.statusCode).toBe(202);
+        const body = JSON.parse(response.payload);
+        expect(body.status).toBe('CHALLENGE_REQUIRED');
+        expect(body.challengeId).toBe('7d444840-9dc0-11d1-b245-5ffdce74fad2');
+        expect(issue).toHaveBeenCalledWith(expect.objectContaining({ tokenId: 'tok-1', agentId: 'atm-4' }));
+        expect(redeem).not.toHaveBeenCalled();
+    });
+
+    it('does not send an OTP for a token that fails verification (400)', async () => {
+        RiskEngine.evaluateRedemption.mockReturnValue({ score: 0.4, decision: 'CHALLENGE', reasons: [] });
+
+        const TokenService = require('../services/tokenService');
+        const ChallengeService = require('../services/challengeService');
+        jest.spyOn(TokenService.prototype, 'verifyWithdrawalToken').mockResolvedValue({ result: 'INVALID' });
+        const issue = jest.spyOn(ChallengeService.prototype, 'issueChallenge');
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            remoteAddress: '127.0.0.1',
+            headers: agentHeaders('atm-4'),
+            payload: {
+                token: 'TEST-12345678',
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
+            }
+        });
+
+        expect(response.statusCode).toBe(400);
+        expect(issue).not.toHaveBeenCalled();
+    });
+});
+
+describe('QR payload redemption', () => {
+    let app;
+    const QrCodeService = require('../services/qrCodeService');
+    const TokenService = require('../services/tokenService');
+    const RedemptionAttemptService = require('../services/redemptionAttemptService');
+    const qrPayload = new QrCodeService().buildPayload({
+        token: 'TEST-12345678',
+        amount: 100,
+        currency: 'NGN',
+        expiresAt: new Date(Date.now() + 300000)
+    });
+
+    beforeAll(async () => {
+        app = Fastify();
+        await registerRoutes(app);
+        await app.ready();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    beforeEach(() => {
+        jest.spyOn(TokenService.prototype, 'getRiskContext').mockResolvedValue({ velocity10m: 0, failedAttempts24h: 0 });
+        jest.spyOn(RiskEngine, 'evaluateRedemption').mockReturnValue({ score: 0.1, decision: 'APPROVE', reasons: [] });
+        const RiskDecisionService = require('../services/riskDecisionService');
+        jest.spyOn(RiskDecisionService.prototype, 'recordDecision').mockResolvedValue('5f0c6a3e-2b1d-4c8e-9f7a-1e2d3c4b5a69');
+        jest.spyOn(RedemptionAttemptService.prototype, 'recordAttempt').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('redeems the token carried by a scanned payload', async () => {
+        const redeem = jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken').mockResolvedValue({
+            result: 'SUCCESS',
+            transactionId: '0b6f3f7e-3a2e-4f2c-8a0d-6d1f5c9b2e11'
+        });
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            headers: agentHeaders('atm-1'),
+            payload: { qrPayload, accountId: '123e4567-e89b-12d3-a456-426614174000' }
+        });
+
+        expect(response.statusCode).toBe(200);
+        expect(redeem).toHaveBeenCalledWith('TEST-12345678', 'atm-1', expect.any(Object), expect.any(Object));
+    });
+
+    it('refuses a tampered payload and records it as an INVALID attempt (400)', async () => {
+        const redeem = jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken');
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            headers: agentHeaders('atm-1'),
+            payload: { qrPayload: qrPayload.replace('.100.', '.900.'), accountId: '123e4567-e89b-12d3-a456-426614174000' }
+        });
+
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.payload).error).toBe('Invalid QR Code');
+        expect(redeem).not.toHaveBeenCalled();
+        expect(RedemptionAttemptService.prototype.recordAttempt).toHaveBeenCalledWith(mockDb, expect.objectContaining({
+            agentId: 'atm-1',
+            result: 'INVALID',
+            metadata: expect.objectContaining({ qr: 'TAMPERED' })
+        }));
+    });
+
+    it('requires exactly one of token and qrPayload (400)', async () => {
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            headers: agentHeaders('atm-1'),
+            payload: { token: 'TEST-12345678', qrPayload, accountId: '123e4567-e89b-12d3-a456-426614174000' }
+        });
+
+        expect(response.statusCode).toBe(400);
+    });
+
+    describe('rendering', () => {
+        const accountId = '123e4567-e89b-12d3-a456-426614174000';
+        const render = (payload, userId) => app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/qr',
+            headers: customerHeaders(app, userId),
+            payload: { accountId, ...payload }
+        });
+
+        beforeEach(() => {
+            jest.spyOn(TokenService.prototype, 'verifyWithdrawalToken').mockResolvedValue({
+                result: 'VALID',
+                tokenId: 'token-uuid',
+                accountId
+            });
+        });
+
+        it('renders a genuine payload as an uncached SVG or PNG image', async () => {
+            const svg = await render({ qrPayload });
+            const png = await render({ qrPayload, format: 'png' });
+
+            expect(svg.statusCode).toBe(200);
+            expect(svg.headers['content-type']).toMatch(/^image\/svg\+xml/);
+            expect(svg.headers['cache-control']).toBe('no-store');
+            expect(svg.payload).toMatch(/^<svg/);
+            expect(png.headers['content-type']).toBe('image/png');
+            expect(png.rawPayload.subarray(1, 4).toString()).toBe('PNG');
+            expect(TokenService.prototype.verifyWithdrawalToken).toHaveBeenCalledWith('TEST-12345678');
+        });
+
+        it('does not render payloads it did not issue (400)', async () => {
+            const response = await render({ qrPayload: qrPayload.replace('TEST', 'FAKE') });
+
+            expect(response.statusCode).toBe(400);
+        });
+
+        it('does not render a token for an account the caller does not own (404)', async () => {
+            AccountService.prototype.isOwnedBy.mockResolvedValue(false);
+
+            const response = await render({ qrPayload }, 'user-2');
+
+            expect(response.statusCode).toBe(404);
+            expect(AccountService.prototype.isOwnedBy).toHaveBeenCalledWith(accountId, 'user-2');
+            expect(TokenService.prototype.verifyWithdrawalToken).not.toHaveBeenCalled();
+        });
+
+        it('does not render a token issued on another account (404)', async () => {
+            TokenService.prototype.verifyWithdrawalToken.mockResolvedValue({
+                result: 'VALID',
+                tokenId: 'token-uuid',
+                accountId: '9b2f3a4e-1c2d-4e5f-8a9b-0c1d2e3f4a5b'
+            });
+
+            const response = await render({ qrPayload });
+
+            expect(response.statusCode).toBe(404);
+            expect(response.headers['content-type']).not.toMatch(/^image/);
+        });
+
+        it('does not render a cancelled token (404)', async () => {
+            TokenService.prototype.verifyWithdrawalToken.mockResolvedValue({ result: 'CANCELLED', tokenId: 'token-uuid' });
+
+            const response = await render({ qrPayload });
+
+            expect(response.statusCode).toBe(404);
+        });
+    });
+});
+
+describe('Numeric tokens', () => {
+    let app;
+    const TokenService = require('../services/tokenService');
+    const { createNumericTokenFormat } = require('../config/tokenFormat');
+    const { display: numericToken } = createNumericTokenFormat({ prefixLength: 4, coreLength: 12 })
+        .build('1234', '567890123456');
+    const accountId = '123e4567-e89b-12d3-a456-426614174000';
+
+    const redeem = (payload) => app.inject({
+        method: 'POST',
+        url: '/api/v1/tokens/redeem-token',
+        remoteAddress: '127.0.0.1',
+        headers: agentHeaders('atm-1'),
+        payload: { accountId, ...payload }
+    });
+
+    beforeAll(async () => {
+        app = Fastify();
+        await registerRoutes(app);
+        await app.ready();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    beforeEach(() => {
+        jest.spyOn(TokenService.prototype, 'getRiskContext').mockResolvedValue({ velocity10m: 0, failedAttempts24h: 0 });
+        jest.spyOn(RiskEngine, 'evaluateRedemption').mockReturnValue({ score: 0.1, decision: 'APPROVE', reasons: [] });
+        const RiskDecisionService = require('../services/riskDecisionService');
+        jest.spyOn(RiskDecisionService.prototype, 'recordDecision').mockResolvedValue('5f0c6a3e-2b1d-4c8e-9f7a-1e2d3c4b5a69');
+        const RedemptionAttemptService = require('../services/redemptionAttemptService');
+        jest.spyOn(RedemptionAttemptService.prototype, 'recordAttempt').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('issues a numeric token only together with a customer PIN (400)', async () => {
+        const generate = jest.spyOn(TokenService.prototype, 'generateWithdrawalToken').mockResolvedValue({
+            id: '0b6f3f7e-3a2e-4f2c-8a0d-6d1f5c9b2e11',
+            token: numericToken,
+            kind: 'NUMERIC',
+            amount: 100,
+            expiresAt: new Date()
+        });
+        const post = (payload) => app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens',
+            headers: customerHeaders(app),
+            payload: { accountId, amount: 100, currency: 'NGN', ...payload }
+        });
+
+        expect((await post({ kind: 'NUMERIC' })).statusCode).toBe(400);
+        expect((await post({ kind: 'NUMERIC', pin: '1234', includeQr: true })).statusCode).toBe(400);
+        expect((await post({ pin: '1234' })).statusCode).toBe(400);
+        expect(generate).not.toHaveBeenCalled();
+
+        const response = await post({ kind: 'NUMERIC', pin: '1234' });
+
+        expect(response.statusCode).toBe(201);
+        expect(JSON.parse(response.payload).data).toMatchObject({ token: numericToken, kind: 'NUMERIC' });
+        expect(generate).toHaveBeenCalledWith(accountId, 100, { currency: 'NGN', includeQr: false, kind: 'NUMERIC', pin: '1234' });
+    });
+
+    it('accepts numeric tokens typed with or without spaces and passes the PIN through', async () => {
+        const redeemToken = jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken').mockResolvedValue({
+            result: 'SUCCESS',
+            transactionId: '0b6f3f7e-3a2e-4f2c-8a0d-6d1f5c9b2e11'
+        });
+
+        for (const token of [numericToken, numericToken.replace(/ /g, '')]) {
+            const response = await redeem({ token, pin: '4321' });
+            expect(response.statusCode).toBe(200);
+        }
+        expect(redeemToken).toHaveBeenCalledWith(numericToken, 'atm-1', expect.any(Object), { accountId, pin: '4321' });
+    });
+
+    it('requires the PIN before any lookup (400)', async () => {
+        mockDb.mockClear();
+
+        const response = await redeem({ token: numericToken });
+
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.payload).message).toMatch(/pin/);
+        expect(mockDb).not.toHaveBeenCalled();
+    });
+
+    it('reports a wrong PIN with the attempts left (401) and a locked token (403)', async () => {
+        jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken')
+            .mockResolvedValueOnce({ result: 'INVALID_PIN', tokenId: 'token-uuid', attemptsRemaining: 1 })
+            .mockResolvedValueOnce({ result: 'PIN_LOCKED', tokenId: 'token-uuid' });
+
+        const wrong = await redeem({ token: numericToken, pin: '0000' });
+        expect(wrong.statusCode).toBe(401);
+        expect(JSON.parse(wrong.payload)).toMatchObject({ error: 'Invalid PIN', attemptsRemaining: 1 });
+
+        const locked = await redeem({ token: numericToken, pin: '0000' });
+        expect(locked.statusCode).toBe(403);
+        expect(JSON.parse(locked.payload).error).toBe('Token Locked');
+    });
+});
+
+describe('POST /api/v1/tokens/redeem-token/verify Endpoint', () => {
+    let app;
+    const TokenService = require('../services/tokenService');
+    const ChallengeService = require('../services/challengeService');
+
+    beforeAll(async () => {
+        app = Fastify();
+        await registerRoutes(app);
+        await app.ready();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const verifyRequest = (payload) => app.inject({
+        method: 'POST',
+        url: '/api/v1/tokens/redeem-token/verify',
+        remoteAddress: '127.0.0.1',
+        headers: agentHeaders('atm-4'),
+        payload: {
+            challengeId: '7d444840-9dc0-11d1-b245-5ffdce74fad2',
+            otp: '123456',
+            token: 'TEST-12345678',
+            accountId: '123e4567-e89b-12d3-a456-426614174000',
+            ...payload
+        }
+    });
+
+    it('redeems the challenged token once the OTP is verified (200)', async () => {
+        jest.spyOn(ChallengeService.prototype, 'verifyChallenge').mockResolvedValue({
+            result: 'VERIFIED',
+            tokenId: 'tok-1',
+            riskScore: 0.4,
+            riskReasons: ['IP address mismatch from last success']
+        });
+        const redeem = jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken').mockResolvedValue({
+            result: 'SUCCESS',
+            transactionId: 'tx-789'
+        });
+
+        const response = await verifyRequest();
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.payload).transactionId).toBe('tx-789');
+        expect(redeem).toHaveBeenCalledWith(
+            'TEST-12345678',
+            'atm-4',
+            expect.objectContaining({ challengeId: '7d444840-9dc0-11d1-b245-5ffdce74fad2', riskScore: 0.4 }),
+            { expectedTokenId: 'tok-1', accountId: '123e4567-e89b-12d3-a456-426614174000' }
+        );
+    });
+
+    it('reports a wrong OTP with the attempts left (401)', async () => {
+        jest.spyOn(ChallengeService.prototype, 'verifyChallenge').mockResolvedValue({ result: 'INVALID_OTP', attemptsRemaining: 2 });
+        const redeem = jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken');
+
+        const RedemptionAttemptService = require('../services/redemptionAttemptService');
+        const record = jest.spyOn(RedemptionAttemptService.prototype, 'recordAttempt').mockResolvedValue();
+
+        const response = await verifyRequest({ otp: '000000' });
+
+        expect(response.statusCode).toBe(401);
+        expect(JSON.parse(response.payload).attemptsRemaining).toBe(2);
+        expect(redeem).not.toHaveBeenCalled();
+        expect(record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+            accountId: '123e4567-e89b-12d3-a456-426614174000',
+            result: 'CHALLENGE_FAILED'
+        }));
+    });
+
+    it('refuses locked and expired challenges (403 / 410)', async () => {
+        const verify = jest.spyOn(ChallengeService.prototype, 'verifyChallenge');
+
+        verify.mockResolvedValueOnce({ result: 'LOCKED' });
+        expect((await verifyRequest()).statusCode).toBe(403);
+
+        verify.mockResolvedValueOnce({ result: 'EXPIRED' });
+        expect((await verifyRequest()).statusCode).toBe(410);
+    });
+});
+
+describe('Agent authentication on redemption', () => {
+    let app;
+    const TokenService = require('../services/tokenService');
+
+    beforeAll(async () => {
+        app = Fastify();
+        await registerRoutes(app);
+        await app.ready();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const redeemRequest = (headers, payload = {}) => app.inject({
+        method: 'POST',
+        url: '/api/v1/tokens/redeem-token',
+        remoteAddress: '127.0.0.1',
+        headers,
+        payload: {
+            token: 'TEST-12345678',
+            accountId: '123e4567-e89b-12d3-a456-426614174000',
+            ...payload
+        }
+    });
+
+    it('requires agent credentials (401)', async () => {
+        const redeem = jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken');
+
+        const response = await redeemRequest({ 'x-agent-id': 'atm-1' });
+
+        expect(response.statusCode).toBe(401);
+        expect(AgentService.prototype.authenticate).not.toHaveBeenCalled();
+        expect(redeem).not.toHaveBeenCalled();
+    });
+
+    it('rejects invalid credentials (401)', async () => {
+        AgentService.prototype.authenticate.mockResolvedValue({ result: 'INVALID_CREDENTIALS' });
+
+        const response = await redeemRequest(agentHeaders('atm-1'));
+
+        expect(response.statusCode).toBe(401);
+        expect(JSON.parse(response.payload).message).toBe('Invalid agent credentials');
+    });
+
+    it('blocks suspended agents before any token lookup (403)', async () => {
+        AgentService.prototype.authenticate.mockResolvedValue({
+            result: 'SUSPENDED',
+            agent: { id: 'atm-1', status: 'SUSPENDED' }
+        });
+        const riskContext = jest.spyOn(TokenService.prototype, 'getRiskContext');
+        mockDb.mockClear();
+
+        const response = await redeemRequest(agentHeaders('atm-1'));
+
+        expect(response.statusCode).toBe(403);
+        expect(JSON.parse(response.payload).error).toBe('Agent Suspended');
+        expect(mockDb).not.toHaveBeenCalledWith('tokens');
+        expect(riskContext).not.toHaveBeenCalled();
+    });
+
+    it('refuses a body agentId that differs from the authenticated agent (403)', async () => {
+        const redeem = jest.spyOn(TokenService.prototype, 'redeemWithdrawalToken');
+
+        const response = await redeemRequest(agentHeaders('atm-1'), { agentId: 'atm-2' });
+
+        expect(response.statusCode).toBe(403);
+        expect(JSON.parse(response.payload).error).toBe('Agent Mismatch');
+        expect(redeem).not.toHaveBeenCalled();
+    });
+
+    it('passes the raw body to signature verification', async () => {
+        AgentService.prototype.authenticate.mockResolvedValue({ result: 'STALE_SIGNATURE' });
+
+        const response = await redeemRequest({
+            'x-agent-id': 'atm-1',
+            'x-agent-timestamp': '1700000000',
+            'x-agent-signature': 'a'.repeat(64)
+        });
+
+        expect(response.statusCode).toBe(401);
+        expect(AgentService.prototype.authenticate).toHaveBeenCalledWith(expect.objectContaining({
+            agentId: 'atm-1',
+            signature: 'a'.repeat(64),
+            timestamp: '1700000000',
+            method: 'POST',
+            url: '/api/v1/tokens/redeem-token',
+            rawBody: JSON.stringify({ token: 'TEST-12345678', accountId: '123e4567-e89b-12d3-a456-426614174000' })
+        }));
+    });
+});
+
+describe('Customer authentication on token generation', () => {
+    let app;
+    const TokenService = require('../services/tokenService');
+    const { redis } = require('../config/redis');
+    const accountId = '123e4567-e89b-12d3-a456-426614174000';
+
+    // HS256 JWT signed with an arbitrary secret, for tokens the app must refuse
+    const signJwt = (payload, secret) => {
+        const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+        const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+        return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+    };
+
+    const generateRequest = (headers) => app.inject({
+        method: 'POST',
+        url: '/api/v1/tokens',
+        headers,
+        payload: { accountId, amount: 100, currency: 'NGN' }
+    });
+
+    beforeAll(async () => {
+        app = Fastify();
+        await registerRoutes(app);
+        await app.ready();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    beforeEach(() => {
+        jest.spyOn(TokenService.prototype, 'generateWithdrawalToken').mockResolvedValue({
+            id: '0b6f3f7e-3a2e-4f2c-8a0d-6d1f5c9b2e11',
+            token: 'ABCD-EFGH2345',
+            kind: 'ALPHANUMERIC',
+            amount: 100,
+            expiresAt: new Date()
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('requires an access token (401)', async () => {
+        const response = await generateRequest({});
+
+        expect(response.statusCode).toBe(401);
+        expect(AccountService.prototype.isOwnedBy).not.toHaveBeenCalled();
+        expect(TokenService.prototype.generateWithdrawalToken).not.toHaveBeenCalled();
+    });
+
+    it('rejects forged, unsigned, expired and non-expiring tokens (401)', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const unsigned = [
+            Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url'),
+            Buffer.from(JSON.stringify({ sub: 'user-1', exp: now + 300 })).toString('base64url'),
+            ''
+        ].join('.');
+        const tokens = [
+            signJwt({ sub: 'user-1', exp: now + 300 }, 'some_other_secret_of_at_least_32_chars'),
+            unsigned,
+            app.jwt.sign({ sub: 'user-1', exp: now - 60 }),
+            app.jwt.sign({ sub: 'user-1' })
+        ];
+
+        for (const token of tokens) {
+            const response = await generateRequest({ authorization: `Bearer ${token}` });
+            expect(response.statusCode).toBe(401);
+        }
+        expect(TokenService.prototype.generateWithdrawalToken).not.toHaveBeenCalled();
+    });
+
+    it('refuses staff roles without the tokens:generate permission (403)', async () => {
+        const token = app.jwt.sign({ sub: 'audit-1', roles: ['auditor'] }, { expiresIn: '5m' });
+
+        const response = await generateRequest({ authorization: `Bearer ${token}` });
+
+        expect(response.statusCode).toBe(403);
+        expect(JSON.parse(response.payload).message).toBe('Missing permission: tokens:generate');
+        expect(AccountService.prototype.isOwnedBy).not.toHaveBeenCalled();
+    });
+
+    it('only issues tokens for accounts the user owns (404 otherwise)', async () => {
+        AccountService.prototype.isOwnedBy.mockResolvedValue(false);
+
+        const response = await generateRequest(customerHeaders(app, 'user-2'));
+
+        expect(response.statusCode).toBe(404);
+        expect(JSON.parse(response.payload).message).toBe('Account not found');
+        expect(AccountService.prototype.isOwnedBy).toHaveBeenCalledWith(accountId, 'user-2');
+        expect(TokenService.prototype.generateWithdrawalToken).not.toHaveBeenCalled();
+    });
+
+    it('rate limits generation per authenticated user, ignoring x-user-id', async () => {
+        redis.zcard.mockClear();
+
+        const response = await generateRequest({ ...customerHeaders(app, 'user-1'), 'x-user-id': 'someone-else' });
+
+        expect(response.statusCode).toBe(201);
+        const keys = redis.zcard.mock.calls.map(([key]) => key);
+        expect(keys).toContain('rate_limit:user:user-1:/api/v1/tokens');
+        expect(keys.some((key) => key.includes('someone-else'))).toBe(false);
+    });
+
+    it('explains which withdrawal limit was hit and what remains (422)', async () => {
+        const { WithdrawalLimitExceededError } = require('../utils/errors');
+        TokenService.prototype.generateWithdrawalToken.mockRejectedValue(new WithdrawalLimitExceededError(
+            'Amount exceeds the daily withdrawal limit of NGN 1000.00; at most NGN 40.00 can be withdrawn now',
+            { limit: 'DAILY', limitAmount: 100000, remaining: 4000, currency: 'NGN' }
+        ));
+
+        const response = await generateRequest(customerHeaders(app, 'user-1'));
+
+        expect(response.statusCode).toBe(422);
+        expect(JSON.parse(response.payload)).toEqual({
+            error: 'Withdrawal Limit Exceeded',
+            message: 'Amount exceeds the daily withdrawal limit of NGN 1000.00; at most NGN 40.00 can be withdrawn now',
+            limit: 'DAILY',
+            limitAmount: 100000,
+            remaining: 4000,
+            currency: 'NGN'
+        });
+    });
+
+    it('takes an amount without a currency to be in the account currency', async () => {
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens',
+            headers: customerHeaders(app, 'user-1'),
+            payload: { accountId, amount: 100 }
+        });
+
+        expect(response.statusCode).toBe(201);
+        expect(TokenService.prototype.generateWithdrawalToken).toHaveBeenCalledWith(accountId, 100, expect.objectContaining({ currency: undefined }));
+    });
+
+    it('refuses an amount in another currency or that notes cannot make (422)', async () => {
+        const { CurrencyMismatchError, AmountNotDispensableError } = require('../utils/errors');
+        TokenService.prototype.generateWithdrawalToken
+            .mockRejectedValueOnce(new CurrencyMismatchError('Account is held in KES, not NGN', 'KES'))
+            .mockRejectedValueOnce(new AmountNotDispensableError(
+                'NGN 1.00 cannot be paid out in available notes; try NGN 50.00',
+                { currency: 'NGN', below: null, above: 5000 }
+            ));
+
+        const mismatch = await generateRequest(customerHeaders(app, 'user-1'));
+        const notPayable = await generateRequest(customerHeaders(app, 'user-1'));
+
+        expect(TokenService.prototype.generateWithdrawalToken).toHaveBeenCalledWith(accountId, 100, expect.objectContaining({ currency: 'NGN' }));
+        expect(mismatch.statusCode).toBe(422);
+        expect(JSON.parse(mismatch.payload)).toMatchObject({ error: 'Currency Mismatch', accountCurrency: 'KES' });
+        expect(notPayable.statusCode).toBe(422);
+        expect(JSON.parse(notPayable.payload)).toMatchObject({ error: 'Amount Not Dispensable', currency: 'NGN', below: null, above: 5000 });
+    });
+
+    it('refuses a token beyond the active token cap (409)', async () => {
+        const { ActiveTokenLimitError } = require('../utils/errors');
+        TokenService.prototype.generateWithdrawalToken.mockRejectedValue(new ActiveTokenLimitError(
+            'Account already has 3 active token(s), the maximum allowed; cancel one or wait for it to expire',
+            3
+        ));
+
+        const response = await generateRequest(customerHeaders(app, 'user-1'));
+
+        expect(response.statusCode).toBe(409);
+        expect(JSON.parse(response.payload)).toMatchObject({ error: 'Too Many Active Tokens', maxActiveTokens: 3 });
+    });
+
+    it('binds cancellation to the account owner too', async () => {
+        AccountService.prototype.isOwnedBy.mockResolvedValue(false);
+        const cancel = jest.spyOn(TokenService.prototype, 'cancelWithdrawalToken');
+
+        const response = await app.inject({
+            method: 'POST',
+            url: '/api/v1/tokens/9b2f3a4e-1c2d-4e5f-8a9b-0c1d2e3f4a5b/cancel',
+            headers: customerHeaders(app, 'user-2'),
+            payload: { accountId, reason: 'Not mine' }
+        });
+
+        expect(response.statusCode).toBe(404);
+        expect(cancel).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /api/v1/tokens/:id/cancel Endpoint', () => {
+    let app;
+    const TokenService = require('../services/tokenService');
+    const tokenId = '9b2f3a4e-1c2d-4e5f-8a9b-0c1d2e3f4a5b';
+
+    beforeAll(async () => {
+        app = Fastify();
+        await registerRoutes(app);
+        await app.ready();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    const cancelRequest = (payload) => app.inject({
+        method: 'POST',
+        url: `/api/v1/tokens/${tokenId}/cancel`,
+        headers: customerHeaders(app),
+        payload: {
+            accountId: '123e4567-e89b-12d3-a456-426614174000',
+            reason: 'Phone lost',
+            ...payload
+        }
+    });
+
+    it('cancels an ACTIVE token (200)', async () => {
+        jest.spyOn(TokenService.prototype, 'cancelWithdrawalToken').mockResolvedValue({
+            result: 'CANCELLED',
+            tokenId,
+            cancelledAt: new Date()
+        });
+
+        const response = await cancelRequest();
+
+        expect(response.statusCode).toBe(200);
+        const body = JSON.parse(response.payload);
+        expect(body.data.status).toBe('CANCELLED');
+        expect(TokenService.prototype.cancelWithdrawalToken).toHaveBeenCalledWith(
+            tokenId,
+            '123e4567-e89b-12d3-a456-426614174000',
+            { cancelledBy: 'user-1', reason: 'Phone lost' }
+        );
+    });
+
+    it('records the authenticated user as the canceller, never a name from the body', async () => {
+        jest.spyOn(TokenService.prototype, 'cancelWithdrawalToken').mockResolvedValue({
+            result: 'CANCELLED',
+            tokenId,
+            cancelledAt: new Date()
+        });
+
+        await cancelRequest({ cancelledBy: 'someone-else' });
+
+        expect(TokenService.prototype.cancelWithdrawalToken).toHaveBeenCalledWith(
+            tokenId,
+            '123e4567-e89b-12d3-a456-426614174000',
+            { cancelledBy: 'user-1', reason: 'Phone lost' }
+        );
+    });
+
+    it('requires a reason (400)', async () => {
+        const response = await cancelRequest({ reason: undefined });
+        expect(response.statusCode).toBe(400);
+    });
+
+    it('returns 409 when the token is no longer ACTIVE', async () => {
+        jest.spyOn(TokenService.prototype, 'cancelWithdrawalToken').mockResolvedValue({
+            result: 'NOT_CANCELLABLE',
+            status: 'USED'
+        });
+
+        const response = await cancelRequest();
+
+        expect(response.statusCode).toBe(409);
+        expect(JSON.parse(response.payload).message).toMatch(/USED/);
+    });
 });
 
 describe('Rate Limiter Hooks in Token Endpoint', () => {
@@ -210,10 +1221,10 @@ describe('Rate Limiter Hooks in Token Endpoint', () => {
             method: 'POST',
             url: '/api/v1/tokens/redeem-token',
             remoteAddress: '127.0.0.1', // Ensure fastify request.ip works natively
+            headers: agentHeaders('atm-1'),
             payload: {
                 token: 'TEST-12345678',
-                accountId: '123e4567-e89b-12d3-a456-426614174000',
-                agentId: 'atm-1'
+                accountId: '123e4567-e89b-12d3-a456-426614174000'
             }
         });
 
@@ -0,0 +1,97 @@
+const {
+    DEFAULT_CHARSET,
+    excludeAmbiguous,
+    entropyBits,
+    createTokenFormat,
+    createNumericTokenFormat
+} = require('../config/tokenFormat');
+
+describe('Token format', () => {
+    const defaults = {
+        prefixLength: 4,
+        coreLength: 8,
+        charset: DEFAULT_CHARSET,
+        groupSize: 0,
+        acceptLegacyFormat: true
+    };
+
+    it('drops confusable characters from the charset', () => {
+        const charset = excludeAmbiguous(DEFAULT_CHARSET);
+
+        expect(charset).toHaveLength(31);
+        expect(charset).not.toMatch(/[01ILO]/);
+    });
+
+    it('counts entropy over the secret core only', () => {
+        expect(entropyBits({ coreLength: 8, charset: DEFAULT_CHARSET })).toBeCloseTo(41.36, 2);
+        expect(entropyBits({ coreLength: 8, charset: excludeAmbiguous(DEFAULT_CHARSET) })).toBeLessThan(40);
+    });
+
+    it('builds the default PPPP-CCCCCCCCK shape with display equal to the canonical form', () => {
+        const format = createTokenFormat(defaults);
+        const { canonical, display } = format.build('ABCD', 'EFGH2345');
+
+        expect(display).toBe(canonical);
+        expect(display).toMatch(/^ABCD-EFGH2345[A-Z0-9]$/);
+        expect(new RegExp(format.pattern).test(display)).toBe(true);
+        expect(format.classify(display)).toEqual({ result: 'VALID', prefix: 'ABCD', canonical });
+    });
+
+    it('groups the body for display and classifies grouped input by its canonical form', () => {
+        const format = createTokenFormat({ ...defaults, coreLength: 9, groupSize: 4 });
+        const { canonical, display } = format.build('ABCD', 'EFGH23456');
+
+        expect(display).toMatch(/^ABCD-EFGH-2345-6[A-Z0-9]$/);
+        expect(canonical).toBe(display.replace(/^ABCD-/, 'ABCD#').replace(/-/g, '').replace('#', '-'));
+        expect(format.classify(display)).toEqual({ result: 'VALID', prefix: 'ABCD', canonical });
+        // The ungrouped spelling is not the configured format
+        expect(format.classify(canonical).result).toBe('MALFORMED');
+    });
+
+    it('only recognizes legacy tokens while they are accepted', () => {
+        expect(createTokenFormat(defaults).classify('ABCD-23456789').result).toBe('LEGACY');
+        expect(createTokenFormat({ ...defaults, acceptLegacyFormat: false }).classify('ABCD-23456789').result)
+            .toBe('MALFORMED');
+        expect(createTokenFormat({ ...defaults, acceptLegacyFormat: false }).pattern).not.toContain('[A-Z0-9]{8}');
+    });
+
+    it('rejects characters outside the configured charset', () => {
+        const format = createTokenFormat({ ...defaults, charset: excludeAmbiguous(DEFAULT_CHARSET), acceptLegacyFormat: false });
+
+        expect(format.classify('ABCD-EFGH0345K').result).toBe('MALFORMED');
+    });
+
+    describe('numeric tokens', () => {
+        const format = createNumericTokenFormat({ prefixLength: 4, coreLength: 12 });
+
+        it('displays digits in groups of four around a digits-only canonical form', () => {
+            const { canonical, display } = format.build('1234', '567890123456');
+
+            expect(canonical).toMatch(/^1234567890123456\d$/);
+            expect(display).toBe(canonical.replace(/(\d{4})(?=\d)/g, '$1 '));
+            expect(new RegExp(format.pattern).test(display)).toBe(true);
+            expect(new RegExp(format.pattern).test(canonical)).toBe(true);
+        });
+
+        it('classifies keypad input with or without spaces', () => {
+            const { canonical, display } = format.build('1234', '567890123456');
+            const expected = { result: 'VALID', prefix: '1234', canonical };
+
+            expect(format.classify(display)).toEqual(expected);
+            expect(format.classify(canonical)).toEqual(expected);
+        });
+
+        it('catches a mistyped digit with the check digit', () => {
+            const { canonical } = format.build('1234', '567890123456');
+            const typo = `${canonical.slice(0, 6)}${(Number(canonical[6]) + 1) % 10}${canonical.slice(7)}`;
+
+            expect(format.classify(typo).result).toBe('CHECKSUM_MISMATCH');
+        });
+
+        it('never matches alphanumeric tokens', () => {
+            expect(format.classify('ABCD-EFGH2345K').result).toBe('MALFORMED');
+            expect(format.classify('1234-5678-9012-3456-7').result).toBe('MALFORMED');
+            expect(format.entropyBits).toBeCloseTo(39.86, 2);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+jest.mock('../config', () => ({
+    token: {
+        pepper: 'root_pepper_value_at_least_16_chars',
+        hashing: {
+            algorithm: 'hmac-sha256',
+            peppers: { '2026-01': 'january_pepper_16_chars_plus' },
+            activePepperId: '2026-01'
+        }
+    }
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+const TokenHasher = require('../services/tokenHasher');
+const { HASH_VERSIONS } = require('../services/tokenHasher');
+const { logger } = require('../utils/logger');
+
+describe('TokenHasher', () => {
+    const salt = Buffer.from('per-token-salt');
+    const token = 'ABCD-EFGH2345K';
+
+    const rowFor = async (hasher) => {
+        const { hash, hashVersion, pepperId } = await hasher.hash(token, salt);
+        return { id: 'token-uuid', token_hash: hash, salt, hash_version: hashVersion, pepper_id: pepperId };
+    };
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('verifies legacy rows with SHA256(TOKEN_PEPPER + token + salt)', async () => {
+        const legacyRow = {
+            token_hash: crypto.createHash('sha256').update('root_pepper_value_at_least_16_chars').update(token).update(salt).digest(),
+            salt,
+            hash_version: HASH_VERSIONS.SHA256_LEGACY,
+            pepper_id: null
+        };
+
+        const hasher = new TokenHasher();
+
+        await expect(hasher.verify(token, legacyRow)).resolves.toBe(true);
+        await expect(hasher.verify('ABCD-EFGH2345L', legacyRow)).resolves.toBe(false);
+    });
+
+    it('refuses legacy rows once TOKEN_PEPPER is no longer set', async () => {
+        const config = require('../config');
+        const legacyRow = {
+            id: 'token-uuid',
+            token_hash: crypto.createHash('sha256').update('root_pepper_value_at_least_16_chars').update(token).update(salt).digest(),
+            salt,
+            hash_version: HASH_VERSIONS.SHA256_LEGACY,
+            pepper_id: null
+        };
+        const pepper = config.token.pepper;
+        config.token.pepper = undefined;
+
+        try {
+            await expect(new TokenHasher().verify(token, legacyRow)).resolves.toBe(false);
+        } finally {
+            config.token.pepper = pepper;
+        }
+    });
+
+    it('keeps verifying tokens under their own pepper after a new pepper becomes active', async () => {
+        const january = new TokenHasher();
+        const issuedInJanuary = await rowFor(january);
+
+        const rotated = new TokenHasher({
+            algorithm: 'hmac-sha256',
+            peppers: { '2026-01': 'january_pepper_16_chars_plus', '2026-07': 'july_pepper_16_chars_plus__' },
+            activePepperId: '2026-07'
+        });
+        const issuedInJuly = await rowFor(rotated);
+
+        expect(issuedInJanuary.pepper_id).toBe('2026-01');
+        expect(issuedInJuly.pepper_id).toBe('2026-07');
+        expect(issuedInJuly.token_hash.equals(issuedInJanuary.token_hash)).toBe(false);
+        await expect(rotated.verify(token, issuedInJanuary)).resolves.toBe(true);
+        await expect(rotated.verify(token, issuedInJuly)).resolves.toBe(true);
+    });
+
+    it('refuses, and reports, tokens whose pepper has been retired', async () => {
+        const issuedInJanuary = await rowFor(new TokenHasher());
+        const retired = new TokenHasher({
+            algorithm: 'hmac-sha256',
+            peppers: { '2026-07': 'july_pepper_16_chars_plus__' },
+            activePepperId: '2026-07'
+        });
+
+        await expect(retired.verify(token, issuedInJanuary)).resolves.toBe(false);
+        expect(logger.error).toHaveBeenCalledWith(
+            expect.objectContaining({ tokenId: 'token-uuid', pepperId: '2026-01' }),
+            expect.any(String)
+        );
+    });
+
+    it('hashes with Argon2id when configured, still verifiable after switching back', async () => {
+        const argon = new TokenHasher({
+            algorithm: 'argon2id',
+            peppers: { '2026-01': 'january_pepper_16_chars_plus' },
+            activePepperId: '2026-01'
+        });
+        const row = await rowFor(argon);
+
+        expect(row.hash_version).toBe(HASH_VERSIONS.ARGON2ID);
+        expect(row.token_hash).toHaveLength(32);
+        await expect(argon.verify(token, row)).resolves.toBe(true);
+        await expect(new TokenHasher().verify(token, row)).resolves.toBe(true);
+        await expect(argon.verify('ABCD-EFGH2345L', row)).resolves.toBe(false);
+    });
+});
@@ -1,19 +1,46 @@
 const TokenService = require('../services/tokenService');
+const BalanceService = require('../services/balanceService');
+const AgentFloatService = require('../services/agentFloatService');
+const WithdrawalLimitService = require('../services/withdrawalLimitService');
+const {
+    InsufficientFundsError,
+    WithdrawalLimitExceededError,
+    ActiveTokenLimitError,
+    CurrencyMismatchError,
+    AmountNotDispensableError
+} = require('../utils/errors');
+const { computeCheckCharacter, DEFAULT_CHARSET } = require('../config/tokenFormat');
 const crypto = require('crypto');
 
 // Mock Config Object
 jest.mock('../config', () => ({
+    keys: { secret: 'test_service_key_secret_value_32_chars_plus' },
     token: {
         expirySeconds: 300,
-        pepper: 'test_super_secure_pepper_value_16_chars_plus' // Updated to pepper
+        pepper: 'test_super_secure_pepper_value_16_chars_plus', // Updated to pepper
+        acceptLegacyFormat: true,
+        prefixLength: 4,
+        coreLength: 8,
+        charset: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+        groupSize: 0,
+        maxActivePerAccount: 3,
+        activeLimitPolicy: 'REJECT',
+        hashing: { algorithm: 'hmac-sha256', peppers: { default: 'test_super_secure_pepper_value_16_chars_plus' }, activePepperId: 'default' },
+        numeric: { prefixLength: 4, coreLength: 12, maxPinAttempts: 3, rateLimitMax: 3 }
+    },
+    currency: {
+        default: 'NGN',
+        currencies: { NGN: { exponent: 2, denominations: [100000, 50000, 20000, 10000, 5000] } }
     }
 }));
 
 // Mock logger
 jest.mock('../utils/logger', () => ({
-    info: jest.fn(),
-    warn: jest.fn(),
-    error: jest.fn()
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
 }));
 
 describe('TokenService Security & Expiry Logic (Hardened)', () => {
@@ -45,6 +72,11 @@ describe('TokenService Security & Expiry Logic (Hardened)', () => {
             };
         };
         dbInstance.transaction = jest.fn(async (callback, options) => {
+            // Generation runs at the default isolation level against the plain query mock
+            if (!options) {
+                return await callback(dbInstance);
+            }
+
             // Validate strict transaction isolation requirement
             expect(options).toEqual({ isolationLevel: 'repeatable read' });
 
@@ -62,21 +94,41 @@ describe('TokenService Security & Expiry Logic (Hardened)', () => {
                 {
                     id: 'token-uuid',
                     prefix: 'ABCD',
+                    // Issued before hash versioning: legacy SHA-256 under TOKEN_PEPPER
+                    hash_version: 1,
+                    pepper_id: null,
                     salt: Buffer.from('mock-salt'),
                     token_hash: crypto.createHash('sha256').update('test_super_secure_pepper_value_16_chars_plus').update('ABCD-12345678').update(Buffer.from('mock-salt')).digest()
                 }
             ]);
 
             chain.where = jest.fn().mockReturnValue(chain);
+            chain.whereIn = jest.fn().mockReturnValue(chain);
 
             const trxInstance = (table) => chain;
 
             return await callback(trxInstance);
         });
         tokenService = new TokenService(dbInstance);
+
+        // Balance bookkeeping is covered in balanceService.test.js
+        jest.spyOn(BalanceService.prototype, 'lockAccount')
+            .mockImplementation(async (trx, accountId) => ({ id: accountId, status: 'ACTIVE', currency: 'NGN', tier: null }));
+        jest.spyOn(BalanceService.prototype, 'placeHold').mockResolvedValue({ id: 'hold-uuid' });
+        // Limit arithmetic is covered in withdrawalLimitService.test.js
+        jest.spyOn(WithdrawalLimitService.prototype, 'assertWithinLimits').mockResolvedValue({ remaining: 50000 });
+        // The active token cap and currency checks have their own tests below
+        jest.spyOn(TokenService.prototype, 'enforceActiveTokenCap').mockResolvedValue([]);
+        jest.spyOn(TokenService.prototype, 'assertPayableAmount').mockReturnValue('NGN');
+        jest.spyOn(BalanceService.prototype, 'captureHold').mockResolvedValue({ id: 'hold-uuid' });
+        jest.spyOn(BalanceService.prototype, 'releaseHold').mockResolvedValue(true);
+        // Agents hold plenty of cash unless a test says otherwise
+        jest.spyOn(AgentFloatService.prototype, 'lockFloat').mockResolvedValue(10000);
+        jest.spyOn(AgentFloatService.prototype, 'debitForRedemption').mockResolvedValue({ id: 'movement-uuid' });
     });
 
     afterEach(() => {
+        jest.restoreAllMocks();
         jest.clearAllMocks();
     });
 
@@ -94,22 +146,28 @@ describe('TokenService Security & Expiry Logic (Hardened)', () => {
     });
 
     describe('Token Hashing (hashToken)', () => {
-        it('should generate consistent SHA-256 hashes with pepper and salt', () => {
+        it('should hash new tokens with HMAC-SHA256 under the active pepper and report how', async () => {
             const plaintext = 'token123';
             const salt = Buffer.from('random-salt');
 
-            const hash1 = tokenService.hashToken(plaintext, salt);
-            const hash2 = tokenService.hashToken(plaintext, salt);
+            const first = await tokenService.hashToken(plaintext, salt);
+            const second = await tokenService.hashToken(plaintext, salt);
 
-            expect(hash1.equals(hash2)).toBe(true);
+            expect(first.hash.equals(second.hash)).toBe(true);
+            expect(first).toMatchObject({ hashVersion: 2, pepperId: 'default' });
 
-            const expectedManualHash = crypto.createHash('sha256')
-                .update('test_super_secure_pepper_value_16_chars_plus') // from config
+            const expectedManualHash = crypto.createHmac('sha256', 'test_super_secure_pepper_value_16_chars_plus')
                 .update(plaintext)
                 .update(salt)
                 .digest();
 
-            expect(hash1.equals(expectedManualHash)).toBe(true);
+            expect(first.hash.equals(expectedManualHash)).toBe(true);
+        });
+
+        it('should store the hash version and pepper id with each new token', async () => {
+            await tokenService.generateWithdrawalToken(crypto.randomUUID(), 100);
+
+            expect(mockDb.insert).toHaveBeenCalledWith(expect.objectContaining({ hash_version: 2, pepper_id: 'default' }));
         });
     });
 
@@ -127,11 +185,135 @@ describe('TokenService Security & Expiry Logic (Hardened)', () => {
             const result = await tokenService.generateWithdrawalToken(accountId, 100);
 
             expect(result.token).toBeDefined();
-            // 4 char prefix + '-' + 8 char core = 13 chars
-            expect(result.token.length).toBe(13);
+            // 4 char prefix + '-' + 8 char core + check character = 14 chars
+            expect(result.token.length).toBe(14);
+            expect(tokenService.checkTokenFormat(result.token)).toBe('VALID');
             expect(result.amount).toBe(100);
+            expect(result.currency).toBe('NGN');
 
             expect(mockDb.insert).toHaveBeenCalledTimes(1);
+            expect(mockDb.insert).toHaveBeenCalledWith(expect.objectContaining({ amount: 100, currency: 'NGN' }));
+            expect(BalanceService.prototype.placeHold).toHaveBeenCalledWith(tokenService.db, {
+                account: expect.objectContaining({ id: accountId }),
+                tokenId: 'mock-token-uuid',
+                amount: 100
+            });
+        });
+
+        it('should add a verifiable QR payload only when asked', async () => {
+            const QrCodeService = require('../services/qrCodeService');
+            const accountId = crypto.randomUUID();
+
+            const plain = await tokenService.generateWithdrawalToken(accountId, 100);
+            const withQr = await tokenService.generateWithdrawalToken(accountId, 100, { includeQr: true });
+
+            expect(plain.qrPayload).toBeUndefined();
+            expect(new QrCodeService().parsePayload(withQr.qrPayload)).toEqual(expect.objectContaining({
+                result: 'VALID',
+                token: withQr.token,
+                amount: 100,
+                currency: 'NGN'
+            }));
+        });
+
+        it('should issue grouped tokens from the configured format and hash their canonical form', async () => {
+            const config = require('../config');
+            const original = { ...config.token };
+            Object.assign(config.token, { prefixLength: 3, coreLength: 10, charset: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789', groupSize: 4 });
+
+            try {
+                const grouped = new TokenService(tokenService.db);
+                const hashSpy = jest.spyOn(grouped, 'hashToken');
+                const result = await grouped.generateWithdrawalToken(crypto.randomUUID(), 100);
+
+                // 3 char prefix, then 10 core + 1 check character in groups of 4
+                expect(result.token).toMatch(/^[A-HJKMNP-Z2-9]{3}-[A-HJKMNP-Z2-9]{4}-[A-HJKMNP-Z2-9]{4}-[A-HJKMNP-Z2-9]{3}$/);
+                expect(hashSpy).toHaveBeenCalledWith(result.token.replace(/^(\w+)-/, '$1#').replace(/-/g, '').replace('#', '-'), expect.any(Buffer));
+                expect(grouped.checkTokenFormat(result.token)).toBe('VALID');
+            } finally {
+                Object.assign(config.token, original);
+            }
+        });
+
+        it('should issue numeric tokens with a hashed PIN and never return the PIN', async () => {
+            const result = await tokenService.generateWithdrawalToken(crypto.randomUUID(), 100, { kind: 'NUMERIC', pin: '4321' });
+
+            // 4 digit prefix + 12 digit core + check digit, in groups of four
+            expect(result.token).toMatch(/^\d{4} \d{4} \d{4} \d{4} \d$/);
+            expect(result.kind).toBe('NUMERIC');
+            expect(tokenService.classifyToken(result.token)).toMatchObject({ result: 'VALID', kind: 'NUMERIC' });
+            expect(JSON.stringify(result)).not.toContain('4321');
+
+            const [record] = mockDb.insert.mock.calls[0];
+            expect(record).toMatchObject({ kind: 'NUMERIC', prefix: result.token.slice(0, 4) });
+            expect(record.pin_hash.equals(await tokenService.hashPin('4321', record.salt, record.pepper_id))).toBe(true);
+        });
+
+        it('should require a 4-6 digit PIN for numeric tokens, and only for them', async () => {
+            const accountId = crypto.randomUUID();
+
+            await expect(tokenService.generateWithdrawalToken(accountId, 100, { kind: 'NUMERIC' })).rejects.toThrow();
+            await expect(tokenService.generateWithdrawalToken(accountId, 100, { kind: 'NUMERIC', pin: '12' })).rejects.toThrow();
+            await expect(tokenService.generateWithdrawalToken(accountId, 100, { pin: '1234' })).rejects.toThrow();
+            expect(mockDb.insert).not.toHaveBeenCalled();
+        });
+
+        it('should not issue a token the account cannot cover', async () => {
+            BalanceService.prototype.placeHold.mockRejectedValueOnce(new InsufficientFundsError('Insufficient', 50));
+
+            await expect(tokenService.generateWithdrawalToken(crypto.randomUUID(), 100))
+                .rejects.toBeInstanceOf(InsufficientFundsError);
+        });
+
+        it('should check withdrawal limits before issuing, inside the generation transaction', async () => {
+            const accountId = crypto.randomUUID();
+            WithdrawalLimitService.prototype.assertWithinLimits.mockRejectedValueOnce(
+                new WithdrawalLimitExceededError('Over the daily limit', { limit: 'DAILY', limitAmount: 1000, remaining: 40 })
+            );
+
+            await expect(tokenService.generateWithdrawalToken(accountId, 100))
+                .rejects.toBeInstanceOf(WithdrawalLimitExceededError);
+            expect(WithdrawalLimitService.prototype.assertWithinLimits).toHaveBeenCalledWith(tokenService.db, {
+                account: expect.objectContaining({ id: accountId }),
+                amount: 100
+            });
+            expect(mockDb.insert).not.toHaveBeenCalled();
+            expect(BalanceService.prototype.placeHold).not.toHaveBeenCalled();
+        });
+
+        it('should apply the active token cap before the limits and report tokens cancelled to make room', async () => {
+            const accountId = crypto.randomUUID();
+            TokenService.prototype.enforceActiveTokenCap.mockResolvedValueOnce(['old-token-uuid']);
+
+            const result = await tokenService.generateWithdrawalToken(accountId, 100);
+
+            expect(result.cancelledTokenIds).toEqual(['old-token-uuid']);
+            expect(TokenService.prototype.enforceActiveTokenCap)
+                .toHaveBeenCalledWith(tokenService.db, expect.objectContaining({ id: accountId }));
+            expect(TokenService.prototype.enforceActiveTokenCap.mock.invocationCallOrder[0])
+                .toBeLessThan(WithdrawalLimitService.prototype.assertWithinLimits.mock.invocationCallOrder[0]);
+        });
+
+        it('should check the currency and notes before anything else is locked or counted', async () => {
+            const accountId = crypto.randomUUID();
+            TokenService.prototype.assertPayableAmount.mockImplementationOnce(() => {
+                throw new CurrencyMismatchError('Held in NGN', 'NGN');
+            });
+
+            await expect(tokenService.generateWithdrawalToken(accountId, 100, { currency: 'KES' }))
+                .rejects.toBeInstanceOf(CurrencyMismatchError);
+            expect(TokenService.prototype.assertPayableAmount)
+                .toHaveBeenCalledWith(expect.objectContaining({ id: accountId }), { amount: 100, currency: 'KES' });
+            expect(TokenService.prototype.enforceActiveTokenCap).not.toHaveBeenCalled();
+            expect(mockDb.insert).not.toHaveBeenCalled();
+        });
+
+        it('should not issue a token to an account at its active token cap', async () => {
+            TokenService.prototype.enforceActiveTokenCap.mockRejectedValueOnce(new ActiveTokenLimitError('Too many', 3));
+
+            await expect(tokenService.generateWithdrawalToken(crypto.randomUUID(), 100))
+                .rejects.toBeInstanceOf(ActiveTokenLimitError);
+            expect(mockDb.insert).not.toHaveBeenCalled();
         });
 
         it('should retry generation if collision occurs (err.code 23505)', async () => {
@@ -154,6 +336,35 @@ describe('TokenService Security & Expiry Logic (Hardened)', () => {
         });
     });
 
+    describe('checkTokenFormat()', () => {
+        const config = require('../config');
+        const withCheck = (body) => `${body.slice(0, 4)}-${body.slice(4)}${computeCheckCharacter(body, DEFAULT_CHARSET)}`;
+
+        afterEach(() => {
+            config.token.acceptLegacyFormat = true;
+        });
+
+        it('accepts tokens whose check character matches', () => {
+            expect(tokenService.checkTokenFormat(withCheck('ABCD23456789'))).toBe('VALID');
+        });
+
+        it('flags single-character typos and adjacent swaps as CHECKSUM_MISMATCH', () => {
+            const token = withCheck('ABCD23456789');
+            const substituted = `${token.slice(0, 6)}${token[6] === 'X' ? 'Y' : 'X'}${token.slice(7)}`;
+            const swapped = `${token.slice(0, 7)}${token[8]}${token[7]}${token.slice(9)}`;
+
+            expect(tokenService.checkTokenFormat(substituted)).toBe('CHECKSUM_MISMATCH');
+            expect(tokenService.checkTokenFormat(swapped)).toBe('CHECKSUM_MISMATCH');
+        });
+
+        it('accepts legacy tokens without a check character only during the transition', () => {
+            expect(tokenService.checkTokenFormat('ABCD-23456789')).toBe('LEGACY');
+
+            config.token.acceptLegacyFormat = false;
+            expect(new TokenService(mockDb).checkTokenFormat('ABCD-23456789')).toBe('MALFORMED');
+        });
+    });
+
     describe('redeemWithdrawalToken()', () => {
         it('should return INVALID if syntax is wrong or missing ID prefix', async () => {
             const res = await tokenService.redeemWithdrawalToken('12345678', 'agent-1'); // No hyphen
@@ -163,6 +374,18 @@ describe('TokenService Security & Expiry Logic (Hardened)', () => {
             expect(res2.result).toBe('INVALID');
         });
 
+        it('should return LIKELY_TYPO for a check character mismatch without recording an attempt', async () => {
+            const body = 'ABCD23456789';
+            const check = computeCheckCharacter(body, DEFAULT_CHARSET);
+            const typo = `ABCD-23456789${check === 'A' ? 'B' : 'A'}`;
+
+            const res = await tokenService.redeemWithdrawalToken(typo, 'agent-1');
+
+            expect(res.result).toBe('LIKELY_TYPO');
+            expect(tokenService.db.transaction).not.toHaveBeenCalled();
+            expect(mockDb.insert).not.toHaveBeenCalled();
+        });
+
         it('should correctly handle successful redemption with O(1) prefix lookup', async () => {
             // The before block mocks the returning of `candidateTokens` simulating the prefix lookup
 
@@ -171,6 +394,7 @@ describe('TokenService Security & Expiry Logic (Hardened)', () => {
                 id: 'token-uuid',
                 account_id: crypto.randomUUID(),
                 amount: 200,
+                currency: 'NGN',
                 status: 'ACTIVE',
                 expires_at: new Date(Date.now() + 10000) // Future expiry
             });
@@ -179,13 +403,46 @@ describe('TokenService Security & Expiry Logic (Hardened)', () => {
             const res = await tokenService.redeemWithdrawalToken(fullTokenStr, 'atm-1');
 
             expect(mockTrx.forUpdate).toHaveBeenCalled(); // Ensure row lock happened
+            expect(tokenService.db.transaction).toHaveBeenCalledWith(expect.any(Function), { isolationLevel: 'repeatable read' });
             expect(res.result).toBe('SUCCESS');
+            expect(BalanceService.prototype.captureHold).toHaveBeenCalledWith(expect.any(Function), 'token-uuid');
 
             // Verify Transaction Ledger Insert
             expect(mockTrx.insert).toHaveBeenCalledWith(expect.objectContaining({
+                agent_id: 'atm-1',
                 type: 'WITHDRAWAL',
-                status: 'SUCCESS'
+                status: 'SUCCESS',
+                currency: 'NGN'
             }));
+            // Only float held in the token's currency can pay it out
+            expect(AgentFloatService.prototype.lockFloat).toHaveBeenCalledWith(expect.any(Function), 'atm-1', 'NGN');
+            expect(AgentFloatService.prototype.debitForRedemption).toHaveBeenCalledWith(expect.any(Function), {
+                agentId: 'atm-1',
+                amount: 200,
+                transactionId: 'mock-tx-uuid'
+            });
+        });
+
+        it('should refuse redemption the agent float cannot cover and leave the token ACTIVE', async () => {
+            AgentFloatService.prototype.lockFloat.mockResolvedValue(150);
+            mockTrx.first
+                .mockResolvedValueOnce({
+                    id: 'token-uuid',
+                    account_id: crypto.randomUUID(),
+                    amount: '200.00',
+                    status: 'ACTIVE',
+                    expires_at: new Date(Date.now() + 10000)
+                })
+                .mockResolvedValueOnce({ status: 'ACTIVE' });
+
+            const res = await tokenService.redeemWithdrawalToken('ABCD-12345678', 'atm-1');
+
+            expect(res).toEqual({ result: 'INSUFFICIENT_FLOAT', tokenId: 'token-uuid', availableFloat: 150 });
+            expect(mockTrx.update).not.toHaveBeenCalled();
+            expect(BalanceService.prototype.captureHold).not.toHaveBeenCalled();
+            expect(AgentFloatService.prototype.debitForRedemption).not.toHaveBeenCalled();
+            expect(mockTrx.insert).toHaveBeenCalledTimes(1);
+            expect(mockTrx.insert).toHaveBeenCalledWith(expect.objectContaining({ result: 'INSUFFICIENT_FLOAT' }));
         });
 
         it('should reject already USED tokens to prevent double-spend race condition', async () => {
@@ -198,6 +455,7 @@ describe('TokenService Security & Expiry Logic (Hardened)', () => {
 
             expect(res.result).toBe('EXPIRED_OR_USED');
             expect(mockTrx.update).not.toHaveBeenCalled(); // No further status update
+            expect(mockTrx.insert).toHaveBeenCalledWith(expect.objectContaining({ token_id: 'token-uuid', result: 'USED' }));
         });
 
         it('should return INVALID if hash does not safely compare', async () => {
@@ -206,5 +464,326 @@ describe('TokenService Security & Expiry Logic (Hardened)', () => {
             const res = await tokenService.redeemWithdrawalToken('ABCD-99999999', 'atm-1');
             expect(res.result).toBe('INVALID');
         });
+
+        it('should record an INVALID attempt against the claimed account when no token matches', async () => {
+            const accountId = crypto.randomUUID();
+
+            await tokenService.redeemWithdrawalToken('ABCD-99999999', 'atm-1', { ip: '10.0.0.9' }, { accountId });
+
+            expect(mockTrx.insert).toHaveBeenCalledWith({
+                token_id: null,
+                account_id: accountId,
+                agent_id: 'atm-1',
+                result: 'INVALID',
+                metadata: JSON.stringify({ ip: '10.0.0.9', prefix: 'ABCD' })
+            });
+        });
+
+        it('should refuse redemption when the account is INACTIVE', async () => {
+            mockTrx.first
+                .mockResolvedValueOnce({
+                    id: 'token-uuid',
+                    account_id: crypto.randomUUID(),
+                    amount: 200,
+                    status: 'ACTIVE',
+                    expires_at: new Date(Date.now() + 10000)
+                })
+                .mockResolvedValueOnce({ status: 'INACTIVE' });
+
+            const res = await tokenService.redeemWithdrawalToken('ABCD-12345678', 'atm-1');
+
+            expect(res.result).toBe('ACCOUNT_INACTIVE');
+            expect(mockTrx.update).not.toHaveBeenCalled();
+            expect(mockTrx.insert).toHaveBeenCalledTimes(1);
+            expect(mockTrx.insert).toHaveBeenCalledWith(expect.objectContaining({ token_id: 'token-uuid', result: 'ACCOUNT_INACTIVE' }));
+        });
+
+        it('should return CANCELLED for a revoked token without writing to the ledger', async () => {
+            mockTrx.first.mockResolvedValueOnce({
+                id: 'token-uuid',
+                status: 'CANCELLED',
+                expires_at: new Date(Date.now() + 10000)
+            });
+
+            const res = await tokenService.redeemWithdrawalToken('ABCD-12345678', 'atm-1');
+
+            expect(res.result).toBe('CANCELLED');
+            expect(mockTrx.update).not.toHaveBeenCalled();
+            // Only the attempt evidence is written, never a ledger entry
+            expect(mockTrx.insert).toHaveBeenCalledTimes(1);
+            expect(mockTrx.insert).toHaveBeenCalledWith(expect.objectContaining({ token_id: 'token-uuid', result: 'CANCELLED' }));
+        });
+    });
+
+    describe('numeric token PIN checks', () => {
+        const salt = Buffer.from('mock-salt');
+        let numericRow;
+
+        beforeEach(async () => {
+            numericRow = {
+                id: 'token-uuid',
+                account_id: crypto.randomUUID(),
+                amount: 200,
+                kind: 'NUMERIC',
+                salt,
+                pepper_id: 'default',
+                pin_hash: await tokenService.hashPin('4321', salt, 'default'),
+                failed_pin_attempts: 0,
+                status: 'ACTIVE',
+                expires_at: new Date(Date.now() + 10000)
+            };
+            // Hash matching is covered above; these tests start from the matched row
+            jest.spyOn(tokenService, 'findMatchingToken').mockResolvedValue(numericRow);
+        });
+
+        const numericToken = () => tokenService.numericFormat.build('1234', '567890123456').display;
+
+        it('should redeem a numeric token presented with the right PIN', async () => {
+            mockTrx.first.mockResolvedValueOnce(numericRow).mockResolvedValueOnce({ status: 'ACTIVE' });
+
+            const res = await tokenService.redeemWithdrawalToken(numericToken(), 'atm-1', {}, { pin: '4321' });
+
+            expect(res.result).toBe('SUCCESS');
+            expect(tokenService.findMatchingToken).toHaveBeenCalledWith(expect.any(Function), expect.stringMatching(/^\d{17}$/), '1234');
+        });
+
+        it('should count a wrong PIN on the token and report the attempts left', async () => {
+            mockTrx.first.mockResolvedValueOnce({ ...numericRow, failed_pin_attempts: 1 });
+
+            const res = await tokenService.redeemWithdrawalToken(numericToken(), 'atm-1', {}, { pin: '0000' });
+
+            expect(res).toEqual({ result: 'INVALID_PIN', tokenId: 'token-uuid', attemptsRemaining: 1 });
+            expect(mockTrx.update).toHaveBeenCalledWith({ failed_pin_attempts: 2 });
+            expect(mockTrx.insert).toHaveBeenCalledTimes(1);
+            expect(mockTrx.insert).toHaveBeenCalledWith(expect.objectContaining({ token_id: 'token-uuid', result: 'INVALID_PIN' }));
+            expect(BalanceService.prototype.captureHold).not.toHaveBeenCalled();
+        });
+
+        it('should cancel the token and release its hold on the last allowed wrong PIN', async () => {
+            mockTrx.first.mockResolvedValueOnce({ ...numericRow, failed_pin_attempts: 2 });
+
+            const res = await tokenService.redeemWithdrawalToken(numericToken(), 'atm-1', {}, { pin: '0000' });
+
+            expect(res).toEqual({ result: 'PIN_LOCKED', tokenId: 'token-uuid' });
+            expect(mockTrx.update).toHaveBeenCalledWith(expect.objectContaining({
+                failed_pin_attempts: 3,
+                status: 'CANCELLED',
+                cancelled_by: 'system'
+            }));
+            expect(BalanceService.prototype.releaseHold).toHaveBeenCalledWith(expect.any(Function), 'token-uuid', 'CANCELLED');
+            expect(mockTrx.insert).toHaveBeenCalledWith(expect.objectContaining({ result: 'INVALID_PIN' }));
+        });
+
+        it('should treat a missing PIN as a wrong one', async () => {
+            mockTrx.first.mockResolvedValueOnce(numericRow);
+
+            const res = await tokenService.redeemWithdrawalToken(numericToken(), 'atm-1');
+
+            expect(res.result).toBe('INVALID_PIN');
+        });
+    });
+
+    describe('getPepperUsage()', () => {
+        it('reports live tokens per hash version and pepper, flagging peppers no longer configured', async () => {
+            const query = {
+                where: jest.fn().mockReturnThis(),
+                andWhere: jest.fn().mockReturnThis(),
+                groupBy: jest.fn().mockReturnThis(),
+                orderBy: jest.fn().mockReturnThis(),
+                select: jest.fn().mockResolvedValue([
+                    { hash_version: 1, pepper_id: null, live_tokens: '4' },
+                    { hash_version: 2, pepper_id: '2025-07', live_tokens: '1' },
+                    { hash_version: 2, pepper_id: 'default', live_tokens: '12' }
+                ])
+            };
+            const db = jest.fn().mockReturnValue(query);
+            db.raw = jest.fn();
+
+            const usage = await new TokenService(db).getPepperUsage();
+
+            expect(query.where).toHaveBeenCalledWith({ status: 'ACTIVE' });
+            expect(usage).toEqual([
+                { hashVersion: 1, pepperId: null, configured: true, liveTokens: 4 },
+                { hashVersion: 2, pepperId: '2025-07', configured: false, liveTokens: 1 },
+                { hashVersion: 2, pepperId: 'default', configured: true, liveTokens: 12 }
+            ]);
+        });
+    });
+
+    describe('enforceActiveTokenCap()', () => {
+        const config = require('../config');
+        const accountId = '123e4567-e89b-12d3-a456-426614174000';
+        // Locked by the caller, in generateWithdrawalToken()
+        const account = { id: accountId, status: 'ACTIVE' };
+        let queries;
+        let trx;
+
+        // Three live tokens, oldest first: the account is at the default cap of 3
+        const liveTokens = [{ id: 'token-1' }, { id: 'token-2' }, { id: 'token-3' }];
+
+        beforeEach(() => {
+            TokenService.prototype.enforceActiveTokenCap.mockRestore();
+            const buildQuery = () => ({
+                where: jest.fn().mockReturnThis(),
+                whereIn: jest.fn().mockReturnThis(),
+                andWhere: jest.fn().mockReturnThis(),
+                orderBy: jest.fn().mockReturnThis(),
+                forUpdate: jest.fn().mockReturnThis(),
+                select: jest.fn().mockResolvedValue(liveTokens),
+                update: jest.fn().mockResolvedValue(1)
+            });
+            queries = { tokens: buildQuery() };
+            trx = jest.fn((table) => queries[table]);
+            jest.spyOn(BalanceService.prototype, 'releaseHolds').mockResolvedValue(1);
+        });
+
+        afterEach(() => {
+            config.token.activeLimitPolicy = 'REJECT';
+        });
+
+        it('should let the account issue while under the cap', async () => {
+            queries.tokens.select.mockResolvedValue(liveTokens.slice(0, 2));
+
+            await expect(tokenService.enforceActiveTokenCap(trx, account)).resolves.toEqual([]);
+            expect(trx).not.toHaveBeenCalledWith('accounts');
+            expect(queries.tokens.where).toHaveBeenCalledWith({ account_id: accountId, status: 'ACTIVE' });
+            expect(queries.tokens.andWhere).toHaveBeenCalledWith('expires_at', '>', expect.any(Date));
+        });
+
+        it('should refuse a new token at the cap by default', async () => {
+            const attempt = tokenService.enforceActiveTokenCap(trx, account);
+
+            await expect(attempt).rejects.toBeInstanceOf(ActiveTokenLimitError);
+            await expect(attempt).rejects.toMatchObject({ statusCode: 409, maxActive: 3 });
+            expect(queries.tokens.update).not.toHaveBeenCalled();
+        });
+
+        it('should cancel the oldest tokens and release their holds under CANCEL_OLDEST', async () => {
+            config.token.activeLimitPolicy = 'CANCEL_OLDEST';
+            queries.tokens.select.mockResolvedValue([{ id: 'token-0' }, ...liveTokens]);
+
+            const cancelled = await tokenService.enforceActiveTokenCap(trx, account);
+
+            expect(cancelled).toEqual(['token-0', 'token-1']);
+            expect(queries.tokens.orderBy).toHaveBeenCalledWith('created_at', 'asc');
+            expect(queries.tokens.whereIn).toHaveBeenCalledWith('id', ['token-0', 'token-1']);
+            expect(queries.tokens.update).toHaveBeenCalledWith(expect.objectContaining({
+                status: 'CANCELLED',
+                cancelled_by: 'SYSTEM:active-token-limit'
+            }));
+            expect(BalanceService.prototype.releaseHolds).toHaveBeenCalledWith(trx, ['token-0', 'token-1'], 'CANCELLED');
+        });
+    });
+
+    describe('assertPayableAmount()', () => {
+        const account = { id: '123e4567-e89b-12d3-a456-426614174000', currency: 'NGN' };
+
+        // The check is synchronous; returns the error it throws, if any
+        const refusalOf = (row, withdrawal) => {
+            try {
+                tokenService.assertPayableAmount(row, withdrawal);
+            } catch (err) {
+                return err;
+            }
+            return null;
+        };
+
+        beforeEach(() => {
+            TokenService.prototype.assertPayableAmount.mockRestore();
+        });
+
+        it('should accept an amount payable in notes and return the account currency', () => {
+            // NGN 1,550.00 = 1000 + 500 + 50
+            expect(tokenService.assertPayableAmount(account, { amount: 155000, currency: 'NGN' })).toBe('NGN');
+        });
+
+        it('should take an amount without a currency to be in the account currency', () => {
+            expect(tokenService.assertPayableAmount(account, { amount: 100000 })).toBe('NGN');
+        });
+
+        it('should refuse an amount priced in another currency', () => {
+            const err = refusalOf(account, { amount: 100000, currency: 'KES' });
+
+            expect(err).toBeInstanceOf(CurrencyMismatchError);
+            expect(err).toMatchObject({ statusCode: 422, accountCurrency: 'NGN' });
+        });
+
+        it('should refuse accounts held in a currency that is no longer supported', () => {
+            expect(() => tokenService.assertPayableAmount({ ...account, currency: 'GHS' }, { amount: 100000 }))
+                .toThrow('Withdrawals in GHS are not supported');
+        });
+
+        it('should refuse an amount the notes cannot make and suggest the nearest ones that they can', () => {
+            const err = refusalOf(account, { amount: 123456, currency: 'NGN' });
+
+            expect(err).toBeInstanceOf(AmountNotDispensableError);
+            expect(err).toMatchObject({
+                currency: 'NGN',
+                below: 120000,
+                above: 125000,
+                message: 'NGN 1234.56 cannot be paid out in available notes; try NGN 1200.00 or NGN 1250.00'
+            });
+        });
+    });
+
+    describe('cancelWithdrawalToken()', () => {
+        const accountId = '123e4567-e89b-12d3-a456-426614174000';
+        const cancellation = { cancelledBy: 'customer-1', reason: 'Phone lost' };
+
+        it('should lock the row and move an ACTIVE token to CANCELLED', async () => {
+            mockTrx.first.mockResolvedValueOnce({
+                id: 'token-uuid',
+                account_id: accountId,
+                status: 'ACTIVE',
+                expires_at: new Date(Date.now() + 10000)
+            });
+
+            const res = await tokenService.cancelWithdrawalToken('token-uuid', accountId, cancellation);
+
+            expect(mockTrx.forUpdate).toHaveBeenCalled();
+            expect(res.result).toBe('CANCELLED');
+            expect(mockTrx.update).toHaveBeenCalledWith(expect.objectContaining({
+                status: 'CANCELLED',
+                cancelled_by: 'customer-1',
+                cancellation_reason: 'Phone lost'
+            }));
+            expect(BalanceService.prototype.releaseHold).toHaveBeenCalledWith(expect.any(Function), 'token-uuid', 'CANCELLED');
+        });
+
+        it('should hide tokens belonging to another account', async () => {
+            mockTrx.first.mockResolvedValueOnce({
+                id: 'token-uuid',
+                account_id: crypto.randomUUID(),
+                status: 'ACTIVE',
+                expires_at: new Date(Date.now() + 10000)
+            });
+
+            const res = await tokenService.cancelWithdrawalToken('token-uuid', accountId, cancellation);
+
+            expect(res.result).toBe('NOT_FOUND');
+            expect(mockTrx.update).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to cancel USED or already expired tokens', async () => {
+            mockTrx.first.mockResolvedValueOnce({
+                id: 'token-uuid',
+                account_id: accountId,
+                status: 'USED',
+                expires_at: new Date(Date.now() + 10000)
+            });
+            const used = await tokenService.cancelWithdrawalToken('token-uuid', accountId, cancellation);
+            expect(used).toEqual({ result: 'NOT_CANCELLABLE', status: 'USED' });
+
+            mockTrx.first.mockResolvedValueOnce({
+                id: 'token-uuid',
+                account_id: accountId,
+                status: 'ACTIVE',
+                expires_at: new Date(Date.now() - 10000)
+            });
+            const expired = await tokenService.cancelWithdrawalToken('token-uuid', accountId, cancellation);
+            expect(expired).toEqual({ result: 'NOT_CANCELLABLE', status: 'EXPIRED' });
+
+            expect(mockTrx.update).not.toHaveBeenCalled();
+        });
     });
 });
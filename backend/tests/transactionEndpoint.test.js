@@ -0,0 +1,124 @@
+jest.mock('../config/redis', () => ({
+    redis: {
+        zremrangebyscore: jest.fn().mockResolvedValue(1),
+        zcard: jest.fn().mockResolvedValue(1),
+        zadd: jest.fn().mockResolvedValue(1),
+        expire: jest.fn().mockResolvedValue(1),
+        zrem: jest.fn().mockResolvedValue(1),
+        ttl: jest.fn().mockResolvedValue(60)
+    },
+    testConnection: jest.fn().mockResolvedValue({ connected: true })
+}));
+
+jest.mock('../config', () => ({
+    keys: { secret: 'test_service_key_secret_value_32_chars_plus' },
+    server: { nodeEnv: 'test', port: 3000, host: '127.0.0.1' },
+    rateLimit: { windowMs: 60000, maxRequests: 5, skipSuccessfulRequests: false },
+    token: {
+        expirySeconds: 300,
+        pepper: 'test_super_secure_pepper_value_16_chars_plus',
+        acceptLegacyFormat: true,
+        prefixLength: 4,
+        coreLength: 8,
+        charset: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+        groupSize: 0,
+        hashing: { algorithm: 'hmac-sha256', peppers: { default: 'test_super_secure_pepper_value_16_chars_plus' }, activePepperId: 'default' },
+        numeric: { prefixLength: 4, coreLength: 12, maxPinAttempts: 3, rateLimitMax: 3 }
+    },
+    currency: {
+        default: 'NGN',
+        currencies: { NGN: { exponent: 2, denominations: [100000, 50000, 20000, 10000, 5000] }, KES: { exponent: 2, denominations: [100000, 50000] } }
+    },
+    agentAuth: { apiKeyEnabled: true, signatureToleranceSeconds: 300 },
+    cors: { origin: '*' },
+    security: { jwtSecret: 'test_jwt_secret_value_of_at_least_32_chars' }
+}));
+
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    },
+    logSecurity: jest.fn(),
+    logError: jest.fn(),
+    logSystem: jest.fn(),
+    EVENT_TYPES: { ERROR: 'ERROR' }
+}));
+
+jest.mock('../config/database', () => ({
+    getDb: () => jest.fn(),
+    testConnection: jest.fn().mockResolvedValue({ connected: true }),
+    close: jest.fn()
+}));
+
+const Fastify = require('fastify');
+const registerRoutes = require('../routes');
+const ReversalService = require('../services/reversalService');
+const { ConflictError } = require('../utils/errors');
+
+describe('POST /api/v1/transactions/:id/reverse Endpoint', () => {
+    let app;
+    const transactionId = '5c1e2d3f-4a5b-4c6d-8e7f-901a2b3c4d5e';
+
+    beforeAll(async () => {
+        app = Fastify();
+        await registerRoutes(app);
+        await app.ready();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const reverse = (payload, roles = ['operations']) => app.inject({
+        method: 'POST',
+        url: `/api/v1/transactions/${transactionId}/reverse`,
+        headers: { authorization: `Bearer ${app.jwt.sign({ sub: 'ops-1', roles }, { expiresIn: '5m' })}` },
+        payload
+    });
+
+    it('records the reversal against the authenticated operator (201)', async () => {
+        jest.spyOn(ReversalService.prototype, 'reverseWithdrawal').mockResolvedValue({
+            id: '0b6f3f7e-3a2e-4f2c-8a0d-6d1f5c9b2e11',
+            reversalOf: transactionId,
+            amount: 50000,
+            currency: 'NGN',
+            reasonCode: 'CASH_NOT_DISPENSED',
+            initiatedBy: 'ops-1',
+            createdAt: '2026-01-02T00:00:00.000Z'
+        });
+
+        // A name in the body is dropped: only the caller can be the initiator
+        const response = await reverse({ reasonCode: 'CASH_NOT_DISPENSED', initiatedBy: 'ops-user-7', note: 'ATM jammed' });
+
+        expect(response.statusCode).toBe(201);
+        expect(ReversalService.prototype.reverseWithdrawal).toHaveBeenCalledWith(transactionId, {
+            reasonCode: 'CASH_NOT_DISPENSED',
+            note: 'ATM jammed',
+            initiatedBy: 'ops-1'
+        });
+    });
+
+    it('returns 409 for a transaction that was already reversed', async () => {
+        jest.spyOn(ReversalService.prototype, 'reverseWithdrawal')
+            .mockRejectedValue(new ConflictError('Transaction has already been reversed'));
+
+        const response = await reverse({ reasonCode: 'CASH_NOT_DISPENSED' });
+
+        expect(response.statusCode).toBe(409);
+    });
+
+    it('refuses callers without the transactions:reverse permission (403)', async () => {
+        const reverseSpy = jest.spyOn(ReversalService.prototype, 'reverseWithdrawal');
+
+        const response = await reverse({ reasonCode: 'CASH_NOT_DISPENSED' }, ['auditor']);
+
+        expect(response.statusCode).toBe(403);
+        expect(reverseSpy).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,152 @@
+jest.mock('../utils/logger', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+jest.mock('../config', () => ({
+    withdrawalLimits: {
+        byCurrency: {
+            UGX: {
+                defaults: { perToken: 500, daily: 1000, monthly: 5000 },
+                tiers: { PREMIUM: { perToken: 2000, daily: 4000, monthly: 20000 } }
+            },
+            NGN: { defaults: { perToken: 500, daily: 1000, monthly: 5000 }, tiers: {} },
+            KWD: { defaults: { perToken: 150, daily: 300, monthly: 3000 }, tiers: {} }
+        },
+        tiers: ['PREMIUM']
+    }
+}));
+
+const WithdrawalLimitService = require('../services/withdrawalLimitService');
+const { WithdrawalLimitExceededError } = require('../utils/errors');
+
+describe('WithdrawalLimitService', () => {
+    let limitService;
+    let queries;
+    let trx;
+    let account;
+
+    // Builds a chainable query mock per table so assertions can target one table
+    const buildQuery = () => ({
+        where: jest.fn().mockReturnThis(),
+        andWhere: jest.fn().mockReturnThis(),
+        leftJoin: jest.fn().mockReturnThis(),
+        whereNull: jest.fn().mockReturnThis(),
+        first: jest.fn()
+    });
+
+    // Locked account row, outstanding token total and ledger totals for the next check. UGX
+    // has no minor unit, so amounts read the same as the configured limits.
+    const givenUsage = ({ tier = null, currency = 'UGX', outstanding = 0, daily = 0, monthly = 0 } = {}) => {
+        account = { id: 'acc-1', tier, currency };
+        queries.tokens.first.mockResolvedValue({ amount: String(outstanding) });
+        queries['transactions as t'].first.mockResolvedValue({ daily: String(daily), monthly: String(monthly) });
+    };
+
+    beforeEach(() => {
+        queries = {
+            tokens: buildQuery(),
+            'transactions as t': buildQuery()
+        };
+        trx = jest.fn((table) => queries[table]);
+        trx.raw = jest.fn((sql) => sql);
+        limitService = new WithdrawalLimitService(trx);
+    });
+
+    describe('limitsFor()', () => {
+        it('uses the tier limits, and the defaults for accounts without a (known) tier', () => {
+            expect(limitService.limitsFor('PREMIUM', 'UGX').perToken).toBe(2000);
+            expect(limitService.limitsFor(null, 'UGX').perToken).toBe(500);
+            expect(limitService.limitsFor('RETIRED', 'UGX').perToken).toBe(500);
+        });
+
+        it('uses the limits of the currency, converted to its minor units', () => {
+            expect(limitService.limitsFor(null, 'NGN')).toEqual({ perToken: 50000, daily: 100000, monthly: 500000 });
+            expect(limitService.limitsFor(null, 'KWD')).toEqual({ perToken: 150000, daily: 300000, monthly: 3000000 });
+        });
+
+        it('falls back on the currency defaults for a tier the currency does not configure', () => {
+            expect(limitService.limitsFor('PREMIUM', 'KWD').perToken).toBe(150000);
+        });
+    });
+
+    describe('assertWithinLimits()', () => {
+        it('allows an amount within every limit and reports what is left', async () => {
+            givenUsage({ outstanding: 100, daily: 200, monthly: 1200 });
+
+            const result = await limitService.assertWithinLimits(trx, { account, amount: 300 });
+
+            expect(result.usedDaily).toBe(300);
+            expect(result.usedMonthly).toBe(1300);
+            expect(result.remaining).toBe(500);
+            expect(trx).not.toHaveBeenCalledWith('accounts');
+        });
+
+        it('refuses an amount above the per-token limit', async () => {
+            givenUsage();
+
+            const attempt = limitService.assertWithinLimits(trx, { account, amount: 501 });
+
+            await expect(attempt).rejects.toBeInstanceOf(WithdrawalLimitExceededError);
+            await expect(attempt).rejects.toMatchObject({ statusCode: 422, limit: 'PER_TOKEN', limitAmount: 500, remaining: 500 });
+        });
+
+        it('states the limit in the currency of the account', async () => {
+            givenUsage({ currency: 'NGN' });
+
+            await expect(limitService.assertWithinLimits(trx, { account, amount: 50001 }))
+                .rejects.toMatchObject({
+                    limit: 'PER_TOKEN',
+                    limitAmount: 50000,
+                    currency: 'NGN',
+                    message: 'Amount exceeds the per-token withdrawal limit of NGN 500.00; at most NGN 500.00 can be withdrawn now'
+                });
+        });
+
+        it('counts outstanding tokens towards the daily limit', async () => {
+            givenUsage({ outstanding: 400, daily: 300, monthly: 300 });
+
+            const attempt = limitService.assertWithinLimits(trx, { account, amount: 400 });
+
+            await expect(attempt).rejects.toMatchObject({ limit: 'DAILY', limitAmount: 1000, remaining: 300 });
+        });
+
+        it('refuses an amount above the rolling monthly total', async () => {
+            givenUsage({ daily: 0, monthly: 4900 });
+
+            const attempt = limitService.assertWithinLimits(trx, { account, amount: 200 });
+
+            await expect(attempt).rejects.toMatchObject({ limit: 'MONTHLY', limitAmount: 5000, remaining: 100 });
+        });
+
+        it('never reports a negative allowance once a limit is used up', async () => {
+            givenUsage({ outstanding: 700, daily: 600, monthly: 1300 });
+
+            await expect(limitService.assertWithinLimits(trx, { account, amount: 1 }))
+                .rejects.toMatchObject({ limit: 'DAILY', remaining: 0 });
+        });
+
+        it('applies the limits of the account tier', async () => {
+            givenUsage({ tier: 'PREMIUM', daily: 1000, monthly: 1000 });
+
+            const result = await limitService.assertWithinLimits(trx, { account, amount: 1500 });
+
+            expect(result.limits.daily).toBe(4000);
+        });
+
+        it('ignores reversed withdrawals and only looks back 30 days', async () => {
+            givenUsage();
+
+            await limitService.assertWithinLimits(trx, { account, amount: 1 });
+
+            const ledger = queries['transactions as t'];
+            expect(ledger.leftJoin).toHaveBeenCalledWith('transactions as r', 'r.reversal_of', 't.id');
+            expect(ledger.whereNull).toHaveBeenCalledWith('r.id');
+            const [, , monthStart] = ledger.andWhere.mock.calls[0];
+            expect(Date.now() - monthStart.getTime()).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000);
+        });
+    });
+});
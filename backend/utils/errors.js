@@ -64,6 +64,16 @@ class ForbiddenError extends AppError {
   }
 }
 
+/**
+ * Account Inactive Error (403)
+ * Used when an INACTIVE account attempts to issue or redeem tokens
+ */
+class AccountInactiveError extends ForbiddenError {
+  constructor(message = 'Account is inactive') {
+    super(message);
+  }
+}
+
 /**
  * Not Found Error (404)
  * Used when resource doesn't exist
@@ -85,6 +95,17 @@ class ConflictError extends AppError {
   }
 }
 
+/**
+ * Active Token Limit Error (409)
+ * Used when an account already holds the maximum number of live tokens
+ */
+class ActiveTokenLimitError extends ConflictError {
+  constructor(message = 'Too many active tokens', maxActive = null) {
+    super(message);
+    this.maxActive = maxActive;
+  }
+}
+
 /**
  * Validation Error (422)
  * Used for business logic validation failures
@@ -96,6 +117,55 @@ class ValidationError extends AppError {
   }
 }
 
+/**
+ * Insufficient Funds Error (422)
+ * Used when an account's available balance cannot cover a requested amount
+ */
+class InsufficientFundsError extends AppError {
+  constructor(message = 'Insufficient available balance', available = null) {
+    super(message, 422);
+    this.available = available;
+  }
+}
+
+/**
+ * Currency Mismatch Error (422)
+ * Used when a request names a currency other than the account's
+ */
+class CurrencyMismatchError extends AppError {
+  constructor(message = 'Currency does not match the account', accountCurrency = null) {
+    super(message, 422);
+    this.accountCurrency = accountCurrency;
+  }
+}
+
+/**
+ * Amount Not Dispensable Error (422)
+ * Used when agents could not pay an amount out exactly in the currency's notes
+ */
+class AmountNotDispensableError extends AppError {
+  constructor(message = 'Amount cannot be paid out in available notes', { currency = null, below = null, above = null } = {}) {
+    super(message, 422);
+    this.currency = currency;
+    this.below = below;
+    this.above = above;
+  }
+}
+
+/**
+ * Withdrawal Limit Exceeded Error (422)
+ * Used when an amount would break the account's per-token, daily or monthly withdrawal limit
+ */
+class WithdrawalLimitExceededError extends AppError {
+  constructor(message = 'Withdrawal limit exceeded', { limit = null, limitAmount = null, remaining = null, currency = null } = {}) {
+    super(message, 422);
+    this.limit = limit;
+    this.limitAmount = limitAmount;
+    this.remaining = remaining;
+    this.currency = currency;
+  }
+}
+
 /**
  * Database Error (500)
  * Used for database-related errors
@@ -204,9 +274,15 @@ module.exports = {
   BadRequestError,
   UnauthorizedError,
   ForbiddenError,
+  AccountInactiveError,
   NotFoundError,
   ConflictError,
+  ActiveTokenLimitError,
   ValidationError,
+  InsufficientFundsError,
+  CurrencyMismatchError,
+  AmountNotDispensableError,
+  WithdrawalLimitExceededError,
   DatabaseError,
   RateLimitError,
   formatErrorResponse,
@@ -0,0 +1,26 @@
+/**
+ * Service Key Derivation
+ *
+ * Every key a service needs (agent credential encryption, OTP and QR payload MACs, stored
+ * idempotency response encryption) is derived from SERVICE_KEY_SECRET with HKDF-SHA256 under
+ * a purpose label of its own, so one key never serves two uses. The token hashing peppers
+ * play no part: rotating or retiring one leaves these keys, and everything protected with
+ * them, unchanged.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const KEY_LENGTH = 32;
+
+/**
+ * @param {string} purpose Label of the one use of the key (HKDF info), e.g. 'redemption-otp'
+ * @returns {Buffer} 32-byte key
+ */
+const deriveKey = (purpose) => Buffer.from(
+  crypto.hkdfSync('sha256', config.keys.secret, Buffer.alloc(0), purpose, KEY_LENGTH)
+);
+
+module.exports = {
+  deriveKey,
+};
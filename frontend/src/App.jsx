@@ -1,14 +1,26 @@
-import { useState } from 'react'
+import { BrowserRouter, NavLink, Route, Routes } from 'react-router-dom'
+import CustomerTokenPage from './pages/CustomerTokenPage'
+import AgentConsolePage from './pages/AgentConsolePage'
 import './App.css'
 
+const navLinkClass = ({ isActive }) => (isActive ? 'font-semibold text-blue-700' : 'text-gray-600')
+
 function App() {
   return (
-    <div className="min-h-screen bg-gray-100 flex items-center justify-center">
-      <div className="bg-white p-8 rounded-lg shadow-md">
-        <h1 className="text-2xl font-bold mb-4">Cardless Cash System</h1>
-        <p>Welcome to the Cardless Cash Withdrawal System.</p>
+    <BrowserRouter>
+      <div className="min-h-screen bg-gray-100">
+        <nav className="flex gap-4 bg-white px-6 py-3 text-sm shadow-sm">
+          <NavLink to="/" end className={navLinkClass}>Withdraw</NavLink>
+          <NavLink to="/agent" className={navLinkClass}>Agent console</NavLink>
+        </nav>
+        <main className="flex items-center justify-center p-4">
+          <Routes>
+            <Route path="/" element={<CustomerTokenPage />} />
+            <Route path="/agent" element={<AgentConsolePage />} />
+          </Routes>
+        </main>
       </div>
-    </div>
+    </BrowserRouter>
   )
 }
 
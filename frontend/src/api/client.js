@@ -0,0 +1,163 @@
+import axios from 'axios'
+
+// Set by docker-compose; falls back to the backend's default local port
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+const client = axios.create({
+  baseURL: `${API_URL}/api/v1`,
+  timeout: 15000,
+  headers: { 'Content-Type': 'application/json' },
+})
+
+/**
+ * Error raised for every failed API call, whatever shape the backend used.
+ * Controllers answer { error, message }, while the rate limiter and the global
+ * error handler answer { error: { message, statusCode, retryAfter } }.
+ */
+export class ApiError extends Error {
+  constructor({ status, title, message, details }) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.title = title
+    this.details = details
+  }
+}
+
+const toApiError = (error) => {
+  if (!error.response) {
+    return new ApiError({
+      status: 0,
+      title: 'Network Error',
+      message: 'The server could not be reached. Check your connection and try again.',
+      details: {},
+    })
+  }
+
+  const { status, data } = error.response
+  const body = data || {}
+
+  if (body.error && typeof body.error === 'object') {
+    const { message, statusCode, ...details } = body.error
+    return new ApiError({
+      status: statusCode || status,
+      title: status === 429 ? 'Too Many Requests' : 'Request Failed',
+      message: message || 'The request failed',
+      details,
+    })
+  }
+
+  const { error: title, message, ...details } = body
+  return new ApiError({
+    status,
+    title: title || 'Request Failed',
+    message: message || title || 'The request failed',
+    details,
+  })
+}
+
+client.interceptors.response.use(
+  (response) => response,
+  (error) => Promise.reject(toApiError(error)),
+)
+
+const bearerHeaders = (accessToken) => ({ Authorization: `Bearer ${accessToken}` })
+
+/**
+ * Accounts the signed-in customer owns.
+ * @param {string} accessToken Customer access token
+ * @returns {Promise<Object[]>} Accounts with currency, and balance, heldAmount and available in its minor units
+ */
+export const listOwnedAccounts = async (accessToken) => {
+  const { data } = await client.get('/accounts/mine', { headers: bearerHeaders(accessToken) })
+  return data.data
+}
+
+/**
+ * Requests a withdrawal token. The Idempotency-Key makes a retried submission
+ * return the same token instead of placing a second hold.
+ * @param {Object} request
+ * @param {string} request.accountId
+ * @param {number} request.amount Minor units of currency (e.g. kobo)
+ * @param {string} request.currency ISO 4217 code; must be the account's
+ * @param {string} [request.kind] 'NUMERIC' for a digit-only token redeemable on keypads
+ * @param {string} [request.pin] Customer PIN, required with NUMERIC
+ * @param {string} accessToken Customer access token; the account must be theirs
+ * @param {string} idempotencyKey
+ * @returns {Promise<Object>} { id, token, kind, amount, currency, expiresAt }
+ */
+export const generateToken = async ({ accountId, amount, currency, kind, pin }, accessToken, idempotencyKey) => {
+  const { data } = await client.post(
+    '/tokens',
+    kind === 'NUMERIC' ? { accountId, amount, currency, kind, pin } : { accountId, amount, currency },
+    { headers: { ...bearerHeaders(accessToken), 'Idempotency-Key': idempotencyKey } },
+  )
+  return data.data
+}
+
+/**
+ * Agent credential headers for redemption calls (API-key mode).
+ * @param {Object} agent
+ * @param {string} agent.agentId
+ * @param {string} agent.apiKey
+ */
+const agentHeaders = ({ agentId, apiKey }) => ({
+  'X-Agent-Id': agentId,
+  'X-Agent-Key': apiKey,
+})
+
+/**
+ * Looks an account up for the agent to confirm before redeeming.
+ * @param {string} accountRef External (core banking) account reference
+ * @param {Object} agent See agentHeaders
+ * @returns {Promise<Object>} Account with balance, heldAmount and available
+ */
+export const lookupAccount = async (accountRef, agent) => {
+  const { data } = await client.get(
+    `/accounts/by-ref/${encodeURIComponent(accountRef)}`,
+    { headers: agentHeaders(agent) },
+  )
+  return data.data
+}
+
+/**
+ * Redeems a token as an authenticated agent.
+ * @param {Object} request
+ * @param {string} request.token
+ * @param {string} request.accountId
+ * @param {string} [request.pin] Customer PIN, for numeric tokens
+ * @param {Object} agent See agentHeaders
+ * @param {string} idempotencyKey
+ * @returns {Promise<Object>} { status, data }: 200 redeemed, 202 OTP challenge required
+ */
+export const redeemToken = async ({ token, accountId, pin }, agent, idempotencyKey) => {
+  const response = await client.post(
+    '/tokens/redeem-token',
+    { token, accountId, pin },
+    { headers: { ...agentHeaders(agent), 'Idempotency-Key': idempotencyKey } },
+  )
+  return { status: response.status, data: response.data }
+}
+
+/**
+ * Completes a challenged redemption with the OTP the account holder received.
+ * @param {Object} request
+ * @param {string} request.challengeId
+ * @param {string} request.otp
+ * @param {string} request.token
+ * @param {string} request.accountId
+ * @param {string} [request.pin] Customer PIN, for numeric tokens
+ * @param {Object} agent See agentHeaders
+ * @param {string} idempotencyKey
+ * @returns {Promise<Object>} { status, data }
+ */
+export const verifyRedemption = async ({ challengeId, otp, token, accountId, pin }, agent, idempotencyKey) => {
+  const response = await client.post(
+    '/tokens/redeem-token/verify',
+    { challengeId, otp, token, accountId, pin },
+    { headers: { ...agentHeaders(agent), 'Idempotency-Key': idempotencyKey } },
+  )
+  return { status: response.status, data: response.data }
+}
+
+export default client
@@ -0,0 +1,74 @@
+import { useEffect, useState } from 'react'
+import { listOwnedAccounts } from '../api/client'
+import { formatAmount } from '../utils/format'
+import ErrorAlert from './ErrorAlert'
+
+/**
+ * Lists the signed-in customer's accounts to pick one from. Balances are
+ * fetched fresh every time the selector is shown.
+ */
+function AccountSelector({ accessToken, selected, onSelect }) {
+  const [accounts, setAccounts] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    listOwnedAccounts(accessToken)
+      .then((owned) => {
+        if (!cancelled) {
+          setAccounts(owned)
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err)
+        }
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [accessToken])
+
+  return (
+    <section className="space-y-3">
+      <h2 className="text-lg font-semibold">1. Select account</h2>
+
+      {accounts === null && !error && <p className="text-sm text-gray-600">Loading your accounts…</p>}
+
+      {accounts !== null && accounts.length === 0 && (
+        <p className="text-sm text-gray-600">No accounts are linked to your sign-in yet.</p>
+      )}
+
+      {accounts !== null && accounts.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {accounts.map((account) => (
+            <button
+              key={account.id}
+              type="button"
+              onClick={() => onSelect(account)}
+              className={`rounded-full border px-3 py-1 text-sm ${
+                selected?.id === account.id ? 'border-blue-600 bg-blue-50 text-blue-700' : 'border-gray-300'
+              }`}
+            >
+              {account.accountRef}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <ErrorAlert error={error} />
+
+      {selected && (
+        <div className="rounded-md bg-gray-50 p-3 text-sm">
+          <p className="font-medium">{selected.accountRef}</p>
+          <p className="text-gray-600">Available: {formatAmount(selected.available, selected.currency)}</p>
+          {selected.status !== 'ACTIVE' && (
+            <p className="text-red-700">This account is inactive and cannot withdraw.</p>
+          )}
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default AccountSelector
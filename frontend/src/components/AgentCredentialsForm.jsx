@@ -0,0 +1,55 @@
+import { useState } from 'react'
+import { KeyRound } from 'lucide-react'
+
+/**
+ * Signs the terminal in with its agent id and secret. The secret is kept in
+ * memory only, so a reload or a closed tab requires entering it again.
+ */
+function AgentCredentialsForm({ defaultAgentId, onSubmit }) {
+  const [agentId, setAgentId] = useState(defaultAgentId)
+  const [apiKey, setApiKey] = useState('')
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    onSubmit({ agentId: agentId.trim(), apiKey: apiKey.trim() })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <h2 className="flex items-center gap-2 text-lg font-semibold">
+        <KeyRound className="h-5 w-5" aria-hidden="true" />
+        Terminal sign-in
+      </h2>
+      <div>
+        <label htmlFor="agent-id" className="block text-sm text-gray-700">Agent ID</label>
+        <input
+          id="agent-id"
+          value={agentId}
+          onChange={(event) => setAgentId(event.target.value)}
+          autoComplete="username"
+          className="w-full rounded-md border border-gray-300 px-3 py-2"
+        />
+      </div>
+      <div>
+        <label htmlFor="agent-key" className="block text-sm text-gray-700">Agent key</label>
+        <input
+          id="agent-key"
+          type="password"
+          value={apiKey}
+          onChange={(event) => setApiKey(event.target.value)}
+          autoComplete="current-password"
+          className="w-full rounded-md border border-gray-300 px-3 py-2"
+        />
+      </div>
+      <button
+        type="submit"
+        disabled={!agentId.trim() || !apiKey.trim()}
+        className="w-full rounded-md bg-gray-800 px-4 py-2 font-semibold text-white disabled:opacity-50"
+      >
+        Start session
+      </button>
+    </form>
+  )
+}
+
+export default AgentCredentialsForm
@@ -0,0 +1,44 @@
+import { useState } from 'react'
+import { LogIn } from 'lucide-react'
+
+/**
+ * Takes the access token issued by the bank's identity provider. Like agent
+ * credentials it is kept in memory only, so a reload requires signing in again.
+ */
+function CustomerSignInForm({ onSubmit }) {
+  const [accessToken, setAccessToken] = useState('')
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    onSubmit(accessToken.trim())
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <h2 className="flex items-center gap-2 text-lg font-semibold">
+        <LogIn className="h-5 w-5" aria-hidden="true" />
+        Sign in
+      </h2>
+      <div>
+        <label htmlFor="access-token" className="block text-sm text-gray-700">Access token</label>
+        <input
+          id="access-token"
+          type="password"
+          value={accessToken}
+          onChange={(event) => setAccessToken(event.target.value)}
+          autoComplete="off"
+          className="w-full rounded-md border border-gray-300 px-3 py-2 font-mono"
+        />
+      </div>
+      <button
+        type="submit"
+        disabled={!accessToken.trim()}
+        className="w-full rounded-md bg-blue-600 px-4 py-2 font-semibold text-white disabled:opacity-50"
+      >
+        Continue
+      </button>
+    </form>
+  )
+}
+
+export default CustomerSignInForm
@@ -0,0 +1,97 @@
+import { AlertCircle } from 'lucide-react'
+import { formatAmount } from '../utils/format'
+
+const LIMIT_NAMES = {
+  PER_TOKEN: 'per-withdrawal',
+  DAILY: 'daily',
+  MONTHLY: 'monthly',
+}
+
+/**
+ * Customer-facing wording for an ApiError. The backend message is kept when
+ * it is specific (validation details, insufficient funds, withdrawal limits).
+ * Amounts in details are minor units of details.currency, or of the account
+ * currency the form passes in.
+ */
+const describeError = (error, accountCurrency) => {
+  const { status, details = {} } = error
+  const money = (amount) => formatAmount(amount, details.currency || accountCurrency)
+
+  switch (status) {
+    case 0:
+      return { title: 'Connection problem', message: error.message }
+    case 400:
+      return { title: 'Please check your details', message: error.message }
+    case 401:
+      return { title: 'Please sign in again', message: 'Your session has expired or is not valid.' }
+    case 403:
+      return { title: 'Account unavailable', message: error.message }
+    case 404:
+      return { title: 'Account not found', message: error.message }
+    case 409:
+      if (error.title === 'Too Many Active Tokens') {
+        return { title: 'Too many active tokens', message: 'Use or cancel one of your active tokens, or wait for it to expire.' }
+      }
+      return { title: 'Request already in progress', message: 'Please wait a moment before trying again.' }
+    case 422:
+      if (error.title === 'Withdrawal Limit Exceeded') {
+        return {
+          title: 'Withdrawal limit reached',
+          message: `This amount is above your ${LIMIT_NAMES[details.limit] || 'withdrawal'} limit of ${money(details.limitAmount)}. `
+            + (details.remaining > 0
+              ? `You can withdraw up to ${money(details.remaining)} right now.`
+              : 'Please try again later.'),
+        }
+      }
+      if (error.title === 'Amount Not Dispensable') {
+        const options = [details.below, details.above].filter((option) => option !== null && option !== undefined)
+        return {
+          title: 'Amount cannot be paid in notes',
+          message: `Agents can only pay out amounts made of whole banknotes. Try ${options.map(money).join(' or ')}.`,
+        }
+      }
+      if (error.title === 'Currency Mismatch') {
+        return {
+          title: 'Wrong currency',
+          message: details.accountCurrency
+            ? `This account is held in ${details.accountCurrency}. Please reload your accounts and try again.`
+            : error.message,
+        }
+      }
+      return {
+        title: error.title === 'Insufficient Funds' ? 'Insufficient funds' : 'Request not accepted',
+        message: details.available !== undefined
+          ? `${error.message}. Available: ${money(details.available)}`
+          : error.message,
+      }
+    case 429:
+      return {
+        title: 'Too many requests',
+        message: details.retryAfter
+          ? `For your security, please wait ${details.retryAfter} seconds before requesting another token.`
+          : 'For your security, please wait a moment before requesting another token.',
+      }
+    default:
+      return { title: 'Something went wrong', message: 'Please try again later.' }
+  }
+}
+
+function ErrorAlert({ error, currency }) {
+  if (!error) {
+    return null
+  }
+
+  const { title, message } = describeError(error, currency)
+
+  return (
+    <div role="alert" className="flex gap-3 rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-800">
+      <AlertCircle className="h-5 w-5 shrink-0" aria-hidden="true" />
+      <div>
+        <p className="font-semibold">{title}</p>
+        <p>{message}</p>
+      </div>
+    </div>
+  )
+}
+
+export default ErrorAlert
@@ -0,0 +1,135 @@
+import { useState } from 'react'
+import { lookupAccount } from '../api/client'
+import { PIN_PATTERN, TOKEN_PATTERN, formatTokenInput, isNumericToken } from '../utils/token'
+import ErrorAlert from './ErrorAlert'
+
+/**
+ * Token entry plus account confirmation. The agent looks the account up by the
+ * reference the customer gives and confirms it before the token is submitted.
+ * Numeric tokens also need the customer's PIN, which the customer types in.
+ */
+function RedemptionForm({ agent, submitting, onSubmit }) {
+  const [token, setToken] = useState('')
+  const [pin, setPin] = useState('')
+  const [accountRef, setAccountRef] = useState('')
+  const [account, setAccount] = useState(null)
+  const [confirmed, setConfirmed] = useState(false)
+  const [lookupError, setLookupError] = useState(null)
+  const [lookingUp, setLookingUp] = useState(false)
+
+  const tokenValid = TOKEN_PATTERN.test(token)
+  const numeric = token !== '' && isNumericToken(token)
+  const pinValid = !numeric || PIN_PATTERN.test(pin)
+  const canSubmit = tokenValid && pinValid && account && confirmed && !submitting
+
+  const handleLookup = async () => {
+    setLookingUp(true)
+    setLookupError(null)
+    setAccount(null)
+    setConfirmed(false)
+    try {
+      setAccount(await lookupAccount(accountRef.trim(), agent))
+    } catch (err) {
+      setLookupError(err)
+    } finally {
+      setLookingUp(false)
+    }
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    if (canSubmit) {
+      onSubmit(numeric ? { token, pin, account } : { token, account })
+      setPin('')
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label htmlFor="token" className="block text-sm text-gray-700">Withdrawal token</label>
+        <input
+          id="token"
+          value={token}
+          onChange={(event) => setToken(formatTokenInput(event.target.value))}
+          placeholder="XXXX-XXXXXXXXX or digits"
+          autoComplete="off"
+          spellCheck={false}
+          className="w-full rounded-md border border-gray-300 px-3 py-2 font-mono text-lg tracking-widest"
+        />
+        {token !== '' && !tokenValid && (
+          <p className="text-sm text-gray-600">Type the token exactly as shown to the customer, including hyphens.</p>
+        )}
+      </div>
+
+      {numeric && (
+        <div>
+          <label htmlFor="redeem-pin" className="block text-sm text-gray-700">Customer PIN</label>
+          <input
+            id="redeem-pin"
+            type="password"
+            inputMode="numeric"
+            maxLength={6}
+            value={pin}
+            onChange={(event) => setPin(event.target.value.replace(/\D/g, ''))}
+            autoComplete="off"
+            className="w-full rounded-md border border-gray-300 px-3 py-2 font-mono tracking-widest"
+          />
+          <p className="text-sm text-gray-600">Numeric tokens need the 4-6 digit PIN the customer chose. Let the customer enter it.</p>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="redeem-account-ref" className="block text-sm text-gray-700">Customer account reference</label>
+        <div className="flex gap-2">
+          <input
+            id="redeem-account-ref"
+            value={accountRef}
+            onChange={(event) => {
+              setAccountRef(event.target.value)
+              setAccount(null)
+              setConfirmed(false)
+            }}
+            autoComplete="off"
+            className="flex-1 rounded-md border border-gray-300 px-3 py-2"
+          />
+          <button
+            type="button"
+            onClick={handleLookup}
+            disabled={!accountRef.trim() || lookingUp}
+            className="rounded-md bg-gray-800 px-3 py-2 text-white disabled:opacity-50"
+          >
+            {lookingUp ? 'Looking up…' : 'Look up'}
+          </button>
+        </div>
+      </div>
+
+      <ErrorAlert error={lookupError} />
+
+      {account && (
+        <label className="flex items-start gap-2 rounded-md bg-gray-50 p-3 text-sm">
+          <input
+            type="checkbox"
+            checked={confirmed}
+            onChange={(event) => setConfirmed(event.target.checked)}
+            className="mt-1"
+          />
+          <span>
+            I have confirmed with the customer that account <strong>{account.accountRef}</strong> is theirs.
+            {account.status !== 'ACTIVE' && <span className="block text-red-700">This account is inactive.</span>}
+          </span>
+        </label>
+      )}
+
+      <button
+        type="submit"
+        disabled={!canSubmit}
+        className="w-full rounded-md bg-blue-600 px-4 py-2 font-semibold text-white disabled:opacity-50"
+      >
+        {submitting ? 'Redeeming…' : 'Redeem token'}
+      </button>
+    </form>
+  )
+}
+
+export default RedemptionForm
@@ -0,0 +1,37 @@
+import { OUTCOME_KINDS } from '../utils/redemptionOutcome'
+
+const BADGES = {
+  [OUTCOME_KINDS.SUCCESS]: 'bg-green-100 text-green-800',
+  [OUTCOME_KINDS.CHALLENGE]: 'bg-blue-100 text-blue-800',
+  [OUTCOME_KINDS.DECLINED]: 'bg-red-100 text-red-800',
+  [OUTCOME_KINDS.INVALID]: 'bg-red-100 text-red-800',
+}
+
+/**
+ * Redemptions attempted at this terminal during the current browser session.
+ */
+function RedemptionHistory({ entries }) {
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-500">No redemptions in this session yet.</p>
+  }
+
+  return (
+    <ul className="divide-y divide-gray-200 text-sm">
+      {entries.map((entry) => (
+        <li key={entry.id} className="flex items-center justify-between gap-2 py-2">
+          <div>
+            <p className="font-mono">{entry.maskedToken}</p>
+            <p className="text-gray-500">
+              {entry.accountRef} · {new Date(entry.at).toLocaleTimeString()}
+            </p>
+          </div>
+          <span className={`rounded-full px-2 py-0.5 text-xs font-semibold ${BADGES[entry.kind] || 'bg-amber-100 text-amber-800'}`}>
+            {entry.title}
+          </span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default RedemptionHistory
@@ -0,0 +1,75 @@
+import { useState } from 'react'
+import { AlertTriangle, CheckCircle2, Clock, ShieldAlert, XCircle } from 'lucide-react'
+import { OUTCOME_KINDS } from '../utils/redemptionOutcome'
+
+const STYLES = {
+  [OUTCOME_KINDS.SUCCESS]: { Icon: CheckCircle2, className: 'border-green-200 bg-green-50 text-green-800' },
+  [OUTCOME_KINDS.CHALLENGE]: { Icon: ShieldAlert, className: 'border-blue-200 bg-blue-50 text-blue-800' },
+  [OUTCOME_KINDS.INVALID]: { Icon: XCircle, className: 'border-red-200 bg-red-50 text-red-800' },
+  [OUTCOME_KINDS.DECLINED]: { Icon: ShieldAlert, className: 'border-red-300 bg-red-100 text-red-900' },
+  [OUTCOME_KINDS.UNAVAILABLE]: { Icon: AlertTriangle, className: 'border-amber-200 bg-amber-50 text-amber-800' },
+  [OUTCOME_KINDS.RATE_LIMITED]: { Icon: Clock, className: 'border-amber-200 bg-amber-50 text-amber-800' },
+  [OUTCOME_KINDS.ERROR]: { Icon: AlertTriangle, className: 'border-gray-300 bg-gray-50 text-gray-800' },
+}
+
+/**
+ * Result of the last redemption. A CHALLENGE outcome collects the customer's
+ * one-time code; every other outcome offers to start the next redemption.
+ */
+function RedemptionOutcome({ outcome, submitting, onVerify, onReset }) {
+  const [otp, setOtp] = useState('')
+  const { Icon, className } = STYLES[outcome.kind]
+
+  const handleVerify = (event) => {
+    event.preventDefault()
+    onVerify(otp)
+  }
+
+  return (
+    <section role="status" className={`space-y-3 rounded-lg border p-4 ${className}`}>
+      <p className="flex items-center gap-2 text-lg font-semibold">
+        <Icon className="h-6 w-6" aria-hidden="true" />
+        {outcome.title}
+      </p>
+      <p>{outcome.message}</p>
+
+      {outcome.reasons?.length > 0 && (
+        <ul className="list-disc pl-6 text-sm">
+          {outcome.reasons.map((reason) => <li key={reason}>{reason}</li>)}
+        </ul>
+      )}
+
+      {outcome.transactionId && (
+        <p className="text-sm">Transaction: <span className="font-mono">{outcome.transactionId}</span></p>
+      )}
+
+      {outcome.kind === OUTCOME_KINDS.CHALLENGE && (
+        <form onSubmit={handleVerify} className="flex gap-2">
+          <label htmlFor="otp" className="sr-only">One-time code</label>
+          <input
+            id="otp"
+            value={otp}
+            onChange={(event) => setOtp(event.target.value.replace(/\D/g, '').slice(0, 10))}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="One-time code"
+            className="flex-1 rounded-md border border-gray-300 px-3 py-2 text-gray-900"
+          />
+          <button
+            type="submit"
+            disabled={otp.length < 4 || submitting}
+            className="rounded-md bg-blue-600 px-3 py-2 font-semibold text-white disabled:opacity-50"
+          >
+            {submitting ? 'Verifying…' : 'Verify'}
+          </button>
+        </form>
+      )}
+
+      <button type="button" onClick={onReset} className="text-sm font-medium underline">
+        {outcome.kind === OUTCOME_KINDS.CHALLENGE ? 'Cancel' : 'Next customer'}
+      </button>
+    </section>
+  )
+}
+
+export default RedemptionOutcome
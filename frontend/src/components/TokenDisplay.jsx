@@ -0,0 +1,90 @@
+import { useEffect, useState } from 'react'
+import { Check, Clock, Copy } from 'lucide-react'
+import { formatCountdown, useCountdown } from '../hooks/useCountdown'
+import { formatAmount } from '../utils/format'
+
+const COPIED_RESET_MS = 2000
+
+/**
+ * Shows a freshly generated token until it expires. The token is only
+ * returned once by the API, so it is never persisted in the browser.
+ */
+function TokenDisplay({ token, onDismiss }) {
+  const secondsLeft = useCountdown(token.expiresAt)
+  const expired = secondsLeft === 0
+  const [copyState, setCopyState] = useState('idle')
+
+  useEffect(() => {
+    if (copyState !== 'copied') {
+      return undefined
+    }
+    const timer = setTimeout(() => setCopyState('idle'), COPIED_RESET_MS)
+    return () => clearTimeout(timer)
+  }, [copyState])
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(token.token)
+      setCopyState('copied')
+    } catch {
+      // Clipboard access needs a secure context and permission
+      setCopyState('failed')
+    }
+  }
+
+  return (
+    <section className="space-y-4 rounded-lg border border-blue-200 bg-blue-50 p-4" aria-live="polite">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Your withdrawal token</h2>
+        <span className="text-sm text-gray-700">Amount: {formatAmount(token.amount, token.currency)}</span>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <code className={`flex-1 rounded-md bg-white px-3 py-2 text-center font-mono text-2xl tracking-widest ${
+          expired ? 'text-gray-400 line-through' : ''
+        }`}
+        >
+          {token.token}
+        </code>
+        <button
+          type="button"
+          onClick={handleCopy}
+          disabled={expired}
+          aria-label="Copy token"
+          className="rounded-md border border-gray-300 bg-white p-2 disabled:opacity-50"
+        >
+          {copyState === 'copied'
+            ? <Check className="h-5 w-5 text-green-600" aria-hidden="true" />
+            : <Copy className="h-5 w-5" aria-hidden="true" />}
+        </button>
+      </div>
+      {copyState === 'copied' && <p className="text-sm text-green-700">Copied to clipboard.</p>}
+      {copyState === 'failed' && <p className="text-sm text-red-700">Copy failed; please note the token manually.</p>}
+
+      <p className={`flex items-center gap-2 text-sm ${expired ? 'text-red-700' : 'text-gray-700'}`}>
+        <Clock className="h-4 w-4" aria-hidden="true" />
+        {expired
+          ? 'This token has expired. The held amount will be released back to your account.'
+          : <>Expires in <span className="font-mono font-semibold">{formatCountdown(secondsLeft)}</span></>}
+      </p>
+
+      {token.cancelledTokenIds?.length > 0 && (
+        <p className="text-sm text-amber-800">
+          {token.cancelledTokenIds.length === 1
+            ? 'Your oldest active token was cancelled to make room for this one.'
+            : `Your ${token.cancelledTokenIds.length} oldest active tokens were cancelled to make room for this one.`}
+        </p>
+      )}
+
+      <p className="text-sm text-gray-600">
+        Present this token at an agent or ATM. Never share it with anyone who calls or messages you.
+      </p>
+
+      <button type="button" onClick={onDismiss} className="text-sm font-medium text-blue-700 underline">
+        {expired ? 'Request a new token' : 'Done'}
+      </button>
+    </section>
+  )
+}
+
+export default TokenDisplay
@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import { generateToken } from '../api/client'
+import { useIdempotencyKey } from '../hooks/useIdempotencyKey'
+import { formatAmount, minorUnitDigits, toMinorUnits } from '../utils/format'
+import { PIN_PATTERN } from '../utils/token'
+import ErrorAlert from './ErrorAlert'
+
+/**
+ * Amount entry and token request for the selected account.
+ * The amount is typed in the account currency and sent in its minor units. A
+ * numeric token (for ATMs and keypad terminals) is protected by a PIN the
+ * customer chooses here. Resubmitting the same request after a timeout reuses
+ * its Idempotency-Key, so it cannot issue a second token.
+ */
+function TokenRequestForm({ account, accessToken, onGenerated }) {
+  const [amount, setAmount] = useState('')
+  const [numeric, setNumeric] = useState(false)
+  const [pin, setPin] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+  const idempotency = useIdempotencyKey()
+
+  const digits = account ? minorUnitDigits(account.currency) : 0
+  const minorAmount = account ? toMinorUnits(amount, account.currency) : NaN
+  const amountValid = Number.isInteger(minorAmount) && minorAmount >= 1
+  const pinValid = !numeric || PIN_PATTERN.test(pin)
+  const canSubmit = Boolean(account) && account.status === 'ACTIVE' && amountValid && pinValid && !submitting
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    if (!canSubmit) {
+      return
+    }
+
+    setSubmitting(true)
+    setError(null)
+    try {
+      const request = { accountId: account.id, amount: minorAmount, currency: account.currency }
+      if (numeric) {
+        Object.assign(request, { kind: 'NUMERIC', pin })
+      }
+      const token = await generateToken(request, accessToken, idempotency.keyFor(JSON.stringify(request)))
+      idempotency.settle()
+      setAmount('')
+      setPin('')
+      onGenerated(token)
+    } catch (err) {
+      idempotency.settle(err)
+      setError(err)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <section className="space-y-3">
+      <h2 className="text-lg font-semibold">2. Enter amount</h2>
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <label htmlFor="amount" className="block text-sm text-gray-700">
+          Amount to withdraw{account && ` (${account.currency})`}
+        </label>
+        <input
+          id="amount"
+          type="number"
+          inputMode={digits > 0 ? 'decimal' : 'numeric'}
+          min={10 ** -digits}
+          step={10 ** -digits}
+          value={amount}
+          onChange={(event) => setAmount(event.target.value)}
+          disabled={!account}
+          className="w-full rounded-md border border-gray-300 px-3 py-2"
+        />
+        {amount !== '' && !amountValid && (
+          <p className="text-sm text-red-700">
+            {digits > 0
+              ? `Enter an amount of at least ${formatAmount(1, account.currency)} with at most ${digits} decimal places.`
+              : 'Enter a whole amount of at least 1.'}
+          </p>
+        )}
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={numeric}
+            onChange={(event) => setNumeric(event.target.checked)}
+            disabled={!account}
+          />
+          Numbers-only token (for ATMs and keypad terminals)
+        </label>
+
+        {numeric && (
+          <div>
+            <label htmlFor="token-pin" className="block text-sm text-gray-700">Choose a 4-6 digit PIN</label>
+            <input
+              id="token-pin"
+              type="password"
+              inputMode="numeric"
+              maxLength={6}
+              value={pin}
+              onChange={(event) => setPin(event.target.value.replace(/\D/g, ''))}
+              autoComplete="off"
+              className="w-full rounded-md border border-gray-300 px-3 py-2 font-mono tracking-widest"
+            />
+            <p className="text-sm text-gray-600">You will need this PIN to withdraw. It is never shown again.</p>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={!canSubmit}
+          className="w-full rounded-md bg-blue-600 px-4 py-2 font-semibold text-white disabled:opacity-50"
+        >
+          {submitting ? 'Generating…' : 'Generate withdrawal token'}
+        </button>
+      </form>
+
+      <ErrorAlert error={error} currency={account?.currency} />
+    </section>
+  )
+}
+
+export default TokenRequestForm
@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react'
+
+/**
+ * Whole seconds remaining until `expiresAt`, re-rendering once per second.
+ * Never goes below zero.
+ * @param {string} expiresAt ISO timestamp
+ * @returns {number}
+ */
+export function useCountdown(expiresAt) {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  return Math.max(0, Math.ceil((new Date(expiresAt).getTime() - now) / 1000))
+}
+
+/**
+ * @param {number} totalSeconds
+ * @returns {string} m:ss
+ */
+export const formatCountdown = (totalSeconds) => {
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = String(totalSeconds % 60).padStart(2, '0')
+  return `${minutes}:${seconds}`
+}
@@ -0,0 +1,38 @@
+import { useCallback, useRef } from 'react'
+
+/**
+ * Whether the backend has given its final answer for a key. It stores the
+ * first 2xx or 4xx response for a key and replays it. Network errors, 5xx
+ * responses and 409 Request In Progress leave the outcome unknown, so a retry
+ * must send the same key and cannot act twice.
+ * @param {import('../api/client').ApiError} error
+ * @returns {boolean}
+ */
+const isSettled = (error) =>
+  error.status > 0 && error.status < 500 && error.title !== 'Request In Progress'
+
+/**
+ * Idempotency-Key for one logical request at a time. keyFor() returns the same
+ * key while the request body (its fingerprint) is unchanged and the last
+ * attempt has not settled. A changed body gets a fresh key.
+ * @returns {{ keyFor: (fingerprint: string) => string, settle: (error?: Error) => void }}
+ */
+export function useIdempotencyKey() {
+  const current = useRef(null)
+
+  const keyFor = useCallback((fingerprint) => {
+    if (current.current?.fingerprint !== fingerprint) {
+      current.current = { fingerprint, key: crypto.randomUUID() }
+    }
+    return current.current.key
+  }, [])
+
+  // Call with no error after a success, or with the error an attempt failed with
+  const settle = useCallback((error) => {
+    if (!error || isSettled(error)) {
+      current.current = null
+    }
+  }, [])
+
+  return { keyFor, settle }
+}
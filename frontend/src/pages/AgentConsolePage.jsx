@@ -0,0 +1,142 @@
+import { useState } from 'react'
+import { LogOut } from 'lucide-react'
+import { redeemToken, verifyRedemption } from '../api/client'
+import AgentCredentialsForm from '../components/AgentCredentialsForm'
+import RedemptionForm from '../components/RedemptionForm'
+import RedemptionOutcome from '../components/RedemptionOutcome'
+import RedemptionHistory from '../components/RedemptionHistory'
+import { useIdempotencyKey } from '../hooks/useIdempotencyKey'
+import { OUTCOME_KINDS, outcomeFromError, outcomeFromResponse } from '../utils/redemptionOutcome'
+import { maskToken } from '../utils/token'
+
+const LAST_AGENT_KEY = 'cardless-cash:agent-id'
+const historyKey = (agentId) => `cardless-cash:agent-history:${agentId}`
+const MAX_HISTORY = 50
+
+const loadHistory = (agentId) => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(historyKey(agentId)))
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Agent console: sign the terminal in, redeem tokens (with OTP step-up when the
+ * risk engine asks for it) and review this session's redemptions. A redeem or
+ * code submission retried after a timeout reuses its Idempotency-Key, so the
+ * backend pays out or checks the code only once.
+ */
+function AgentConsolePage() {
+  const [agent, setAgent] = useState(null)
+  const [history, setHistory] = useState([])
+  const [pending, setPending] = useState(null)
+  const [outcome, setOutcome] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  const idempotency = useIdempotencyKey()
+
+  const handleSignIn = (credentials) => {
+    sessionStorage.setItem(LAST_AGENT_KEY, credentials.agentId)
+    setAgent(credentials)
+    setHistory(loadHistory(credentials.agentId))
+  }
+
+  const handleSignOut = () => {
+    setAgent(null)
+    setPending(null)
+    setOutcome(null)
+  }
+
+  const record = (request, result) => {
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      maskedToken: maskToken(request.token),
+      accountRef: request.account.accountRef,
+      kind: result.kind,
+      title: result.title,
+      transactionId: result.transactionId,
+    }
+    const next = [entry, ...history].slice(0, MAX_HISTORY)
+    setHistory(next)
+    sessionStorage.setItem(historyKey(agent.agentId), JSON.stringify(next))
+    return entry.id
+  }
+
+  const submit = async (request, send, body) => {
+    setSubmitting(true)
+    let result
+    try {
+      result = outcomeFromResponse(await send(body, agent, idempotency.keyFor(JSON.stringify(body))))
+      idempotency.settle()
+    } catch (err) {
+      idempotency.settle(err)
+      result = outcomeFromError(err)
+    } finally {
+      setSubmitting(false)
+    }
+
+    const id = record(request, result)
+    // A wrong code keeps the existing challenge open for another attempt
+    setPending(result.kind === OUTCOME_KINDS.CHALLENGE
+      ? { ...request, challengeId: result.challengeId || request.challengeId }
+      : null)
+    setOutcome({ ...result, id })
+  }
+
+  const handleRedeem = (request) => submit(request, redeemToken,
+    { token: request.token, accountId: request.account.id, pin: request.pin })
+
+  const handleVerify = (otp) => submit(pending, verifyRedemption,
+    { challengeId: pending.challengeId, otp, token: pending.token, accountId: pending.account.id, pin: pending.pin })
+
+  const handleReset = () => {
+    setPending(null)
+    setOutcome(null)
+  }
+
+  if (!agent) {
+    return (
+      <div className="w-full max-w-md rounded-lg bg-white p-8 shadow-md">
+        <AgentCredentialsForm defaultAgentId={sessionStorage.getItem(LAST_AGENT_KEY) || ''} onSubmit={handleSignIn} />
+      </div>
+    )
+  }
+
+  return (
+    <div className="grid w-full max-w-4xl gap-6 md:grid-cols-[3fr_2fr]">
+      <div className="space-y-6 rounded-lg bg-white p-8 shadow-md">
+        <header className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold">Redeem a token</h1>
+            <p className="text-sm text-gray-600">Terminal {agent.agentId}</p>
+          </div>
+          <button type="button" onClick={handleSignOut} className="flex items-center gap-1 text-sm text-gray-600">
+            <LogOut className="h-4 w-4" aria-hidden="true" />
+            Sign out
+          </button>
+        </header>
+
+        {outcome ? (
+          <RedemptionOutcome
+            key={outcome.id}
+            outcome={outcome}
+            submitting={submitting}
+            onVerify={handleVerify}
+            onReset={handleReset}
+          />
+        ) : (
+          <RedemptionForm agent={agent} submitting={submitting} onSubmit={handleRedeem} />
+        )}
+      </div>
+
+      <aside className="space-y-3 rounded-lg bg-white p-6 shadow-md">
+        <h2 className="text-lg font-semibold">This session</h2>
+        <RedemptionHistory entries={history} />
+      </aside>
+    </div>
+  )
+}
+
+export default AgentConsolePage
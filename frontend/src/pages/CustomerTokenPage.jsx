@@ -0,0 +1,59 @@
+import { useState } from 'react'
+import { LogOut } from 'lucide-react'
+import AccountSelector from '../components/AccountSelector'
+import CustomerSignInForm from '../components/CustomerSignInForm'
+import TokenRequestForm from '../components/TokenRequestForm'
+import TokenDisplay from '../components/TokenDisplay'
+
+/**
+ * Customer flow: sign in, pick an account, request a token for an amount, then
+ * show the token with its countdown until it is used elsewhere or expires.
+ * Tokens can only be requested for accounts the signed-in customer owns.
+ */
+function CustomerTokenPage() {
+  const [accessToken, setAccessToken] = useState(null)
+  const [account, setAccount] = useState(null)
+  const [token, setToken] = useState(null)
+
+  const handleGenerated = (generated) => {
+    setToken(generated)
+    // The hold reduces what is available for the next request
+    setAccount((current) => current && { ...current, available: current.available - generated.amount })
+  }
+
+  const handleSignOut = () => {
+    setAccessToken(null)
+    setAccount(null)
+    setToken(null)
+  }
+
+  return (
+    <div className="w-full max-w-md space-y-6 rounded-lg bg-white p-8 shadow-md">
+      <header className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Cardless Cash Withdrawal</h1>
+          <p className="text-sm text-gray-600">Generate a one-time token to withdraw cash without your card.</p>
+        </div>
+        {accessToken && (
+          <button type="button" onClick={handleSignOut} className="flex items-center gap-1 text-sm text-gray-600">
+            <LogOut className="h-4 w-4" aria-hidden="true" />
+            Sign out
+          </button>
+        )}
+      </header>
+
+      {!accessToken ? (
+        <CustomerSignInForm onSubmit={setAccessToken} />
+      ) : token ? (
+        <TokenDisplay key={token.id} token={token} onDismiss={() => setToken(null)} />
+      ) : (
+        <>
+          <AccountSelector accessToken={accessToken} selected={account} onSelect={setAccount} />
+          <TokenRequestForm account={account} accessToken={accessToken} onGenerated={handleGenerated} />
+        </>
+      )}
+    </div>
+  )
+}
+
+export default CustomerTokenPage
@@ -0,0 +1,31 @@
+/**
+ * Digits after the decimal point in a currency (its ISO 4217 exponent):
+ * 2 for NGN, 0 for UGX, 3 for KWD.
+ * @param {string} currency ISO 4217 code
+ * @returns {number}
+ */
+export const minorUnitDigits = (currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits
+
+/**
+ * @param {number|string} amount Minor units, as the API returns them
+ * @param {string} currency ISO 4217 code
+ * @returns {string} Amount in major units with the currency, in the browser's locale
+ */
+export const formatAmount = (amount, currency) =>
+  (Number(amount) / 10 ** minorUnitDigits(currency)).toLocaleString(undefined, { style: 'currency', currency })
+
+/**
+ * Converts an amount typed in major units (e.g. "1500.50") to minor units.
+ * @param {string} value
+ * @param {string} currency ISO 4217 code
+ * @returns {number} Integer minor units, or NaN if the value has more decimals than the currency allows
+ */
+export const toMinorUnits = (value, currency) => {
+  const digits = minorUnitDigits(currency)
+  const pattern = digits > 0 ? new RegExp(`^\\d+(\\.\\d{1,${digits}})?$`) : /^\d+$/
+  if (!pattern.test(value.trim())) {
+    return NaN
+  }
+  return Math.round(Number(value) * 10 ** digits)
+}
@@ -0,0 +1,119 @@
+/**
+ * Outcome shown to the agent after a redemption call. `kind` drives the styling
+ * and the session history; a CHALLENGE outcome keeps the OTP form open.
+ */
+
+export const OUTCOME_KINDS = {
+  SUCCESS: 'SUCCESS',
+  CHALLENGE: 'CHALLENGE',
+  INVALID: 'INVALID',
+  DECLINED: 'DECLINED',
+  UNAVAILABLE: 'UNAVAILABLE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  ERROR: 'ERROR',
+}
+
+/**
+ * @param {Object} response { status, data } from redeemToken/verifyRedemption
+ * @returns {Object} Outcome
+ */
+export const outcomeFromResponse = ({ status, data }) => {
+  if (status === 202) {
+    return {
+      kind: OUTCOME_KINDS.CHALLENGE,
+      title: 'Customer verification required',
+      message: 'A one-time code was sent to the account holder. Ask the customer for it.',
+      challengeId: data.challengeId,
+      expiresAt: data.expiresAt,
+    }
+  }
+
+  return {
+    kind: OUTCOME_KINDS.SUCCESS,
+    title: 'Token redeemed',
+    message: 'Pay out the cash to the customer.',
+    transactionId: data.transactionId,
+  }
+}
+
+/**
+ * @param {import('../api/client').ApiError} error
+ * @returns {Object} Outcome
+ */
+export const outcomeFromError = (error) => {
+  const { status, title, details = {} } = error
+
+  switch (status) {
+    case 400:
+      if (title === 'Likely Typo') {
+        return {
+          kind: OUTCOME_KINDS.INVALID,
+          title: 'Token mistyped',
+          message: 'One or more characters are wrong. Ask the customer to read the token again.',
+        }
+      }
+      if (title === 'Token Expired') {
+        return { kind: OUTCOME_KINDS.UNAVAILABLE, title: 'Token expired', message: 'Ask the customer to generate a new token.' }
+      }
+      return {
+        kind: OUTCOME_KINDS.INVALID,
+        title: 'Invalid token',
+        message: 'The token does not match this account. Check it with the customer. Do not pay out.',
+      }
+    case 401:
+      if (title === 'Invalid OTP') {
+        // The challenge stays open while attempts remain
+        return {
+          kind: details.attemptsRemaining > 0 ? OUTCOME_KINDS.CHALLENGE : OUTCOME_KINDS.INVALID,
+          title: 'Incorrect code',
+          message: `The one-time code is incorrect. ${details.attemptsRemaining ?? 0} attempt(s) remaining.`,
+        }
+      }
+      if (title === 'Invalid PIN') {
+        return {
+          kind: OUTCOME_KINDS.INVALID,
+          title: 'Incorrect PIN',
+          message: `The customer PIN is incorrect. ${details.attemptsRemaining ?? 0} attempt(s) remaining before the token is cancelled.`,
+        }
+      }
+      return { kind: OUTCOME_KINDS.ERROR, title: 'Terminal not authorized', message: error.message }
+    case 403:
+      if (title === 'Forbidden') {
+        return {
+          kind: OUTCOME_KINDS.DECLINED,
+          title: 'Declined by risk checks',
+          message: 'Do not pay out. The customer should contact their bank.',
+          reasons: details.reasons || [],
+        }
+      }
+      if (title === 'Token Locked') {
+        return {
+          kind: OUTCOME_KINDS.DECLINED,
+          title: 'Token cancelled',
+          message: 'Too many incorrect PINs. Do not pay out. The customer must generate a new token.',
+        }
+      }
+      return { kind: OUTCOME_KINDS.DECLINED, title, message: error.message }
+    case 409:
+    case 410:
+      return { kind: OUTCOME_KINDS.UNAVAILABLE, title, message: error.message || 'This token can no longer be redeemed.' }
+    case 422:
+      return {
+        kind: OUTCOME_KINDS.UNAVAILABLE,
+        title,
+        message: title === 'Insufficient Agent Float'
+          ? 'This terminal does not hold enough cash. The token is still valid at another agent.'
+          : error.message,
+      }
+    case 429:
+      return {
+        kind: OUTCOME_KINDS.RATE_LIMITED,
+        title: 'Too many attempts',
+        message: details.retryAfter
+          ? `Redemption is paused at this terminal. Try again in ${details.retryAfter} seconds.`
+          : 'Redemption is paused at this terminal. Wait a minute before trying again.',
+      }
+    default:
+      return { kind: OUTCOME_KINDS.ERROR, title: 'Redemption failed', message: error.message }
+  }
+}
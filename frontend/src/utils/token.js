@@ -0,0 +1,43 @@
+// Loose shape check only: prefix, length, charset and grouping are configured on the
+// backend (TOKEN_* settings), which reports malformed tokens and likely typos itself.
+// Numeric tokens for keypad terminals are digits only, optionally space-separated.
+export const TOKEN_PATTERN = /^(?:[A-Z0-9]{2,8}(-[A-Z0-9]+)+|[0-9]{4}(?: ?[0-9]){6,})$/
+
+export const PIN_PATTERN = /^[0-9]{4,6}$/
+
+const MAX_TOKEN_LENGTH = 64
+
+/**
+ * Numeric tokens are the only ones without letters or hyphens.
+ * @param {string} token
+ * @returns {boolean}
+ */
+export const isNumericToken = (token) => /^[0-9 ]+$/.test(token)
+
+/**
+ * Normalizes typed or pasted input: uppercases, drops anything outside A-Z0-9 and
+ * hyphens, and collapses repeated hyphens so grouped tokens can be typed as shown.
+ * Digit-only input is regrouped in fours, as numeric tokens are displayed.
+ * @param {string} value
+ * @returns {string}
+ */
+export const formatTokenInput = (value) => {
+  if (isNumericToken(value)) {
+    return value.replace(/ /g, '').slice(0, MAX_TOKEN_LENGTH).replace(/(\d{4})(?=\d)/g, '$1 ')
+  }
+  return value
+    .toUpperCase()
+    .replace(/[^A-Z0-9-]/g, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-/, '')
+    .slice(0, MAX_TOKEN_LENGTH)
+}
+
+/**
+ * Keeps only the lookup prefix so full tokens never sit in the session history.
+ * @param {string} token
+ * @returns {string}
+ */
+export const maskToken = (token) => (isNumericToken(token)
+  ? `${token.replace(/ /g, '').slice(0, 4)} ****`
+  : `${token.split('-')[0]}-********`)